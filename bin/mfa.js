@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+// bin/mfa.js - Command-line client: manage accounts and fetch codes
+//
+// Usage: mfa <command> [args] [options]   (mfa --help lists the commands)
+//
+// With --server (or MFA_SERVER) the commands go to that server, using
+// --api-key (or MFA_API_KEY). Without, they run against the storage
+// configured for the server itself (STORAGE_DRIVER, MONGODB_URI or
+// STORAGE_PATH, ENCRYPTION_KEYS; .env is read) as the bootstrap admin.
+require('dotenv').config({ quiet: true });
+const { parseArgs } = require('util');
+const { createClient, createLocalClient } = require('../cli/client');
+const { COMMANDS } = require('../cli/commands');
+
+const OPTIONS = {
+  // Global
+  server: { type: 'string' },
+  'api-key': { type: 'string' },
+  vault: { type: 'string' },
+  json: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' },
+  // Account settings (add, update)
+  name: { type: 'string' },
+  secret: { type: 'string' },
+  uri: { type: 'string' },
+  qr: { type: 'string' },
+  generate: { type: 'boolean' },
+  issuer: { type: 'string' },
+  'account-name': { type: 'string' },
+  type: { type: 'string' },
+  algorithm: { type: 'string' },
+  digits: { type: 'string' },
+  period: { type: 'string' },
+  'clock-offset': { type: 'string' },
+  counter: { type: 'string' },
+  pin: { type: 'string' },
+  folder: { type: 'string' },
+  tags: { type: 'string' },
+  notes: { type: 'string' },
+  icon: { type: 'string' },
+  'no-encrypt': { type: 'boolean' },
+  // list
+  tag: { type: 'string' },
+  search: { type: 'string' },
+  sort: { type: 'string' },
+  order: { type: 'string' },
+  // code
+  wait: { type: 'boolean' },
+  next: { type: 'boolean' },
+  'min-remaining': { type: 'string' },
+  // import, export
+  format: { type: 'string' },
+  password: { type: 'string' },
+  passphrase: { type: 'string' },
+  mode: { type: 'string' },
+  'dry-run': { type: 'boolean' },
+  output: { type: 'string', short: 'o' },
+  // rotate-key
+  to: { type: 'string' },
+  'batch-size': { type: 'string' },
+  'encrypt-plaintext': { type: 'boolean' },
+  'no-wait': { type: 'boolean' }
+};
+
+function help() {
+  const lines = [
+    'Usage: mfa <command> [args] [options]',
+    '',
+    'Commands:'
+  ];
+  for (const command of Object.values(COMMANDS)) {
+    lines.push(`  ${command.usage}`, `      ${command.summary}`);
+  }
+  lines.push(
+    '',
+    'Options:',
+    '  --server <url>     Server to use (MFA_SERVER); without, the configured storage is used directly',
+    '  --api-key <key>    API key for --server (MFA_API_KEY)',
+    '  --vault <id|name>  Vault to work in',
+    '  --json             Print the API response as JSON',
+    '  --passphrase <p>   Vault archive passphrase (MFA_PASSPHRASE)'
+  );
+  return lines.join('\n');
+}
+
+function printError(err, json) {
+  if (json && !err.usage) {
+    console.error(JSON.stringify({ error: err.message, code: err.code, details: err.details }, null, 2));
+    return;
+  }
+  console.error(`❌ ${err.message}`);
+  if (err.details !== undefined) console.error(JSON.stringify(err.details, null, 2));
+  if (err.usage) console.error('\nRun mfa --help for usage');
+}
+
+async function main() {
+  const { values: options, positionals } = parseArgs({ options: OPTIONS, allowPositionals: true });
+  const [name, ...args] = positionals;
+
+  if (options.help || !name) {
+    console.log(help());
+    return;
+  }
+  const command = COMMANDS[name];
+  if (!command) {
+    const err = new Error(`Unknown command: ${name}`);
+    err.usage = true;
+    throw err;
+  }
+
+  const server = options.server || process.env.MFA_SERVER;
+  const client = server
+    ? createClient({ server, apiKey: options['api-key'] || process.env.MFA_API_KEY })
+    : await createLocalClient();
+  if (client.local && /memory/i.test(client.storage)) {
+    console.error('⚠️  STORAGE_DRIVER=memory: changes are lost when this command exits');
+  }
+
+  try {
+    const result = await command.run(client, args, options);
+    if (result.raw !== undefined) {
+      process.stdout.write(result.raw);
+    } else {
+      console.log(options.json ? JSON.stringify(result.data, null, 2) : result.text);
+    }
+  } finally {
+    await client.close();
+  }
+}
+
+const json = process.argv.includes('--json');
+main()
+  .catch(err => {
+    printError(err, json);
+    process.exitCode = 1;
+  })
+  // Webhook retries and other timers of an in-process server must not keep
+  // the command running
+  .finally(() => process.exit());
@@ -0,0 +1,108 @@
+// cli/client.js - HTTP client for the API, remote or in this process
+const crypto = require('crypto');
+
+/*
+ * A client sends requests to the API and resolves to the parsed response
+ * body (JSON, or text for text/plain). Responses in the error envelope
+ * reject with an Error carrying the envelope's `code` and `details` and the
+ * HTTP `status`.
+ *
+ *   request(method, path, { query, body, form, headers })
+ *     body - sent as JSON
+ *     form - FormData, sent as multipart
+ *   close() - release the connection (and the in-process server)
+ */
+
+function apiError(status, body) {
+  const err = new Error(body && body.error ? body.error : `Request failed with status ${status}`);
+  err.status = status;
+  err.code = body && body.code;
+  err.details = body && body.details;
+  return err;
+}
+
+/**
+ * Client for the server at `server`, authenticating with `apiKey`.
+ */
+function createClient({ server, apiKey }) {
+  const base = server.replace(/\/+$/, '');
+
+  async function request(method, path, { query, body, form, headers = {} } = {}) {
+    const url = new URL(base + path);
+    for (const [name, value] of Object.entries(query || {})) {
+      if (value !== undefined && value !== null) url.searchParams.set(name, String(value));
+    }
+
+    const init = { method: method.toUpperCase(), headers: { ...headers } };
+    if (apiKey) init.headers.Authorization = `Bearer ${apiKey}`;
+    if (form) {
+      init.body = form;
+    } else if (body !== undefined) {
+      init.headers['Content-Type'] = 'application/json';
+      init.body = JSON.stringify(body);
+    }
+
+    let res;
+    try {
+      res = await fetch(url, init);
+    } catch (err) {
+      throw new Error(`Cannot reach ${base}: ${(err.cause || err).message}`);
+    }
+
+    const text = await res.text();
+    let data = text;
+    if ((res.headers.get('content-type') || '').includes('application/json')) {
+      data = text ? JSON.parse(text) : null;
+    }
+    if (!res.ok) throw apiError(res.status, typeof data === 'object' ? data : null);
+    return data;
+  }
+
+  return {
+    server: base,
+    request,
+    async close() {}
+  };
+}
+
+/**
+ * Client running the API in this process, against the storage configured
+ * by STORAGE_DRIVER (see storage/index.js), as the bootstrap admin.
+ * ADMIN_API_KEY is used when set; otherwise a random one is made up for the
+ * lifetime of the process.
+ */
+async function createLocalClient() {
+  // Must be set before the app (and the auth middleware) is loaded
+  process.env.ADMIN_API_KEY = process.env.ADMIN_API_KEY || crypto.randomBytes(32).toString('base64url');
+  process.env.DOTENV_CONFIG_QUIET = 'true';
+
+  const app = require('../server');
+  const db = require('../storage');
+  await db.connect();
+
+  const listener = await new Promise((resolve, reject) => {
+    const server = app.listen(0, '127.0.0.1', () => resolve(server));
+    server.on('error', reject);
+  });
+
+  const client = createClient({
+    server: `http://127.0.0.1:${listener.address().port}`,
+    apiKey: process.env.ADMIN_API_KEY
+  });
+
+  return {
+    ...client,
+    local: true,
+    storage: db.describe(),
+    async close() {
+      listener.closeAllConnections();
+      await new Promise(resolve => listener.close(resolve));
+      await db.disconnect();
+    }
+  };
+}
+
+module.exports = {
+  createClient,
+  createLocalClient
+};
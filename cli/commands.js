@@ -0,0 +1,377 @@
+// cli/commands.js - Commands of the mfa CLI
+const fs = require('fs');
+const path = require('path');
+const { parseOTPAuth, suggestAccountKey } = require('../utils/otpauth');
+
+/*
+ * Each command has a usage line, a summary and
+ *   run(client, args, options) -> { data, text }
+ * where `args` are the positional arguments after the command name and
+ * `options` the parsed flags. `data` is printed with --json, `text` (plain
+ * lines, easy to use from scripts) otherwise.
+ */
+
+const VAULT_ARCHIVE_FORMAT = 'mfa-authenticator-vault';
+const ROTATION_POLL_MS = 1000;
+
+// Content types multer and the QR extraction accept, by extension
+const CONTENT_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.svg': 'image/svg+xml',
+  '.pdf': 'application/pdf',
+  '.json': 'application/json',
+  '.txt': 'text/plain'
+};
+
+function usageError(message) {
+  const err = new Error(message);
+  err.usage = true;
+  return err;
+}
+
+function requireArg(args, index, name) {
+  if (!args[index]) throw usageError(`Missing <${name}>`);
+  return args[index];
+}
+
+function fileForm(file, fields) {
+  const form = new FormData();
+  const type = CONTENT_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream';
+  form.append('file', new Blob([fs.readFileSync(file)], { type }), path.basename(file));
+  for (const [name, value] of Object.entries(fields)) {
+    if (value !== undefined) form.append(name, String(value));
+  }
+  return form;
+}
+
+function passphrase(options) {
+  return options.passphrase || process.env.MFA_PASSPHRASE;
+}
+
+function number(value) {
+  return value === undefined ? undefined : Number(value);
+}
+
+function tags(value) {
+  return value === undefined ? undefined : value.split(',').map(tag => tag.trim()).filter(Boolean);
+}
+
+// Account settings from the shared flags, leaving out those not given
+function accountFields(options) {
+  const fields = {
+    name: options.name,
+    issuer: options.issuer,
+    accountName: options['account-name'],
+    folder: options.folder,
+    tags: tags(options.tags),
+    notes: options.notes,
+    icon: options.icon,
+    type: options.type,
+    algorithm: options.algorithm,
+    digits: number(options.digits),
+    period: number(options.period),
+    clockOffset: number(options['clock-offset']),
+    counter: number(options.counter),
+    pin: options.pin,
+    vault: options.vault
+  };
+  return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+}
+
+function formatTable(rows, columns) {
+  const widths = columns.map(([title, field]) =>
+    Math.max(title.length, ...rows.map(row => String(row[field] ?? '').length)));
+  const line = values => values.map((value, i) => String(value).padEnd(widths[i])).join('  ').trimEnd();
+  return [
+    line(columns.map(([title]) => title)),
+    ...rows.map(row => line(columns.map(([, field]) => row[field] ?? '')))
+  ].join('\n');
+}
+
+// Lines for the created/skipped/rejected report of imports
+function importReportText(report) {
+  const lines = [];
+  for (const account of report.created || []) lines.push(`Added ${account.key} (${account.name})`);
+  for (const { key, reason } of report.skipped || []) lines.push(`Skipped ${key}: ${reason}`);
+  for (const { key, reason } of report.rejected || []) lines.push(`Rejected ${key}: ${reason}`);
+  return lines.length > 0 ? lines.join('\n') : 'Nothing to import';
+}
+
+async function addAccount(client, args, options) {
+  const sources = ['secret', 'uri', 'qr', 'generate'].filter(source => options[source] !== undefined);
+  if (sources.length !== 1) {
+    throw usageError('Give exactly one of --secret, --uri, --qr or --generate');
+  }
+  const encrypt = options['no-encrypt'] ? false : undefined;
+
+  if (options.qr) {
+    const report = await client.request('post', '/api/extract-secret', {
+      form: fileForm(options.qr, {
+        save: true,
+        key: args[0],
+        name: options.name,
+        folder: options.folder,
+        tags: options.tags,
+        notes: options.notes,
+        icon: options.icon,
+        vault: options.vault,
+        encrypt: encrypt
+      })
+    });
+    return { data: report, text: importReportText(report) };
+  }
+
+  const body = { ...accountFields(options), encrypt: encrypt };
+  if (options.uri) {
+    const parsed = parseOTPAuth(options.uri);
+    for (const field of ['secret', 'issuer', 'accountName', 'type', 'algorithm', 'digits', 'period']) {
+      if (body[field] === undefined && parsed[field]) body[field] = parsed[field];
+    }
+    if (body.counter === undefined && parsed.counter !== null) body.counter = Number(parsed.counter);
+  } else if (options.secret) {
+    body.secret = options.secret;
+  } else {
+    body.generateSecret = true;
+  }
+  body.key = args[0] || suggestAccountKey(body.issuer, body.accountName);
+  if (!body.key) throw usageError('Missing <key>');
+  body.name = body.name || body.issuer || body.key;
+
+  const created = await client.request('post', '/api/accounts', { body });
+  const lines = [`Added ${created.key} (${created.name}) to vault ${created.vault}`];
+  if (created.secret) lines.push(`Secret: ${created.secret}`, `URI: ${created.otpAuthUrl}`);
+  return { data: created, text: lines.join('\n') };
+}
+
+// Every page of GET /api/accounts
+async function listAccounts(client, args, options) {
+  const query = {
+    vault: options.vault,
+    tag: options.tag,
+    folder: options.folder,
+    issuer: options.issuer,
+    type: options.type,
+    q: options.search,
+    sort: options.sort,
+    order: options.order,
+    limit: 500
+  };
+  const accounts = [];
+  let cursor;
+  do {
+    const page = await client.request('get', '/api/accounts', { query: { ...query, cursor } });
+    accounts.push(...page.accounts);
+    cursor = page.nextCursor;
+  } while (cursor);
+
+  const rows = accounts.map(account => ({ ...account, tags: (account.tags || []).join(',') }));
+  return {
+    data: { accounts, total: accounts.length },
+    text: accounts.length > 0
+      ? formatTable(rows, [['KEY', 'key'], ['NAME', 'name'], ['ISSUER', 'issuer'], ['ACCOUNT', 'accountName'], ['TYPE', 'type'], ['FOLDER', 'folder'], ['TAGS', 'tags']])
+      : 'No accounts'
+  };
+}
+
+// Just the code, so `$(mfa code github)` works in scripts; with --next the
+// next one follows on a second line
+async function getCode(client, args, options) {
+  const query = {
+    vault: options.vault,
+    minRemaining: options['min-remaining'],
+    wait: options.wait,
+    next: options.next
+  };
+  let result;
+  if (args[0]) {
+    result = await client.request('get', `/api/code/${encodeURIComponent(args[0])}`, { query });
+  } else if (options.issuer || options['account-name']) {
+    result = await client.request('get', '/api/code', {
+      query: { ...query, issuer: options.issuer, account: options['account-name'] }
+    });
+  } else {
+    throw usageError('Missing <key> (or --issuer/--account-name)');
+  }
+  return { data: result, text: result.next ? `${result.code}\n${result.next.code}` : result.code };
+}
+
+async function updateAccount(client, args, options) {
+  const key = requireArg(args, 0, 'key');
+  const body = accountFields(options);
+  delete body.vault;
+  delete body.type;
+  delete body.counter;
+  if (options.secret) body.secret = options.secret;
+  if (Object.keys(body).length === 0) throw usageError('Nothing to update');
+
+  const updated = await client.request('put', `/api/accounts/${encodeURIComponent(key)}`, {
+    query: { vault: options.vault },
+    body
+  });
+  return { data: updated, text: `Updated ${updated.key}` };
+}
+
+async function deleteAccount(client, args, options) {
+  const key = requireArg(args, 0, 'key');
+  const deleted = await client.request('delete', `/api/accounts/${encodeURIComponent(key)}`, { query: { vault: options.vault } });
+  return {
+    data: deleted,
+    text: `Moved ${deleted.key} to the trash, restore it before ${deleted.purgeAt}`
+  };
+}
+
+/*
+ * Vault archives from `mfa export` are restored; files with
+ * otpauth-migration:// URLs go to the Google Authenticator import; anything
+ * else is a backup of another app (Aegis, 2FAS, andOTP, Bitwarden or
+ * otpauth:// URIs).
+ */
+async function importFile(client, args, options) {
+  const file = requireArg(args, 0, 'file');
+  const content = fs.readFileSync(file, 'utf8');
+  const encrypt = options['no-encrypt'] ? false : undefined;
+
+  let archive = null;
+  try {
+    archive = JSON.parse(content);
+  } catch (err) {
+    // Not JSON, so not an archive
+  }
+
+  if (archive && archive.format === VAULT_ARCHIVE_FORMAT) {
+    if (!passphrase(options)) throw usageError('Restoring a vault archive needs --passphrase (or MFA_PASSPHRASE)');
+    const result = await client.request('post', '/api/restore', {
+      form: fileForm(file, {
+        passphrase: passphrase(options),
+        vault: options.vault,
+        mode: options.mode,
+        dryRun: options['dry-run']
+      })
+    });
+    const lines = [result.message, ...result.restored.map(key => `Restored ${key}`)];
+    for (const key of result.removed) lines.push(`Moved ${key} to the trash`);
+    for (const { key, reason } of [...result.conflicts, ...result.rejected]) lines.push(`Skipped ${key}: ${reason}`);
+    return { data: result, text: lines.join('\n') };
+  }
+
+  const migrationURLs = content.split(/\s+/).filter(line => line.startsWith('otpauth-migration://'));
+  if (migrationURLs.length > 0) {
+    const report = await client.request('post', '/api/import/google-authenticator', {
+      body: { urls: migrationURLs, save: !options['dry-run'], vault: options.vault, encrypt }
+    });
+    return {
+      data: report,
+      text: report.created ? importReportText(report) : `Would import ${report.accounts.length} accounts`
+    };
+  }
+
+  const report = await client.request('post', '/api/import', {
+    form: fileForm(file, {
+      format: options.format,
+      password: options.password,
+      vault: options.vault,
+      dryRun: options['dry-run'],
+      encrypt: encrypt
+    })
+  });
+  return { data: report, text: importReportText(report) };
+}
+
+// The archive (or otpauth:// URIs) goes to --output or stdout
+async function exportAccounts(client, args, options) {
+  const format = options.format || 'vault';
+  const headers = {};
+  if (format === 'vault') {
+    if (!passphrase(options)) throw usageError('A vault export needs --passphrase (or MFA_PASSPHRASE)');
+    headers['X-Export-Passphrase'] = passphrase(options);
+  }
+
+  const result = await client.request('get', '/api/export', { query: { format, vault: options.vault }, headers });
+  const content = typeof result === 'string' ? result : JSON.stringify(result, null, 2) + '\n';
+  if (!options.output) return { raw: content };
+
+  fs.writeFileSync(options.output, content, { mode: 0o600 });
+  // Accounts the server could not decrypt are not in the archive
+  const rejected = typeof result === 'string' ? [] : result.rejected || [];
+  return {
+    data: { output: options.output, format: format, bytes: Buffer.byteLength(content), rejected: rejected },
+    text: [`Exported to ${options.output}`, ...rejected.map(({ key, reason }) => `Rejected ${key}: ${reason}`)].join('\n')
+  };
+}
+
+// Start a rotation and follow it until it is done (unless --no-wait)
+async function rotateKey(client, args, options) {
+  const started = await client.request('post', '/api/admin/key-rotation', {
+    body: {
+      toVersion: number(options.to),
+      batchSize: number(options['batch-size']),
+      encryptPlaintext: options['encrypt-plaintext']
+    }
+  });
+
+  // In-process rotations stop with the process, so always wait for those
+  let job = started.job;
+  if (options['no-wait'] && !client.local) {
+    return { data: started, text: `Key rotation ${job.id} started` };
+  }
+  while (job.status === 'running') {
+    await new Promise(resolve => setTimeout(resolve, ROTATION_POLL_MS));
+    job = (await client.request('get', '/api/admin/key-rotation')).job;
+    if (!options.json) process.stderr.write(`   ${job.processed}/${job.total}\n`);
+  }
+
+  const lines = [`Rotated ${job.rotated}, skipped ${job.skipped}, failed ${job.failed.length} (key version ${job.toVersion})`];
+  for (const failure of job.failed) lines.push(`Failed ${failure.key}: ${failure.error}`);
+  if (job.status !== 'completed') process.exitCode = 1;
+  return { data: job, text: lines.join('\n') };
+}
+
+const COMMANDS = {
+  add: {
+    usage: 'add [key] (--secret <base32> | --uri <otpauth://...> | --qr <image|pdf> | --generate) [--name ...]',
+    summary: 'Add an account; the key defaults to one made from the issuer and account name',
+    run: addAccount
+  },
+  list: {
+    usage: 'list [--tag a,b] [--folder f] [--issuer i] [--type t] [--search q] [--sort field] [--order asc|desc]',
+    summary: 'List accounts',
+    run: listAccounts
+  },
+  code: {
+    usage: 'code <key> | code --issuer <issuer> [--account-name <name>] [--wait] [--min-remaining s] [--next]',
+    summary: 'Print the current code (--wait: the next one if it is about to expire)',
+    run: getCode
+  },
+  update: {
+    usage: 'update <key> [--name ...] [--secret ...] [--folder ...] [--tags a,b] ...',
+    summary: 'Change an account',
+    run: updateAccount
+  },
+  delete: {
+    usage: 'delete <key>',
+    summary: 'Move an account to the trash',
+    run: deleteAccount
+  },
+  import: {
+    usage: 'import <file> [--format f] [--password p] [--passphrase p] [--mode merge|replace] [--dry-run]',
+    summary: 'Import a backup, a Google Authenticator export or a vault archive',
+    run: importFile
+  },
+  export: {
+    usage: 'export [--format vault|otpauth] [--passphrase p] [--output file]',
+    summary: 'Export accounts (vault archives are encrypted with the passphrase)',
+    run: exportAccounts
+  },
+  'rotate-key': {
+    usage: 'rotate-key [--to version] [--batch-size n] [--encrypt-plaintext] [--no-wait]',
+    summary: 'Re-encrypt all secrets with the active (or given) master key version',
+    run: rotateKey
+  }
+};
+
+module.exports = {
+  COMMANDS
+};
@@ -0,0 +1,59 @@
+// middleware/audit.js - Persist an audit entry for every audited request
+const db = require('../storage');
+
+// Detail keys that could carry a secret or a code are dropped
+const SENSITIVE_KEY = /secret|code|token|password|passphrase|otp|apikey/i;
+
+function sanitize(value) {
+  if (Array.isArray(value)) return value.map(sanitize);
+  if (!value || typeof value !== 'object' || value instanceof Date) return value;
+
+  const clean = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (!SENSITIVE_KEY.test(key)) clean[key] = sanitize(item);
+  }
+  return clean;
+}
+
+function outcomeFor(statusCode) {
+  if (statusCode === 401 || statusCode === 403) return 'denied';
+  return statusCode < 400 ? 'success' : 'failure';
+}
+
+/**
+ * Record an audit entry once the response is sent.
+ * Place it BEFORE authenticate so rejected callers are recorded too.
+ * Handlers can add context through `res.locals.auditDetails`, and set
+ * `res.locals.auditAccountKey` when the account is not a route param.
+ * The vault recorded is `res.locals.auditVault`, else that of req.account or
+ * the vault selected for the request.
+ */
+function audit(action) {
+  return (req, res, next) => {
+    // 'close' also fires for streams the client disconnects from
+    res.on('close', () => {
+      const entry = {
+        action: action,
+        outcome: outcomeFor(res.statusCode),
+        statusCode: res.statusCode,
+        actor: req.apiKey
+          ? { id: String(req.apiKey.id), name: req.apiKey.name, user: req.apiKey.user ? String(req.apiKey.user) : undefined }
+          : undefined,
+        ip: req.ip,
+        accountKey: res.locals.auditAccountKey || req.params.key || req.params.accountKey,
+        vault: res.locals.auditVault || (req.account && req.account.vault) || (req.vault && req.vault._id) || undefined,
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        details: sanitize(res.locals.auditDetails)
+      };
+
+      // Auditing must never break or slow down the request itself
+      db.auditLogs.create(entry).catch(err => console.error('Error writing audit log:', err));
+    });
+    next();
+  };
+}
+
+module.exports = {
+  audit
+};
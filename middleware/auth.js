@@ -0,0 +1,109 @@
+// middleware/auth.js - API key authentication and scope checks
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+const db = require('../storage');
+const { sendError } = require('../utils/errors');
+
+// Optional bootstrap key from the environment, used to create the first
+// stored API keys. It always has the `admin` scope.
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY;
+
+const bootstrapAdmin = {
+  id: 'env:ADMIN_API_KEY',
+  name: 'bootstrap-admin',
+  user: null,
+  scopes: ['admin'],
+  allowedAccounts: [],
+  hasScope: () => true,
+  canAccessAccount: () => true
+};
+
+function matchesBootstrapKey(rawKey) {
+  if (!ADMIN_API_KEY) return false;
+  const a = ApiKey.hashKey(rawKey);
+  const b = ApiKey.hashKey(ADMIN_API_KEY);
+  return crypto.timingSafeEqual(Buffer.from(a, 'hex'), Buffer.from(b, 'hex'));
+}
+
+// Read the raw key from "Authorization: Bearer <key>" or "X-API-Key: <key>"
+function extractRawKey(req) {
+  const header = req.get('authorization');
+  if (header && header.toLowerCase().startsWith('bearer ')) {
+    return header.slice(7).trim();
+  }
+  return req.get('x-api-key') || null;
+}
+
+// Accept the key as ?access_token= too. Only for routes browsers open with
+// EventSource, which can't send headers.
+function allowQueryToken(req, res, next) {
+  if (!extractRawKey(req) && typeof req.query.access_token === 'string') {
+    req.headers['x-api-key'] = req.query.access_token;
+  }
+  next();
+}
+
+// Resolve the caller's API key and attach it as req.apiKey
+async function authenticate(req, res, next) {
+  try {
+    const rawKey = extractRawKey(req);
+    if (!rawKey) {
+      return sendError(res, 'api_key_required', 'API key required');
+    }
+    
+    if (matchesBootstrapKey(rawKey)) {
+      req.apiKey = bootstrapAdmin;
+      return next();
+    }
+    
+    const apiKey = await ApiKey.findByRawKey(rawKey);
+    if (!apiKey || !apiKey.isActive()) {
+      return sendError(res, 'api_key_invalid', 'Invalid or revoked API key');
+    }
+    
+    // Best effort, never blocks the request
+    db.apiKeys.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date() })
+      .catch(err => console.error('Error updating API key usage:', err));
+    
+    req.apiKey = apiKey;
+    next();
+  } catch (err) {
+    console.error('Error authenticating request:', err);
+    sendError(res, 'internal_error', 'Server error');
+  }
+}
+
+// Require a scope on the authenticated key
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (!req.apiKey || !req.apiKey.hasScope(scope)) {
+      return sendError(res, 'forbidden', `Missing required scope: ${scope}`);
+    }
+    next();
+  };
+}
+
+// Require the key's account allow-list to cover req.params[param]
+function requireAccountAccess(param = 'key') {
+  return (req, res, next) => {
+    if (!req.apiKey.canAccessAccount(req.params[param])) {
+      return sendError(res, 'forbidden', 'API key is not allowed to access this account');
+    }
+    next();
+  };
+}
+
+// Mongo filter restricting a query to the key's allowed accounts
+function accountFilter(apiKey) {
+  return apiKey.allowedAccounts.length > 0
+    ? { key: { $in: apiKey.allowedAccounts } }
+    : {};
+}
+
+module.exports = {
+  allowQueryToken,
+  authenticate,
+  requireScope,
+  requireAccountAccess,
+  accountFilter
+};
@@ -0,0 +1,155 @@
+// middleware/rateLimit.js - Rate limits and brute-force lockouts
+const { sendError } = require('../utils/errors');
+const { createStore } = require('../utils/rateLimitStore');
+
+// Hits allowed per window (seconds) for each caller dimension; 0 turns a
+// dimension off. Override a policy with e.g.
+// RATE_LIMIT_CODE="apikey=120,ip=240,account=60,window=60".
+const DEFAULT_POLICIES = {
+  // Fetching and pushing codes
+  code: { apikey: 120, ip: 240, account: 60, window: 60 },
+  // Checking codes; the per-account limit caps guessing against one account
+  verify: { apikey: 60, ip: 120, account: 10, window: 60 },
+  // Decoding uploaded images and PDFs and deriving keys for uploaded backups,
+  // the most expensive requests we serve
+  extract: { apikey: 10, ip: 20, account: 0, window: 60 }
+};
+
+// Clients producing `failures` 404s or failed verifications within `window`
+// seconds are locked out for `duration` seconds. Override with
+// RATE_LIMIT_LOCKOUT="failures=10,window=600,duration=900".
+const DEFAULT_LOCKOUT = { failures: 10, window: 600, duration: 900 };
+
+function parseSettings(name, defaults) {
+  const value = process.env[name];
+  if (!value) return { ...defaults };
+
+  const settings = { ...defaults };
+  for (const pair of value.split(',')) {
+    const [field, raw] = pair.split('=').map(part => part.trim());
+    const number = Number(raw);
+    if (!(field in defaults) || !Number.isInteger(number) || number < 0) {
+      throw new Error(`Invalid ${name} entry "${pair}", expected ${Object.keys(defaults).join('/')}=<number>`);
+    }
+    settings[field] = number;
+  }
+  if (settings.window === 0) throw new Error(`${name} window must be at least 1 second`);
+  return settings;
+}
+
+const policies = {};
+for (const [name, defaults] of Object.entries(DEFAULT_POLICIES)) {
+  policies[name] = parseSettings(`RATE_LIMIT_${name.toUpperCase()}`, defaults);
+}
+const lockout = parseSettings('RATE_LIMIT_LOCKOUT', DEFAULT_LOCKOUT);
+
+const store = createStore();
+
+// Who is calling: lockouts apply to the IP and the API key separately.
+// Accounts are never locked, or anyone could lock a victim out of theirs.
+function clientIds(req) {
+  const ids = [`ip:${req.ip}`];
+  if (req.apiKey) ids.push(`apikey:${req.apiKey.id}`);
+  return ids;
+}
+
+function retryAfterSeconds(resetAt) {
+  return Math.max(1, Math.ceil((resetAt.getTime() - Date.now()) / 1000));
+}
+
+function tooManyRequests(res, resetAt, code, message, details) {
+  const retryAfter = retryAfterSeconds(resetAt);
+  res.set('Retry-After', String(retryAfter));
+  return sendError(res, code, message, { ...details, retryAfter });
+}
+
+async function recordFailure(clients) {
+  if (lockout.failures === 0) return;
+
+  for (const client of clients) {
+    const failures = await store.increment(`failures:${client}`, lockout.window * 1000);
+    if (failures.count >= lockout.failures) {
+      await store.increment(`lock:${client}`, lockout.duration * 1000);
+    }
+  }
+}
+
+// Responds 429 and returns false when the request must not go ahead
+async function check(name, policy, req, res) {
+  const clients = clientIds(req);
+
+  for (const client of clients) {
+    const lock = await store.get(`lock:${client}`);
+    if (lock) {
+      res.locals.auditDetails = { rateLimit: 'lockout' };
+      tooManyRequests(res, lock.resetAt, 'locked_out', 'Too many failed attempts, try again later');
+      return false;
+    }
+  }
+
+  // Failures only count once the response is known; handlers flag failed
+  // verifications with res.locals.failedAttempt
+  res.on('finish', () => {
+    if (res.statusCode === 404 || res.locals.failedAttempt) {
+      recordFailure(clients).catch(err => console.error('Error recording failed attempt:', err));
+    }
+  });
+
+  const dimensions = [
+    ['apikey', req.apiKey && req.apiKey.id],
+    ['ip', req.ip],
+    ['account', req.params.key || req.params.accountKey]
+  ];
+
+  // Headers report whichever limit is closest to running out
+  let tightest = null;
+  for (const [dimension, id] of dimensions) {
+    const limit = policy[dimension];
+    if (!limit || !id) continue;
+
+    const counter = await store.increment(`${name}:${dimension}:${id}`, policy.window * 1000);
+    if (counter.count > limit) {
+      res.locals.auditDetails = { rateLimit: dimension };
+      tooManyRequests(res, counter.resetAt, 'rate_limited', 'Rate limit exceeded', { limit: dimension });
+      return false;
+    }
+
+    const remaining = limit - counter.count;
+    if (!tightest || remaining < tightest.remaining) {
+      tightest = { limit, remaining, resetAt: counter.resetAt };
+    }
+  }
+
+  if (tightest) {
+    res.set('RateLimit-Limit', String(tightest.limit));
+    res.set('RateLimit-Remaining', String(tightest.remaining));
+    res.set('RateLimit-Reset', String(retryAfterSeconds(tightest.resetAt)));
+  }
+  return true;
+}
+
+/**
+ * Apply the named policy (code, verify or extract) per API key, IP and
+ * account (the :key or :accountKey param). Place it after authenticate so
+ * the key is known, and before loadAccount so unknown keys count as failures.
+ * Responds 429 with Retry-After when over a limit or locked out.
+ */
+function rateLimit(name) {
+  const policy = policies[name];
+  if (!policy) throw new Error(`Unknown rate limit policy: ${name}`);
+
+  return async (req, res, next) => {
+    let allowed = true;
+    try {
+      allowed = await check(name, policy, req, res);
+    } catch (err) {
+      // An unreachable store must not take the API down with it
+      console.error('Error checking rate limit:', err);
+    }
+    if (allowed) next();
+  };
+}
+
+module.exports = {
+  rateLimit
+};
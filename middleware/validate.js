@@ -0,0 +1,56 @@
+// middleware/validate.js - Check requests against their route schemas
+const Ajv = require('ajv');
+const { sendError } = require('../utils/errors');
+
+// Params, query strings and multipart fields are always strings, and JSON
+// clients have long been allowed to send numbers as strings, so values are
+// coerced to the schema's type ("6" -> 6, "true" -> true).
+const ajv = new Ajv({ allErrors: true, coerceTypes: true, strict: false });
+// Anything Date can parse, as the routes accepted before they had schemas
+ajv.addFormat('date-time', value => !isNaN(new Date(value).getTime()));
+
+const PARTS = ['params', 'headers', 'query', 'body'];
+
+function fieldName(part, error) {
+  const path = error.instancePath.split('/').filter(Boolean);
+  if (error.keyword === 'required') path.push(error.params.missingProperty);
+  return [part, ...path].join('.');
+}
+
+/**
+ * Validate req.params, req.headers, req.query and req.body against a route
+ * definition from schemas/ (see schemas/index.js), and req.file when the
+ * route has `fileRequired`. Responds 400 validation_failed with every
+ * problem found. Values are coerced in place, except the query which is
+ * checked on a copy, since Express re-parses req.query on every access.
+ * Place it after authenticate, and after multer on multipart routes.
+ */
+function validate(route) {
+  const checks = PARTS
+    .filter(part => route[part])
+    .map(part => [part, ajv.compile(route[part])]);
+
+  return (req, res, next) => {
+    if (req.body === undefined && route.body) req.body = {};
+
+    const details = [];
+    if (route.fileRequired && !req.file) {
+      details.push({ field: 'file', message: 'must be uploaded as multipart field "file"' });
+    }
+    for (const [part, check] of checks) {
+      const value = part === 'query' ? { ...req.query } : req[part];
+      if (!check(value)) {
+        details.push(...check.errors.map(error => ({ field: fieldName(part, error), message: error.message })));
+      }
+    }
+
+    if (details.length > 0) {
+      return sendError(res, 'validation_failed', 'Request is invalid', details);
+    }
+    next();
+  };
+}
+
+module.exports = {
+  validate
+};
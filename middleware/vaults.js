@@ -0,0 +1,178 @@
+// middleware/vaults.js - Resolve the vaults a caller can reach
+const mongoose = require('mongoose');
+const Vault = require('../models/Vault');
+const db = require('../storage');
+const { accountFilter } = require('./auth');
+const { escapeRegex } = require('../utils/accountQuery');
+const { sendError } = require('../utils/errors');
+
+/*
+ * resolveVaults runs after authenticate and sets:
+ *   req.user        - User the API key acts for, or null for system keys
+ *   req.vaultRoles  - Map(vault id -> role), or null for system keys (every vault)
+ *   req.vault       - vault picked with ?vault=, "vault" in the body or the
+ *                     X-Vault header (id or name), if any
+ */
+async function resolveVaults(req, res, next) {
+  try {
+    req.user = null;
+    req.vaultRoles = null;
+    req.vault = null;
+    
+    let accessible = null;
+    if (req.apiKey.user) {
+      req.user = await db.users.findById(req.apiKey.user);
+      if (!req.user) {
+        return sendError(res, 'forbidden', 'The user of this API key no longer exists');
+      }
+      accessible = await Vault.findAccessible(req.user);
+      req.vaultRoles = new Map(accessible.map(vault => [String(vault._id), vault.roleFor(req.user)]));
+    }
+    
+    const selector = req.query.vault || (req.body && req.body.vault) || req.get('x-vault');
+    if (selector) {
+      let candidates;
+      if (mongoose.isValidObjectId(selector)) {
+        candidates = accessible
+          ? accessible.filter(vault => String(vault._id) === String(selector))
+          : await db.vaults.find({ _id: selector });
+      } else {
+        candidates = accessible
+          ? accessible.filter(vault => vault.name === String(selector))
+          : await db.vaults.find({ name: String(selector) });
+      }
+      
+      if (candidates.length === 0) {
+        return sendError(res, 'not_found', 'Vault not found');
+      }
+      if (candidates.length > 1) {
+        return sendError(res, 'ambiguous', 'Several vaults have this name, select one by id', {
+          vaults: candidates.map(vault => ({ id: vault._id, name: vault.name }))
+        });
+      }
+      req.vault = candidates[0];
+    }
+    
+    next();
+  } catch (err) {
+    console.error('Error resolving vaults:', err);
+    sendError(res, 'internal_error', 'Server error');
+  }
+}
+
+// Whether the caller has at least `role` on a vault
+function hasVaultRole(req, vaultId, role) {
+  if (req.vaultRoles === null) return true;
+  const actual = req.vaultRoles.get(String(vaultId));
+  return Boolean(actual) && Vault.ROLES.indexOf(actual) >= Vault.ROLES.indexOf(role);
+}
+
+// Mongo filter for the accounts the caller can reach with at least `role`.
+// Trashed accounts are left out, or with `trashed` only those are included.
+function accountScope(req, role = 'read', { trashed = false } = {}) {
+  const conditions = [accountFilter(req.apiKey), { deletedAt: trashed ? { $ne: null } : null }];
+  
+  if (req.vault) {
+    conditions.push({ vault: req.vault._id });
+  }
+  if (req.vaultRoles !== null) {
+    const ids = [...req.vaultRoles.keys()].filter(id => hasVaultRole(req, id, role));
+    conditions.push({ vault: { $in: ids } });
+  }
+  
+  return { $and: conditions };
+}
+
+// Set req.account to the single reachable account matching `filter`.
+// When several match, responds 409 with `ambiguous.message` and
+// `ambiguous.details(accounts)`.
+async function selectAccount(req, res, next, filter, role, ambiguous) {
+  try {
+    const accounts = await db.accounts.find({ $and: [accountScope(req, 'read'), filter] });
+    
+    if (accounts.length === 0) {
+      return sendError(res, 'not_found', 'Account not found');
+    }
+    
+    if (accounts.length > 1) {
+      return sendError(res, 'ambiguous', ambiguous.message, ambiguous.details(accounts));
+    }
+    
+    if (!hasVaultRole(req, accounts[0].vault, role)) {
+      return sendError(res, 'forbidden', `Requires ${role} access to this vault`);
+    }
+    
+    req.account = accounts[0];
+    next();
+  } catch (err) {
+    console.error('Error loading account:', err);
+    sendError(res, 'internal_error', 'Server error');
+  }
+}
+
+/**
+ * Load req.params[param] as req.account within the caller's vaults.
+ * Responds 404 when not found, 409 when the key exists in several
+ * reachable vaults (pick one with ?vault=), 403 when the caller lacks `role`.
+ */
+function loadAccount(role = 'read', { param = 'key' } = {}) {
+  return (req, res, next) => selectAccount(req, res, next, { key: req.params[param] }, role, {
+    message: 'Account key exists in several vaults, select one with ?vault=',
+    details: accounts => ({ vaults: accounts.map(a => a.vault) })
+  });
+}
+
+/**
+ * Load req.account by ?issuer= and/or ?account= (the account name),
+ * both matched case-insensitively. Responds 400 without either, 409 listing
+ * the matches when the lookup is ambiguous, otherwise like loadAccount.
+ */
+function lookupAccount(role = 'read') {
+  return (req, res, next) => {
+    const { issuer, account } = req.query;
+    
+    if (!issuer && !account) {
+      return sendError(res, 'validation_failed', 'issuer or account is required', [
+        { field: 'query', message: 'must have issuer or account' }
+      ]);
+    }
+    
+    const filter = {};
+    if (issuer) filter.issuer = new RegExp(`^${escapeRegex(String(issuer))}$`, 'i');
+    if (account) filter.accountName = new RegExp(`^${escapeRegex(String(account))}$`, 'i');
+    
+    selectAccount(req, res, next, filter, role, {
+      message: 'Several accounts match this lookup, add issuer/account/vault or use /api/code/:accountKey',
+      details: accounts => ({
+        matches: accounts.map(a => ({
+          key: a.key,
+          vault: a.vault,
+          issuer: a.issuer,
+          accountName: a.accountName
+        }))
+      })
+    });
+  };
+}
+
+// Vault new accounts go into: the selected one, else the user's personal
+// vault, else (system keys) the Default vault
+async function targetVault(req) {
+  if (req.vault) return req.vault;
+  return req.user ? Vault.getPersonal(req.user) : Vault.getDefault();
+}
+
+// Whether the caller may create accounts in a vault
+function canManageVault(req, vault) {
+  return req.user === null || vault.roleFor(req.user) === 'manage';
+}
+
+module.exports = {
+  resolveVaults,
+  hasVaultRole,
+  accountScope,
+  loadAccount,
+  lookupAccount,
+  targetVault,
+  canManageVault
+};
@@ -1,19 +1,61 @@
 // models/Account.js
 const mongoose = require('mongoose');
+const db = require('../storage');
+const { encrypt, decrypt } = require('../utils/crypto');
+const { OTP_TYPES, COUNTER_TYPES, validateParams, generateOTP } = require('../utils/otpTypes');
+const { stepTiming } = require('../utils/clock');
 
 const accountSchema = new mongoose.Schema({
+  // Vault the account belongs to; `key` is unique within it
+  vault: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vault',
+    required: true
+  },
   key: {
     type: String,
     required: true,
-    unique: true,
-    trim: true,
-    index: true
+    trim: true
   },
   name: {
     type: String,
     required: true,
     trim: true
   },
+  // Issuer and account name as found in the otpauth:// label, e.g.
+  // "GitHub" and "ops@corp"; used by GET /api/code?issuer=&account=
+  issuer: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  accountName: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // Icon or login URL hint for clients
+  icon: {
+    type: String,
+    trim: true,
+    default: null,
+    maxlength: 2048
+  },
+  notes: {
+    type: String,
+    default: null,
+    maxlength: 4000
+  },
+  // Optional grouping for large vaults: one folder, any number of tags
+  folder: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  tags: {
+    type: [String],
+    default: []
+  },
   secret: {
     type: String,
     required: true
@@ -22,81 +64,167 @@ const accountSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Master key version the secret is encrypted with (see utils/crypto.js).
+  // Missing on secrets encrypted before key versioning, which use version 1.
+  keyVersion: {
+    type: Number,
+    default: null
+  },
+  // digits, period and algorithm are checked per type, see utils/otpTypes.js
   digits: {
     type: Number,
-    default: 6,
-    min: 6,
-    max: 8
+    default: 6
   },
   period: {
     type: Number,
-    default: 30,
-    min: 15,
-    max: 60
+    default: 30
+  },
+  // Seconds the service's clock is ahead (+) or behind (-) ours. Time-based
+  // codes are generated for our time plus this and CLOCK_OFFSET, see
+  // utils/clock.js.
+  clockOffset: {
+    type: Number,
+    default: 0,
+    min: -3600,
+    max: 3600
   },
   algorithm: {
     type: String,
     default: 'sha1',
-    lowercase: true,
-    enum: ['sha1', 'sha256', 'sha512']
+    lowercase: true
   },
   type: {
     type: String,
     default: 'totp',
     lowercase: true,
-    enum: ['totp', 'hotp']
+    enum: OTP_TYPES,
+    // Checks digits/period/algorithm too, which depend on the type
+    validate: {
+      validator: function(type) {
+        const message = OTP_TYPES.includes(type) && validateParams(type, {
+          digits: this.digits,
+          period: this.period,
+          algorithm: this.algorithm
+        });
+        if (message) throw new Error(message);
+        return true;
+      },
+      message: props => props.reason.message
+    }
   },
   counter: {
     type: Number,
     default: 0
+  },
+  // Last TOTP time step accepted by /verify, so a code can't be replayed
+  lastVerifiedStep: {
+    type: Number,
+    default: null
+  },
+  // Set when the account is moved to the trash; purged after
+  // TRASH_RETENTION_DAYS (see utils/trash.js)
+  deletedAt: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true // Automatically adds createdAt and updatedAt
 });
 
-// Index for faster queries
+// Keys are unique per vault, not globally, and trashed accounts don't
+// count, so a key can be reused while its old account is in the trash
+accountSchema.index({ vault: 1, key: 1 }, { unique: true, partialFilterExpression: { deletedAt: { $type: 'null' } } });
+accountSchema.index({ deletedAt: 1 });
 accountSchema.index({ key: 1 });
+accountSchema.index({ vault: 1, tags: 1 });
+accountSchema.index({ vault: 1, folder: 1 });
+accountSchema.index({ issuer: 1, accountName: 1 });
 
-// Method to generate TOTP code
-accountSchema.methods.generateCode = function(speakeasy, decrypt, ENCRYPTION_KEY) {
-  let secret = this.secret;
-  
-  // Decrypt if needed
-  if (this.encrypted) {
-    const parts = secret.split(':');
-    const iv = Buffer.from(parts.shift(), 'hex');
-    const encryptedText = Buffer.from(parts.join(':'), 'hex');
-    const crypto = require('crypto');
-    const decipher = crypto.createDecipheriv('aes-256-cbc', Buffer.from(ENCRYPTION_KEY.slice(0, 64), 'hex'), iv);
-    let decrypted = decipher.update(encryptedText);
-    decrypted = Buffer.concat([decrypted, decipher.final()]);
-    secret = decrypted.toString();
+// What the secret's ciphertext is bound to: the account's id, since keys
+// are only unique per vault
+accountSchema.methods.secretBinding = function() {
+  return `account:${this._id}`;
+};
+
+// Store a plaintext secret, encrypted with the active master key unless
+// shouldEncrypt is false. The ciphertext is bound to this account's id.
+accountSchema.methods.setSecret = function(secret, shouldEncrypt = true) {
+  if (shouldEncrypt) {
+    const encrypted = encrypt(secret, this.secretBinding());
+    this.secret = encrypted.secret;
+    this.keyVersion = encrypted.keyVersion;
+    this.encrypted = true;
+  } else {
+    this.secret = secret;
+    this.keyVersion = null;
+    this.encrypted = false;
   }
+  return this;
+};
+
+// Get the plaintext secret
+accountSchema.methods.getSecret = function() {
+  return this.encrypted ? decrypt(this.secret, this.secretBinding(), this.keyVersion, this.key) : this.secret;
+};
+
+// Method to generate the current code
+// For counter-based (HOTP) accounts pass the counter claimed via
+// Account.claimCounter(); it defaults to the stored counter, which does NOT
+// advance it.
+accountSchema.methods.generateCode = function(counter = this.counter) {
+  const code = generateOTP(this, this.getSecret(), counter);
   
-  // Generate token
-  const token = speakeasy.totp({
-    secret: secret,
-    encoding: 'base32',
-    algorithm: this.algorithm,
-    digits: this.digits,
-    step: this.period,
-    window: 0
-  });
+  if (COUNTER_TYPES.includes(this.type)) {
+    return {
+      code: code,
+      counter: counter
+    };
+  }
   
-  // Calculate time remaining
-  const epoch = Math.round(new Date().getTime() / 1000.0);
-  const timeRemaining = this.period - (epoch % this.period);
+  const { timeRemaining, expiresAt } = stepTiming(this);
   
   return {
-    code: token,
+    code: code,
     timeRemaining: timeRemaining,
-    expiresAt: new Date(Date.now() + (timeRemaining * 1000)).toISOString()
+    expiresAt: expiresAt.toISOString()
   };
 };
 
-// Static method to find account by key
-accountSchema.statics.findByKey = function(key) {
-  return this.findOne({ key: key });
+// Static method to find account by key within a vault, ignoring the trash
+accountSchema.statics.findByKey = function(key, vault) {
+  return db.collection(this).findOne({ key: key, vault: vault, deletedAt: null });
+};
+
+// Static method to atomically claim the next HOTP counter.
+// Returns the account as it was BEFORE the increment, so `account.counter`
+// is the value to generate the code with. Two parallel calls never get the
+// same counter.
+accountSchema.statics.claimCounter = function(id) {
+  return db.collection(this).findOneAndUpdate(
+    { _id: id, type: { $in: COUNTER_TYPES } },
+    { $inc: { counter: 1 } },
+    { returnDocument: 'before' }
+  );
+};
+
+// Static method to atomically accept a verified TOTP time step.
+// Returns null when this step (or a later one) was already accepted.
+accountSchema.statics.acceptTimeStep = function(id, step) {
+  return db.collection(this).findOneAndUpdate(
+    { _id: id, $or: [{ lastVerifiedStep: null }, { lastVerifiedStep: { $lt: step } }] },
+    { $set: { lastVerifiedStep: step } },
+    { new: true }
+  );
+};
+
+// Static method to atomically move the HOTP counter past a verified value.
+// Returns null when the counter already moved past it.
+accountSchema.statics.acceptCounter = function(id, counter) {
+  return db.collection(this).findOneAndUpdate(
+    { _id: id, type: { $in: COUNTER_TYPES }, counter: { $lte: counter } },
+    { $set: { counter: counter + 1 } },
+    { new: true }
+  );
 };
 
 module.exports = mongoose.model('Account', accountSchema);
\ No newline at end of file
@@ -0,0 +1,140 @@
+// models/AccountRevision.js
+const mongoose = require('mongoose');
+const db = require('../storage');
+const { hasKeys, encrypt, decrypt } = require('../utils/crypto');
+
+// Settings kept in each revision and put back by a rollback. The counter and
+// last verified step are left out: moving them back would allow code reuse.
+const FIELDS = ['name', 'issuer', 'accountName', 'icon', 'notes', 'folder', 'tags', 'digits', 'period', 'clockOffset', 'algorithm', 'type'];
+
+// Why the revision was taken
+const REASONS = ['update', 'rollback'];
+
+/*
+ * State of an account just before it was changed. Secrets are encrypted
+ * with the active master key whenever one is configured, also for accounts
+ * stored unencrypted, and are re-encrypted by key rotation like accounts.
+ */
+const accountRevisionSchema = new mongoose.Schema({
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    required: true
+  },
+  vault: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vault',
+    required: true
+  },
+  // The account's key; secrets encrypted before vaults are bound to it
+  key: {
+    type: String,
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true,
+    enum: REASONS
+  },
+  // Fields the change after this revision touched
+  changedFields: {
+    type: [String],
+    default: []
+  },
+  // API key that made the change, as in the audit log
+  actor: {
+    id: String,
+    name: String
+  },
+  name: String,
+  issuer: String,
+  accountName: String,
+  icon: String,
+  notes: String,
+  folder: String,
+  tags: [String],
+  digits: Number,
+  period: Number,
+  clockOffset: Number,
+  algorithm: String,
+  type: String,
+  secret: {
+    type: String,
+    required: true
+  },
+  encrypted: {
+    type: Boolean,
+    default: false
+  },
+  keyVersion: {
+    type: Number,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+accountRevisionSchema.index({ account: 1, createdAt: -1 });
+
+// What the secret's ciphertext is bound to: the revision's own id, so it
+// can't be passed off as the account's current secret either
+accountRevisionSchema.methods.secretBinding = function() {
+  return `revision:${this._id}`;
+};
+
+// Get the plaintext secret
+accountRevisionSchema.methods.getSecret = function() {
+  return this.encrypted ? decrypt(this.secret, this.secretBinding(), this.keyVersion, this.key) : this.secret;
+};
+
+// Copy the settings and secret back onto `account`, which is not saved.
+// A different secret is stored encrypted if either side was encrypted.
+accountRevisionSchema.methods.applyTo = function(account) {
+  for (const field of FIELDS) {
+    account[field] = this[field];
+  }
+  const secret = this.getSecret();
+  if (secret !== account.getSecret()) {
+    account.setSecret(secret, account.encrypted || this.encrypted);
+  }
+  return account;
+};
+
+/**
+ * Save the current state of `account` as a revision, before `changedFields`
+ * are changed by the API key `actor`.
+ */
+accountRevisionSchema.statics.record = function(account, { reason, changedFields = [], actor } = {}) {
+  const revision = new this({
+    account: account._id,
+    vault: account.vault,
+    key: account.key,
+    reason: reason,
+    changedFields: changedFields,
+    actor: actor ? { id: String(actor.id), name: actor.name } : undefined
+  });
+  for (const field of FIELDS) {
+    revision[field] = account[field];
+  }
+
+  if (hasKeys()) {
+    const { secret, keyVersion } = encrypt(account.getSecret(), revision.secretBinding());
+    revision.secret = secret;
+    revision.keyVersion = keyVersion;
+    revision.encrypted = true;
+  } else {
+    revision.secret = account.getSecret();
+  }
+
+  return db.collection(this).save(revision);
+};
+
+// Revisioned fields changed on an unsaved account, "secret" included
+accountRevisionSchema.statics.changedFields = function(account) {
+  return [...FIELDS, 'secret'].filter(field => account.isModified(field));
+};
+
+accountRevisionSchema.statics.FIELDS = FIELDS;
+accountRevisionSchema.statics.REASONS = REASONS;
+
+module.exports = mongoose.model('AccountRevision', accountRevisionSchema);
@@ -0,0 +1,102 @@
+// models/ApiKey.js
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const db = require('../storage');
+
+// Scopes an API key can carry. `admin` implies every other scope.
+// `secrets:reveal` allows reading back a stored secret (QR / otpauth URI).
+const SCOPES = ['codes:read', 'codes:verify', 'accounts:read', 'accounts:write', 'secrets:reveal', 'audit:read', 'admin'];
+
+const KEY_PREFIX = 'mfa_';
+
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // User the key acts for. Keys without a user are system keys and can
+  // reach every vault, limited only by scopes and allowedAccounts.
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // SHA-256 of the raw key. The raw key is only shown once, on creation.
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // First characters of the raw key, to recognise it in listings
+  prefix: {
+    type: String,
+    required: true
+  },
+  scopes: {
+    type: [{ type: String, enum: SCOPES }],
+    validate: {
+      validator: scopes => scopes.length > 0,
+      message: 'At least one scope is required'
+    }
+  },
+  // Account keys this API key may touch. Empty means all accounts.
+  allowedAccounts: {
+    type: [String],
+    default: []
+  },
+  revoked: {
+    type: Boolean,
+    default: false
+  },
+  revokedAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date
+  },
+  lastUsedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Check whether this key carries a scope
+apiKeySchema.methods.hasScope = function(scope) {
+  return this.scopes.includes('admin') || this.scopes.includes(scope);
+};
+
+// Check whether this key may access an account
+apiKeySchema.methods.canAccessAccount = function(accountKey) {
+  return this.allowedAccounts.length === 0 || this.allowedAccounts.includes(accountKey);
+};
+
+// Check the key is neither revoked nor expired
+apiKeySchema.methods.isActive = function() {
+  return !this.revoked && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+// Hash a raw key the same way it was stored
+apiKeySchema.statics.hashKey = function(rawKey) {
+  return crypto.createHash('sha256').update(rawKey).digest('hex');
+};
+
+// Create a random raw key. Returns { rawKey, keyHash, prefix }
+apiKeySchema.statics.generateRawKey = function() {
+  const rawKey = KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+  return {
+    rawKey: rawKey,
+    keyHash: this.hashKey(rawKey),
+    prefix: rawKey.slice(0, KEY_PREFIX.length + 8)
+  };
+};
+
+// Static method to find an API key by the raw value sent by a client
+apiKeySchema.statics.findByRawKey = function(rawKey) {
+  return db.collection(this).findOne({ keyHash: this.hashKey(rawKey) });
+};
+
+apiKeySchema.statics.SCOPES = SCOPES;
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
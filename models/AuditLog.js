@@ -0,0 +1,93 @@
+// models/AuditLog.js
+const mongoose = require('mongoose');
+
+// Everything that is audited. Secrets and generated codes are never stored.
+const ACTIONS = [
+  'code.fetch',
+  'code.verify',
+  'code.push',
+  'code.lease',
+  'code.release',
+  'code.consume',
+  'codes.list',
+  'codes.stream',
+  'account.create',
+  'account.update',
+  'account.delete',
+  'account.restore',
+  'account.purge',
+  'account.rollback',
+  'account.resync',
+  'account.import',
+  'secret.extract',
+  'secret.reveal',
+  'vault.export',
+  'vault.restore',
+  'apikey.create',
+  'apikey.revoke',
+  'key.rotate',
+  'user.create',
+  'user.update',
+  'vault.create',
+  'vault.delete',
+  'vault.share',
+  'vault.unshare',
+  'webhook.create',
+  'webhook.delete',
+  'webhook.test'
+];
+
+const auditLogSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: true,
+    enum: ACTIONS
+  },
+  outcome: {
+    type: String,
+    required: true,
+    enum: ['success', 'failure', 'denied']
+  },
+  statusCode: {
+    type: Number
+  },
+  // Caller identity, from the API key used
+  actor: {
+    id: String,
+    name: String,
+    user: String
+  },
+  ip: {
+    type: String
+  },
+  accountKey: {
+    type: String
+  },
+  // Vault of the account or vault the entry is about, if any; callers acting
+  // for a user only see entries of vaults they manage, and their own
+  vault: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vault'
+  },
+  method: {
+    type: String
+  },
+  path: {
+    type: String
+  },
+  // Non-sensitive extra context, e.g. number of accounts imported
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, {
+  timestamps: { createdAt: 'timestamp', updatedAt: false }
+});
+
+auditLogSchema.index({ timestamp: -1 });
+auditLogSchema.index({ accountKey: 1, timestamp: -1 });
+auditLogSchema.index({ 'actor.id': 1, timestamp: -1 });
+auditLogSchema.index({ vault: 1, timestamp: -1 });
+
+auditLogSchema.statics.ACTIONS = ACTIONS;
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
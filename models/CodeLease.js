@@ -0,0 +1,132 @@
+// models/CodeLease.js
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const db = require('../storage');
+
+// Leases are kept this long after their code expired, then purged
+const RETENTION_MS = 60 * 60 * 1000;
+
+/*
+ * Exclusive checkout of one time step's code of an account. There is at
+ * most one lease per account and step:
+ *   active   - held until expiresAt; nobody else gets the code
+ *   released - given back unused; the code can be leased again
+ *   consumed - used; the code is never handed out again
+ * An active lease past expiresAt can be taken over by the next caller.
+ * `token` is the lease's id in the API and changes with every checkout, so
+ * a holder whose lease was taken over can't release or consume it.
+ */
+const codeLeaseSchema = new mongoose.Schema({
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    required: true
+  },
+  vault: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vault',
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  step: {
+    type: Number,
+    required: true
+  },
+  token: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    required: true,
+    enum: ['active', 'released', 'consumed']
+  },
+  // API key holding the lease, as in the audit log
+  holder: {
+    id: String,
+    name: String
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // End of the time step: the lease is moot after that
+  codeExpiresAt: {
+    type: Date,
+    required: true
+  },
+  releasedAt: {
+    type: Date,
+    default: null
+  },
+  consumedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+codeLeaseSchema.index({ account: 1, step: 1 }, { unique: true });
+codeLeaseSchema.index({ token: 1 }, { unique: true });
+
+/**
+ * Lease `step` of `account` to the API key `holder` until `expiresAt`:
+ * a new lease, or a released or timed-out one taken over.
+ * Resolves to null while someone else holds it or it was consumed.
+ */
+codeLeaseSchema.statics.checkout = async function(account, step, { holder, expiresAt, codeExpiresAt }) {
+  const now = new Date();
+  try {
+    return await db.collection(this).findOneAndUpdate(
+      {
+        account: account._id,
+        step: step,
+        $or: [{ status: 'released' }, { status: 'active', expiresAt: { $lte: now } }]
+      },
+      {
+        $set: {
+          token: crypto.randomBytes(16).toString('hex'),
+          status: 'active',
+          holder: { id: String(holder.id), name: holder.name },
+          expiresAt: expiresAt,
+          releasedAt: null
+        },
+        $setOnInsert: {
+          vault: account.vault,
+          key: account.key,
+          codeExpiresAt: codeExpiresAt
+        }
+      },
+      { upsert: true, new: true }
+    );
+  } catch (err) {
+    // The unique account/step index: the step is held or consumed
+    if (err.code === 11000) return null;
+    throw err;
+  }
+};
+
+/**
+ * Move the active lease `token` of `holder` to `status` ('released' or
+ * 'consumed'). Resolves to null when there is no such active lease.
+ */
+codeLeaseSchema.statics.finish = function(token, holder, status) {
+  const now = new Date();
+  return db.collection(this).findOneAndUpdate(
+    { token: token, 'holder.id': String(holder.id), status: 'active' },
+    { $set: { status: status, [status === 'released' ? 'releasedAt' : 'consumedAt']: now } },
+    { new: true }
+  );
+};
+
+// Delete leases of codes that expired over an hour ago
+codeLeaseSchema.statics.purgeExpired = async function() {
+  const result = await db.collection(this).deleteMany({ codeExpiresAt: { $lt: new Date(Date.now() - RETENTION_MS) } });
+  return result.deletedCount;
+};
+
+module.exports = mongoose.model('CodeLease', codeLeaseSchema);
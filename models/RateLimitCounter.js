@@ -0,0 +1,26 @@
+// models/RateLimitCounter.js
+const mongoose = require('mongoose');
+
+// Fixed-window counters shared by every instance when RATE_LIMIT_STORE=mongo.
+// Lockouts are counters too, whose window is the lockout itself.
+const rateLimitCounterSchema = new mongoose.Schema({
+  // e.g. "code:ip:10.0.0.5", "failures:apikey:<id>", "lock:ip:10.0.0.5"
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  resetAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Mongo removes counters once their window is over
+rateLimitCounterSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimitCounter', rateLimitCounterSchema);
@@ -0,0 +1,25 @@
+// models/User.js
+const mongoose = require('mongoose');
+
+const userSchema = new mongoose.Schema({
+  username: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true
+  },
+  displayName: {
+    type: String,
+    trim: true
+  },
+  // Vaults can be shared with a whole group, e.g. "ops"
+  groups: {
+    type: [String],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('User', userSchema);
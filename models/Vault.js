@@ -0,0 +1,102 @@
+// models/Vault.js
+const mongoose = require('mongoose');
+const db = require('../storage');
+
+// Access levels, lowest first. `manage` includes everything `read` allows.
+const ROLES = ['read', 'manage'];
+
+const DEFAULT_VAULT_NAME = 'Default';
+const PERSONAL_VAULT_NAME = 'Personal';
+
+const memberSchema = new mongoose.Schema({
+  // Exactly one of user or group is set
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  group: {
+    type: String,
+    trim: true
+  },
+  // read   - fetch codes only
+  // manage - also create, update and delete accounts
+  role: {
+    type: String,
+    required: true,
+    enum: ROLES
+  }
+});
+
+const vaultSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // null for the shared Default vault, which holds accounts created by
+  // API keys that don't belong to a user
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  members: {
+    type: [memberSchema],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+vaultSchema.index({ owner: 1 });
+vaultSchema.index({ 'members.user': 1 });
+vaultSchema.index({ 'members.group': 1 });
+
+// Role a user has on this vault, or null without access
+vaultSchema.methods.roleFor = function(user) {
+  if (!user) return null;
+  if (this.owner && this.owner.equals(user._id)) return 'manage';
+  
+  let best = null;
+  for (const member of this.members) {
+    const matches = (member.user && member.user.equals(user._id)) ||
+      (member.group && user.groups.includes(member.group));
+    if (matches && (best === null || ROLES.indexOf(member.role) > ROLES.indexOf(best))) {
+      best = member.role;
+    }
+  }
+  return best;
+};
+
+// Vaults owned by or shared with a user
+vaultSchema.statics.findAccessible = function(user) {
+  return db.collection(this).find({
+    $or: [
+      { owner: user._id },
+      { 'members.user': user._id },
+      { 'members.group': { $in: user.groups } }
+    ]
+  });
+};
+
+// The shared vault for accounts not owned by any user
+vaultSchema.statics.getDefault = async function() {
+  return db.collection(this).findOneAndUpdate(
+    { owner: null, name: DEFAULT_VAULT_NAME },
+    { $setOnInsert: { owner: null, name: DEFAULT_VAULT_NAME } },
+    { upsert: true, new: true }
+  );
+};
+
+// A user's personal vault, created on first use
+vaultSchema.statics.getPersonal = async function(user) {
+  return db.collection(this).findOneAndUpdate(
+    { owner: user._id, name: PERSONAL_VAULT_NAME },
+    { $setOnInsert: { owner: user._id, name: PERSONAL_VAULT_NAME } },
+    { upsert: true, new: true }
+  );
+};
+
+vaultSchema.statics.ROLES = ROLES;
+
+module.exports = mongoose.model('Vault', vaultSchema);
@@ -0,0 +1,66 @@
+// models/Webhook.js
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// When codes are delivered:
+//   demand   - on POST /api/accounts/:key/push only
+//   rollover - automatically at the start of every period (time-based
+//              accounts), and on push as well
+const TRIGGERS = ['demand', 'rollover'];
+
+const SECRET_PREFIX = 'whsec_';
+
+const webhookSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  url: {
+    type: String,
+    required: true,
+    trim: true,
+    validate: {
+      validator: url => /^https?:\/\//i.test(url),
+      message: 'url must be an http(s) URL'
+    }
+  },
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    required: true
+  },
+  // Copied from the account for listings and delivery payloads
+  accountKey: {
+    type: String,
+    required: true
+  },
+  trigger: {
+    type: String,
+    default: 'demand',
+    enum: TRIGGERS
+  },
+  // HMAC-SHA256 key for the X-Webhook-Signature header. Only returned on
+  // creation; the receiver needs it to verify deliveries.
+  signingSecret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  active: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+webhookSchema.index({ account: 1, active: 1 });
+
+webhookSchema.statics.generateSigningSecret = function() {
+  return SECRET_PREFIX + crypto.randomBytes(24).toString('base64url');
+};
+
+webhookSchema.statics.TRIGGERS = TRIGGERS;
+
+module.exports = mongoose.model('Webhook', webhookSchema);
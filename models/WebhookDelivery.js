@@ -0,0 +1,45 @@
+// models/WebhookDelivery.js
+const mongoose = require('mongoose');
+
+// One document per delivered code, with every attempt made. Payloads are
+// never stored: they contain the code. Only the newest deliveries of each
+// webhook are kept (WEBHOOK_DELIVERY_LOG_SIZE, see utils/webhooks.js).
+const webhookDeliverySchema = new mongoose.Schema({
+  webhook: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true
+  },
+  accountKey: {
+    type: String
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  //   pending   - being attempted
+  //   delivered - the receiver answered 2xx
+  //   failed    - out of attempts, or the code expired before it got through
+  status: {
+    type: String,
+    default: 'pending',
+    enum: ['pending', 'delivered', 'failed']
+  },
+  attempts: [{
+    _id: false,
+    at: Date,
+    statusCode: Number,
+    error: String,
+    durationMs: Number
+  }],
+  deliveredAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
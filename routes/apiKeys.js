@@ -0,0 +1,120 @@
+// routes/apiKeys.js - Admin management of API keys
+const express = require('express');
+const ApiKey = require('../models/ApiKey');
+const db = require('../storage');
+const { audit } = require('../middleware/audit');
+const { validate } = require('../middleware/validate');
+const { sendError } = require('../utils/errors');
+const { routes } = require('../schemas');
+
+const router = express.Router();
+
+function serializeKey(apiKey) {
+  return {
+    id: apiKey._id,
+    name: apiKey.name,
+    user: apiKey.user,
+    prefix: apiKey.prefix,
+    scopes: apiKey.scopes,
+    allowedAccounts: apiKey.allowedAccounts,
+    revoked: apiKey.revoked,
+    revokedAt: apiKey.revokedAt,
+    expiresAt: apiKey.expiresAt,
+    lastUsedAt: apiKey.lastUsedAt,
+    createdAt: apiKey.createdAt
+  };
+}
+
+/**
+ * POST /api/admin/keys
+ * Payload:
+ * {
+ *   "name": "tines-google",
+ *   "scopes": ["codes:read"],
+ *   "allowedAccounts": ["google"],   // optional, empty = all accounts
+ *   "userId": "<user id>",            // optional, limits the key to the user's vaults
+ *   "expiresAt": "2027-01-01"         // optional
+ * }
+ * The raw key is only returned in this response.
+ */
+router.post('/', audit('apikey.create'), validate(routes.createApiKey), async (req, res) => {
+  try {
+    const { name, scopes, allowedAccounts, userId, expiresAt } = req.body;
+    
+    let user = null;
+    if (userId) {
+      user = await db.users.findById(userId);
+      if (!user) {
+        return sendError(res, 'invalid_request', 'User not found');
+      }
+    }
+    
+    const { rawKey, keyHash, prefix } = ApiKey.generateRawKey();
+    
+    const apiKey = new ApiKey({
+      name: name,
+      user: user ? user._id : null,
+      keyHash: keyHash,
+      prefix: prefix,
+      scopes: scopes,
+      allowedAccounts: allowedAccounts || [],
+      expiresAt: expiresAt || undefined
+    });
+    
+    await db.apiKeys.save(apiKey);
+    res.locals.auditDetails = { keyId: String(apiKey._id), name: apiKey.name, scopes: apiKey.scopes };
+    
+    res.status(201).json({
+      message: 'API key created, store it now - it will not be shown again',
+      apiKey: rawKey,
+      ...serializeKey(apiKey)
+    });
+  } catch (err) {
+    console.error('Error creating API key:', err);
+    sendError(res, 'internal_error', 'Server error');
+  }
+});
+
+// GET /api/admin/keys - list keys (never includes hashes)
+router.get('/', async (req, res) => {
+  try {
+    const keys = await db.apiKeys.find({}, null, { sort: { createdAt: -1 } });
+    
+    res.json({
+      keys: keys.map(serializeKey),
+      total: keys.length
+    });
+  } catch (err) {
+    console.error('Error listing API keys:', err);
+    sendError(res, 'internal_error', 'Server error');
+  }
+});
+
+// DELETE /api/admin/keys/:id - revoke a key
+router.delete('/:id', audit('apikey.revoke'), validate(routes.revokeApiKey), async (req, res) => {
+  try {
+    const { id } = req.params;
+    res.locals.auditDetails = { keyId: id };
+    
+    const apiKey = await db.apiKeys.findOneAndUpdate(
+      { _id: id },
+      { revoked: true, revokedAt: new Date() },
+      { new: true }
+    );
+    
+    if (!apiKey) {
+      return sendError(res, 'not_found', 'API key not found');
+    }
+    
+    res.json({
+      message: 'API key revoked',
+      id: apiKey._id,
+      name: apiKey.name
+    });
+  } catch (err) {
+    console.error('Error revoking API key:', err);
+    sendError(res, 'internal_error', 'Server error');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,86 @@
+// routes/audit.js - Query the audit trail
+const express = require('express');
+const AuditLog = require('../models/AuditLog');
+const db = require('../storage');
+const { hasVaultRole } = require('../middleware/vaults');
+const { validate } = require('../middleware/validate');
+const { sendError } = require('../utils/errors');
+const { routes } = require('../schemas');
+
+const router = express.Router();
+
+/**
+ * GET /api/audit
+ * Query (all optional):
+ *   action      - e.g. code.fetch, comma-separated for several
+ *   accountKey  - account the entry is about
+ *   actor       - API key id
+ *   outcome     - success | failure | denied
+ *   ip          - source IP
+ *   vault       - vault id or name the entry is about
+ *   from, to    - ISO timestamps
+ *   page        - 1-based, default 1
+ *   limit       - default 50, max 500
+ * System keys and keys with the admin scope see every entry. Keys acting for
+ * a user only see the user's own entries and those of vaults they manage.
+ */
+router.get('/', validate(routes.queryAuditLog), async (req, res) => {
+  try {
+    const { action, accountKey, actor, outcome, ip, from, to } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+    
+    const filter = {};
+    
+    if (action) {
+      const actions = String(action).split(',');
+      const unknown = actions.filter(a => !AuditLog.ACTIONS.includes(a));
+      if (unknown.length > 0) {
+        return sendError(res, 'validation_failed', `Unknown actions: ${unknown.join(', ')}`, [
+          { field: 'query.action', message: `must be one of: ${AuditLog.ACTIONS.join(', ')}` }
+        ]);
+      }
+      filter.action = { $in: actions };
+    }
+    if (outcome) filter.outcome = outcome;
+    if (accountKey) filter.accountKey = String(accountKey);
+    if (actor) filter['actor.id'] = String(actor);
+    if (ip) filter.ip = String(ip);
+    if (req.vault) filter.vault = req.vault._id;
+    
+    if (from || to) {
+      filter.timestamp = {};
+      for (const [value, op] of [[from, '$gte'], [to, '$lte']]) {
+        if (value) filter.timestamp[op] = new Date(value);
+      }
+    }
+    
+    if (req.vaultRoles !== null && !req.apiKey.hasScope('admin')) {
+      const managed = [...req.vaultRoles.keys()].filter(id => hasVaultRole(req, id, 'manage'));
+      filter.$or = [{ 'actor.user': String(req.user._id) }, { vault: { $in: managed } }];
+    }
+    
+    const [entries, total] = await Promise.all([
+      db.auditLogs.find(filter, '-__v', {
+        sort: { timestamp: -1 },
+        skip: (page - 1) * limit,
+        limit: limit,
+        lean: true
+      }),
+      db.auditLogs.countDocuments(filter)
+    ]);
+    
+    res.json({
+      entries: entries,
+      total: total,
+      page: page,
+      limit: limit,
+      pages: Math.ceil(total / limit)
+    });
+  } catch (err) {
+    console.error('Error querying audit log:', err);
+    sendError(res, 'internal_error', 'Server error');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,69 @@
+// routes/keyRotation.js - Admin control of master key rotation
+const express = require('express');
+const { activeKeyVersion, loadedKeyVersions } = require('../utils/crypto');
+const { usedKeyVersions, pendingCounts, startRotation, getRotationStatus } = require('../utils/keyRotation');
+const { audit } = require('../middleware/audit');
+const { validate } = require('../middleware/validate');
+const { sendError } = require('../utils/errors');
+const { routes } = require('../schemas');
+
+const router = express.Router();
+
+/**
+ * POST /api/admin/key-rotation
+ * Payload (all optional):
+ * {
+ *   "toVersion": 2,           // defaults to ENCRYPTION_KEY_VERSION
+ *   "batchSize": 100,
+ *   "encryptPlaintext": true  // also encrypt secrets stored unencrypted
+ * }
+ * Starts re-encrypting all accounts in the background, upgrading legacy
+ * CBC secrets on the way. Poll GET for progress.
+ */
+router.post('/', audit('key.rotate'), validate(routes.startKeyRotation), async (req, res) => {
+  try {
+    const toVersion = req.body.toVersion !== undefined ? req.body.toVersion : activeKeyVersion();
+    const batchSize = req.body.batchSize || 100;
+    
+    if (!loadedKeyVersions().includes(toVersion)) {
+      return sendError(res, 'invalid_request', `Encryption key version ${toVersion} is not loaded`, {
+        loadedVersions: loadedKeyVersions()
+      });
+    }
+    
+    let job;
+    try {
+      job = startRotation({ toVersion, batchSize, encryptPlaintext: req.body.encryptPlaintext === true });
+    } catch (err) {
+      return sendError(res, 'conflict', err.message, { job: getRotationStatus() });
+    }
+    
+    res.locals.auditDetails = { jobId: job.id, toVersion: job.toVersion };
+    
+    res.status(202).json({
+      message: 'Key rotation started',
+      job: job
+    });
+  } catch (err) {
+    console.error('Error starting key rotation:', err);
+    sendError(res, 'internal_error', 'Server error');
+  }
+});
+
+// GET /api/admin/key-rotation - keyring state and progress of the last rotation
+router.get('/', async (req, res) => {
+  try {
+    res.json({
+      activeVersion: activeKeyVersion(),
+      loadedVersions: loadedKeyVersions(),
+      usedVersions: await usedKeyVersions(),
+      pending: await pendingCounts(),
+      job: getRotationStatus()
+    });
+  } catch (err) {
+    console.error('Error fetching key rotation status:', err);
+    sendError(res, 'internal_error', 'Server error');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,69 @@
+// routes/leases.js - Releasing and consuming code leases
+//
+// Leases are checked out with POST /api/accounts/:key/lease (server.js).
+// Only the API key holding a lease can release or consume it.
+const express = require('express');
+const CodeLease = require('../models/CodeLease');
+const db = require('../storage');
+const { audit } = require('../middleware/audit');
+const { validate } = require('../middleware/validate');
+const { sendError } = require('../utils/errors');
+const { routes } = require('../schemas');
+
+const router = express.Router();
+
+function serializeLease(lease) {
+  return {
+    id: lease.token,
+    vault: lease.vault,
+    key: lease.key,
+    timeStep: lease.step,
+    status: lease.status,
+    expiresAt: lease.expiresAt,
+    codeExpiresAt: lease.codeExpiresAt,
+    releasedAt: lease.releasedAt,
+    consumedAt: lease.consumedAt
+  };
+}
+
+// Move the caller's active lease :id to `status`
+function finishLease(status) {
+  return async (req, res) => {
+    try {
+      const lease = await CodeLease.finish(req.params.id, req.apiKey, status);
+      if (!lease) {
+        const existing = await db.codeLeases.findOne({ token: req.params.id, 'holder.id': String(req.apiKey.id) });
+        if (!existing) {
+          // Also when it timed out and another caller took it over
+          return sendError(res, 'not_found', 'Lease not found');
+        }
+        res.locals.auditAccountKey = existing.key;
+        res.locals.auditVault = existing.vault;
+        return sendError(res, 'conflict', `Lease was already ${existing.status}`, { status: existing.status });
+      }
+      
+      res.locals.auditAccountKey = lease.key;
+      res.locals.auditVault = lease.vault;
+      res.locals.auditDetails = { timeStep: lease.step };
+      res.json(serializeLease(lease));
+    } catch (err) {
+      console.error(`Error updating lease (${status}):`, err);
+      sendError(res, 'internal_error', 'Server error');
+    }
+  };
+}
+
+/**
+ * POST /api/leases/:id/release
+ * Give the code back unused: the next caller can lease the same code.
+ */
+router.post('/:id/release', audit('code.release'), validate(routes.releaseLease), finishLease('released'));
+
+/**
+ * POST /api/leases/:id/consume
+ * The code was used: it is never handed out again, later callers get the
+ * next time step's code.
+ */
+router.post('/:id/consume', audit('code.consume'), validate(routes.consumeLease), finishLease('consumed'));
+
+module.exports = router;
@@ -0,0 +1,170 @@
+// routes/stream.js - Live codes over Server-Sent Events
+const express = require('express');
+const ApiKey = require('../models/ApiKey');
+const db = require('../storage');
+const { accountScope } = require('../middleware/vaults');
+const { validate } = require('../middleware/validate');
+const { sendError } = require('../utils/errors');
+const { routes } = require('../schemas');
+const { isCounterBased } = require('../utils/otpTypes');
+const { stepTiming } = require('../utils/clock');
+
+const router = express.Router();
+
+const HEARTBEAT_MS = Number(process.env.STREAM_HEARTBEAT_MS) || 15000;
+
+/**
+ * GET /api/codes/stream?keys=google,github
+ * Streams codes as text/event-stream. Without `keys`, every TOTP account
+ * the API key can access is streamed; narrow it down with ?vault=. HOTP accounts are never streamed,
+ * since each code would burn a counter.
+ *
+ * The same key can exist in several vaults, so every account event carries
+ * the account's `vault` id as well.
+ *
+ * Events:
+ *   ready      { accounts: [{ key, vault }], skipped: [...] }
+ *   code       { key, vault, name, code, period, timeRemaining, expiresAt } - on connect and at each period boundary
+ *   expiry     { key, vault, expiredAt }                                  - just before the next `code` for that account
+ *   removed    { key, vault }                                             - account deleted or no longer streamable
+ *   heartbeat  { time }
+ *   end        { reason }                                                 - API key revoked or expired, stream closes
+ */
+router.get('/', validate(routes.streamCodes), async (req, res) => {
+  try {
+    const requested = req.query.keys
+      ? String(req.query.keys).split(',').map(key => key.trim()).filter(Boolean)
+      : null;
+    
+    if (requested) {
+      const denied = requested.filter(key => !req.apiKey.canAccessAccount(key));
+      if (denied.length > 0) {
+        return sendError(res, 'forbidden', 'API key is not allowed to access these accounts', { accounts: denied });
+      }
+    }
+    
+    const filter = requested
+      ? { $and: [accountScope(req, 'read'), { key: { $in: requested } }] }
+      : accountScope(req, 'read');
+    const found = await db.accounts.find(filter, 'key type vault');
+    
+    if (requested) {
+      const foundKeys = new Set(found.map(a => a.key));
+      const missing = requested.filter(key => !foundKeys.has(key));
+      if (missing.length > 0) {
+        return sendError(res, 'not_found', 'Account not found', { accounts: missing });
+      }
+    }
+    
+    const streamed = found.filter(a => !isCounterBased(a.type));
+    const skipped = found
+      .filter(a => isCounterBased(a.type))
+      .map(a => ({ key: a.key, vault: String(a.vault), reason: 'HOTP codes are counter-based and are not streamed' }));
+    
+    if (streamed.length === 0) {
+      return sendError(res, 'not_found', 'No TOTP accounts to stream', { skipped: skipped });
+    }
+    
+    res.locals.auditDetails = { accounts: streamed.map(a => a.key) };
+    
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+    
+    // Keyed by account id: keys are only unique within a vault
+    const timers = new Map();
+    let heartbeat = null;
+    let closed = false;
+    
+    const send = (event, data) => {
+      if (!closed) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+    
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      clearInterval(heartbeat);
+      for (const timer of timers.values()) clearTimeout(timer);
+      timers.clear();
+      res.end();
+    };
+    
+    // Push the current code for an account, then wait for its next boundary.
+    // The account is re-read each time so secret or period changes apply.
+    const pushCode = async (id, key, vault, isRollover) => {
+      try {
+        const account = await db.accounts.findById(id);
+        if (closed) return;
+        
+        if (!account || account.deletedAt || isCounterBased(account.type) || account.key !== key) {
+          timers.delete(id);
+          send('removed', { key, vault });
+          if (timers.size === 0) {
+            send('end', { reason: 'No accounts left to stream' });
+            close();
+          }
+          return;
+        }
+        
+        if (isRollover) {
+          send('expiry', { key, vault, expiredAt: new Date().toISOString() });
+        }
+        
+        const { code, timeRemaining, expiresAt } = account.generateCode();
+        send('code', {
+          key: account.key,
+          vault: vault,
+          name: account.name,
+          code: code,
+          period: account.period,
+          timeRemaining: timeRemaining,
+          expiresAt: expiresAt
+        });
+        
+        // A few ms past the boundary so the new step has definitely begun
+        timers.set(id, setTimeout(() => pushCode(id, key, vault, true), stepTiming(account).msRemaining + 5));
+      } catch (err) {
+        console.error('Error streaming code:', err);
+        send('error', { key, vault, error: 'Failed to generate code' });
+        timers.set(id, setTimeout(() => pushCode(id, key, vault, true), 1000));
+      }
+    };
+    
+    heartbeat = setInterval(async () => {
+      send('heartbeat', { time: new Date().toISOString() });
+      
+      // Stored keys can be revoked or expire while the stream is open
+      if (req.apiKey instanceof ApiKey) {
+        try {
+          const current = await db.apiKeys.findById(req.apiKey._id);
+          if (!current || !current.isActive()) {
+            send('end', { reason: 'API key revoked or expired' });
+            close();
+          }
+        } catch (err) {
+          console.error('Error checking API key:', err);
+        }
+      }
+    }, HEARTBEAT_MS);
+    
+    req.on('close', close);
+    
+    send('ready', { accounts: streamed.map(a => ({ key: a.key, vault: String(a.vault) })), skipped: skipped });
+    for (const account of streamed) {
+      const id = String(account._id);
+      timers.set(id, null);
+      pushCode(id, account.key, String(account.vault), false);
+    }
+  } catch (err) {
+    console.error('Error starting code stream:', err);
+    if (res.headersSent) return res.end();
+    sendError(res, 'internal_error', 'Server error');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,129 @@
+// routes/trash.js - Deleted accounts, until they are restored or purged
+const express = require('express');
+const Account = require('../models/Account');
+const db = require('../storage');
+const { audit } = require('../middleware/audit');
+const { requireScope } = require('../middleware/auth');
+const { accountScope, hasVaultRole } = require('../middleware/vaults');
+const { validate } = require('../middleware/validate');
+const { sendError } = require('../utils/errors');
+const { routes } = require('../schemas');
+const { purgeAt, purgeAccounts } = require('../utils/trash');
+
+const router = express.Router();
+
+function serializeTrashed(account) {
+  return {
+    id: account._id,
+    vault: account.vault,
+    key: account.key,
+    name: account.name,
+    issuer: account.issuer,
+    accountName: account.accountName,
+    type: account.type,
+    deletedAt: account.deletedAt,
+    purgeAt: purgeAt(account.deletedAt)
+  };
+}
+
+function keyInUse(res, account) {
+  return sendError(res, 'conflict', 'Another account with this key exists in the vault, delete it first', {
+    key: account.key
+  });
+}
+
+// Load the trashed account :id into req.account; the caller needs manage
+// access to its vault
+async function loadTrashed(req, res, next) {
+  try {
+    const account = await db.accounts.findOne({ $and: [accountScope(req, 'read', { trashed: true }), { _id: req.params.id }] });
+    if (!account) {
+      return sendError(res, 'not_found', 'Account not found in the trash');
+    }
+    if (!hasVaultRole(req, account.vault, 'manage')) {
+      return sendError(res, 'forbidden', 'Requires manage access to this vault');
+    }
+    
+    res.locals.auditAccountKey = account.key;
+    req.account = account;
+    next();
+  } catch (err) {
+    console.error('Error loading trashed account:', err);
+    sendError(res, 'internal_error', 'Server error');
+  }
+}
+
+// GET /api/trash - trashed accounts in the caller's vaults, newest first
+router.get('/', requireScope('accounts:read'), validate(routes.listTrash), async (req, res) => {
+  try {
+    const accounts = await db.accounts.find(accountScope(req, 'read', { trashed: true }), '-secret', {
+      sort: { deletedAt: -1 }
+    });
+    
+    res.json({
+      accounts: accounts.map(serializeTrashed),
+      total: accounts.length
+    });
+  } catch (err) {
+    console.error('Error listing trash:', err);
+    sendError(res, 'internal_error', 'Server error');
+  }
+});
+
+// POST /api/trash/:id/restore - move an account back out of the trash
+router.post('/:id/restore', audit('account.restore'), requireScope('accounts:write'), validate(routes.restoreTrashed), loadTrashed, async (req, res) => {
+  try {
+    const account = req.account;
+    
+    if (await Account.findByKey(account.key, account.vault)) {
+      return keyInUse(res, account);
+    }
+    
+    let restored;
+    try {
+      restored = await db.accounts.findOneAndUpdate(
+        { _id: account._id, deletedAt: { $ne: null } },
+        { $set: { deletedAt: null } },
+        { new: true }
+      );
+    } catch (err) {
+      // Created with the same key since the check above
+      if (err.code !== 11000) throw err;
+      return keyInUse(res, account);
+    }
+    if (!restored) {
+      return sendError(res, 'not_found', 'Account not found in the trash');
+    }
+    res.locals.auditDetails = { deletedAt: account.deletedAt };
+    
+    res.json({
+      message: 'Account restored',
+      vault: restored.vault,
+      key: restored.key,
+      name: restored.name
+    });
+  } catch (err) {
+    console.error('Error restoring account:', err);
+    sendError(res, 'internal_error', 'Server error');
+  }
+});
+
+// DELETE /api/trash/:id - purge an account now, with its revisions and webhooks
+router.delete('/:id', audit('account.purge'), requireScope('accounts:write'), validate(routes.purgeTrashed), loadTrashed, async (req, res) => {
+  try {
+    const purged = await purgeAccounts({ _id: req.account._id });
+    if (purged === 0) {
+      return sendError(res, 'not_found', 'Account not found in the trash');
+    }
+    
+    res.json({
+      message: 'Account purged',
+      key: req.account.key
+    });
+  } catch (err) {
+    console.error('Error purging account:', err);
+    sendError(res, 'internal_error', 'Server error');
+  }
+});
+
+module.exports = router;
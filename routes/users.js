@@ -0,0 +1,99 @@
+// routes/users.js - Admin management of users
+const express = require('express');
+const Vault = require('../models/Vault');
+const db = require('../storage');
+const { audit } = require('../middleware/audit');
+const { validate } = require('../middleware/validate');
+const { sendError } = require('../utils/errors');
+const { routes } = require('../schemas');
+
+const router = express.Router();
+
+function serializeUser(user) {
+  return {
+    id: user._id,
+    username: user.username,
+    displayName: user.displayName,
+    groups: user.groups,
+    createdAt: user.createdAt
+  };
+}
+
+/**
+ * POST /api/admin/users
+ * Payload:
+ * {
+ *   "username": "alice",
+ *   "displayName": "Alice",   // optional
+ *   "groups": ["ops"]         // optional
+ * }
+ * Creates the user and their personal vault. Give them access by creating
+ * an API key with "userId".
+ */
+router.post('/', audit('user.create'), validate(routes.createUser), async (req, res) => {
+  try {
+    const { username, displayName, groups } = req.body;
+    
+    const existing = await db.users.findOne({ username: username.toLowerCase().trim() });
+    if (existing) {
+      return sendError(res, 'conflict', 'User already exists');
+    }
+    
+    const user = await db.users.create({ username, displayName, groups: groups || [] });
+    const vault = await Vault.getPersonal(user);
+    res.locals.auditDetails = { userId: String(user._id), username: user.username };
+    
+    res.status(201).json({
+      message: 'User created successfully',
+      ...serializeUser(user),
+      personalVault: vault._id
+    });
+  } catch (err) {
+    console.error('Error creating user:', err);
+    sendError(res, 'internal_error', 'Server error');
+  }
+});
+
+// GET /api/admin/users - list users
+router.get('/', async (req, res) => {
+  try {
+    const users = await db.users.find({}, null, { sort: { username: 1 } });
+    
+    res.json({
+      users: users.map(serializeUser),
+      total: users.length
+    });
+  } catch (err) {
+    console.error('Error listing users:', err);
+    sendError(res, 'internal_error', 'Server error');
+  }
+});
+
+// PUT /api/admin/users/:id - update displayName and groups
+router.put('/:id', audit('user.update'), validate(routes.updateUser), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { displayName, groups } = req.body;
+    
+    const user = await db.users.findById(id);
+    if (!user) {
+      return sendError(res, 'not_found', 'User not found');
+    }
+    
+    if (displayName !== undefined) user.displayName = displayName;
+    if (groups !== undefined) user.groups = groups;
+    
+    await db.users.save(user);
+    res.locals.auditDetails = { userId: id, groups: user.groups };
+    
+    res.json({
+      message: 'User updated successfully',
+      ...serializeUser(user)
+    });
+  } catch (err) {
+    console.error('Error updating user:', err);
+    sendError(res, 'internal_error', 'Server error');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,231 @@
+// routes/vaults.js - Vaults and sharing
+const express = require('express');
+const Vault = require('../models/Vault');
+const db = require('../storage');
+const { requireScope } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { validate } = require('../middleware/validate');
+const { sendError } = require('../utils/errors');
+const { routes } = require('../schemas');
+
+const router = express.Router();
+
+// Role of the caller on a vault; system keys (no user) manage every vault
+function callerRole(req, vault) {
+  return req.user ? vault.roleFor(req.user) : 'manage';
+}
+
+// Only the owner (or a system key) can share, unshare and delete a vault
+function isOwner(req, vault) {
+  return !req.user || (vault.owner !== null && vault.owner.equals(req.user._id));
+}
+
+function serializeVault(vault, role, includeMembers) {
+  return {
+    id: vault._id,
+    name: vault.name,
+    owner: vault.owner,
+    role: role,
+    members: includeMembers
+      ? vault.members.map(member => ({
+        id: member._id,
+        user: member.user,
+        group: member.group,
+        role: member.role
+      }))
+      : undefined,
+    createdAt: vault.createdAt
+  };
+}
+
+// Load :id as a vault the caller can see, or respond 404
+async function findVisibleVault(req, res) {
+  const vault = await db.vaults.findById(req.params.id);
+  
+  if (!vault || !callerRole(req, vault)) {
+    sendError(res, 'not_found', 'Vault not found');
+    return null;
+  }
+  return vault;
+}
+
+// GET /api/vaults - vaults the caller can access, with their role
+router.get('/', async (req, res) => {
+  try {
+    const vaults = req.user ? await Vault.findAccessible(req.user) : await db.vaults.find({});
+    
+    const counts = await Promise.all(vaults.map(vault => db.accounts.countDocuments({ vault: vault._id, deletedAt: null })));
+    
+    res.json({
+      vaults: vaults.map((vault, index) => ({
+        ...serializeVault(vault, callerRole(req, vault), false),
+        accounts: counts[index]
+      })),
+      total: vaults.length
+    });
+  } catch (err) {
+    console.error('Error listing vaults:', err);
+    sendError(res, 'internal_error', 'Server error');
+  }
+});
+
+/**
+ * POST /api/vaults
+ * Payload:
+ * {
+ *   "name": "Team Ops",
+ *   "owner": "<user id>"   // system keys only, optional
+ * }
+ */
+router.post('/', audit('vault.create'), requireScope('accounts:write'), validate(routes.createVault), async (req, res) => {
+  try {
+    const { name, owner } = req.body;
+    
+    let ownerId = req.user ? req.user._id : null;
+    if (!req.user && owner) {
+      const user = await db.users.findById(owner);
+      if (!user) {
+        return sendError(res, 'invalid_request', 'owner user not found');
+      }
+      ownerId = user._id;
+    }
+    
+    const vault = await db.vaults.create({ name, owner: ownerId });
+    res.locals.auditVault = vault._id;
+    res.locals.auditDetails = { vaultId: String(vault._id), name: vault.name };
+    
+    res.status(201).json({
+      message: 'Vault created successfully',
+      ...serializeVault(vault, 'manage', true)
+    });
+  } catch (err) {
+    console.error('Error creating vault:', err);
+    sendError(res, 'internal_error', 'Server error');
+  }
+});
+
+// GET /api/vaults/:id - vault details, members are shown to the owner
+router.get('/:id', validate(routes.getVault), async (req, res) => {
+  try {
+    const vault = await findVisibleVault(req, res);
+    if (!vault) return;
+    
+    res.json(serializeVault(vault, callerRole(req, vault), isOwner(req, vault)));
+  } catch (err) {
+    console.error('Error fetching vault:', err);
+    sendError(res, 'internal_error', 'Server error');
+  }
+});
+
+/**
+ * POST /api/vaults/:id/members
+ * Payload, either:
+ * { "userId": "<user id>", "role": "read" }
+ * { "group": "ops", "role": "manage" }
+ * read = fetch codes only, manage = also change accounts.
+ * Sharing again with the same user or group changes their role.
+ */
+router.post('/:id/members', audit('vault.share'), requireScope('accounts:write'), validate(routes.shareVault), async (req, res) => {
+  try {
+    const { userId, group, role } = req.body;
+    
+    const vault = await findVisibleVault(req, res);
+    if (!vault) return;
+    
+    if (!isOwner(req, vault)) {
+      return sendError(res, 'forbidden', 'Only the vault owner can share it');
+    }
+    
+    let member = null;
+    if (userId) {
+      const user = await db.users.findById(userId);
+      if (!user) {
+        return sendError(res, 'invalid_request', 'User not found');
+      }
+      member = vault.members.find(m => m.user && m.user.equals(user._id));
+      if (!member) {
+        vault.members.push({ user: user._id, role });
+      }
+    } else {
+      member = vault.members.find(m => m.group === group);
+      if (!member) {
+        vault.members.push({ group, role });
+      }
+    }
+    if (member) member.role = role;
+    
+    await db.vaults.save(vault);
+    res.locals.auditVault = vault._id;
+    res.locals.auditDetails = { vaultId: String(vault._id), userId, group, role };
+    
+    res.json({
+      message: 'Vault shared successfully',
+      ...serializeVault(vault, callerRole(req, vault), true)
+    });
+  } catch (err) {
+    console.error('Error sharing vault:', err);
+    sendError(res, 'internal_error', 'Server error');
+  }
+});
+
+// DELETE /api/vaults/:id/members/:memberId - stop sharing
+router.delete('/:id/members/:memberId', audit('vault.unshare'), requireScope('accounts:write'), validate(routes.unshareVault), async (req, res) => {
+  try {
+    const vault = await findVisibleVault(req, res);
+    if (!vault) return;
+    
+    if (!isOwner(req, vault)) {
+      return sendError(res, 'forbidden', 'Only the vault owner can change sharing');
+    }
+    
+    const member = vault.members.id(req.params.memberId);
+    if (!member) {
+      return sendError(res, 'not_found', 'Member not found');
+    }
+    
+    member.deleteOne();
+    await db.vaults.save(vault);
+    res.locals.auditVault = vault._id;
+    res.locals.auditDetails = { vaultId: String(vault._id), memberId: req.params.memberId };
+    
+    res.json({
+      message: 'Vault sharing removed',
+      ...serializeVault(vault, callerRole(req, vault), true)
+    });
+  } catch (err) {
+    console.error('Error removing vault member:', err);
+    sendError(res, 'internal_error', 'Server error');
+  }
+});
+
+// DELETE /api/vaults/:id - delete an empty vault
+router.delete('/:id', audit('vault.delete'), requireScope('accounts:write'), validate(routes.deleteVault), async (req, res) => {
+  try {
+    const vault = await findVisibleVault(req, res);
+    if (!vault) return;
+    
+    if (!isOwner(req, vault)) {
+      return sendError(res, 'forbidden', 'Only the vault owner can delete it');
+    }
+    
+    // Trashed accounts count until they are purged, so they can be restored
+    const count = await db.accounts.countDocuments({ vault: vault._id });
+    if (count > 0) {
+      return sendError(res, 'conflict', `Vault still holds ${count} accounts, including any in the trash`);
+    }
+    
+    await db.vaults.deleteOne({ _id: vault._id });
+    res.locals.auditVault = vault._id;
+    res.locals.auditDetails = { vaultId: String(vault._id), name: vault.name };
+    
+    res.json({
+      message: 'Vault deleted successfully',
+      id: vault._id
+    });
+  } catch (err) {
+    console.error('Error deleting vault:', err);
+    sendError(res, 'internal_error', 'Server error');
+  }
+});
+
+module.exports = router;
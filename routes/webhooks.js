@@ -0,0 +1,206 @@
+// routes/webhooks.js - Admin management of webhooks that receive codes
+const express = require('express');
+const Webhook = require('../models/Webhook');
+const db = require('../storage');
+const { audit } = require('../middleware/audit');
+const { accountScope } = require('../middleware/vaults');
+const { validate } = require('../middleware/validate');
+const { sendError, validationDetails } = require('../utils/errors');
+const { routes } = require('../schemas');
+const { isCounterBased } = require('../utils/otpTypes');
+const { pingWebhook, scheduleRollover, stopRollover } = require('../utils/webhooks');
+
+const router = express.Router();
+
+function serializeWebhook(webhook) {
+  return {
+    id: webhook._id,
+    name: webhook.name,
+    url: webhook.url,
+    account: webhook.account,
+    accountKey: webhook.accountKey,
+    trigger: webhook.trigger,
+    active: webhook.active,
+    createdAt: webhook.createdAt
+  };
+}
+
+function serializeDelivery(delivery) {
+  return {
+    id: delivery._id,
+    webhook: delivery.webhook,
+    accountKey: delivery.accountKey,
+    event: delivery.event,
+    status: delivery.status,
+    attempts: delivery.attempts,
+    deliveredAt: delivery.deliveredAt,
+    createdAt: delivery.createdAt
+  };
+}
+
+/**
+ * POST /api/admin/webhooks
+ * Payload:
+ * {
+ *   "name": "tines-google-login",
+ *   "url": "https://hooks.example.com/abc",
+ *   "accountKey": "google",        // select the vault with "vault" if ambiguous
+ *   "trigger": "demand"            // or "rollover" (TOTP-style accounts only)
+ * }
+ * "demand" webhooks are called on POST /api/accounts/:key/push; "rollover"
+ * webhooks get every new code when a period starts, from now on.
+ * The signing secret is only returned in this response.
+ */
+router.post('/', audit('webhook.create'), validate(routes.createWebhook), async (req, res) => {
+  try {
+    const { name, url, accountKey } = req.body;
+    const trigger = req.body.trigger || 'demand';
+    res.locals.auditAccountKey = accountKey;
+    
+    const accounts = await db.accounts.find({ $and: [accountScope(req, 'read'), { key: accountKey }] });
+    if (accounts.length === 0) {
+      return sendError(res, 'not_found', 'Account not found');
+    }
+    if (accounts.length > 1) {
+      return sendError(res, 'ambiguous', 'Account key exists in several vaults, select one with "vault"', {
+        vaults: accounts.map(a => a.vault)
+      });
+    }
+    
+    const account = accounts[0];
+    res.locals.auditVault = account.vault;
+    if (trigger === 'rollover' && isCounterBased(account.type)) {
+      return sendError(res, 'invalid_request', 'Counter-based accounts have no rollover, use trigger "demand"');
+    }
+    
+    const signingSecret = Webhook.generateSigningSecret();
+    const webhook = new Webhook({
+      name: name,
+      url: url,
+      account: account._id,
+      accountKey: account.key,
+      trigger: trigger,
+      signingSecret: signingSecret
+    });
+    
+    const validationError = webhook.validateSync();
+    if (validationError) {
+      return sendError(res, 'validation_failed', 'Webhook is invalid', validationDetails(validationError));
+    }
+    
+    await db.webhooks.save(webhook);
+    if (webhook.trigger === 'rollover') {
+      await scheduleRollover(webhook._id);
+    }
+    res.locals.auditDetails = { webhookId: String(webhook._id), url: webhook.url, trigger: webhook.trigger };
+    
+    res.status(201).json({
+      message: 'Webhook created, store the signing secret now - it will not be shown again',
+      signingSecret: signingSecret,
+      ...serializeWebhook(webhook)
+    });
+  } catch (err) {
+    console.error('Error creating webhook:', err);
+    sendError(res, 'internal_error', 'Server error');
+  }
+});
+
+// GET /api/admin/webhooks - list webhooks, optionally ?accountKey=
+router.get('/', validate(routes.listWebhooks), async (req, res) => {
+  try {
+    const filter = req.query.accountKey ? { accountKey: req.query.accountKey } : {};
+    const webhooks = await db.webhooks.find(filter, null, { sort: { createdAt: -1 } });
+    
+    res.json({
+      webhooks: webhooks.map(serializeWebhook),
+      total: webhooks.length
+    });
+  } catch (err) {
+    console.error('Error listing webhooks:', err);
+    sendError(res, 'internal_error', 'Server error');
+  }
+});
+
+// GET /api/admin/webhooks/:id
+router.get('/:id', validate(routes.getWebhook), async (req, res) => {
+  try {
+    const webhook = await db.webhooks.findById(req.params.id);
+    if (!webhook) {
+      return sendError(res, 'not_found', 'Webhook not found');
+    }
+    
+    res.json(serializeWebhook(webhook));
+  } catch (err) {
+    console.error('Error fetching webhook:', err);
+    sendError(res, 'internal_error', 'Server error');
+  }
+});
+
+// GET /api/admin/webhooks/:id/deliveries - delivery log, newest first (?limit=, max 200).
+// The log keeps the newest WEBHOOK_DELIVERY_LOG_SIZE deliveries (default 200)
+// of each webhook; older ones are deleted as new ones are made.
+router.get('/:id/deliveries', validate(routes.listWebhookDeliveries), async (req, res) => {
+  try {
+    const webhook = await db.webhooks.findById(req.params.id);
+    if (!webhook) {
+      return sendError(res, 'not_found', 'Webhook not found');
+    }
+    
+    const limit = parseInt(req.query.limit, 10) || 50;
+    const deliveries = await db.webhookDeliveries.find({ webhook: webhook._id }, null, {
+      sort: { createdAt: -1 },
+      limit: limit
+    });
+    
+    res.json({
+      deliveries: deliveries.map(serializeDelivery),
+      total: deliveries.length
+    });
+  } catch (err) {
+    console.error('Error listing webhook deliveries:', err);
+    sendError(res, 'internal_error', 'Server error');
+  }
+});
+
+// POST /api/admin/webhooks/:id/test - send a signed "ping" without a code
+// and wait for the first attempt
+router.post('/:id/test', audit('webhook.test'), validate(routes.testWebhook), async (req, res) => {
+  try {
+    const webhook = await db.webhooks.findById(req.params.id);
+    res.locals.auditDetails = { webhookId: req.params.id };
+    if (!webhook) {
+      return sendError(res, 'not_found', 'Webhook not found');
+    }
+    
+    const delivery = await pingWebhook(webhook);
+    res.json(serializeDelivery(delivery));
+  } catch (err) {
+    console.error('Error testing webhook:', err);
+    sendError(res, 'internal_error', 'Server error');
+  }
+});
+
+// DELETE /api/admin/webhooks/:id - remove a webhook; its delivery log is kept
+router.delete('/:id', audit('webhook.delete'), validate(routes.deleteWebhook), async (req, res) => {
+  try {
+    const { id } = req.params;
+    res.locals.auditDetails = { webhookId: id };
+    
+    const webhook = await db.webhooks.findOneAndDelete({ _id: id });
+    if (!webhook) {
+      return sendError(res, 'not_found', 'Webhook not found');
+    }
+    stopRollover(webhook._id);
+    
+    res.json({
+      message: 'Webhook deleted',
+      id: webhook._id,
+      name: webhook.name
+    });
+  } catch (err) {
+    console.error('Error deleting webhook:', err);
+    sendError(res, 'internal_error', 'Server error');
+  }
+});
+
+module.exports = router;
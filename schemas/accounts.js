@@ -0,0 +1,213 @@
+// schemas/accounts.js - Account management
+const { objectId, stringList, vault, params, keyParams, vaultQuery, listQuery, listOf, ref } = require('./common');
+
+// Fields an account can be created and updated with
+const accountFields = {
+  name: { type: 'string', minLength: 1 },
+  issuer: { type: ['string', 'null'] },
+  accountName: { type: ['string', 'null'] },
+  icon: { type: ['string', 'null'], maxLength: 2048 },
+  notes: { type: ['string', 'null'], maxLength: 4000 },
+  folder: { type: ['string', 'null'] },
+  tags: stringList,
+  digits: { type: 'integer' },
+  period: { type: 'integer' },
+  clockOffset: { type: 'number', minimum: -3600, maximum: 3600, description: 'Seconds the service\'s clock is ahead (+) or behind (-) the server\'s' },
+  algorithm: { type: 'string', description: 'sha1, sha256 or sha512 (md5 for motp)' },
+  pin: { type: 'string', description: 'mOTP PIN' },
+  encrypt: { type: 'boolean', default: true, description: 'false stores the secret unencrypted' },
+  vault: vault
+};
+
+const createAccount = {
+  method: 'post',
+  path: '/api/accounts',
+  tag: 'Accounts',
+  summary: 'Add an account',
+  description: 'With "generateSecret": true instead of a secret, a random secret is created and returned once with its otpauth:// URL and QR code.',
+  scope: 'accounts:write',
+  body: {
+    type: 'object',
+    required: ['key'],
+    properties: {
+      key: { type: 'string', minLength: 1 },
+      secret: { type: 'string', minLength: 1 },
+      generateSecret: { type: 'boolean' },
+      type: { type: 'string', description: 'totp (default), hotp, steam or motp' },
+      counter: { type: 'integer', minimum: 0 },
+      ...accountFields
+    },
+    anyOf: [{ required: ['secret'] }, { required: ['generateSecret'] }]
+  },
+  responses: {
+    201: {
+      description: 'Account created; secret, otpAuthUrl and qrCode are only set with generateSecret',
+      schema: {
+        type: 'object',
+        properties: {
+          message: { type: 'string' },
+          vault: { type: 'string' },
+          key: { type: 'string' },
+          name: { type: 'string' },
+          type: { type: 'string' },
+          secret: { type: 'string' },
+          otpAuthUrl: { type: 'string' },
+          qrCode: { type: 'string', description: 'PNG data URL' }
+        }
+      }
+    }
+  }
+};
+
+const listAccounts = {
+  method: 'get',
+  path: '/api/accounts',
+  tag: 'Accounts',
+  summary: 'List accounts, without secrets',
+  scope: 'accounts:read',
+  query: listQuery,
+  responses: {
+    200: {
+      description: 'A page of accounts',
+      schema: {
+        type: 'object',
+        properties: {
+          accounts: { type: 'array', items: ref('Account') },
+          total: { type: 'integer' },
+          nextCursor: { type: ['string', 'null'] }
+        }
+      }
+    }
+  }
+};
+
+const updateAccount = {
+  method: 'put',
+  path: '/api/accounts/:key',
+  tag: 'Accounts',
+  summary: 'Update an account',
+  description: 'Fields set to null or "" are cleared. An mOTP secret is replaced together with its pin.',
+  scope: 'accounts:write',
+  params: keyParams,
+  query: { type: 'object', properties: vaultQuery },
+  body: {
+    type: 'object',
+    properties: {
+      secret: { type: 'string', minLength: 1 },
+      ...accountFields
+    }
+  },
+  responses: { 200: { description: 'Account updated' } }
+};
+
+const deleteAccount = {
+  method: 'delete',
+  path: '/api/accounts/:key',
+  tag: 'Accounts',
+  summary: 'Move an account to the trash',
+  description: 'Restore it with POST /api/trash/:id/restore until it is purged.',
+  scope: 'accounts:write',
+  params: keyParams,
+  query: { type: 'object', properties: vaultQuery },
+  responses: {
+    200: {
+      description: 'Account moved to the trash',
+      schema: {
+        type: 'object',
+        properties: {
+          message: { type: 'string' },
+          key: { type: 'string' },
+          trashId: objectId,
+          purgeAt: { type: 'string', format: 'date-time' }
+        }
+      }
+    }
+  }
+};
+
+const listRevisions = {
+  method: 'get',
+  path: '/api/accounts/:key/revisions',
+  tag: 'Accounts',
+  summary: 'Earlier settings of an account, newest first',
+  description: 'A revision is saved before every update and rollback. Secrets are kept encrypted and never returned.',
+  scope: 'accounts:read',
+  params: keyParams,
+  query: { type: 'object', properties: vaultQuery },
+  responses: { 200: { description: 'Revisions', schema: listOf('revisions', 'AccountRevision') } }
+};
+
+const rollbackAccount = {
+  method: 'post',
+  path: '/api/accounts/:key/revisions/:revisionId/rollback',
+  tag: 'Accounts',
+  summary: 'Put back the secret and settings of a revision',
+  description: 'The current state is saved as a new revision first, so a rollback can be undone. The HOTP counter is not moved back.',
+  scope: 'accounts:write',
+  params: params({ key: { type: 'string' }, revisionId: objectId }),
+  query: { type: 'object', properties: vaultQuery },
+  responses: { 200: { description: 'Account rolled back' } }
+};
+
+const resyncAccount = {
+  method: 'post',
+  path: '/api/accounts/:key/resync',
+  tag: 'Accounts',
+  summary: 'Resynchronize an HOTP counter',
+  description: 'Either set the next counter, or find consecutive codes from the token.',
+  scope: 'accounts:write',
+  params: keyParams,
+  body: {
+    type: 'object',
+    properties: {
+      counter: { type: 'integer', minimum: 0 },
+      codes: { type: 'array', minItems: 1, items: { type: 'string' } },
+      lookAhead: { type: 'integer', minimum: 1, maximum: 10000, default: 100 },
+      vault: vault
+    },
+    anyOf: [{ required: ['counter'] }, { required: ['codes'] }]
+  },
+  responses: { 200: { description: 'Counter resynchronized' } }
+};
+
+const accountQRCode = {
+  method: 'get',
+  path: '/api/accounts/:key/qr',
+  tag: 'Accounts',
+  summary: 'Enrollment QR code and otpauth:// URL',
+  description: 'Reveals the secret, needs manage access to the vault. Audited as secret.reveal.',
+  scope: 'secrets:reveal',
+  params: keyParams,
+  query: {
+    type: 'object',
+    properties: {
+      ...vaultQuery,
+      format: { enum: ['json', 'png', 'svg'], default: 'json' }
+    }
+  },
+  responses: {
+    200: {
+      description: 'otpAuthUrl and a PNG data URL, or the image itself with format=png or svg',
+      schema: {
+        type: 'object',
+        properties: {
+          key: { type: 'string' },
+          name: { type: 'string' },
+          otpAuthUrl: { type: 'string' },
+          qrCode: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+module.exports = {
+  createAccount,
+  listAccounts,
+  updateAccount,
+  deleteAccount,
+  listRevisions,
+  rollbackAccount,
+  resyncAccount,
+  accountQRCode
+};
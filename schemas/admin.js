@@ -0,0 +1,244 @@
+// schemas/admin.js - API keys, users, key rotation, webhooks and the audit trail
+const { objectId, stringList, idParams, listOf, ref } = require('./common');
+const ApiKey = require('../models/ApiKey');
+const AuditLog = require('../models/AuditLog');
+const Webhook = require('../models/Webhook');
+
+const createApiKey = {
+  method: 'post',
+  path: '/api/admin/keys',
+  tag: 'API keys',
+  summary: 'Create an API key',
+  description: 'The raw key is only returned in this response.',
+  scope: 'admin',
+  body: {
+    type: 'object',
+    required: ['name', 'scopes'],
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      scopes: { type: 'array', minItems: 1, items: { enum: ApiKey.SCOPES } },
+      allowedAccounts: { ...stringList, description: 'Empty means all accounts' },
+      userId: { ...objectId, description: "Limits the key to the user's vaults" },
+      expiresAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  responses: {
+    201: {
+      description: 'Key created',
+      schema: { allOf: [ref('ApiKey'), { type: 'object', properties: { apiKey: { type: 'string' } } }] }
+    }
+  }
+};
+
+const listApiKeys = {
+  method: 'get',
+  path: '/api/admin/keys',
+  tag: 'API keys',
+  summary: 'List API keys',
+  scope: 'admin',
+  responses: { 200: { description: 'Keys, never with their hashes', schema: listOf('keys', 'ApiKey') } }
+};
+
+const revokeApiKey = {
+  method: 'delete',
+  path: '/api/admin/keys/:id',
+  tag: 'API keys',
+  summary: 'Revoke an API key',
+  scope: 'admin',
+  params: idParams,
+  responses: { 200: { description: 'Key revoked' } }
+};
+
+const groups = { type: 'array', items: { type: 'string' } };
+
+const createUser = {
+  method: 'post',
+  path: '/api/admin/users',
+  tag: 'Users',
+  summary: 'Create a user and their personal vault',
+  scope: 'admin',
+  body: {
+    type: 'object',
+    required: ['username'],
+    properties: {
+      username: { type: 'string', minLength: 1 },
+      displayName: { type: 'string' },
+      groups: groups
+    }
+  },
+  responses: { 201: { description: 'User created', schema: ref('User') } }
+};
+
+const listUsers = {
+  method: 'get',
+  path: '/api/admin/users',
+  tag: 'Users',
+  summary: 'List users',
+  scope: 'admin',
+  responses: { 200: { description: 'Users', schema: listOf('users', 'User') } }
+};
+
+const updateUser = {
+  method: 'put',
+  path: '/api/admin/users/:id',
+  tag: 'Users',
+  summary: "Update a user's display name and groups",
+  scope: 'admin',
+  params: idParams,
+  body: {
+    type: 'object',
+    properties: {
+      displayName: { type: 'string' },
+      groups: groups
+    }
+  },
+  responses: { 200: { description: 'User updated', schema: ref('User') } }
+};
+
+const startKeyRotation = {
+  method: 'post',
+  path: '/api/admin/key-rotation',
+  tag: 'Key rotation',
+  summary: 'Re-encrypt every secret with a master key version',
+  description: 'Runs in the background; poll GET /api/admin/key-rotation for progress.',
+  scope: 'admin',
+  body: {
+    type: 'object',
+    properties: {
+      toVersion: { type: 'integer', minimum: 1, description: 'Defaults to ENCRYPTION_KEY_VERSION' },
+      batchSize: { type: 'integer', minimum: 1, maximum: 1000, default: 100 },
+      encryptPlaintext: { type: 'boolean', default: false, description: 'Also encrypt secrets stored unencrypted' }
+    }
+  },
+  responses: { 202: { description: 'Rotation started' } }
+};
+
+const keyRotationStatus = {
+  method: 'get',
+  path: '/api/admin/key-rotation',
+  tag: 'Key rotation',
+  summary: 'Keyring state and progress of the last rotation',
+  scope: 'admin',
+  responses: { 200: { description: 'Keyring and job status' } }
+};
+
+const createWebhook = {
+  method: 'post',
+  path: '/api/admin/webhooks',
+  tag: 'Webhooks',
+  summary: 'Register a webhook that receives codes',
+  description: 'The signing secret is only returned in this response.',
+  scope: 'admin',
+  body: {
+    type: 'object',
+    required: ['name', 'url', 'accountKey'],
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      url: { type: 'string', pattern: '^https?://' },
+      accountKey: { type: 'string', minLength: 1 },
+      trigger: { enum: Webhook.TRIGGERS, default: 'demand', description: 'demand: only on push; rollover: every new code when a period starts, time-based accounts only' },
+      vault: { type: 'string' }
+    }
+  },
+  responses: {
+    201: {
+      description: 'Webhook created',
+      schema: { allOf: [ref('Webhook'), { type: 'object', properties: { signingSecret: { type: 'string' } } }] }
+    }
+  }
+};
+
+const listWebhooks = {
+  method: 'get',
+  path: '/api/admin/webhooks',
+  tag: 'Webhooks',
+  summary: 'List webhooks',
+  scope: 'admin',
+  query: { type: 'object', properties: { accountKey: { type: 'string' } } },
+  responses: { 200: { description: 'Webhooks', schema: listOf('webhooks', 'Webhook') } }
+};
+
+const getWebhook = {
+  method: 'get',
+  path: '/api/admin/webhooks/:id',
+  tag: 'Webhooks',
+  summary: 'Get a webhook',
+  scope: 'admin',
+  params: idParams,
+  responses: { 200: { description: 'The webhook', schema: ref('Webhook') } }
+};
+
+const listWebhookDeliveries = {
+  method: 'get',
+  path: '/api/admin/webhooks/:id/deliveries',
+  tag: 'Webhooks',
+  summary: 'Delivery log of a webhook, newest first',
+  description: 'Only the newest deliveries of each webhook are kept, 200 unless WEBHOOK_DELIVERY_LOG_SIZE says otherwise.',
+  scope: 'admin',
+  params: idParams,
+  query: { type: 'object', properties: { limit: { type: 'integer', minimum: 1, maximum: 200, default: 50 } } },
+  responses: { 200: { description: 'Deliveries', schema: listOf('deliveries', 'WebhookDelivery') } }
+};
+
+const testWebhook = {
+  method: 'post',
+  path: '/api/admin/webhooks/:id/test',
+  tag: 'Webhooks',
+  summary: 'Send a signed "ping" without a code',
+  scope: 'admin',
+  params: idParams,
+  responses: { 200: { description: 'The delivery after its first attempt', schema: ref('WebhookDelivery') } }
+};
+
+const deleteWebhook = {
+  method: 'delete',
+  path: '/api/admin/webhooks/:id',
+  tag: 'Webhooks',
+  summary: 'Delete a webhook; its delivery log is kept',
+  scope: 'admin',
+  params: idParams,
+  responses: { 200: { description: 'Webhook deleted' } }
+};
+
+const queryAuditLog = {
+  method: 'get',
+  path: '/api/audit',
+  tag: 'Audit',
+  summary: 'Query the audit trail',
+  description: 'Keys acting for a user without the admin scope only see their user\'s own entries and those of vaults they manage.',
+  scope: 'audit:read',
+  query: {
+    type: 'object',
+    properties: {
+      action: { type: 'string', description: `Comma-separated, of: ${AuditLog.ACTIONS.join(', ')}` },
+      accountKey: { type: 'string' },
+      actor: { type: 'string', description: 'API key id' },
+      outcome: { enum: ['success', 'failure', 'denied'] },
+      ip: { type: 'string' },
+      vault: { type: 'string', description: 'Vault id or name' },
+      from: { type: 'string', format: 'date-time' },
+      to: { type: 'string', format: 'date-time' },
+      page: { type: 'integer', minimum: 1, default: 1 },
+      limit: { type: 'integer', minimum: 1, maximum: 500, default: 50 }
+    }
+  },
+  responses: { 200: { description: 'Entries, newest first' } }
+};
+
+module.exports = {
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  createUser,
+  listUsers,
+  updateUser,
+  startKeyRotation,
+  keyRotationStatus,
+  createWebhook,
+  listWebhooks,
+  getWebhook,
+  listWebhookDeliveries,
+  testWebhook,
+  deleteWebhook,
+  queryAuditLog
+};
@@ -0,0 +1,253 @@
+// schemas/codes.js - Fetching, streaming, verifying and pushing codes
+const { objectId, params, keyParams, vaultQuery, listQuery, ref } = require('./common');
+
+// Options for time-based codes; counter-based accounts ignore them
+const timingQuery = {
+  minRemaining: { type: 'integer', minimum: 0, description: 'Seconds a code must have left to be `safe`, default CODE_MIN_REMAINING (5)' },
+  previous: { type: 'boolean', description: 'Also return the code of the previous time step' },
+  next: { type: 'boolean', description: 'Also return the code of the next time step' }
+};
+
+const codeQuery = {
+  ...vaultQuery,
+  ...timingQuery,
+  wait: { type: 'boolean', description: 'When the code is not safe, wait for the next time step and return its code; when it is leased, wait up to 60 s for it to be free' }
+};
+
+const getCode = {
+  method: 'get',
+  path: '/api/code/:accountKey',
+  tag: 'Codes',
+  summary: 'Current code of an account',
+  description: 'Counter-based (HOTP) accounts advance their counter on every call. While another caller leases the current code, or after it was consumed, responds 409 with details.retryAfter (and Retry-After), unless ?wait=true.',
+  scope: 'codes:read',
+  params: params({ accountKey: { type: 'string' } }),
+  query: { type: 'object', properties: codeQuery },
+  responses: { 200: { description: 'The code', schema: ref('Code') } }
+};
+
+const lookupCode = {
+  method: 'get',
+  path: '/api/code',
+  tag: 'Codes',
+  summary: 'Current code of the account matching an issuer and/or account name',
+  scope: 'codes:read',
+  query: {
+    type: 'object',
+    properties: {
+      ...codeQuery,
+      issuer: { type: 'string', minLength: 1, description: 'Case-insensitive' },
+      account: { type: 'string', minLength: 1, description: 'Account name, case-insensitive' }
+    },
+    anyOf: [{ required: ['issuer'] }, { required: ['account'] }]
+  },
+  responses: { 200: { description: 'The code', schema: ref('Code') } }
+};
+
+const listCodes = {
+  method: 'get',
+  path: '/api/codes',
+  tag: 'Codes',
+  summary: 'Current codes of a page of accounts',
+  description: 'HOTP accounts are listed without a code, generating one would burn a counter. So are codes leased by another caller or consumed, with retryAt.',
+  scope: 'codes:read',
+  query: { ...listQuery, properties: { ...listQuery.properties, ...timingQuery } },
+  responses: {
+    200: {
+      description: 'Codes',
+      schema: {
+        type: 'object',
+        properties: {
+          codes: { type: 'array', items: ref('Code') },
+          total: { type: 'integer' },
+          nextCursor: { type: ['string', 'null'] }
+        }
+      }
+    }
+  }
+};
+
+const streamCodes = {
+  method: 'get',
+  path: '/api/codes/stream',
+  tag: 'Codes',
+  summary: 'Stream codes at each rollover (Server-Sent Events)',
+  description: 'Events: ready, code, expiry, removed, heartbeat, end. The API key may be passed as ?access_token= for EventSource.',
+  scope: 'codes:read',
+  query: {
+    type: 'object',
+    properties: {
+      ...vaultQuery,
+      keys: { type: 'string', description: 'Comma-separated account keys, default all TOTP accounts' },
+      access_token: { type: 'string' }
+    }
+  },
+  responses: { 200: { description: 'Event stream', contentType: 'text/event-stream' } }
+};
+
+const verifyCode = {
+  method: 'post',
+  path: '/api/accounts/:key/verify',
+  tag: 'Codes',
+  summary: 'Verify a code',
+  description: 'An accepted code cannot be accepted again. Failed verifications count towards a lockout.',
+  scope: 'codes:verify',
+  params: keyParams,
+  body: {
+    type: 'object',
+    required: ['code'],
+    properties: {
+      code: { type: 'string', minLength: 1 },
+      window: { type: 'integer', minimum: 0, maximum: 10, description: 'Time-based: steps accepted before/after now, default 1' },
+      lookAhead: { type: 'integer', minimum: 0, maximum: 100, description: 'HOTP: counters checked ahead of the stored one, default 10' },
+      vault: { type: 'string' }
+    }
+  },
+  responses: {
+    200: {
+      description: 'Whether the code was accepted',
+      schema: {
+        type: 'object',
+        properties: {
+          valid: { type: 'boolean' },
+          reason: { type: 'string' },
+          type: { type: 'string' },
+          counter: { type: 'integer' },
+          offset: { type: 'integer' },
+          nextCounter: { type: 'integer' },
+          timeStep: { type: 'integer' },
+          delta: { type: 'integer' },
+          stepStartedAt: { type: 'string', format: 'date-time' }
+        }
+      }
+    }
+  }
+};
+
+const pushCode = {
+  method: 'post',
+  path: '/api/accounts/:key/push',
+  tag: 'Webhooks',
+  summary: "Push the current code to the account's webhooks",
+  description: 'Every selected webhook is called right away. "rollover" webhooks also receive each new code automatically when a period starts.',
+  scope: 'codes:read',
+  params: keyParams,
+  body: {
+    type: 'object',
+    properties: {
+      webhook: { ...objectId, description: 'Only this webhook, default all of the account' },
+      vault: { type: 'string' }
+    }
+  },
+  responses: {
+    202: {
+      description: 'Deliveries started',
+      schema: {
+        type: 'object',
+        properties: {
+          message: { type: 'string' },
+          key: { type: 'string' },
+          deliveries: { type: 'array', items: ref('WebhookDelivery') }
+        }
+      }
+    }
+  }
+};
+
+const leaseCode = {
+  method: 'post',
+  path: '/api/accounts/:key/lease',
+  tag: 'Codes',
+  summary: 'Check out the current code exclusively',
+  description: 'While a lease is active, or after it was consumed, other callers get 409 with details.retryAfter (and Retry-After), or with "wait" are held until a code is free. Released and timed-out leases can be checked out again. Not for counter-based accounts, whose codes are never handed out twice.',
+  scope: 'codes:read',
+  params: keyParams,
+  body: {
+    type: 'object',
+    properties: {
+      timeout: { type: 'integer', minimum: 1, maximum: 300, description: 'Seconds the lease is held unless released or consumed, default CODE_LEASE_TIMEOUT (30); never past the end of the time step' },
+      minRemaining: { type: 'integer', minimum: 0, description: 'Seconds the code must have left, default CODE_MIN_REMAINING (5)' },
+      wait: { type: 'boolean', description: 'Wait for a free code instead of answering 409' },
+      maxWait: { type: 'integer', minimum: 0, maximum: 300, description: 'With wait, seconds to wait at most, default 60' },
+      vault: { type: 'string' }
+    }
+  },
+  responses: {
+    201: { description: 'The lease, with the code', schema: ref('CodeLease') }
+  }
+};
+
+const leaseParams = params({ id: { type: 'string', pattern: '^[0-9a-f]{32}$' } });
+
+const releaseLease = {
+  method: 'post',
+  path: '/api/leases/:id/release',
+  tag: 'Codes',
+  summary: 'Give a leased code back unused',
+  description: 'The next caller can lease the same code.',
+  scope: 'codes:read',
+  params: leaseParams,
+  responses: { 200: { description: 'The lease', schema: ref('CodeLease') } }
+};
+
+const consumeLease = {
+  method: 'post',
+  path: '/api/leases/:id/consume',
+  tag: 'Codes',
+  summary: 'Mark a leased code as used',
+  description: 'The code is never handed out again; later leases get the next time step.',
+  scope: 'codes:read',
+  params: leaseParams,
+  responses: { 200: { description: 'The lease', schema: ref('CodeLease') } }
+};
+
+const serverTime = {
+  method: 'get',
+  path: '/api/time',
+  tag: 'Codes',
+  summary: 'Server time, clock offset and drift against the reference time source',
+  description: 'The drift is measured against TIME_REFERENCE_URL at most once per TIME_CHECK_INTERVAL seconds.',
+  scope: 'codes:read',
+  responses: {
+    200: {
+      description: 'Clock status',
+      schema: {
+        type: 'object',
+        properties: {
+          serverTime: { type: 'string', format: 'date-time' },
+          clockOffset: { type: 'number', description: 'CLOCK_OFFSET, in seconds' },
+          codeTime: { type: 'string', format: 'date-time', description: 'Server time plus CLOCK_OFFSET' },
+          healthy: { type: ['boolean', 'null'], description: 'null without a reference' },
+          reference: {
+            type: 'object',
+            properties: {
+              status: { enum: ['ok', 'unreachable', 'not_configured'] },
+              url: { type: ['string', 'null'] },
+              referenceTime: { type: 'string', format: 'date-time' },
+              drift: { type: 'integer', description: 'Reference minus server time, in ms' },
+              residual: { type: 'integer', description: 'Drift left after CLOCK_OFFSET, in ms' },
+              uncertainty: { type: 'integer', description: 'ms' },
+              roundTrip: { type: 'integer', description: 'ms' },
+              tolerance: { type: 'integer', description: 'TIME_DRIFT_TOLERANCE_MS' },
+              error: { type: 'string' },
+              measuredAt: { type: 'string', format: 'date-time' }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+module.exports = {
+  getCode,
+  lookupCode,
+  listCodes,
+  streamCodes,
+  verifyCode,
+  pushCode,
+  leaseCode,
+  releaseLease,
+  consumeLease,
+  serverTime
+};
@@ -0,0 +1,287 @@
+// schemas/common.js - Schema pieces shared by the route definitions
+const { ERROR_CODES } = require('../utils/errors');
+const { OTP_TYPES } = require('../utils/otpTypes');
+
+const objectId = { type: 'string', pattern: '^[0-9a-fA-F]{24}$' };
+
+const stringList = { type: 'array', items: { type: 'string' } };
+
+// Multipart forms send lists as one comma-separated string
+const stringListOrCSV = {
+  anyOf: [stringList, { type: 'string' }],
+  description: 'Array of strings, or comma-separated in multipart forms'
+};
+
+// Vault by id or name, for routes that accept "vault" in the body
+const vault = { type: 'string', description: 'Vault id or name' };
+
+function params(properties) {
+  return { type: 'object', properties, required: Object.keys(properties) };
+}
+
+const keyParams = params({ key: { type: 'string', description: 'Account key' } });
+const idParams = params({ id: objectId });
+
+const vaultQuery = {
+  vault: { type: 'string', description: 'Vault id or name, when an account key exists in several vaults' }
+};
+
+// Filters and pagination of account and code lists, see utils/accountQuery.js
+const listQuery = {
+  type: 'object',
+  properties: {
+    ...vaultQuery,
+    tag: { type: 'string', description: 'Comma-separated, accounts must have all of them' },
+    folder: { type: 'string' },
+    issuer: { type: 'string', description: 'Case-insensitive' },
+    type: { enum: OTP_TYPES },
+    q: { type: 'string', description: 'Search name, key, issuer and account name' },
+    sort: { enum: ['key', 'name', 'createdAt', 'updatedAt'], default: 'key' },
+    order: { enum: ['asc', 'desc'], default: 'asc' },
+    limit: { type: 'integer', minimum: 1, maximum: 500, default: 100 },
+    cursor: { type: 'string', description: 'nextCursor of the previous page' }
+  }
+};
+
+/*
+ * Schemas of response bodies, referenced from the route definitions as
+ * { $ref: '#/components/schemas/<Name>' }. Only the OpenAPI document uses
+ * them; responses are not validated.
+ */
+const components = {
+  Error: {
+    type: 'object',
+    required: ['error', 'code'],
+    properties: {
+      error: { type: 'string', description: 'Message for people, may be reworded' },
+      code: { enum: Object.keys(ERROR_CODES), description: 'Stable error code, see utils/errors.js' },
+      details: { description: 'Structured context, e.g. [{ field, message }] for validation_failed' }
+    }
+  },
+  Code: {
+    type: 'object',
+    properties: {
+      vault: objectId,
+      account: { type: 'string' },
+      key: { type: 'string' },
+      issuer: { type: ['string', 'null'] },
+      accountName: { type: ['string', 'null'] },
+      code: { type: 'string' },
+      algorithm: { type: 'string' },
+      type: { enum: OTP_TYPES },
+      period: { type: 'integer', description: 'Time-based types, in seconds' },
+      timeRemaining: { type: 'integer', description: 'Time-based types' },
+      expiresAt: { type: 'string', format: 'date-time', description: 'Time-based types' },
+      safe: { type: 'boolean', description: 'Time-based types: at least minRemaining seconds left' },
+      minRemaining: { type: 'integer', description: 'Time-based types' },
+      previous: {
+        type: 'object',
+        description: 'With ?previous=true',
+        properties: { code: { type: 'string' }, expiredAt: { type: 'string', format: 'date-time' } }
+      },
+      next: {
+        type: 'object',
+        description: 'With ?next=true',
+        properties: { code: { type: 'string' }, validFrom: { type: 'string', format: 'date-time' }, expiresAt: { type: 'string', format: 'date-time' } }
+      },
+      waited: { type: 'integer', description: 'With ?wait=true, ms waited for the next time step or a free code' },
+      counter: { type: 'integer', description: 'Counter-based types' },
+      retryAt: { type: 'string', format: 'date-time', description: 'In /api/codes, for a code leased by another caller or consumed' }
+    }
+  },
+  CodeLease: {
+    type: 'object',
+    properties: {
+      id: { type: 'string', description: 'Lease token, for release and consume' },
+      vault: objectId,
+      key: { type: 'string' },
+      code: { type: 'string', description: 'Only when checked out' },
+      timeStep: { type: 'integer' },
+      status: { enum: ['active', 'released', 'consumed'] },
+      expiresAt: { type: 'string', format: 'date-time', description: 'End of the lease' },
+      codeExpiresAt: { type: 'string', format: 'date-time' },
+      timeRemaining: { type: 'integer', description: 'Seconds until codeExpiresAt, when checked out' },
+      releasedAt: { type: ['string', 'null'], format: 'date-time' },
+      consumedAt: { type: ['string', 'null'], format: 'date-time' },
+      waited: { type: 'integer', description: 'ms waited for a free code' }
+    }
+  },
+  Account: {
+    type: 'object',
+    properties: {
+      vault: objectId,
+      key: { type: 'string' },
+      name: { type: 'string' },
+      issuer: { type: ['string', 'null'] },
+      accountName: { type: ['string', 'null'] },
+      icon: { type: ['string', 'null'] },
+      notes: { type: ['string', 'null'] },
+      folder: { type: ['string', 'null'] },
+      tags: stringList,
+      digits: { type: 'integer' },
+      period: { type: 'integer' },
+      clockOffset: { type: 'number' },
+      algorithm: { type: 'string' },
+      type: { enum: OTP_TYPES },
+      counter: { type: 'integer' },
+      encrypted: { type: 'boolean' },
+      createdAt: { type: 'string', format: 'date-time' },
+      updatedAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  Vault: {
+    type: 'object',
+    properties: {
+      id: objectId,
+      name: { type: 'string' },
+      owner: { anyOf: [objectId, { type: 'null' }] },
+      role: { enum: ['read', 'manage'] },
+      members: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            id: objectId,
+            user: objectId,
+            group: { type: 'string' },
+            role: { enum: ['read', 'manage'] }
+          }
+        }
+      },
+      accounts: { type: 'integer' },
+      createdAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  TrashedAccount: {
+    type: 'object',
+    properties: {
+      id: objectId,
+      vault: objectId,
+      key: { type: 'string' },
+      name: { type: 'string' },
+      issuer: { type: ['string', 'null'] },
+      accountName: { type: ['string', 'null'] },
+      type: { enum: OTP_TYPES },
+      deletedAt: { type: 'string', format: 'date-time' },
+      purgeAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  AccountRevision: {
+    type: 'object',
+    description: 'Account settings before a change; the secret is never returned',
+    properties: {
+      id: objectId,
+      reason: { enum: ['update', 'rollback'] },
+      changedFields: { ...stringList, description: 'Fields the change after this revision touched' },
+      actor: {
+        type: 'object',
+        properties: { id: { type: 'string' }, name: { type: 'string' } }
+      },
+      name: { type: 'string' },
+      issuer: { type: ['string', 'null'] },
+      accountName: { type: ['string', 'null'] },
+      icon: { type: ['string', 'null'] },
+      notes: { type: ['string', 'null'] },
+      folder: { type: ['string', 'null'] },
+      tags: stringList,
+      digits: { type: 'integer' },
+      period: { type: 'integer' },
+      clockOffset: { type: 'number' },
+      algorithm: { type: 'string' },
+      type: { enum: OTP_TYPES },
+      createdAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  ApiKey: {
+    type: 'object',
+    properties: {
+      id: objectId,
+      name: { type: 'string' },
+      user: { anyOf: [objectId, { type: 'null' }] },
+      prefix: { type: 'string' },
+      scopes: stringList,
+      allowedAccounts: stringList,
+      revoked: { type: 'boolean' },
+      revokedAt: { type: 'string', format: 'date-time' },
+      expiresAt: { type: 'string', format: 'date-time' },
+      lastUsedAt: { type: 'string', format: 'date-time' },
+      createdAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  User: {
+    type: 'object',
+    properties: {
+      id: objectId,
+      username: { type: 'string' },
+      displayName: { type: 'string' },
+      groups: stringList,
+      createdAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  Webhook: {
+    type: 'object',
+    properties: {
+      id: objectId,
+      name: { type: 'string' },
+      url: { type: 'string' },
+      account: objectId,
+      accountKey: { type: 'string' },
+      trigger: { enum: ['demand', 'rollover'] },
+      active: { type: 'boolean' },
+      createdAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  WebhookDelivery: {
+    type: 'object',
+    properties: {
+      id: objectId,
+      webhook: objectId,
+      accountKey: { type: 'string' },
+      event: { type: 'string' },
+      status: { enum: ['pending', 'delivered', 'failed'] },
+      attempts: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            at: { type: 'string', format: 'date-time' },
+            statusCode: { type: ['integer', 'null'] },
+            error: { type: ['string', 'null'] },
+            durationMs: { type: 'integer' }
+          }
+        }
+      },
+      deliveredAt: { type: ['string', 'null'], format: 'date-time' },
+      createdAt: { type: 'string', format: 'date-time' }
+    }
+  }
+};
+
+function ref(name) {
+  return { $ref: `#/components/schemas/${name}` };
+}
+
+function listOf(field, name) {
+  return {
+    type: 'object',
+    properties: {
+      [field]: { type: 'array', items: ref(name) },
+      total: { type: 'integer' }
+    }
+  };
+}
+
+module.exports = {
+  objectId,
+  stringList,
+  stringListOrCSV,
+  vault,
+  params,
+  keyParams,
+  idParams,
+  vaultQuery,
+  listQuery,
+  components,
+  ref,
+  listOf
+};
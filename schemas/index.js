@@ -0,0 +1,49 @@
+// schemas/index.js - Every route definition, by operation id
+//
+// A route definition describes one endpoint:
+//   method, path           - as registered with Express (":param" style)
+//   tag, summary, description
+//   scope                  - API key scope required; null when any key will
+//                            do; public routes set `public: true` instead
+//   params, headers, query, body
+//                          - JSON Schemas that middleware/validate.js checks
+//                            requests against
+//   multipart, fileRequired - the body may be (or, with fileRequired, must
+//                            be) multipart/form-data with a "file" field
+//   responses              - { <status>: { description, schema, contentType } }
+// utils/openapi.js turns the same definitions into the OpenAPI document.
+const { components } = require('./common');
+
+const system = {
+  health: {
+    method: 'get',
+    path: '/health',
+    tag: 'System',
+    summary: 'Health check',
+    public: true,
+    responses: { 200: { description: 'Server and database status' } }
+  },
+  openapi: {
+    method: 'get',
+    path: '/api/openapi.json',
+    tag: 'System',
+    summary: 'This OpenAPI document',
+    public: true,
+    responses: { 200: { description: 'OpenAPI 3.1 document' } }
+  }
+};
+
+const routes = {
+  ...require('./codes'),
+  ...require('./accounts'),
+  ...require('./trash'),
+  ...require('./transfer'),
+  ...require('./vaults'),
+  ...require('./admin'),
+  ...system
+};
+
+module.exports = {
+  routes,
+  components
+};
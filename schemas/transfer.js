@@ -0,0 +1,183 @@
+// schemas/transfer.js - QR extraction, imports, export and restore
+const { stringListOrCSV, vault, vaultQuery } = require('./common');
+const { FORMATS } = require('../utils/importers');
+const { MIN_PASSPHRASE_LENGTH } = require('../utils/vault');
+
+const dataImage = { type: 'string', pattern: '^data:image/', description: 'data:image/...;base64 URL' };
+
+// Created/skipped/rejected report of imports that save accounts
+const importReport = {
+  type: 'object',
+  properties: {
+    success: { type: 'boolean' },
+    vault: { type: 'string' },
+    created: { type: 'array', items: { type: 'object' } },
+    skipped: { type: 'array', items: { type: 'object', properties: { key: { type: 'string' }, reason: { type: 'string' } } } },
+    rejected: { type: 'array', items: { type: 'object', properties: { key: { type: 'string' }, reason: { type: 'string' } } } }
+  }
+};
+
+const extractSecret = {
+  method: 'post',
+  path: '/api/extract-secret',
+  tag: 'Import and export',
+  summary: 'Find every QR code in an image or PDF',
+  description: 'JSON with "image", or multipart with a "file" (PNG, JPEG, GIF, SVG or PDF). With "save" the accounts found are stored; key and name only apply when a single account is found.',
+  scope: 'accounts:write',
+  multipart: true,
+  body: {
+    type: 'object',
+    properties: {
+      image: dataImage,
+      save: { type: 'boolean', default: false },
+      key: { type: 'string', minLength: 1 },
+      name: { type: 'string', minLength: 1 },
+      folder: { type: 'string' },
+      tags: stringListOrCSV,
+      icon: { type: 'string', maxLength: 2048 },
+      notes: { type: 'string', maxLength: 4000 },
+      vault: vault,
+      encrypt: { type: 'boolean', default: true }
+    }
+  },
+  responses: {
+    200: {
+      description: 'The decoded QR codes, or the import report with save',
+      schema: {
+        type: 'object',
+        properties: {
+          success: { type: 'boolean' },
+          count: { type: 'integer' },
+          results: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                format: { type: 'string' },
+                error: { type: 'string' },
+                page: { type: 'integer' },
+                box: {
+                  type: 'object',
+                  properties: {
+                    x: { type: 'integer' },
+                    y: { type: 'integer' },
+                    width: { type: 'integer' },
+                    height: { type: 'integer' }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    201: { description: 'Accounts created', schema: importReport }
+  }
+};
+
+const importGoogleAuthenticator = {
+  method: 'post',
+  path: '/api/import/google-authenticator',
+  tag: 'Import and export',
+  summary: 'Import a Google Authenticator export',
+  description: 'The export may span several QR codes (batches). Pass screenshots, otpauth-migration:// URLs, or both.',
+  scope: 'accounts:write',
+  body: {
+    type: 'object',
+    properties: {
+      images: { type: 'array', items: dataImage },
+      urls: { type: 'array', items: { type: 'string', pattern: '^otpauth-migration://' } },
+      save: { type: 'boolean', default: false },
+      vault: vault,
+      encrypt: { type: 'boolean', default: true }
+    },
+    anyOf: [
+      { required: ['images'], properties: { images: { minItems: 1 } } },
+      { required: ['urls'], properties: { urls: { minItems: 1 } } }
+    ]
+  },
+  responses: {
+    200: { description: 'The accounts in the export, or the import report with save' },
+    201: { description: 'Accounts created', schema: importReport }
+  }
+};
+
+const importBackup = {
+  method: 'post',
+  path: '/api/import',
+  tag: 'Import and export',
+  summary: 'Import a backup file from another authenticator app',
+  description: 'Aegis (plain or encrypted), 2FAS, andOTP, Bitwarden JSON, or one otpauth:// URI per line.',
+  scope: 'accounts:write',
+  multipart: true,
+  fileRequired: true,
+  body: {
+    type: 'object',
+    properties: {
+      format: { enum: FORMATS, description: 'Skips detection' },
+      password: { type: 'string', description: 'For encrypted Aegis / 2FAS backups' },
+      vault: vault,
+      dryRun: { type: 'boolean', default: false },
+      encrypt: { type: 'boolean', default: true }
+    }
+  },
+  responses: {
+    200: { description: 'Dry run report, or nothing new to create', schema: importReport },
+    201: { description: 'Accounts created', schema: importReport }
+  }
+};
+
+const exportAccounts = {
+  method: 'get',
+  path: '/api/export',
+  tag: 'Import and export',
+  summary: 'Export all accounts',
+  description: `format=vault (default) is a passphrase-encrypted archive and needs an X-Export-Passphrase header of at least ${MIN_PASSPHRASE_LENGTH} characters. format=otpauth is UNENCRYPTED plain text, one otpauth:// URI per line.`,
+  scope: 'admin',
+  query: {
+    type: 'object',
+    properties: {
+      ...vaultQuery,
+      format: { enum: ['vault', 'otpauth'], default: 'vault' }
+    }
+  },
+  headers: {
+    type: 'object',
+    properties: {
+      'x-export-passphrase': { type: 'string', minLength: MIN_PASSPHRASE_LENGTH }
+    }
+  },
+  responses: {
+    200: { description: 'The vault archive (JSON, with "rejected": [{ key, reason }] for accounts whose secret could not be decrypted) or otpauth:// URIs (text/plain). X-Skipped-Accounts and X-Rejected-Accounts list the keys left out.' }
+  }
+};
+
+const restoreAccounts = {
+  method: 'post',
+  path: '/api/restore',
+  tag: 'Import and export',
+  summary: 'Restore accounts from a vault archive',
+  description: 'mode=merge keeps existing accounts and reports conflicting keys; mode=replace moves the accounts in the vault to the trash first.',
+  scope: 'admin',
+  multipart: true,
+  fileRequired: true,
+  body: {
+    type: 'object',
+    required: ['passphrase'],
+    properties: {
+      passphrase: { type: 'string', minLength: 1 },
+      vault: vault,
+      mode: { enum: ['merge', 'replace'], default: 'merge' },
+      dryRun: { type: 'boolean', default: false }
+    }
+  },
+  responses: { 200: { description: 'What was (or, on a dry run, would be) restored' } }
+};
+
+module.exports = {
+  extractSecret,
+  importGoogleAuthenticator,
+  importBackup,
+  exportAccounts,
+  restoreAccounts
+};
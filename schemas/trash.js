@@ -0,0 +1,40 @@
+// schemas/trash.js - Deleted accounts
+const { idParams, vaultQuery, listOf } = require('./common');
+
+const listTrash = {
+  method: 'get',
+  path: '/api/trash',
+  tag: 'Trash',
+  summary: 'Deleted accounts in your vaults, newest first',
+  description: 'Accounts stay in the trash for TRASH_RETENTION_DAYS (default 30), then they are purged with their revisions and webhooks.',
+  scope: 'accounts:read',
+  query: { type: 'object', properties: vaultQuery },
+  responses: { 200: { description: 'Trashed accounts', schema: listOf('accounts', 'TrashedAccount') } }
+};
+
+const restoreTrashed = {
+  method: 'post',
+  path: '/api/trash/:id/restore',
+  tag: 'Trash',
+  summary: 'Restore a deleted account',
+  description: 'Fails with 409 while another account in the vault uses the key.',
+  scope: 'accounts:write',
+  params: idParams,
+  responses: { 200: { description: 'Account restored' } }
+};
+
+const purgeTrashed = {
+  method: 'delete',
+  path: '/api/trash/:id',
+  tag: 'Trash',
+  summary: 'Purge a deleted account now, with its revisions and webhooks',
+  scope: 'accounts:write',
+  params: idParams,
+  responses: { 200: { description: 'Account purged' } }
+};
+
+module.exports = {
+  listTrash,
+  restoreTrashed,
+  purgeTrashed
+};
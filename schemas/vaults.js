@@ -0,0 +1,89 @@
+// schemas/vaults.js - Vaults and sharing
+const { objectId, params, idParams, listOf, ref } = require('./common');
+const Vault = require('../models/Vault');
+
+const listVaults = {
+  method: 'get',
+  path: '/api/vaults',
+  tag: 'Vaults',
+  summary: 'Vaults the caller can access, with their role',
+  scope: null,
+  responses: { 200: { description: 'Vaults', schema: listOf('vaults', 'Vault') } }
+};
+
+const createVault = {
+  method: 'post',
+  path: '/api/vaults',
+  tag: 'Vaults',
+  summary: 'Create a vault',
+  scope: 'accounts:write',
+  body: {
+    type: 'object',
+    required: ['name'],
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      owner: { ...objectId, description: 'User id, system keys only' }
+    }
+  },
+  responses: { 201: { description: 'Vault created', schema: ref('Vault') } }
+};
+
+const getVault = {
+  method: 'get',
+  path: '/api/vaults/:id',
+  tag: 'Vaults',
+  summary: 'Vault details; members are shown to the owner',
+  scope: null,
+  params: idParams,
+  responses: { 200: { description: 'The vault', schema: ref('Vault') } }
+};
+
+const shareVault = {
+  method: 'post',
+  path: '/api/vaults/:id/members',
+  tag: 'Vaults',
+  summary: 'Share a vault with a user or group',
+  description: 'read = fetch codes only, manage = also change accounts. Sharing again with the same user or group changes their role.',
+  scope: 'accounts:write',
+  params: idParams,
+  body: {
+    type: 'object',
+    required: ['role'],
+    properties: {
+      userId: objectId,
+      group: { type: 'string', minLength: 1 },
+      role: { enum: Vault.ROLES }
+    },
+    oneOf: [{ required: ['userId'] }, { required: ['group'] }]
+  },
+  responses: { 200: { description: 'Vault shared', schema: ref('Vault') } }
+};
+
+const unshareVault = {
+  method: 'delete',
+  path: '/api/vaults/:id/members/:memberId',
+  tag: 'Vaults',
+  summary: 'Stop sharing a vault with a member',
+  scope: 'accounts:write',
+  params: params({ id: objectId, memberId: objectId }),
+  responses: { 200: { description: 'Sharing removed', schema: ref('Vault') } }
+};
+
+const deleteVault = {
+  method: 'delete',
+  path: '/api/vaults/:id',
+  tag: 'Vaults',
+  summary: 'Delete an empty vault',
+  scope: 'accounts:write',
+  params: idParams,
+  responses: { 200: { description: 'Vault deleted' } }
+};
+
+module.exports = {
+  listVaults,
+  createVault,
+  getVault,
+  shareVault,
+  unshareVault,
+  deleteVault
+};
@@ -0,0 +1,7 @@
+// scripts/export-openapi.js - Print the OpenAPI document without a server
+//
+// Usage: node scripts/export-openapi.js > openapi.json
+// Same document as GET /api/openapi.json, for client generation in CI.
+const { buildOpenAPI } = require('../utils/openapi');
+
+process.stdout.write(JSON.stringify(buildOpenAPI(), null, 2) + '\n');
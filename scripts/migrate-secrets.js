@@ -0,0 +1,54 @@
+// scripts/migrate-secrets.js - Upgrade stored secrets to the current format
+//
+// Usage: node scripts/migrate-secrets.js [batchSize]
+// Encrypts plaintext secrets and re-encrypts legacy secrets (AES-256-CBC, or
+// AES-256-GCM bound to the account key, which is only unique per vault) as
+// AES-256-GCM bound to the account or revision id, under the active key.
+// Safe to run while the server is up (but not with STORAGE_DRIVER=file, where
+// both would write the file) and to re-run; secrets already in the current
+// format are not touched.
+require('dotenv').config();
+const db = require('../storage');
+const { hasKeys, activeKeyVersion } = require('../utils/crypto');
+const { missingKeyVersions, pendingCounts, rotateAccounts } = require('../utils/keyRotation');
+
+async function main() {
+  const batchSize = Number(process.argv[2]) || 100;
+
+  if (!hasKeys()) {
+    console.error('❌ No encryption key configured, set ENCRYPTION_KEYS or ENCRYPTION_KEY');
+    process.exitCode = 1;
+    return;
+  }
+
+  await db.connect();
+
+  const missing = await missingKeyVersions();
+  if (missing.length > 0) {
+    console.error(`❌ Accounts use key versions that are not loaded: ${missing.join(', ')}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const { plaintext, legacyCiphertext } = await pendingCounts();
+  console.log(`🔑 Migrating ${plaintext} plaintext and ${legacyCiphertext} legacy secrets to key version ${activeKeyVersion()}`);
+
+  const job = await rotateAccounts({
+    batchSize,
+    encryptPlaintext: true,
+    onProgress: ({ processed, total }) => console.log(`   ${processed}/${total}`)
+  });
+
+  console.log(`✅ Migrated ${job.rotated}, skipped ${job.skipped}, failed ${job.failed.length}`);
+  for (const failure of job.failed) {
+    console.error(`   ${failure.key}: ${failure.error}`);
+  }
+  if (job.failed.length > 0) process.exitCode = 1;
+}
+
+main()
+  .catch(err => {
+    console.error('❌ Secret migration failed:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => db.disconnect());
@@ -0,0 +1,45 @@
+// scripts/rotate-key.js - Re-encrypt all account secrets from the command line
+//
+// Usage: node scripts/rotate-key.js [toVersion] [batchSize]
+// Reads the storage (STORAGE_DRIVER, MONGODB_URI or STORAGE_PATH) and
+// ENCRYPTION_KEYS settings from the environment/.env. With the file driver,
+// stop the server first: both would write the file.
+require('dotenv').config();
+const db = require('../storage');
+const { activeKeyVersion } = require('../utils/crypto');
+const { missingKeyVersions, rotateAccounts } = require('../utils/keyRotation');
+
+async function main() {
+  const toVersion = process.argv[2] ? Number(process.argv[2]) : activeKeyVersion();
+  const batchSize = Number(process.argv[3]) || 100;
+
+  await db.connect();
+
+  const missing = await missingKeyVersions();
+  if (missing.length > 0) {
+    console.error(`❌ Accounts use key versions that are not loaded: ${missing.join(', ')}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  console.log(`🔑 Rotating encrypted accounts to key version ${toVersion}`);
+
+  const job = await rotateAccounts({
+    toVersion,
+    batchSize,
+    onProgress: ({ processed, total }) => console.log(`   ${processed}/${total}`)
+  });
+
+  console.log(`✅ Rotated ${job.rotated}, skipped ${job.skipped}, failed ${job.failed.length}`);
+  for (const failure of job.failed) {
+    console.error(`   ${failure.key}: ${failure.error}`);
+  }
+  if (job.failed.length > 0) process.exitCode = 1;
+}
+
+main()
+  .catch(err => {
+    console.error('❌ Key rotation failed:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => db.disconnect());
@@ -1,224 +1,832 @@
 // server.js - Personal MFA Code Generator with MongoDB
 const express = require('express');
-const mongoose = require('mongoose');
-const speakeasy = require('speakeasy');
 const crypto = require('crypto');
-const jsQR = require('jsqr')
-const {createCanvas,loadImage} = require('canvas')
+const path = require('path');
+const multer = require('multer')
+const QRCode = require('qrcode')
 require('dotenv').config();
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-app.use(express.json());
+// Behind a reverse proxy, set TRUST_PROXY (e.g. "1" for one hop) so rate
+// limits see the client's IP instead of the proxy's
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+
 app.use(express.json({ limit: "10mb" }));
 
+// Web dashboard (client/index.html), signs in with an API key
+app.use(express.static(path.join(__dirname, 'client')));
 
-// MongoDB Connection
-const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/mfa-authenticator';
 
-mongoose.connect(MONGODB_URI)
-  .then(() => console.log('✅ MongoDB Connected'))
-  .catch(err => console.error('❌ MongoDB Connection Error:', err));
+// Storage backend, chosen with STORAGE_DRIVER (see storage/index.js)
+const db = require('./storage');
 
 // Import Account Model
 const Account = require('./models/Account');
+const AccountRevision = require('./models/AccountRevision');
 
-// Encryption setup
-const ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || crypto.randomBytes(32).toString('hex');
+// API key authentication
+const { allowQueryToken, authenticate, requireScope, requireAccountAccess, accountFilter } = require('./middleware/auth');
+const apiKeysRouter = require('./routes/apiKeys');
 
-function encrypt(text) {
-  const iv = crypto.randomBytes(16);
-  const cipher = crypto.createCipheriv('aes-256-cbc', Buffer.from(ENCRYPTION_KEY.slice(0, 64), 'hex'), iv);
-  let encrypted = cipher.update(text);
-  encrypted = Buffer.concat([encrypted, cipher.final()]);
-  return iv.toString('hex') + ':' + encrypted.toString('hex');
-}
+// Users and vaults
+const { resolveVaults, accountScope, loadAccount, lookupAccount, targetVault, canManageVault } = require('./middleware/vaults');
+const { migrateAccountsToVaults } = require('./utils/vaultMigration');
 
-function decrypt(text) {
-  const parts = text.split(':');
-  const iv = Buffer.from(parts.shift(), 'hex');
-  const encryptedText = Buffer.from(parts.join(':'), 'hex');
-  const decipher = crypto.createDecipheriv('aes-256-cbc', Buffer.from(ENCRYPTION_KEY.slice(0, 64), 'hex'), iv);
-  let decrypted = decipher.update(encryptedText);
-  decrypted = Buffer.concat([decrypted, decipher.final()]);
-  return decrypted.toString();
-}
+// Deleted accounts go to the trash first
+const trashRouter = require('./routes/trash');
+const { purgeAt, startTrashPurge, migrateAccountsToTrash } = require('./utils/trash');
+const usersRouter = require('./routes/users');
+const vaultsRouter = require('./routes/vaults');
 
-function parseOTPAuth(url) {
-  if (!url.startsWith("otpauth://")) {
-    throw new Error("Invalid OTP Auth URL");
-  }
+// Audit trail
+const { audit } = require('./middleware/audit');
+const auditRouter = require('./routes/audit');
 
-  const urlObj = new URL(url);
-  const type = urlObj.host.toLowerCase(); // totp | hotp
-  const label = decodeURIComponent(urlObj.pathname.substring(1));
+// Rate limits and brute-force lockouts
+const { rateLimit } = require('./middleware/rateLimit');
 
-  const params = new URLSearchParams(urlObj.search);
+// Request schemas, the error envelope and the OpenAPI document
+const { validate } = require('./middleware/validate');
+const { sendError, validationDetails, validationMessage, errorHandler } = require('./utils/errors');
+const { routes } = require('./schemas');
+const { buildOpenAPI } = require('./utils/openapi');
 
-  const secret = params.get("secret");
-  if (!secret) throw new Error("Secret not found");
+// Webhooks
+const webhooksRouter = require('./routes/webhooks');
+const { pushCode, failInterruptedDeliveries, startRolloverDeliveries } = require('./utils/webhooks');
 
-  const issuer = params.get("issuer") || label.split(":")[0];
-  const accountName = label.includes(":")
-    ? label.split(":")[1]
-    : label;
+// Master key management
+const { hasKeys, activeKeyVersion, loadedKeyVersions } = require('./utils/crypto');
+const { missingKeyVersions, pendingCounts } = require('./utils/keyRotation');
 
-  return {
-    secret,
-    issuer,
-    accountName,
-    type,
-    algorithm: (params.get("algorithm") || "SHA1").toLowerCase(),
-    digits: Number(params.get("digits") || 6),
-    period: Number(params.get("period") || 30),
-    counter: params.get("counter") || null,
-    otpAuthUrl: url
-  };
+// Secrets are encrypted unless a request explicitly opts out
+const NO_ENCRYPTION_KEY_ERROR = 'Encryption is not configured on this server, set ENCRYPTION_KEYS or send "encrypt": false';
+const keyRotationRouter = require('./routes/keyRotation');
+const streamRouter = require('./routes/stream');
+
+// Exclusive checkout of codes for concurrent callers
+const CodeLease = require('./models/CodeLease');
+const leasesRouter = require('./routes/leases');
+const LEASE_TIMEOUT = Number(process.env.CODE_LEASE_TIMEOUT) || 30;
+const LEASE_MAX_WAIT = 60;
+const LEASE_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+const {
+  parseOTPAuth,
+  buildOTPAuthURL,
+  parseMigrationURL,
+  mergeMigrationBatches,
+  suggestAccountKey
+} = require('./utils/otpauth');
+const { parseBackup } = require('./utils/importers');
+const { extractQRCodes } = require('./utils/qrExtract');
+const {
+  OTP_TYPES,
+  isCounterBased,
+  hasOTPAuthURL,
+  otpParams,
+  packSecret,
+  validateSecret,
+  randomSecret,
+  codeAt,
+  generateOTP
+} = require('./utils/otpTypes');
+const { MIN_PASSPHRASE_LENGTH, encryptVault, decryptVault } = require('./utils/vault');
+const { normalizeTags, parseListQuery, findAccountPage } = require('./utils/accountQuery');
+const { DRIFT_TOLERANCE_MS, serverOffset, offsetMs, stepTiming, minRemainingFor, measureDrift } = require('./utils/clock');
+
+// Backup files are kept in memory, never written to disk
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }
+});
+
+// Enrollment QR codes: error correction M keeps the module count low enough
+// for phone cameras while tolerating some blur
+const QR_OPTIONS = { errorCorrectionLevel: 'M', margin: 2, width: 256 };
+
+// Canonical otpauth:// URL for an account, given its plaintext secret
+function accountOTPAuthURL(account, secret) {
+  return buildOTPAuthURL({
+    secret: secret,
+    issuer: account.issuer,
+    accountName: account.accountName || account.name || account.key,
+    type: account.type,
+    algorithm: account.algorithm,
+    digits: account.digits,
+    period: account.period,
+    counter: account.counter
+  });
+}
+
+// Parse a decoded QR payload into an extract-secret result. Unreadable
+// payloads get an `error` instead of failing the whole request.
+function describeQRCode({ data, box, page }) {
+  const position = page ? { box, page } : { box };
+  
+  try {
+    if (data.startsWith("otpauth-migration://")) {
+      return { format: "otpauth-migration", ...parseMigrationURL(data), ...position };
+    }
+    if (data.startsWith("otpauth://") || data.startsWith("steam://")) {
+      return { format: "otpauth", ...parseOTPAuth(data), ...position };
+    }
+  } catch (err) {
+    return { format: data.split(":")[0], error: err.message, ...position };
+  }
+  
+  return { format: "unknown", data, error: "Not an otpauth:// or otpauth-migration:// URL", ...position };
+}
+
+/**
+ * Turn imported entries ({ issuer, accountName, secret, type, algorithm,
+ * digits, period, counter }) into unsaved Account documents in `vault`.
+ * An entry may carry its own `key`, otherwise one is derived from issuer and
+ * account name.
+ * Returns { docs, skipped, rejected }:
+ *  - skipped:  the key already exists in the vault or the API key may not use it
+ *  - rejected: the entry fails schema validation
+ */
+async function planAccountImport(entries, apiKey, vault, shouldEncrypt) {
+  // Pick a unique key per entry within this import
+  const usedKeys = new Set();
+  const candidates = entries.map(entry => {
+    const base = entry.key || suggestAccountKey(entry.issuer, entry.accountName);
+    let key = base;
+    for (let i = 2; usedKeys.has(key); i++) key = `${base}-${i}`;
+    usedKeys.add(key);
+    return { key, entry };
+  });
+  
+  const existing = await db.accounts.find({ vault: vault._id, key: { $in: [...usedKeys] }, deletedAt: null }, 'key', { lean: true });
+  const existingKeys = new Set(existing.map(a => a.key));
+  
+  const docs = [];
+  const skipped = [];
+  const rejected = [];
+  for (const { key, entry } of candidates) {
+    const name = entry.issuer && entry.accountName
+      ? `${entry.issuer} (${entry.accountName})`
+      : entry.issuer || entry.accountName || key;
+    
+    if (existingKeys.has(key)) {
+      skipped.push({ key, name, reason: "Account already exists" });
+      continue;
+    }
+    if (!apiKey.canAccessAccount(key)) {
+      skipped.push({ key, name, reason: "API key is not allowed to access this account" });
+      continue;
+    }
+    const type = entry.type || "totp";
+    const secretError = validateSecret(type, entry.secret);
+    if (secretError) {
+      rejected.push({ key, name, reason: secretError });
+      continue;
+    }
+    
+    const doc = new Account({
+      vault: vault._id,
+      key: key,
+      name: name,
+      issuer: entry.issuer || null,
+      accountName: entry.accountName || null,
+      ...otpParams(type, entry),
+      type: type,
+      counter: entry.counter || 0
+    }).setSecret(entry.secret, shouldEncrypt);
+    
+    const validationError = doc.validateSync();
+    if (validationError) {
+      rejected.push({ key, name, reason: validationMessage(validationError) });
+      continue;
+    }
+    docs.push(doc);
+  }
+  
+  return { docs, skipped, rejected };
 }
 
 
 
 /**
  * POST /api/extract-secret
- * Payload:
+ * Finds every QR code in an image or PDF (e.g. a provider's setup email).
+ * Payload, JSON or multipart:
  * {
- *   "image": "data:image/png;base64,iVBORw0KGgo..."
+ *   "image": "data:image/png;base64,iVBORw0KGgo...",  // or a multipart "file"
+ *   "save": true,            // optional, store the account(s) right away
+ *   "key": "github-ops",     // optional with save and a single account
+ *   "name": "GitHub (ops)",  // optional with save and a single account
+ *   "folder", "tags", "icon", "notes", "vault", "encrypt" - optional with save
  * }
+ * Responds with `results`, one per QR code, each with its bounding `box` in
+ * pixels (and `page` for PDFs, whose pages are scanned up to the first one
+ * with codes). A single result is also spread at the top level, as before.
  */
-app.post("/api/extract-secret", async (req, res) => {
+app.post("/api/extract-secret", audit('secret.extract'), authenticate, requireScope('accounts:write'), rateLimit('extract'), upload.single("file"), validate(routes.extractSecret), resolveVaults, async (req, res) => {
   try {
-    const { image } = req.body;
-
-    if (!image || !image.startsWith("data:image")) {
-      return res.status(400).json({
-        success: false,
-        error: "Invalid or missing base64 image"
+    const { image, key, name, folder, icon, notes } = req.body;
+    const save = req.body.save === true;
+    const shouldEncrypt = req.body.encrypt !== false;
+    // Multipart forms send tags comma-separated
+    const tags = typeof req.body.tags === "string" ? req.body.tags.split(",") : req.body.tags;
+    
+    if (!req.file && !image) {
+      return sendError(res, 'validation_failed', "image or a multipart file is required", [
+        { field: "body.image", message: "must be set unless a file is uploaded" }
+      ]);
+    }
+    
+    if (save && shouldEncrypt && !hasKeys()) {
+      return sendError(res, 'encryption_unavailable', NO_ENCRYPTION_KEY_ERROR);
+    }
+    
+    let codes;
+    try {
+      codes = await extractQRCodes(req.file ? req.file.buffer : image);
+    } catch (err) {
+      if (err.code === 'IMAGE_TOO_LARGE') {
+        return sendError(res, 'payload_too_large', err.message);
+      }
+      return sendError(res, 'unprocessable', "Could not read the image or PDF");
+    }
+    
+    if (codes.length === 0) {
+      return sendError(res, 'no_qr_code', "No QR code found");
+    }
+    
+    const results = codes.map(describeQRCode);
+    res.locals.auditDetails = { formats: results.map(result => result.format) };
+    
+    if (!save) {
+      return res.json({
+        success: true,
+        ...(results.length === 1 ? results[0] : {}),
+        count: results.length,
+        results: results
       });
     }
-
-    // Load image
-    const img = await loadImage(image);
-
-    const canvas = createCanvas(img.width, img.height);
-    const ctx = canvas.getContext("2d");
-
-    ctx.drawImage(img, 0, 0);
-    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-
-    // Decode QR
-    const qr = jsQR(
-      imageData.data,
-      imageData.width,
-      imageData.height
+    
+    const entries = results.filter(result => !result.error).flatMap(result =>
+      result.format === "otpauth-migration"
+        ? result.accounts
+        : [{ ...result, counter: Number(result.counter) || 0 }]
     );
+    
+    if (entries.length === 0) {
+      return sendError(res, 'no_qr_code', "No otpauth QR code found", { results: results });
+    }
+    
+    const vault = await targetVault(req);
+    res.locals.auditVault = vault._id;
+    if (!canManageVault(req, vault)) {
+      return sendError(res, 'forbidden', "Requires manage access to this vault");
+    }
+    
+    // key and name only make sense for a single account
+    const single = entries.length === 1;
+    if (single && key) entries[0].key = key;
+    const { docs, skipped, rejected } = await planAccountImport(entries, req.apiKey, vault, shouldEncrypt);
+    
+    for (const doc of docs) {
+      if (single && name) doc.name = name;
+      if (folder) doc.folder = folder;
+      if (tags) doc.tags = normalizeTags(tags);
+      if (icon) doc.icon = icon;
+      if (notes) doc.notes = notes;
+    }
+    
+    await db.accounts.insertMany(docs);
+    res.locals.auditDetails = {
+      formats: results.map(result => result.format),
+      created: docs.map(doc => doc.key),
+      skipped: skipped.length,
+      rejected: rejected.length
+    };
+    
+    if (single && docs.length === 0) {
+      const [problem] = skipped.length > 0 ? skipped : rejected;
+      const code = problem.reason === "Account already exists" ? 'conflict'
+        : skipped.length > 0 ? 'forbidden' : 'invalid_request';
+      return sendError(res, code, problem.reason, { key: problem.key });
+    }
+    
+    res.status(docs.length > 0 ? 201 : 200).json({
+      success: true,
+      vault: vault._id,
+      created: docs.map(doc => ({
+        key: doc.key,
+        name: doc.name,
+        issuer: doc.issuer,
+        accountName: doc.accountName,
+        type: doc.type
+      })),
+      skipped: skipped,
+      rejected: rejected
+    });
+  
+  } catch (err) {
+    console.error('Error extracting secret:', err);
+    sendError(res, 'internal_error', 'Server error');
+  }
+});
 
-    if (!qr) {
-      return res.status(422).json({
-        success: false,
-        error: "No QR code found"
+
+/**
+ * POST /api/import/google-authenticator
+ * Import a Google Authenticator "Transfer accounts" export, which may span
+ * several QR codes (batches).
+ * Payload:
+ * {
+ *   "images": ["data:image/png;base64,..."],        // and/or
+ *   "urls": ["otpauth-migration://offline?data=..."],
+ *   "save": true,      // optional, create the Account documents
+ *   "vault": "<id>",   // optional, defaults to your personal vault
+ *   "encrypt": false   // optional, store secrets unencrypted (default: encrypted)
+ * }
+ */
+app.post("/api/import/google-authenticator", audit('account.import'), authenticate, requireScope('accounts:write'), rateLimit('extract'), validate(routes.importGoogleAuthenticator), resolveVaults, async (req, res) => {
+  try {
+    const { images = [], urls = [], save } = req.body;
+    const shouldEncrypt = req.body.encrypt !== false;
+    
+    if (save && shouldEncrypt && !hasKeys()) {
+      return sendError(res, 'encryption_unavailable', NO_ENCRYPTION_KEY_ERROR);
+    }
+    
+    const migrationUrls = [...urls];
+    for (const image of images) {
+      // A screenshot may hold several batches
+      let codes;
+      try {
+        codes = await extractQRCodes(image);
+      } catch (err) {
+        if (err.code === 'IMAGE_TOO_LARGE') {
+          return sendError(res, 'payload_too_large', err.message);
+        }
+        return sendError(res, 'unprocessable', "Could not read the image");
+      }
+      const found = codes
+        .map(code => code.data)
+        .filter(data => data.startsWith("otpauth-migration://"));
+      if (found.length === 0) {
+        return sendError(res, 'no_qr_code', "No QR code found");
+      }
+      migrationUrls.push(...found);
+    }
+    
+    let migration;
+    try {
+      migration = mergeMigrationBatches(migrationUrls.map(parseMigrationURL));
+    } catch (err) {
+      return sendError(res, 'invalid_request', err.message);
+    }
+    
+    if (!save) {
+      return res.json({
+        success: true,
+        ...migration
       });
     }
+    
+    const vault = await targetVault(req);
+    res.locals.auditVault = vault._id;
+    if (!canManageVault(req, vault)) {
+      return sendError(res, 'forbidden', "Requires manage access to this vault");
+    }
+    
+    const { docs, skipped, rejected } = await planAccountImport(migration.accounts, req.apiKey, vault, shouldEncrypt);
+    
+    await db.accounts.insertMany(docs);
+    res.locals.auditDetails = {
+      format: "otpauth-migration",
+      created: docs.map(doc => doc.key),
+      skipped: skipped.length,
+      rejected: rejected.length
+    };
+    
+    res.status(docs.length > 0 ? 201 : 200).json({
+      success: true,
+      vault: vault._id,
+      batchId: migration.batchId,
+      batchSize: migration.batchSize,
+      batchesReceived: migration.batchesReceived,
+      missingBatches: migration.missingBatches,
+      created: docs.map(doc => ({ key: doc.key, name: doc.name, type: doc.type })),
+      skipped: skipped,
+      rejected: rejected
+    });
+  } catch (err) {
+    console.error('Error importing accounts:', err);
+    sendError(res, 'internal_error', 'Server error');
+  }
+});
 
-    // Parse OTPAUTH
-    const parsed = parseOTPAuth(qr.data);
 
-    return res.json({
+/**
+ * POST /api/import
+ * Import a backup file from another authenticator app.
+ * multipart/form-data fields:
+ *   file      - Aegis (plain or encrypted), 2FAS, andOTP, Bitwarden JSON,
+ *               or a text file with one otpauth:// URI per line
+ *   format    - optional, skips detection (aegis | 2fas | andotp | bitwarden | otpauth)
+ *   password  - for encrypted Aegis / 2FAS backups
+ *   vault     - optional vault id or name, defaults to your personal vault
+ *   dryRun    - "true" to only report what would happen
+ *   encrypt   - "false" to store secrets unencrypted (default: encrypted)
+ */
+app.post("/api/import", audit('account.import'), authenticate, requireScope('accounts:write'), rateLimit('extract'), upload.single("file"), validate(routes.importBackup), resolveVaults, async (req, res) => {
+  try {
+    const { format, password } = req.body;
+    const dryRun = req.body.dryRun === true;
+    const shouldEncrypt = req.body.encrypt !== false;
+    
+    if (!dryRun && shouldEncrypt && !hasKeys()) {
+      return sendError(res, 'encryption_unavailable', NO_ENCRYPTION_KEY_ERROR);
+    }
+    
+    // Parse errors say what is wrong with the file, e.g. a wrong password
+    let backup;
+    try {
+      backup = await parseBackup(req.file.buffer.toString("utf8"), { format, password });
+    } catch (err) {
+      return sendError(res, 'unprocessable', err.message);
+    }
+    
+    const vault = await targetVault(req);
+    res.locals.auditVault = vault._id;
+    if (!canManageVault(req, vault)) {
+      return sendError(res, 'forbidden', "Requires manage access to this vault");
+    }
+    
+    // Nothing is stored on a dry run, so there is nothing to encrypt
+    const { docs, skipped, rejected } = await planAccountImport(backup.entries, req.apiKey, vault, shouldEncrypt && !dryRun);
+    
+    if (!dryRun) {
+      await db.accounts.insertMany(docs);
+    }
+    res.locals.auditDetails = {
+      format: backup.format,
+      dryRun: dryRun,
+      created: docs.map(doc => doc.key),
+      skipped: skipped.length,
+      rejected: rejected.length
+    };
+    
+    res.status(!dryRun && docs.length > 0 ? 201 : 200).json({
       success: true,
-      ...parsed
+      format: backup.format,
+      dryRun: dryRun,
+      vault: vault._id,
+      summary: {
+        total: backup.entries.length,
+        created: docs.length,
+        skipped: skipped.length,
+        rejected: rejected.length
+      },
+      created: docs.map(doc => ({ key: doc.key, name: doc.name, type: doc.type })),
+      skipped: skipped,
+      rejected: rejected
     });
-
   } catch (err) {
-    console.error(err);
-    return res.status(500).json({
-      success: false,
-      error: err.message
-    });
+    console.error('Error importing accounts:', err);
+    sendError(res, 'internal_error', 'Server error');
   }
 });
 
 
+/**
+ * Code of a time-based account with its timing, clock offsets applied:
+ * { code, period, timeRemaining, expiresAt, safe, minRemaining }, plus
+ * `previous` and `next` when query.previous / query.next are 'true'.
+ * A code is `safe` with at least query.minRemaining (default
+ * CODE_MIN_REMAINING) seconds left.
+ */
+function timeBasedCode(account, secret, query) {
+  const timing = stepTiming(account);
+  const periodMs = account.period * 1000;
+  const minRemaining = minRemainingFor(account, query.minRemaining);
+  
+  const result = {
+    code: codeAt(account, secret, timing.step),
+    period: account.period,
+    timeRemaining: timing.timeRemaining,
+    expiresAt: timing.expiresAt.toISOString(),
+    safe: timing.msRemaining >= minRemaining * 1000,
+    minRemaining: minRemaining
+  };
+  if (query.previous === 'true') {
+    result.previous = {
+      code: codeAt(account, secret, timing.step - 1),
+      expiredAt: new Date(timing.expiresAt.getTime() - periodMs).toISOString()
+    };
+  }
+  if (query.next === 'true') {
+    result.next = {
+      code: codeAt(account, secret, timing.step + 1),
+      validFrom: timing.expiresAt.toISOString(),
+      expiresAt: new Date(timing.expiresAt.getTime() + periodMs).toISOString()
+    };
+  }
+  return result;
+}
+
+// Resolves to true after `ms`, or to false as soon as the client goes away
+function waitForClient(res, ms) {
+  return new Promise(resolve => {
+    const onClose = () => {
+      clearTimeout(timer);
+      resolve(false);
+    };
+    const timer = setTimeout(() => {
+      res.off('close', onClose);
+      resolve(true);
+    }, ms);
+    res.once('close', onClose);
+  });
+}
+
+/**
+ * Whether a lease keeps the code of `timing.step` from `apiKey`: another
+ * caller's active lease, or a consumed one. Resolves to { reason, retryAt },
+ * or null when the code may be handed out.
+ */
+async function leasedCode(account, apiKey, timing = stepTiming(account)) {
+  const lease = await db.codeLeases.findOne({ account: account._id, step: timing.step });
+  if (!lease || lease.status === 'released') return null;
+  if (lease.status === 'consumed') {
+    return { reason: 'Code of this time step was already used', retryAt: timing.expiresAt };
+  }
+  if (lease.expiresAt <= new Date() || lease.holder.id === String(apiKey.id)) return null;
+  return {
+    reason: 'Code is leased by another caller',
+    retryAt: new Date(Math.min(lease.expiresAt.getTime(), timing.expiresAt.getTime()))
+  };
+}
+
+// 409 for a code that is leased or used, saying when to try again
+function sendCodeTaken(res, { reason, retryAt }) {
+  const retryAfter = Math.max(1, Math.ceil((retryAt.getTime() - Date.now()) / 1000));
+  res.set('Retry-After', String(retryAfter));
+  return sendError(res, 'conflict', reason, { retryAfter, retryAt: retryAt.toISOString() });
+}
+
 // 1. Get MFA code for specific account (THIS IS WHAT TINES WILL CALL)
-app.get('/api/code/:accountKey', async (req, res) => {
+// Counter-based (HOTP) accounts advance their counter on every call.
+// Time-based accounts take ?minRemaining=, ?previous=, ?next= (see
+// timeBasedCode) and ?wait=true: when the current code is not safe to use,
+// the response waits for the next time step and carries its code.
+// While another caller leases the current code (POST .../lease), or after
+// it was consumed, responds 409 with Retry-After; with ?wait=true it waits
+// up to a minute for a free code instead.
+async function sendCode(req, res) {
   try {
-    const { accountKey } = req.params;
-    
-    const account = await Account.findByKey(accountKey);
+    let account = req.account;
+    res.locals.auditAccountKey = account.key;
     
-    if (!account) {
-      const allAccounts = await Account.find({}, 'key').lean();
-      return res.status(404).json({ 
-        error: 'Account not found',
-        availableAccounts: allAccounts.map(a => a.key)
+    // Claim the counter atomically so parallel requests never share a code
+    if (isCounterBased(account.type)) {
+      account = await Account.claimCounter(account._id);
+      if (!account) {
+        return sendError(res, 'conflict', 'Account changed while generating code, please retry');
+      }
+      
+      const token = generateOTP(account, account.getSecret(), account.counter);
+      res.locals.auditDetails = { counter: account.counter };
+      return res.json({
+        account: account.name || account.key,
+        key: account.key,
+        issuer: account.issuer,
+        accountName: account.accountName,
+        code: token,
+        algorithm: account.algorithm,
+        type: account.type,
+        counter: account.counter
       });
     }
     
-    // Check if secret is encrypted
-    let secret = account.secret;
-    if (account.encrypted) {
-      secret = decrypt(secret);
+    const wait = req.query.wait === 'true';
+    const started = Date.now();
+    let waited;
+    let leased;
+    while (true) {
+      if (wait) {
+        const { msRemaining } = stepTiming(account);
+        if (msRemaining < minRemainingFor(account, req.query.minRemaining) * 1000) {
+          // A few ms past the boundary so the next step has definitely begun
+          if (!await waitForClient(res, msRemaining + 5)) return;
+          waited = Date.now() - started;
+        }
+      }
+      
+      leased = await leasedCode(account, req.apiKey);
+      if (!leased || !wait || leased.retryAt.getTime() > started + LEASE_MAX_WAIT * 1000) break;
+      if (!await waitForClient(res, Math.max(leased.retryAt.getTime() - Date.now(), 0) + 5)) return;
+      waited = Date.now() - started;
     }
     
-    // Generate TOTP using RFC 6238 standard
-    const token = speakeasy.totp({
-      secret: secret,
-      encoding: 'base32',
-      algorithm: account.algorithm,
-      digits: account.digits,
-      step: account.period,
-      window: 0
-    });
+    if (leased) {
+      res.locals.auditDetails = { leased: true, waited: waited };
+      return sendCodeTaken(res, leased);
+    }
     
-    // Calculate time remaining
-    const epoch = Math.round(new Date().getTime() / 1000.0);
-    const timeRemaining = account.period - (epoch % account.period);
+    const { code, ...timing } = timeBasedCode(account, account.getSecret(), req.query);
+    if (waited !== undefined) res.locals.auditDetails = { waited: waited };
     
     res.json({
-      account: account.name || accountKey,
-      code: token,
+      account: account.name || account.key,
+      key: account.key,
+      issuer: account.issuer,
+      accountName: account.accountName,
+      code: code,
       algorithm: account.algorithm,
-      timeRemaining: timeRemaining,
-      expiresAt: new Date(Date.now() + (timeRemaining * 1000)).toISOString()
+      type: account.type,
+      ...timing,
+      waited: waited
     });
   } catch (err) {
     console.error('Error generating code:', err);
-    res.status(500).json({ error: 'Failed to generate code', details: err.message });
+    sendError(res, 'internal_error', 'Failed to generate code');
+  }
+}
+
+app.get('/api/code/:accountKey', audit('code.fetch'), authenticate, requireScope('codes:read'), rateLimit('code'), validate(routes.getCode), requireAccountAccess('accountKey'), resolveVaults, loadAccount('read', { param: 'accountKey' }), sendCode);
+
+// 1b. Look up a code by issuer and/or account name
+// e.g. GET /api/code?issuer=GitHub&account=ops@corp
+app.get('/api/code', audit('code.fetch'), authenticate, requireScope('codes:read'), rateLimit('code'), validate(routes.lookupCode), resolveVaults, lookupAccount('read'), sendCode);
+
+/**
+ * Try to lease the current time step of `account` to the API key `holder`.
+ * Resolves to { lease, timing }, or to { reason, retryAt } when the code is
+ * leased, consumed or has less than `minRemaining` seconds left.
+ */
+async function leaseCurrentCode(account, holder, timeout, minRemaining) {
+  const timing = stepTiming(account);
+  if (timing.msRemaining < minRemaining * 1000) {
+    return { reason: 'Code expires too soon', retryAt: timing.expiresAt };
+  }
+  
+  const expiresAt = new Date(Math.min(Date.now() + timeout * 1000, timing.expiresAt.getTime()));
+  const lease = await CodeLease.checkout(account, timing.step, { holder, expiresAt, codeExpiresAt: timing.expiresAt });
+  if (lease) return { lease, timing };
+  
+  const current = await db.codeLeases.findOne({ account: account._id, step: timing.step });
+  if (!current) {
+    // Purged or released in between, try again right away
+    return { reason: 'Code is leased by another caller', retryAt: new Date() };
+  }
+  if (current.status === 'consumed') {
+    return { reason: 'Code of this time step was already used', retryAt: timing.expiresAt };
+  }
+  // Active, or released in between: free when the lease times out
+  return {
+    reason: 'Code is leased by another caller',
+    retryAt: new Date(Math.min(current.expiresAt.getTime(), timing.expiresAt.getTime()))
+  };
+}
+
+/**
+ * POST /api/accounts/:key/lease
+ * Check out the current code so that no other caller gets it: concurrent
+ * automations each get a distinct, unused code. GET /api/code and
+ * /api/codes withhold a leased or consumed code from everyone but the
+ * holder; they don't reserve it, so callers that must not collide lease.
+ * The live stream and webhooks deliver to trusted receivers and ignore
+ * leases.
+ * Payload (all optional):
+ * {
+ *   "timeout": 30,      // seconds held unless released or consumed, default CODE_LEASE_TIMEOUT
+ *   "minRemaining": 5,  // seconds the code must have left, as for GET /api/code
+ *   "wait": true,       // wait for a free code instead of a 409
+ *   "maxWait": 60,      // with wait, seconds to wait at most
+ *   "vault": "<id>"
+ * }
+ * Responds 201 with the lease and its code. Finish it with
+ * POST /api/leases/:id/consume once the code was used, or
+ * /api/leases/:id/release if it wasn't. While the code is taken, responds
+ * 409 with details.retryAfter (seconds) and a Retry-After header.
+ */
+app.post('/api/accounts/:key/lease', audit('code.lease'), authenticate, requireScope('codes:read'), rateLimit('code'), validate(routes.leaseCode), requireAccountAccess(), resolveVaults, loadAccount('read'), async (req, res) => {
+  try {
+    const account = req.account;
+    res.locals.auditAccountKey = account.key;
+    
+    if (isCounterBased(account.type)) {
+      return sendError(res, 'invalid_request', `HOTP codes are never handed out twice, use /api/code/${account.key}`);
+    }
+    
+    const timeout = req.body.timeout || LEASE_TIMEOUT;
+    const minRemaining = minRemainingFor(account, req.body.minRemaining);
+    const started = Date.now();
+    const giveUpAt = started + (req.body.wait ? (req.body.maxWait ?? LEASE_MAX_WAIT) * 1000 : 0);
+    
+    let attempt = await leaseCurrentCode(account, req.apiKey, timeout, minRemaining);
+    while (!attempt.lease && req.body.wait && attempt.retryAt.getTime() <= giveUpAt) {
+      // A few ms past the lease timeout or step boundary
+      if (!await waitForClient(res, Math.max(attempt.retryAt.getTime() - Date.now(), 0) + 5)) return;
+      attempt = await leaseCurrentCode(account, req.apiKey, timeout, minRemaining);
+    }
+    
+    const waited = req.body.wait ? Date.now() - started : undefined;
+    if (!attempt.lease) {
+      res.locals.auditDetails = { leased: false, waited: waited };
+      return sendCodeTaken(res, attempt);
+    }
+    
+    const { lease, timing } = attempt;
+    res.locals.auditDetails = { leased: true, timeStep: lease.step, waited: waited };
+    res.status(201).json({
+      id: lease.token,
+      vault: lease.vault,
+      key: lease.key,
+      code: codeAt(account, account.getSecret(), lease.step),
+      timeStep: lease.step,
+      status: lease.status,
+      expiresAt: lease.expiresAt,
+      codeExpiresAt: timing.expiresAt,
+      timeRemaining: timing.timeRemaining,
+      waited: waited
+    });
+  } catch (err) {
+    console.error('Error leasing code:', err);
+    sendError(res, 'internal_error', 'Failed to lease code');
   }
 });
 
+// Release and consume code leases
+app.use('/api/leases', authenticate, requireScope('codes:read'), leasesRouter);
+
 // 2. Get ALL MFA codes at once
-app.get('/api/codes', async (req, res) => {
+// Takes the same filters and pagination as GET /api/accounts; codes are only
+// generated for the returned page. ?minRemaining=, ?previous= and ?next= work
+// as for a single code.
+// HOTP accounts are listed without a code: generating one would burn a counter.
+// Codes leased by another caller, or consumed, are listed without a code and
+// with retryAt, as GET /api/code would refuse them.
+app.get('/api/codes', audit('codes.list'), authenticate, requireScope('codes:read'), rateLimit('code'), validate(routes.listCodes), resolveVaults, async (req, res) => {
   try {
-    const accounts = await Account.find({});
-    const epoch = Math.round(new Date().getTime() / 1000.0);
+    const listQuery = parseListQuery(req.query);
+    if (listQuery.error) {
+      return sendError(res, 'invalid_request', listQuery.error);
+    }
+    
+    const { accounts, total, nextCursor } = await findAccountPage(db.accounts, accountScope(req, 'read'), listQuery);
+    
+    const leases = new Map();
+    await Promise.all(accounts.filter(account => !isCounterBased(account.type)).map(async account => {
+      const leased = await leasedCode(account, req.apiKey);
+      if (leased) leases.set(String(account._id), leased);
+    }));
     
     const codes = accounts.map(account => {
+      if (isCounterBased(account.type)) {
+        return {
+          vault: account.vault,
+          key: account.key,
+          name: account.name,
+          type: account.type,
+          counter: account.counter,
+          code: null,
+          message: `HOTP codes are counter-based, use /api/code/${account.key}`
+        };
+      }
+      
+      const leased = leases.get(String(account._id));
+      if (leased) {
+        return {
+          vault: account.vault,
+          key: account.key,
+          name: account.name,
+          type: account.type,
+          code: null,
+          message: leased.reason,
+          retryAt: leased.retryAt
+        };
+      }
+      
       try {
-        let secret = account.secret;
-        if (account.encrypted) {
-          secret = decrypt(secret);
-        }
-        
-        const token = speakeasy.totp({
-          secret: secret,
-          encoding: 'base32',
-          algorithm: account.algorithm,
-          digits: account.digits,
-          step: account.period,
-          window: 0
-        });
-        
-        const timeRemaining = account.period - (epoch % account.period);
+        const { code, ...timing } = timeBasedCode(account, account.getSecret(), req.query);
         
         return {
+          vault: account.vault,
           key: account.key,
           name: account.name,
-          code: token,
+          issuer: account.issuer,
+          accountName: account.accountName,
+          code: code,
           algorithm: account.algorithm,
-          timeRemaining: timeRemaining
+          type: account.type,
+          ...timing
         };
       } catch (err) {
         return {
+          vault: account.vault,
           key: account.key,
           name: account.name,
           error: 'Failed to generate code'
@@ -226,81 +834,158 @@ app.get('/api/codes', async (req, res) => {
       }
     });
     
-    res.json({ codes });
+    res.locals.auditDetails = { accounts: codes.map(c => c.key) };
+    res.json({ codes, total, nextCursor });
   } catch (err) {
     console.error('Error fetching codes:', err);
-    res.status(500).json({ error: 'Server error', details: err.message });
+    sendError(res, 'internal_error', 'Server error');
   }
 });
 
+// 2b. Stream codes as they roll over (Server-Sent Events)
+app.use('/api/codes/stream', allowQueryToken, audit('codes.stream'), authenticate, requireScope('codes:read'), resolveVaults, streamRouter);
+
 // 3. Add new account (for easy setup)
-app.post('/api/accounts', async (req, res) => {
+// `type` is one of utils/otpTypes.js (totp, hotp, steam, motp); mOTP also
+// needs the `pin`.
+// With "generateSecret": true instead of a secret, a random secret is created
+// and returned once with its otpauth:// URL and QR code, for enrolling
+// services we run ourselves.
+app.post('/api/accounts', audit('account.create'), authenticate, requireScope('accounts:write'), validate(routes.createAccount), resolveVaults, async (req, res) => {
   try {
-    const { key, name, secret, digits, period, algorithm, type, counter, encrypt: shouldEncrypt } = req.body;
+    const { key, name, issuer, accountName, icon, notes, folder, tags, digits, period, clockOffset, algorithm, counter, pin } = req.body;
+    const type = (req.body.type || 'totp').toLowerCase();
+    const shouldEncrypt = req.body.encrypt !== false;
+    const generated = req.body.generateSecret === true;
+    res.locals.auditAccountKey = key;
     
-    if (!key || !secret) {
-      return res.status(400).json({ error: 'key and secret are required' });
+    if (!req.body.secret && !generated) {
+      return sendError(res, 'validation_failed', 'secret (or generateSecret: true) is required', [
+        { field: 'body.secret', message: 'must be set unless generateSecret is true' }
+      ]);
     }
     
-    // Check if account already exists
-    const existingAccount = await Account.findByKey(key);
-    if (existingAccount) {
-      return res.status(409).json({ error: 'Account already exists' });
+    if (req.body.secret && generated) {
+      return sendError(res, 'validation_failed', 'Pass either secret or generateSecret, not both', [
+        { field: 'body.generateSecret', message: 'must not be set together with secret' }
+      ]);
     }
     
-    // Normalize algorithm
-    const normalizedAlgorithm = (algorithm || 'sha1').toLowerCase();
+    // Case-insensitive, so the schema only checks for a string
+    if (!OTP_TYPES.includes(type)) {
+      return sendError(res, 'validation_failed', `type must be one of: ${OTP_TYPES.join(', ')}`, [
+        { field: 'body.type', message: `must be one of: ${OTP_TYPES.join(', ')}` }
+      ]);
+    }
     
-    // Validate secret by trying to generate a code
-    try {
-      speakeasy.totp({
-        secret: secret,
-        encoding: 'base32',
-        algorithm: normalizedAlgorithm
-      });
-    } catch (err) {
-      return res.status(400).json({ error: 'Invalid secret key' });
+    const secret = packSecret(type, generated ? randomSecret(type) : req.body.secret, pin);
+    const secretError = validateSecret(type, secret);
+    if (secretError) {
+      return sendError(res, 'validation_failed', secretError, [{ field: 'body.secret', message: secretError }]);
+    }
+    
+    if (shouldEncrypt && !hasKeys()) {
+      return sendError(res, 'encryption_unavailable', NO_ENCRYPTION_KEY_ERROR);
+    }
+    
+    if (!req.apiKey.canAccessAccount(key)) {
+      return sendError(res, 'forbidden', 'API key is not allowed to access this account');
+    }
+    
+    const vault = await targetVault(req);
+    res.locals.auditVault = vault._id;
+    if (!canManageVault(req, vault)) {
+      return sendError(res, 'forbidden', 'Requires manage access to this vault');
+    }
+    
+    // Check if account already exists in the vault
+    const existingAccount = await Account.findByKey(key, vault._id);
+    if (existingAccount) {
+      return sendError(res, 'conflict', 'Account already exists', { key: key });
     }
     
     // Create new account
     const newAccount = new Account({
+      vault: vault._id,
       key: key,
       name: name || key,
-      secret: shouldEncrypt ? encrypt(secret) : secret,
-      encrypted: shouldEncrypt || false,
-      digits: digits || 6,
-      period: period || 30,
-      algorithm: normalizedAlgorithm,
-      type: type || 'totp',
+      issuer: issuer || null,
+      accountName: accountName || null,
+      icon: icon || null,
+      notes: notes || null,
+      folder: folder || null,
+      tags: tags ? normalizeTags(tags) : [],
+      ...otpParams(type, { digits, period, algorithm }),
+      clockOffset: clockOffset || 0,
+      type: type,
       counter: counter || 0
-    });
+    }).setSecret(secret, shouldEncrypt);
     
-    await newAccount.save();
+    const validationError = newAccount.validateSync();
+    if (validationError) {
+      return sendError(res, 'validation_failed', validationMessage(validationError), validationDetails(validationError));
+    }
     
-    res.status(201).json({
+    await db.accounts.save(newAccount);
+    
+    const response = {
       message: 'Account added successfully',
+      vault: newAccount.vault,
       key: newAccount.key,
       name: newAccount.name,
+      issuer: newAccount.issuer,
+      accountName: newAccount.accountName,
+      folder: newAccount.folder,
+      tags: newAccount.tags,
+      type: newAccount.type,
       algorithm: newAccount.algorithm
-    });
+    };
+    
+    // The generated secret is only ever returned here
+    if (generated) {
+      res.locals.auditDetails = { generated: true };
+      res.set('Cache-Control', 'no-store');
+      response.secret = type === 'motp' ? secret.split(':')[0] : secret;
+      if (hasOTPAuthURL(type)) {
+        response.otpAuthUrl = accountOTPAuthURL(newAccount, secret);
+        response.qrCode = await QRCode.toDataURL(response.otpAuthUrl, QR_OPTIONS);
+      }
+    }
+    
+    res.status(201).json(response);
   } catch (err) {
     console.error('Error adding account:', err);
-    res.status(500).json({ error: 'Server error', details: err.message });
+    sendError(res, 'internal_error', 'Server error');
   }
 });
 
-// 4. List all accounts (without secrets)
-app.get('/api/accounts', async (req, res) => {
+// 4. List accounts (without secrets)
+// Filters: tag, folder, issuer, type, q; sort/order; limit/cursor pagination
+app.get('/api/accounts', authenticate, requireScope('accounts:read'), validate(routes.listAccounts), resolveVaults, async (req, res) => {
   try {
-    const accounts = await Account.find({}, '-secret').lean();
+    const listQuery = parseListQuery(req.query);
+    if (listQuery.error) {
+      return sendError(res, 'invalid_request', listQuery.error);
+    }
+    
+    const { accounts, total, nextCursor } = await findAccountPage(db.accounts, accountScope(req, 'read'), listQuery, '-secret');
     
     const accountList = accounts.map(account => ({
+      vault: account.vault,
       key: account.key,
       name: account.name,
+      issuer: account.issuer,
+      accountName: account.accountName,
+      icon: account.icon,
+      notes: account.notes,
+      folder: account.folder,
+      tags: account.tags,
       digits: account.digits,
       period: account.period,
+      clockOffset: account.clockOffset || 0,
       algorithm: account.algorithm,
       type: account.type,
+      counter: isCounterBased(account.type) ? account.counter : undefined,
       encrypted: account.encrypted,
       createdAt: account.createdAt,
       updatedAt: account.updatedAt
@@ -308,115 +993,883 @@ app.get('/api/accounts', async (req, res) => {
     
     res.json({
       accounts: accountList,
-      total: accountList.length
+      total: total,
+      nextCursor: nextCursor
     });
   } catch (err) {
     console.error('Error listing accounts:', err);
-    res.status(500).json({ error: 'Server error', details: err.message });
+    sendError(res, 'internal_error', 'Server error');
   }
 });
 
 // 5. Update account
-app.put('/api/accounts/:key', async (req, res) => {
+// An mOTP secret is replaced together with its `pin`. The state before the
+// change is kept as a revision, see /api/accounts/:key/revisions.
+app.put('/api/accounts/:key', audit('account.update'), authenticate, requireScope('accounts:write'), validate(routes.updateAccount), requireAccountAccess(), resolveVaults, loadAccount('manage'), async (req, res) => {
   try {
-    const { key } = req.params;
-    const { name, secret, digits, period, algorithm, encrypt: shouldEncrypt } = req.body;
+    const { name, issuer, accountName, icon, notes, folder, tags, secret, pin, digits, period, clockOffset, algorithm } = req.body;
+    const shouldEncrypt = req.body.encrypt !== false;
     
-    const account = await Account.findByKey(key);
-    if (!account) {
-      return res.status(404).json({ error: 'Account not found' });
+    if (secret && shouldEncrypt && !hasKeys()) {
+      return sendError(res, 'encryption_unavailable', NO_ENCRYPTION_KEY_ERROR);
+    }
+    
+    const account = req.account;
+    const previous = Account.hydrate(account.toObject());
+    
+    const newSecret = secret ? packSecret(account.type, secret, pin) : null;
+    const secretError = newSecret && validateSecret(account.type, newSecret);
+    if (secretError) {
+      return sendError(res, 'validation_failed', secretError, [{ field: 'body.secret', message: secretError }]);
     }
     
     // Update fields
     if (name) account.name = name;
+    // These can be cleared with null or ''
+    if (issuer !== undefined) account.issuer = issuer || null;
+    if (accountName !== undefined) account.accountName = accountName || null;
+    if (icon !== undefined) account.icon = icon || null;
+    if (notes !== undefined) account.notes = notes || null;
+    if (folder !== undefined) account.folder = folder || null;
+    if (tags !== undefined) account.tags = normalizeTags(tags);
     if (digits) account.digits = digits;
     if (period) account.period = period;
+    if (clockOffset !== undefined) account.clockOffset = clockOffset;
     if (algorithm) account.algorithm = algorithm.toLowerCase();
     
-    if (secret) {
-      account.secret = shouldEncrypt ? encrypt(secret) : secret;
-      account.encrypted = shouldEncrypt || false;
+    if (newSecret) {
+      account.setSecret(newSecret, shouldEncrypt);
     }
     
-    await account.save();
+    await account.validate();
+    const changedFields = AccountRevision.changedFields(account);
+    if (changedFields.length > 0) {
+      const revision = await AccountRevision.record(previous, { reason: 'update', changedFields, actor: req.apiKey });
+      res.locals.auditDetails = { revision: String(revision._id) };
+    }
+    
+    await db.accounts.save(account);
+    res.locals.auditDetails = { ...res.locals.auditDetails, fields: Object.keys(req.body).filter(field => field !== 'encrypt') };
     
     res.json({
       message: 'Account updated successfully',
       key: account.key,
-      name: account.name
+      name: account.name,
+      folder: account.folder,
+      tags: account.tags
     });
   } catch (err) {
+    if (err.name === 'ValidationError') {
+      return sendError(res, 'validation_failed', validationMessage(err), validationDetails(err));
+    }
     console.error('Error updating account:', err);
-    res.status(500).json({ error: 'Server error', details: err.message });
+    sendError(res, 'internal_error', 'Server error');
   }
 });
 
 // 6. Delete account
-app.delete('/api/accounts/:key', async (req, res) => {
+// The account goes to the trash: restore it with POST /api/trash/:id/restore
+// until it is purged after TRASH_RETENTION_DAYS.
+app.delete('/api/accounts/:key', audit('account.delete'), authenticate, requireScope('accounts:write'), validate(routes.deleteAccount), requireAccountAccess(), resolveVaults, loadAccount('manage'), async (req, res) => {
   try {
     const { key } = req.params;
     
-    const account = await Account.findOneAndDelete({ key: key });
+    const account = await db.accounts.findOneAndUpdate(
+      { _id: req.account._id, deletedAt: null },
+      { $set: { deletedAt: new Date() } },
+      { new: true }
+    );
     
     if (!account) {
-      return res.status(404).json({ error: 'Account not found' });
+      return sendError(res, 'not_found', 'Account not found');
     }
+    res.locals.auditDetails = { trashId: String(account._id) };
     
     res.json({
-      message: 'Account deleted successfully',
-      key: key
+      message: 'Account moved to the trash',
+      key: key,
+      trashId: account._id,
+      purgeAt: purgeAt(account.deletedAt)
     });
   } catch (err) {
     console.error('Error deleting account:', err);
-    res.status(500).json({ error: 'Server error', details: err.message });
+    sendError(res, 'internal_error', 'Server error');
+  }
+});
+
+// 18. Revision history
+// Revisions never include the secret.
+app.get('/api/accounts/:key/revisions', authenticate, requireScope('accounts:read'), validate(routes.listRevisions), requireAccountAccess(), resolveVaults, loadAccount('read'), async (req, res) => {
+  try {
+    const revisions = await db.accountRevisions.find({ account: req.account._id }, '-secret', { sort: { createdAt: -1 } });
+    
+    res.json({
+      revisions: revisions.map(revision => ({
+        id: revision._id,
+        reason: revision.reason,
+        changedFields: revision.changedFields,
+        actor: revision.actor,
+        ...Object.fromEntries(AccountRevision.FIELDS.map(field => [field, revision[field]])),
+        createdAt: revision.createdAt
+      })),
+      total: revisions.length
+    });
+  } catch (err) {
+    console.error('Error listing revisions:', err);
+    sendError(res, 'internal_error', 'Server error');
+  }
+});
+
+/**
+ * POST /api/accounts/:key/revisions/:revisionId/rollback
+ * Puts back the secret and settings of a revision. The current state is kept
+ * as a new revision first, so a rollback can itself be rolled back.
+ */
+app.post('/api/accounts/:key/revisions/:revisionId/rollback', audit('account.rollback'), authenticate, requireScope('accounts:write'), validate(routes.rollbackAccount), requireAccountAccess(), resolveVaults, loadAccount('manage'), async (req, res) => {
+  try {
+    const account = req.account;
+    
+    const revision = await db.accountRevisions.findOne({ _id: req.params.revisionId, account: account._id });
+    if (!revision) {
+      return sendError(res, 'not_found', 'Revision not found');
+    }
+    
+    const previous = Account.hydrate(account.toObject());
+    revision.applyTo(account);
+    await account.validate();
+    
+    const changedFields = AccountRevision.changedFields(account);
+    res.locals.auditDetails = { revision: String(revision._id), fields: changedFields };
+    if (changedFields.length === 0) {
+      return res.json({
+        message: 'Account already matches this revision',
+        key: account.key,
+        revision: revision._id,
+        changedFields: changedFields
+      });
+    }
+    
+    const saved = await AccountRevision.record(previous, { reason: 'rollback', changedFields, actor: req.apiKey });
+    await db.accounts.save(account);
+    res.locals.auditDetails.savedAs = String(saved._id);
+    
+    res.json({
+      message: 'Account rolled back',
+      key: account.key,
+      revision: revision._id,
+      previousState: saved._id,
+      changedFields: changedFields
+    });
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return sendError(res, 'validation_failed', validationMessage(err), validationDetails(err));
+    }
+    console.error('Error rolling back account:', err);
+    sendError(res, 'internal_error', 'Server error');
+  }
+});
+
+// 7. Resync HOTP counter
+/**
+ * POST /api/accounts/:key/resync
+ * Payload, either:
+ * { "counter": 42 }                          - set the next counter explicitly
+ * { "codes": ["123456", "654321"], "lookAhead": 100 }
+ *                                            - find consecutive codes from the token
+ */
+app.post('/api/accounts/:key/resync', audit('account.resync'), authenticate, requireScope('accounts:write'), validate(routes.resyncAccount), requireAccountAccess(), resolveVaults, loadAccount('manage'), async (req, res) => {
+  try {
+    const { counter, codes, lookAhead = 100 } = req.body;
+    
+    const account = req.account;
+    
+    if (!isCounterBased(account.type)) {
+      return sendError(res, 'invalid_request', 'Only HOTP accounts have a counter');
+    }
+    
+    let nextCounter;
+    
+    if (counter !== undefined) {
+      nextCounter = counter;
+    } else {
+      const window = lookAhead;
+      const secret = account.getSecret();
+      
+      // Search from the stored counter for the codes as a consecutive run
+      for (let start = account.counter; start <= account.counter + window; start++) {
+        const matches = codes.every((code, i) =>
+          generateOTP(account, secret, start + i) === String(code)
+        );
+        if (matches) {
+          nextCounter = start + codes.length;
+          break;
+        }
+      }
+      
+      if (nextCounter === undefined) {
+        return sendError(res, 'unprocessable', 'Codes not found within look-ahead window');
+      }
+    }
+    
+    const updated = await db.accounts.findOneAndUpdate(
+      { _id: account._id, type: account.type, deletedAt: null },
+      { $set: { counter: nextCounter } },
+      { new: true }
+    );
+    if (!updated) {
+      // Deleted or no longer HOTP since it was loaded
+      return sendError(res, 'conflict', 'Account was deleted or changed while resyncing, try again');
+    }
+    
+    res.locals.auditDetails = { previousCounter: account.counter, counter: updated.counter };
+    
+    res.json({
+      message: 'Counter resynchronized',
+      key: updated.key,
+      previousCounter: account.counter,
+      counter: updated.counter
+    });
+  } catch (err) {
+    console.error('Error resyncing counter:', err);
+    sendError(res, 'internal_error', 'Server error');
+  }
+});
+
+// 16. Enrollment QR code and otpauth:// URI
+/**
+ * GET /api/accounts/:key/qr
+ * Reveals the secret, so it needs the secrets:reveal scope and manage access
+ * to the vault, and is audited as secret.reveal.
+ *   format=json (default) - { otpAuthUrl, qrCode } with a PNG data URL
+ *   format=png | svg      - the QR image itself
+ */
+app.get('/api/accounts/:key/qr', audit('secret.reveal'), authenticate, requireScope('secrets:reveal'), validate(routes.accountQRCode), requireAccountAccess(), resolveVaults, loadAccount('manage'), async (req, res) => {
+  try {
+    const format = req.query.format || 'json';
+    
+    const account = req.account;
+    if (!hasOTPAuthURL(account.type)) {
+      return sendError(res, 'invalid_request', `${account.type} accounts have no otpauth:// URL or QR code`);
+    }
+    
+    const otpAuthUrl = accountOTPAuthURL(account, account.getSecret());
+    res.locals.auditDetails = { format: format };
+    res.set('Cache-Control', 'no-store');
+    
+    if (format === 'png') {
+      return res.type('png').send(await QRCode.toBuffer(otpAuthUrl, QR_OPTIONS));
+    }
+    if (format === 'svg') {
+      return res.type('svg').send(await QRCode.toString(otpAuthUrl, { ...QR_OPTIONS, type: 'svg' }));
+    }
+    
+    res.json({
+      key: account.key,
+      name: account.name,
+      otpAuthUrl: otpAuthUrl,
+      qrCode: await QRCode.toDataURL(otpAuthUrl, QR_OPTIONS)
+    });
+  } catch (err) {
+    console.error('Error generating QR code:', err);
+    sendError(res, 'internal_error', 'Failed to generate QR code');
+  }
+});
+
+// 13. Verify a code (this server as the verifier side)
+/**
+ * POST /api/accounts/:key/verify
+ * Payload:
+ * {
+ *   "code": "123456",
+ *   "window": 1,      // TOTP: accepted time steps before/after now (default 1, max 10)
+ *   "lookAhead": 10   // HOTP: counters checked ahead of the stored one (default 10, max 100)
+ * }
+ * An accepted code can't be accepted again. HOTP accounts move their counter
+ * past the matched value. Codes that don't match, or were already used,
+ * count towards a lockout of the caller.
+ */
+app.post('/api/accounts/:key/verify', audit('code.verify'), authenticate, requireScope('codes:verify'), rateLimit('verify'), validate(routes.verifyCode), requireAccountAccess(), resolveVaults, loadAccount('read'), async (req, res) => {
+  try {
+    const { code } = req.body;
+    
+    const account = req.account;
+    
+    // Steam and mOTP codes contain letters, compare them case-insensitively
+    const candidate = String(code).trim().toLowerCase();
+    const secret = account.getSecret();
+    const matches = factor => {
+      const expected = codeAt(account, secret, factor).toLowerCase();
+      return expected.length === candidate.length &&
+        crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate));
+    };
+    
+    if (isCounterBased(account.type)) {
+      // 0 is a valid choice, only a missing value takes the default
+      const lookAhead = req.body.lookAhead ?? 10;
+      
+      let matched = null;
+      for (let counter = account.counter; counter <= account.counter + lookAhead; counter++) {
+        if (matches(counter)) {
+          matched = counter;
+          break;
+        }
+      }
+      
+      if (matched === null) {
+        res.locals.auditDetails = { valid: false };
+        res.locals.failedAttempt = true;
+        return res.json({ valid: false, reason: 'Code does not match' });
+      }
+      
+      const updated = await Account.acceptCounter(account._id, matched);
+      if (!updated) {
+        res.locals.auditDetails = { valid: false, reason: 'replay' };
+        res.locals.failedAttempt = true;
+        return res.json({ valid: false, reason: 'Code was already used' });
+      }
+      
+      res.locals.auditDetails = { valid: true, counter: matched };
+      return res.json({
+        valid: true,
+        type: account.type,
+        counter: matched,
+        offset: matched - account.counter,
+        nextCounter: updated.counter
+      });
+    }
+    
+    const window = req.body.window ?? 1;
+    // The step /api/code hands out, clock offsets applied
+    const { step: currentStep } = stepTiming(account);
+    
+    // Check the current step first, then spread out
+    let matched = null;
+    for (let distance = 0; distance <= window && matched === null; distance++) {
+      for (const step of distance === 0 ? [currentStep] : [currentStep - distance, currentStep + distance]) {
+        if (matches(step)) {
+          matched = step;
+          break;
+        }
+      }
+    }
+    
+    if (matched === null) {
+      res.locals.auditDetails = { valid: false };
+      res.locals.failedAttempt = true;
+      return res.json({ valid: false, reason: 'Code does not match' });
+    }
+    
+    const updated = await Account.acceptTimeStep(account._id, matched);
+    if (!updated) {
+      res.locals.auditDetails = { valid: false, reason: 'replay' };
+      res.locals.failedAttempt = true;
+      return res.json({ valid: false, reason: 'Code was already used' });
+    }
+    
+    res.locals.auditDetails = { valid: true, timeStep: matched, delta: matched - currentStep };
+    res.json({
+      valid: true,
+      type: account.type,
+      timeStep: matched,
+      delta: matched - currentStep,
+      // In server time, like expiresAt of /api/code
+      stepStartedAt: new Date(matched * account.period * 1000 - offsetMs(account)).toISOString()
+    });
+  } catch (err) {
+    console.error('Error verifying code:', err);
+    sendError(res, 'internal_error', 'Server error');
+  }
+});
+
+// 8. API key management (admin only)
+app.use('/api/admin/keys', authenticate, requireScope('admin'), apiKeysRouter);
+
+// 11. Master key rotation (admin only)
+app.use('/api/admin/key-rotation', authenticate, requireScope('admin'), keyRotationRouter);
+
+// 14. Vaults and sharing
+app.use('/api/vaults', authenticate, resolveVaults, vaultsRouter);
+
+// 15. Users (admin only)
+app.use('/api/admin/users', authenticate, requireScope('admin'), usersRouter);
+
+// 12. Audit trail
+app.use('/api/audit', authenticate, requireScope('audit:read'), resolveVaults, auditRouter);
+
+// 17. Webhooks (admin only)
+app.use('/api/admin/webhooks', authenticate, requireScope('admin'), resolveVaults, webhooksRouter);
+
+// 19. Trash of deleted accounts
+app.use('/api/trash', authenticate, resolveVaults, trashRouter);
+
+/**
+ * POST /api/accounts/:key/push
+ * Payload (optional):
+ * { "webhook": "<webhook id>" }   // only this webhook, default all of the account's
+ * Sends the current code to the account's webhooks right away. "rollover"
+ * webhooks don't need this, they get each new code when a period starts.
+ * Responds 202 with the deliveries; follow them with
+ * GET /api/admin/webhooks/:id/deliveries.
+ */
+app.post('/api/accounts/:key/push', audit('code.push'), authenticate, requireScope('codes:read'), rateLimit('code'), validate(routes.pushCode), requireAccountAccess(), resolveVaults, loadAccount('read'), async (req, res) => {
+  try {
+    const filter = { account: req.account._id, active: true };
+    if (req.body.webhook) {
+      filter._id = req.body.webhook;
+    }
+    
+    const webhooks = await db.webhooks.find(filter);
+    if (webhooks.length === 0) {
+      return sendError(res, 'not_found', 'No webhooks registered for this account');
+    }
+    
+    const deliveries = await pushCode(req.account, webhooks);
+    res.locals.auditDetails = { webhooks: webhooks.map(webhook => String(webhook._id)) };
+    
+    res.status(202).json({
+      message: 'Code push started',
+      key: req.account.key,
+      deliveries: deliveries.map(delivery => ({
+        id: delivery._id,
+        webhook: delivery.webhook,
+        status: delivery.status
+      }))
+    });
+  } catch (err) {
+    console.error('Error pushing code:', err);
+    sendError(res, 'internal_error', 'Server error');
+  }
+});
+
+// 9. Export all accounts
+/**
+ * GET /api/export
+ * Query:
+ *   format=vault (default) - passphrase-encrypted archive, restorable with POST /api/restore
+ *   format=otpauth         - plain text, one otpauth:// URI per line (UNENCRYPTED)
+ * Headers:
+ *   X-Export-Passphrase    - required for format=vault
+ * Accounts whose secret can't be decrypted are left out, listed in the
+ * X-Rejected-Accounts header and, for format=vault, in "rejected" next to the
+ * archive fields.
+ */
+app.get('/api/export', audit('vault.export'), authenticate, requireScope('admin'), validate(routes.exportAccounts), resolveVaults, async (req, res) => {
+  try {
+    const format = req.query.format || 'vault';
+    
+    // The schema checks its length, but only format=vault needs one
+    const passphrase = req.get('x-export-passphrase');
+    if (format === 'vault' && !passphrase) {
+      return sendError(res, 'validation_failed', `X-Export-Passphrase header of at least ${MIN_PASSPHRASE_LENGTH} characters is required`, [
+        { field: 'headers.x-export-passphrase', message: 'is required for format=vault' }
+      ]);
+    }
+    
+    const accounts = await db.accounts.find(accountScope(req, 'read'), null, { sort: { key: 1 } });
+    const exportedAt = new Date().toISOString();
+    const stamp = exportedAt.slice(0, 10);
+    
+    // An account whose secret can't be decrypted is left out and reported,
+    // rather than failing the whole export
+    const entries = [];
+    const rejected = [];
+    for (const account of accounts) {
+      let secret;
+      try {
+        secret = account.getSecret();
+      } catch (err) {
+        rejected.push({ key: account.key, reason: err.message });
+        continue;
+      }
+      entries.push({
+        key: account.key,
+        name: account.name,
+        issuer: account.issuer,
+        accountName: account.accountName,
+        icon: account.icon,
+        notes: account.notes,
+        folder: account.folder,
+        tags: account.tags,
+        secret: secret,
+        encrypted: account.encrypted,
+        digits: account.digits,
+        period: account.period,
+        clockOffset: account.clockOffset || 0,
+        algorithm: account.algorithm,
+        type: account.type,
+        counter: account.counter,
+        createdAt: account.createdAt,
+        updatedAt: account.updatedAt
+      });
+    }
+    res.locals.auditDetails = { format: format, accounts: entries.map(entry => entry.key) };
+    if (rejected.length > 0) {
+      res.locals.auditDetails.rejected = rejected;
+      res.set('X-Rejected-Accounts', rejected.map(entry => encodeURIComponent(entry.key)).join(','));
+    }
+    
+    if (format === 'otpauth') {
+      // mOTP has no otpauth:// form; those accounts are only in vault archives
+      const skipped = entries.filter(entry => !hasOTPAuthURL(entry.type)).map(entry => entry.key);
+      if (skipped.length > 0) {
+        res.locals.auditDetails.skipped = skipped;
+        res.set('X-Skipped-Accounts', skipped.map(encodeURIComponent).join(','));
+      }
+      
+      const lines = entries.filter(entry => hasOTPAuthURL(entry.type)).map(entry => buildOTPAuthURL({
+        secret: entry.secret,
+        issuer: entry.issuer,
+        accountName: entry.accountName || entry.name || entry.key,
+        type: entry.type,
+        algorithm: entry.algorithm,
+        digits: entry.digits,
+        period: entry.period,
+        counter: entry.counter
+      }));
+      
+      res.set('Content-Disposition', `attachment; filename="mfa-accounts-${stamp}.txt"`);
+      return res.type('text/plain').send(lines.join('\n') + '\n');
+    }
+    
+    const archive = await encryptVault({ exportedAt, accounts: entries }, passphrase);
+    
+    res.set('Content-Disposition', `attachment; filename="mfa-vault-${stamp}.json"`);
+    res.json({ ...archive, rejected: rejected });
+  } catch (err) {
+    console.error('Error exporting accounts:', err);
+    sendError(res, 'internal_error', 'Server error');
+  }
+});
+
+// 10. Restore accounts from a vault archive
+/**
+ * POST /api/restore
+ * multipart/form-data fields:
+ *   file        - archive produced by GET /api/export
+ *   passphrase  - the export passphrase
+ *   vault       - optional vault id or name to restore into, defaults to your personal vault
+ *   mode        - "merge" (default): keep existing accounts, report conflicting keys
+ *                 "replace": move all existing accounts in the vault to the trash, then restore the archive
+ *   dryRun      - "true" to only report what would happen
+ */
+app.post('/api/restore', audit('vault.restore'), authenticate, requireScope('admin'), rateLimit('extract'), upload.single('file'), validate(routes.restoreAccounts), resolveVaults, async (req, res) => {
+  try {
+    const { passphrase } = req.body;
+    const mode = req.body.mode || 'merge';
+    const dryRun = req.body.dryRun === true;
+    
+    let payload;
+    try {
+      payload = await decryptVault(JSON.parse(req.file.buffer.toString('utf8')), passphrase);
+    } catch (err) {
+      return sendError(res, 'unprocessable', err instanceof SyntaxError ? 'Not a vault archive' : err.message);
+    }
+    
+    if (!hasKeys()) {
+      return sendError(res, 'encryption_unavailable', 'Encryption is not configured on this server, set ENCRYPTION_KEYS');
+    }
+    
+    const vault = await targetVault(req);
+    res.locals.auditVault = vault._id;
+    if (!canManageVault(req, vault)) {
+      return sendError(res, 'forbidden', 'Requires manage access to this vault');
+    }
+    const vaultScope = { $and: [accountFilter(req.apiKey), { vault: vault._id, deletedAt: null }] };
+    
+    const docs = [];
+    const rejected = [];
+    for (const entry of payload.accounts) {
+      if (!req.apiKey.canAccessAccount(entry.key)) {
+        rejected.push({ key: entry.key, reason: 'API key is not allowed to access this account' });
+        continue;
+      }
+      
+      const doc = new Account({
+        vault: vault._id,
+        key: entry.key,
+        name: entry.name,
+        issuer: entry.issuer || null,
+        accountName: entry.accountName || null,
+        icon: entry.icon || null,
+        notes: entry.notes || null,
+        folder: entry.folder || null,
+        tags: entry.tags || [],
+        digits: entry.digits,
+        period: entry.period,
+        clockOffset: entry.clockOffset || 0,
+        algorithm: entry.algorithm,
+        type: entry.type,
+        counter: entry.counter,
+        createdAt: entry.createdAt || new Date(),
+        updatedAt: entry.updatedAt || new Date()
+      }).setSecret(entry.secret);
+      
+      const validationError = doc.validateSync();
+      if (validationError) {
+        rejected.push({ key: entry.key, reason: validationMessage(validationError) });
+        continue;
+      }
+      docs.push(doc);
+    }
+    
+    // Never wipe the vault for an archive that can't be restored in full
+    if (mode === 'replace' && !dryRun && rejected.length > 0) {
+      return sendError(res, 'unprocessable', 'Archive contains accounts that cannot be restored, nothing was changed', { rejected: rejected });
+    }
+    
+    const existing = await db.accounts.find(vaultScope, 'key updatedAt', { lean: true });
+    const existingByKey = new Map(existing.map(a => [a.key, a]));
+    const archiveKeys = new Set(docs.map(doc => doc.key));
+    
+    let toInsert = docs;
+    const conflicts = [];
+    const removed = [];
+    
+    if (mode === 'merge') {
+      toInsert = docs.filter(doc => {
+        const current = existingByKey.get(doc.key);
+        if (!current) return true;
+        conflicts.push({
+          key: doc.key,
+          reason: 'Account already exists',
+          existingUpdatedAt: current.updatedAt,
+          archiveUpdatedAt: doc.updatedAt
+        });
+        return false;
+      });
+    } else {
+      for (const account of existing) {
+        if (!archiveKeys.has(account.key)) removed.push(account.key);
+      }
+    }
+    
+    if (!dryRun) {
+      if (mode === 'replace') {
+        await db.accounts.updateMany(vaultScope, { $set: { deletedAt: new Date() } });
+      }
+      // Keep the archive's createdAt/updatedAt
+      await db.accounts.insertMany(toInsert, { timestamps: false });
+    }
+    
+    res.locals.auditDetails = {
+      mode: mode,
+      dryRun: dryRun,
+      restored: toInsert.map(doc => doc.key),
+      removed: removed,
+      conflicts: conflicts.length,
+      rejected: rejected.length
+    };
+    
+    res.json({
+      message: dryRun ? 'Dry run, nothing was changed' : 'Restore completed',
+      mode: mode,
+      dryRun: dryRun,
+      vault: vault._id,
+      exportedAt: payload.exportedAt,
+      restored: toInsert.map(doc => doc.key),
+      replaced: mode === 'replace' ? toInsert.filter(doc => existingByKey.has(doc.key)).map(doc => doc.key) : [],
+      removed: removed,
+      conflicts: conflicts,
+      rejected: rejected
+    });
+  } catch (err) {
+    console.error('Error restoring accounts:', err);
+    sendError(res, 'internal_error', 'Server error');
   }
 });
 
 // Health check
 app.get('/health', async (req, res) => {
   try {
-    const count = await Account.countDocuments();
+    const count = await db.accounts.countDocuments({ deletedAt: null });
     res.json({ 
       status: 'ok',
-      database: mongoose.connection.readyState === 1 ? 'connected' : 'disconnected',
+      database: db.status(),
+      storage: db.driverName(),
       accounts: count,
       timestamp: new Date().toISOString()
     });
   } catch (err) {
+    console.error('Health check failed:', err);
     res.status(500).json({
       status: 'error',
-      error: err.message
+      error: 'Database unavailable'
     });
   }
 });
 
+// Server time, CLOCK_OFFSET and the drift against TIME_REFERENCE_URL
+app.get('/api/time', authenticate, requireScope('codes:read'), validate(routes.serverTime), async (req, res) => {
+  try {
+    const { healthy, ...reference } = await measureDrift();
+    const now = Date.now();
+    
+    res.json({
+      serverTime: new Date(now).toISOString(),
+      clockOffset: serverOffset(),
+      codeTime: new Date(now + serverOffset() * 1000).toISOString(),
+      healthy: healthy,
+      reference: reference.url ? { ...reference, tolerance: DRIFT_TOLERANCE_MS } : reference
+    });
+  } catch (err) {
+    console.error('Error checking time:', err);
+    sendError(res, 'internal_error', 'Server error');
+  }
+});
+
+// OpenAPI document, generated from the same schemas/ the routes validate with
+let openAPIDocument;
+app.get('/api/openapi.json', (req, res) => {
+  openAPIDocument = openAPIDocument || buildOpenAPI();
+  res.json(openAPIDocument);
+});
+
+// Unknown /api routes get the error envelope instead of Express' HTML page
+app.use('/api', (req, res) => {
+  sendError(res, 'not_found', 'No such endpoint');
+});
+
+app.use(errorHandler);
+
+// Refuse to start when stored secrets could not be decrypted
+async function verifyEncryptionKeys() {
+  const missing = await missingKeyVersions();
+  if (missing.length === 0) return;
+  
+  if (!hasKeys()) {
+    throw new Error('Encrypted accounts exist but no encryption key is configured, set ENCRYPTION_KEYS or ENCRYPTION_KEY');
+  }
+  throw new Error(`Encrypted accounts use key versions that are not loaded: ${missing.join(', ')} (loaded: ${loadedKeyVersions().join(', ')})`);
+}
+
 // Start server
-app.listen(PORT, async () => {
+async function start() {
+  try {
+    await db.connect();
+    console.log(`✅ Storage connected: ${db.describe()}`);
+  } catch (err) {
+    console.error('❌ Storage Connection Error:', err);
+    process.exit(1);
+  }
+  
+  try {
+    await verifyEncryptionKeys();
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  }
+  
+  try {
+    const moved = await migrateAccountsToVaults();
+    if (moved > 0) {
+      console.log(`📦 Moved ${moved} accounts into the Default vault`);
+    }
+  } catch (err) {
+    console.error('❌ Vault migration failed:', err);
+    process.exit(1);
+  }
+  
+  try {
+    await migrateAccountsToTrash();
+  } catch (err) {
+    console.error('❌ Trash migration failed:', err);
+    process.exit(1);
+  }
+  
+  try {
+    const interrupted = await failInterruptedDeliveries();
+    if (interrupted > 0) {
+      console.log(`⚠️  Marked ${interrupted} webhook deliveries interrupted by the last shutdown as failed`);
+    }
+  } catch (err) {
+    console.error('Error checking webhook deliveries:', err);
+  }
+  
+  try {
+    await startRolloverDeliveries();
+  } catch (err) {
+    console.error('Error scheduling webhook rollovers:', err);
+  }
+  
+  // Let the file driver write pending changes before exiting
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.once(signal, () => db.disconnect().finally(() => process.exit(0)));
+  }
+  
+  startTrashPurge();
+  setInterval(() => {
+    CodeLease.purgeExpired().catch(err => console.error('Error purging code leases:', err));
+  }, LEASE_PURGE_INTERVAL_MS).unref();
+  app.listen(PORT, onListening);
+}
+
+async function onListening() {
   console.log(`\n🔐 Personal MFA Code Generator`);
   console.log(`🚀 Server running on http://localhost:${PORT}`);
-  console.log(`💾 Database: ${MONGODB_URI}`);
+  console.log(`💾 Database: ${db.describe()}`);
+  console.log(hasKeys()
+    ? `🔑 Encryption key version ${activeKeyVersion()} active (loaded: ${loadedKeyVersions().join(', ')})`
+    : `⚠️  No encryption key configured, secrets can only be stored unencrypted`);
+  
+  try {
+    const { plaintext, legacyCiphertext } = await pendingCounts();
+    if (plaintext + legacyCiphertext > 0) {
+      console.log(`⚠️  ${plaintext} plaintext and ${legacyCiphertext} legacy-format secrets - run: npm run migrate-secrets`);
+    }
+  } catch (err) {
+    console.error('Error checking secret storage:', err);
+  }
   
   try {
-    const count = await Account.countDocuments();
+    const count = await db.accounts.countDocuments({ deletedAt: null });
     console.log(`\n📋 Quick Start:`);
     console.log(`   GET  /api/code/:accountKey  - Get MFA code for Tines`);
+    console.log(`   GET  /api/code?issuer=&account= - Get MFA code by issuer/account name`);
     console.log(`   GET  /api/codes             - Get all codes`);
+    console.log(`   GET  /api/codes/stream      - Stream codes at each rollover (SSE)`);
     console.log(`   POST /api/accounts          - Add new account`);
     console.log(`   PUT  /api/accounts/:key     - Update account`);
+    console.log(`   POST /api/accounts/:key/resync - Resync HOTP counter`);
+    console.log(`   POST /api/accounts/:key/verify - Verify a code`);
+    console.log(`   GET  /api/accounts/:key/qr  - Enrollment QR code (secrets:reveal)`);
+    console.log(`   GET  /api/accounts/:key/revisions - Earlier settings, roll back with .../:id/rollback`);
+    console.log(`   GET  /api/trash             - Deleted accounts, restore with POST /api/trash/:id/restore`);
+    console.log(`   POST /api/import            - Import Aegis/2FAS/andOTP/Bitwarden backup`);
+    console.log(`   POST /api/import/google-authenticator - Import Google Authenticator export`);
+    console.log(`   GET  /api/export            - Encrypted vault export (admin)`);
+    console.log(`   POST /api/restore           - Restore vault export (admin)`);
+    console.log(`   GET  /api/vaults            - List vaults you can access`);
+    console.log(`   POST /api/vaults/:id/members - Share a vault`);
+    console.log(`   POST /api/admin/users       - Create user (admin)`);
+    console.log(`   POST /api/admin/keys        - Create API key (admin)`);
+    console.log(`   POST /api/admin/webhooks    - Register a webhook (admin)`);
+    console.log(`   POST /api/accounts/:key/push - Push a code to the account's webhooks`);
+    console.log(`   POST /api/admin/key-rotation - Re-encrypt secrets with new key (admin)`);
+    console.log(`   GET  /api/audit             - Query audit trail`);
+    console.log(`   GET  /api/openapi.json      - OpenAPI document`);
     console.log(`\n💡 Example Tines usage:`);
-    console.log(`   curl http://localhost:${PORT}/api/code/google`);
+    console.log(`   curl -H "Authorization: Bearer <api key>" http://localhost:${PORT}/api/code/google`);
     console.log(`\n📊 Total accounts in database: ${count}`);
     
     if (count > 0) {
-      const accounts = await Account.find({}, 'key name').limit(5).lean();
+      const accounts = await db.accounts.find({ deletedAt: null }, 'key name', { limit: 5, lean: true });
       console.log(`   Recent: ${accounts.map(a => a.key).join(', ')}`);
     }
+    
+    const keyCount = await db.apiKeys.countDocuments({ revoked: false });
+    if (keyCount === 0 && !process.env.ADMIN_API_KEY) {
+      console.log(`\n⚠️  No API keys exist and ADMIN_API_KEY is not set - all /api routes will return 401`);
+    }
   } catch (err) {
     console.error('Error fetching account info:', err);
   }
   
   console.log('');
-});
-
+}
 
+// Started directly; tests and embedders can require the app instead
+if (require.main === module) {
+  start();
+}
 
+module.exports = app;
@@ -0,0 +1,89 @@
+// storage/file.js - Storage driver keeping every collection in one JSON file
+//
+// The in-memory driver, loaded from STORAGE_PATH on connect and written back
+// after changes. Writes are coalesced (at most one every WRITE_DELAY_MS) and
+// atomic: the file is written beside the target and renamed over it, so a
+// crash leaves either the old or the new contents. Meant for a single
+// process on a small host; two processes sharing the file overwrite each
+// other.
+const fs = require('fs');
+const path = require('path');
+const { createMemoryDriver } = require('./memory');
+
+const WRITE_DELAY_MS = 100;
+const FORMAT_VERSION = 1;
+
+async function readCollections(file) {
+  let text;
+  try {
+    text = await fs.promises.readFile(file, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return {};
+    throw err;
+  }
+
+  const data = JSON.parse(text);
+  if (data.version !== FORMAT_VERSION || typeof data.collections !== 'object') {
+    throw new Error(`${file} is not a storage file (expected format version ${FORMAT_VERSION})`);
+  }
+  return data.collections;
+}
+
+async function writeCollections(file, collections) {
+  const temp = `${file}.${process.pid}.tmp`;
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  await fs.promises.writeFile(temp, JSON.stringify({ version: FORMAT_VERSION, collections }), { mode: 0o600 });
+  await fs.promises.rename(temp, file);
+}
+
+/**
+ * Create a driver storing its data in `file`.
+ */
+function createFileDriver({ file }) {
+  if (!file) {
+    throw new Error('STORAGE_PATH must be set for the file storage driver');
+  }
+  file = path.resolve(file);
+
+  // Filled from the file on connect
+  const collections = {};
+  const memory = createMemoryDriver({ collections, onChange: scheduleWrite });
+  let timer = null;
+  let writing = Promise.resolve();
+
+  function flush() {
+    clearTimeout(timer);
+    timer = null;
+    // Chained, so writes never overlap and always land in order
+    writing = writing
+      .then(() => writeCollections(file, memory.snapshot()))
+      .catch(err => console.error(`Error writing ${file}:`, err));
+    return writing;
+  }
+
+  function scheduleWrite() {
+    if (!timer) timer = setTimeout(flush, WRITE_DELAY_MS);
+  }
+
+  return {
+    ...memory,
+    name: 'file',
+    file: file,
+
+    async connect() {
+      Object.assign(collections, await readCollections(file));
+      await memory.connect();
+    },
+
+    // Write pending changes before closing
+    async disconnect() {
+      if (timer) flush();
+      await writing;
+      await memory.disconnect();
+    }
+  };
+}
+
+module.exports = {
+  createFileDriver
+};
@@ -0,0 +1,151 @@
+// storage/index.js - Storage backend selection and per-model collections
+//
+// Everything that reads or writes data goes through a collection from here
+// instead of calling Mongoose model methods, so the backend can be swapped:
+//   STORAGE_DRIVER=mongo   MongoDB at MONGODB_URI (default)
+//   STORAGE_DRIVER=file    one JSON file at STORAGE_PATH, for a single host
+//                          with no database
+//   STORAGE_DRIVER=memory  nothing persisted, for tests and demos
+//
+// Collections take the same arguments as the Mongoose model methods of the
+// same name, with query modifiers passed as options:
+//   db.accounts.find(filter, projection, { sort, skip, limit, lean })
+//   db.accounts.findOne(filter, projection, options)
+//   db.accounts.findById(id, projection, options)
+//   db.accounts.countDocuments(filter)
+//   db.accounts.distinct(field, filter)
+//   db.accounts.create(doc)
+//   db.accounts.insertMany(docs, { timestamps })
+//   db.accounts.save(doc)               insert a new document or save changes
+//   db.accounts.updateOne(filter, update, { upsert, timestamps })
+//   db.accounts.updateMany(filter, update, { timestamps })
+//   db.accounts.findOneAndUpdate(filter, update, { returnDocument, upsert, sort, timestamps })
+//   db.accounts.findOneAndDelete(filter)
+//   db.accounts.deleteOne(filter) / deleteMany(filter)
+// Counters are incremented with findOneAndUpdate and $inc, which every
+// driver applies atomically. The models' schemas (validation, defaults,
+// timestamps, unique indexes) apply with every driver.
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/mfa-authenticator';
+
+const DRIVERS = {
+  mongo: () => require('./mongo').createMongoDriver({ uri: MONGODB_URI }),
+  file: () => require('./file').createFileDriver({ file: process.env.STORAGE_PATH }),
+  memory: () => require('./memory').createMemoryDriver()
+};
+
+const METHODS = [
+  'find',
+  'findOne',
+  'findById',
+  'countDocuments',
+  'distinct',
+  'create',
+  'insertMany',
+  'save',
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'findOneAndDelete',
+  'deleteOne',
+  'deleteMany'
+];
+
+let driver = null;
+const collections = new Map();
+
+// Driver named by STORAGE_DRIVER: "mongo" (default), "file" or "memory"
+function createDriver(name = process.env.STORAGE_DRIVER || 'mongo') {
+  if (!DRIVERS[name]) {
+    throw new Error(`Unknown STORAGE_DRIVER: ${name} (use mongo, file or memory)`);
+  }
+  return DRIVERS[name]();
+}
+
+// The driver in use, created from the environment on first use
+function currentDriver() {
+  if (!driver) driver = createDriver();
+  return driver;
+}
+
+/**
+ * Use `name` (or STORAGE_DRIVER) from now on and connect to it.
+ */
+async function connect(name) {
+  if (name || !driver) driver = createDriver(name);
+  await driver.connect();
+  return driver;
+}
+
+async function disconnect() {
+  if (driver) await driver.disconnect();
+}
+
+// Name of the driver in use
+function driverName() {
+  return currentDriver().name;
+}
+
+// "connected" or "disconnected"
+function status() {
+  return currentDriver().status();
+}
+
+// Where the data lives, for startup banners
+function describe() {
+  const current = currentDriver();
+  switch (current.name) {
+    case 'mongo':
+      return `MongoDB ${current.uri}`;
+    case 'file':
+      return `JSON file ${current.file}`;
+    default:
+      return 'In memory (not persisted)';
+  }
+}
+
+/**
+ * Operations on `Model`'s documents through the current driver.
+ */
+function collection(Model) {
+  if (!collections.has(Model.modelName)) {
+    const ops = {};
+    for (const method of METHODS) {
+      ops[method] = (...args) => currentDriver()[method](Model, ...args);
+    }
+    collections.set(Model.modelName, ops);
+  }
+  return collections.get(Model.modelName);
+}
+
+const storage = {
+  connect,
+  disconnect,
+  driverName,
+  status,
+  describe,
+  collection
+};
+
+// Collections of the app's models, e.g. db.accounts. Models are loaded on
+// first use, since they use this module themselves.
+const MODELS = {
+  accounts: 'Account',
+  accountRevisions: 'AccountRevision',
+  apiKeys: 'ApiKey',
+  auditLogs: 'AuditLog',
+  codeLeases: 'CodeLease',
+  users: 'User',
+  vaults: 'Vault',
+  webhooks: 'Webhook',
+  webhookDeliveries: 'WebhookDelivery'
+};
+
+for (const [property, model] of Object.entries(MODELS)) {
+  Object.defineProperty(storage, property, {
+    enumerable: true,
+    get: () => collection(require(`../models/${model}`))
+  });
+}
+
+module.exports = storage;
@@ -0,0 +1,378 @@
+// storage/memory.js - Storage driver keeping every collection in this process
+//
+// Documents are plain objects, one array per model, and go through the same
+// Mongoose models as with MongoDB: filters and updates are cast by the
+// schema, inserts and saves are validated, defaults and timestamps are
+// applied, unique indexes are enforced (11000 errors, as from MongoDB) and
+// reads come back as Mongoose documents. Each operation runs without
+// yielding once its input is validated, so it is atomic like a single
+// MongoDB write.
+const { isDeepStrictEqual } = require('util');
+const { matches, sorter, parseProjection, project, isEqual, valuesAt, clone } = require('./query');
+
+const TO_OBJECT = { depopulate: true, virtuals: false, getters: false, transform: false, versionKey: true };
+
+// createdAt/updatedAt field names from the schema's timestamps option
+function timestampFields(schema) {
+  const option = schema.options.timestamps;
+  if (!option) return { createdAt: null, updatedAt: null };
+  const name = (value, fallback) => value === false ? null : typeof value === 'string' ? value : fallback;
+  return option === true
+    ? { createdAt: 'createdAt', updatedAt: 'updatedAt' }
+    : { createdAt: name(option.createdAt, 'createdAt'), updatedAt: name(option.updatedAt, 'updatedAt') };
+}
+
+// Paths declared with select: false, e.g. Webhook.signingSecret
+function hiddenPaths(schema) {
+  const hidden = [];
+  schema.eachPath((path, type) => {
+    if (type.options.select === false) hidden.push(path);
+  });
+  return hidden;
+}
+
+function uniqueIndexes(schema) {
+  return schema.indexes()
+    .filter(([, options]) => options.unique)
+    .map(([fields, options]) => ({ fields: Object.keys(fields), options }));
+}
+
+function duplicateKeyError(Model, index, doc) {
+  const keyValue = {};
+  for (const field of index.fields) keyValue[field] = valuesAt(doc, field)[0];
+  const err = new Error(`E11000 duplicate key error collection: ${Model.collection.name} index: ${index.fields.map(field => `${field}_1`).join('_')}`);
+  err.name = 'MongoServerError';
+  err.code = 11000;
+  err.keyPattern = Object.fromEntries(index.fields.map(field => [field, 1]));
+  err.keyValue = keyValue;
+  return err;
+}
+
+// Split a Mongoose update into operators; plain fields are $set
+function updateOperators(update) {
+  if (Array.isArray(update)) {
+    throw new Error('Update pipelines are not supported by this storage driver');
+  }
+  const operators = {};
+  for (const [key, value] of Object.entries(update || {})) {
+    if (key.startsWith('$')) {
+      operators[key] = { ...operators[key], ...value };
+    } else {
+      operators.$set = { ...operators.$set, [key]: value };
+    }
+  }
+  return operators;
+}
+
+function applyUpdate(doc, update, inserting) {
+  for (const [op, fields] of Object.entries(updateOperators(update))) {
+    for (const [path, value] of Object.entries(fields)) {
+      switch (op) {
+        case '$setOnInsert':
+          if (inserting) doc.set(path, value);
+          break;
+        case '$set':
+          doc.set(path, value);
+          break;
+        case '$unset':
+          doc.set(path, undefined);
+          break;
+        case '$inc':
+          doc.$inc(path, value);
+          break;
+        case '$push': {
+          const items = value && Array.isArray(value.$each) ? value.$each : [value];
+          if (!doc.get(path)) doc.set(path, []);
+          doc.get(path).push(...items);
+          break;
+        }
+        default:
+          throw new Error(`Update operator ${op} is not supported by this storage driver`);
+      }
+    }
+  }
+}
+
+// Equality conditions of a filter, which an upsert starts the new document from
+function upsertFields(filter) {
+  const fields = {};
+  for (const [key, value] of Object.entries(filter)) {
+    if (key.startsWith('$')) continue;
+    const isOperator = value !== null && typeof value === 'object' && !Array.isArray(value) &&
+      Object.keys(value).some(name => name.startsWith('$'));
+    if (!isOperator && !(value instanceof RegExp)) fields[key] = value;
+  }
+  return fields;
+}
+
+/**
+ * Create an in-memory driver. `collections` maps model names to arrays of
+ * stored documents, which may still be raw JSON: they are cast through the
+ * model the first time it is used. `onChange()` is called after every write.
+ */
+function createMemoryDriver({ collections = {}, onChange = () => {} } = {}) {
+  const normalized = new Set();
+  let connected = false;
+
+  function documents(Model) {
+    const name = Model.modelName;
+    if (!normalized.has(name)) {
+      collections[name] = (collections[name] || []).map(raw => Model.hydrate(raw).toObject(TO_OBJECT));
+      normalized.add(name);
+    }
+    return collections[name];
+  }
+
+  function castFilter(Model, filter) {
+    return Model.find(filter || {}).cast(Model);
+  }
+
+  function matching(Model, filter, { sort, skip, limit } = {}) {
+    const cast = castFilter(Model, filter);
+    let found = documents(Model).filter(doc => matches(doc, cast));
+    if (sort) found = found.slice().sort(sorter(sort));
+    if (skip) found = found.slice(skip);
+    if (limit) found = found.slice(0, limit);
+    return found;
+  }
+
+  // Stored document -> Mongoose document, or a plain object with `lean`
+  function output(Model, stored, projection, { lean } = {}) {
+    const parsed = parseProjection(projection);
+    const obj = project(clone(stored), parsed, hiddenPaths(Model.schema));
+    if (lean) return obj;
+    const selected = {};
+    for (const field of parsed.include) selected[field] = 1;
+    for (const field of parsed.exclude) selected[field] = 0;
+    // As in MongoDB, inclusive projections keep _id unless it is excluded
+    if (parsed.include.length > 0 && !parsed.exclude.includes('_id')) selected._id = 1;
+    return Model.hydrate(obj, Object.keys(selected).length > 0 ? selected : undefined);
+  }
+
+  function checkUnique(Model, candidate) {
+    for (const index of uniqueIndexes(Model.schema)) {
+      const covers = doc => {
+        const filter = index.options.partialFilterExpression;
+        if (filter && !matches(doc, filter)) return false;
+        return !index.options.sparse || index.fields.some(field => valuesAt(doc, field)[0] !== undefined);
+      };
+      if (!covers(candidate)) continue;
+
+      const duplicate = documents(Model).find(doc => !isEqual(doc._id, candidate._id) && covers(doc) &&
+        index.fields.every(field => isEqual(valuesAt(doc, field)[0] ?? null, valuesAt(candidate, field)[0] ?? null)));
+      if (duplicate) throw duplicateKeyError(Model, index, candidate);
+    }
+  }
+
+  function stamp(Model, doc, { timestamps } = {}, inserting) {
+    if (timestamps === false) return;
+    const fields = timestampFields(Model.schema);
+    const now = new Date();
+    if (inserting && fields.createdAt && !doc.get(fields.createdAt)) doc.set(fields.createdAt, now);
+    if (fields.updatedAt && (!inserting || !doc.get(fields.updatedAt))) doc.set(fields.updatedAt, now);
+  }
+
+  function storedForm(Model, doc) {
+    const obj = doc.toObject(TO_OBJECT);
+    const versionKey = Model.schema.options.versionKey;
+    if (versionKey && obj[versionKey] === undefined) obj[versionKey] = 0;
+    return obj;
+  }
+
+  // Timestamp and validate a new document, then insert() it
+  async function prepare(Model, doc, options) {
+    stamp(Model, doc, options, true);
+    await doc.validate();
+    return storedForm(Model, doc);
+  }
+
+  function insert(Model, obj) {
+    checkUnique(Model, obj);
+    documents(Model).push(obj);
+    return obj;
+  }
+
+  function updateStored(Model, stored, update, options, inserting) {
+    const doc = Model.hydrate(clone(stored));
+    applyUpdate(doc, update, inserting);
+    stamp(Model, doc, options, inserting);
+    const updated = storedForm(Model, doc);
+    if (isDeepStrictEqual(updated, stored)) return false;
+    checkUnique(Model, updated);
+    const docs = documents(Model);
+    docs[docs.indexOf(stored)] = updated;
+    return updated;
+  }
+
+  function upsert(Model, filter, update, options) {
+    const doc = new Model(upsertFields(castFilter(Model, filter)));
+    applyUpdate(doc, update, true);
+    stamp(Model, doc, options, true);
+    return insert(Model, storedForm(Model, doc));
+  }
+
+  function remove(Model, toRemove) {
+    const docs = documents(Model);
+    collections[Model.modelName] = docs.filter(doc => !toRemove.includes(doc));
+    if (toRemove.length > 0) onChange();
+    return { acknowledged: true, deletedCount: toRemove.length };
+  }
+
+  return {
+    name: 'memory',
+
+    async connect() {
+      connected = true;
+    },
+
+    async disconnect() {
+      connected = false;
+    },
+
+    status() {
+      return connected ? 'connected' : 'disconnected';
+    },
+
+    async find(Model, filter, projection, options = {}) {
+      return matching(Model, filter, options).map(doc => output(Model, doc, projection, options));
+    },
+
+    async findOne(Model, filter, projection, options = {}) {
+      const [doc] = matching(Model, filter, { sort: options.sort, limit: 1 });
+      return doc ? output(Model, doc, projection, options) : null;
+    },
+
+    async findById(Model, id, projection, options = {}) {
+      return this.findOne(Model, { _id: id }, projection, options);
+    },
+
+    async countDocuments(Model, filter) {
+      return matching(Model, filter).length;
+    },
+
+    async distinct(Model, field, filter) {
+      const values = [];
+      for (const doc of matching(Model, filter)) {
+        for (const value of valuesAt(doc, field).flat()) {
+          if (value !== undefined && !values.some(existing => isEqual(existing, value))) values.push(value);
+        }
+      }
+      return values;
+    },
+
+    async create(Model, data, options = {}) {
+      const obj = insert(Model, await prepare(Model, new Model(data), options));
+      onChange();
+      return output(Model, obj);
+    },
+
+    async insertMany(Model, data, options = {}) {
+      // Like MongoDB's ordered inserts: nothing is written when a document is
+      // invalid, and a duplicate key stops the documents after it
+      const prepared = await Promise.all(data.map(item => prepare(Model, new Model(item), options)));
+      const inserted = [];
+      try {
+        for (const obj of prepared) {
+          inserted.push(insert(Model, obj));
+        }
+      } finally {
+        if (inserted.length > 0) onChange();
+      }
+      return inserted.map(obj => output(Model, obj));
+    },
+
+    // Insert a new document or write the paths changed on a loaded one
+    async save(Model, doc, options = {}) {
+      if (doc.isNew) {
+        insert(Model, await prepare(Model, doc, options));
+        doc.isNew = false;
+      } else {
+        stamp(Model, doc, options, false);
+        await doc.validate();
+        const docs = documents(Model);
+        const stored = docs.find(existing => isEqual(existing._id, doc._id));
+        if (!stored) {
+          const err = new Error(`No document found for query "{ _id: '${doc._id}' }" on model "${Model.modelName}"`);
+          err.name = 'DocumentNotFoundError';
+          throw err;
+        }
+        const obj = doc.toObject(TO_OBJECT);
+        const updated = { ...stored };
+        for (const path of doc.modifiedPaths()) {
+          if (!path.includes('.')) updated[path] = clone(obj[path]);
+        }
+        checkUnique(Model, updated);
+        docs[docs.indexOf(stored)] = updated;
+      }
+      for (const path of doc.modifiedPaths()) doc.unmarkModified(path);
+      onChange();
+      return doc;
+    },
+
+    async updateOne(Model, filter, update, options = {}) {
+      const [stored] = matching(Model, filter, { limit: 1 });
+      if (!stored) {
+        if (!options.upsert) return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 0 };
+        const obj = upsert(Model, filter, update, options);
+        onChange();
+        return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: obj._id };
+      }
+      const modified = updateStored(Model, stored, update, options, false) ? 1 : 0;
+      if (modified) onChange();
+      return { acknowledged: true, matchedCount: 1, modifiedCount: modified, upsertedCount: 0 };
+    },
+
+    async updateMany(Model, filter, update, options = {}) {
+      const found = matching(Model, filter);
+      let modified = 0;
+      try {
+        for (const stored of found) {
+          if (updateStored(Model, stored, update, options, false)) modified++;
+        }
+      } finally {
+        if (modified > 0) onChange();
+      }
+      return { acknowledged: true, matchedCount: found.length, modifiedCount: modified, upsertedCount: 0 };
+    },
+
+    // Returns the document before the update unless `returnDocument: 'after'`
+    // (or `new: true`) is given
+    async findOneAndUpdate(Model, filter, update, options = {}) {
+      const after = options.new === true || options.returnDocument === 'after';
+      const [stored] = matching(Model, filter, { sort: options.sort, limit: 1 });
+      if (!stored) {
+        if (!options.upsert) return null;
+        const obj = upsert(Model, filter, update, options);
+        onChange();
+        return after ? output(Model, obj, options.projection, options) : null;
+      }
+      const updated = updateStored(Model, stored, update, options, false);
+      if (updated) onChange();
+      return output(Model, after && updated ? updated : stored, options.projection, options);
+    },
+
+    async findOneAndDelete(Model, filter, options = {}) {
+      const [stored] = matching(Model, filter, { sort: options.sort, limit: 1 });
+      if (!stored) return null;
+      remove(Model, [stored]);
+      return output(Model, stored, options.projection, options);
+    },
+
+    async deleteOne(Model, filter) {
+      return remove(Model, matching(Model, filter, { limit: 1 }));
+    },
+
+    async deleteMany(Model, filter) {
+      return remove(Model, matching(Model, filter));
+    },
+
+    // Plain copies of every stored document, by model name
+    snapshot() {
+      return collections;
+    }
+  };
+}
+
+module.exports = {
+  createMemoryDriver
+};
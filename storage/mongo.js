@@ -0,0 +1,54 @@
+// storage/mongo.js - Storage driver backed by MongoDB through Mongoose
+const mongoose = require('mongoose');
+
+// Operations that map one-to-one onto Mongoose model methods
+const MODEL_METHODS = [
+  'find',
+  'findOne',
+  'findById',
+  'countDocuments',
+  'distinct',
+  'create',
+  'insertMany',
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'findOneAndDelete',
+  'deleteOne',
+  'deleteMany'
+];
+
+/**
+ * Create a driver connecting to `uri`.
+ */
+function createMongoDriver({ uri }) {
+  const driver = {
+    name: 'mongo',
+    uri: uri,
+
+    async connect() {
+      await mongoose.connect(uri);
+    },
+
+    async disconnect() {
+      await mongoose.disconnect();
+    },
+
+    status() {
+      return mongoose.connection.readyState === 1 ? 'connected' : 'disconnected';
+    },
+
+    save(Model, doc, options) {
+      return doc.save(options);
+    }
+  };
+
+  for (const method of MODEL_METHODS) {
+    driver[method] = (Model, ...args) => Model[method](...args);
+  }
+  return driver;
+}
+
+module.exports = {
+  createMongoDriver
+};
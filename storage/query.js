@@ -0,0 +1,250 @@
+// storage/query.js - MongoDB query semantics for plain objects
+//
+// The memory and file drivers keep documents as plain objects and evaluate
+// the same filters, sorts and projections the app sends to MongoDB. Only the
+// operators the app uses are supported:
+//   filters  - equality (also against array elements and RegExps), $eq, $ne,
+//              $in, $nin, $gt, $gte, $lt, $lte, $exists, $not, $regex, $type,
+//              $all, $size, $and, $or, $nor
+//   sorts    - { field: 1 | -1, ... }
+// Filters must be cast by Mongoose first (see Query.prototype.cast), so ids
+// are ObjectIds and dates are Dates.
+const { Types } = require('mongoose');
+
+// Order of types when sorting or comparing values of different types,
+// as in MongoDB
+function typeRank(value) {
+  if (value === null || value === undefined) return 1;
+  if (typeof value === 'number') return 2;
+  if (typeof value === 'string') return 3;
+  if (value instanceof Types.ObjectId) return 7;
+  if (typeof value === 'boolean') return 8;
+  if (value instanceof Date) return 9;
+  if (Array.isArray(value)) return 5;
+  return 4;
+}
+
+function comparable(value) {
+  if (value instanceof Types.ObjectId) return value.toHexString();
+  if (value instanceof Date) return value.getTime();
+  return value;
+}
+
+// -1, 0 or 1, like MongoDB orders the two values
+function compareValues(a, b) {
+  const rankA = typeRank(a);
+  const rankB = typeRank(b);
+  if (rankA !== rankB) return rankA < rankB ? -1 : 1;
+  if (rankA === 1) return 0;
+  if (rankA === 4 || rankA === 5) {
+    const jsonA = JSON.stringify(a);
+    const jsonB = JSON.stringify(b);
+    return jsonA === jsonB ? 0 : jsonA < jsonB ? -1 : 1;
+  }
+  const x = comparable(a);
+  const y = comparable(b);
+  return x === y ? 0 : x < y ? -1 : 1;
+}
+
+function isEqual(a, b) {
+  return compareValues(a, b) === 0;
+}
+
+// Values at a dotted path; arrays along the way are searched element-wise
+function valuesAt(doc, path) {
+  let values = [doc];
+  for (const part of path.split('.')) {
+    const next = [];
+    for (const value of values) {
+      if (Array.isArray(value) && !/^\d+$/.test(part)) {
+        for (const item of value) {
+          if (item !== null && typeof item === 'object') next.push(item[part]);
+        }
+      } else if (value !== null && value !== undefined && typeof value === 'object') {
+        next.push(value[part]);
+      } else {
+        next.push(undefined);
+      }
+    }
+    values = next;
+  }
+  return values;
+}
+
+// A field value and, for arrays, each of its elements
+function candidates(values) {
+  return values.flatMap(value => Array.isArray(value) ? [value, ...value] : [value]);
+}
+
+function isOperatorObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    !(value instanceof Types.ObjectId) && !(value instanceof Date) && !(value instanceof RegExp) &&
+    Object.keys(value).length > 0 && Object.keys(value).every(key => key.startsWith('$'));
+}
+
+function equals(values, expected) {
+  if (expected instanceof RegExp) {
+    return candidates(values).some(value => typeof value === 'string' && expected.test(value));
+  }
+  if (expected === null) {
+    return candidates(values).some(value => value === null || value === undefined);
+  }
+  return candidates(values).some(value => isEqual(value, expected));
+}
+
+const TYPES = {
+  null: value => value === null,
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number',
+  bool: value => typeof value === 'boolean',
+  date: value => value instanceof Date,
+  objectId: value => value instanceof Types.ObjectId,
+  array: value => Array.isArray(value),
+  object: value => typeRank(value) === 4
+};
+
+function matchesOperators(values, operators) {
+  return Object.entries(operators).every(([op, operand]) => {
+    switch (op) {
+      case '$eq':
+        return equals(values, operand);
+      case '$ne':
+        return !equals(values, operand);
+      case '$in':
+        return operand.some(expected => equals(values, expected));
+      case '$nin':
+        return !operand.some(expected => equals(values, expected));
+      case '$gt':
+      case '$gte':
+      case '$lt':
+      case '$lte':
+        return candidates(values).some(value => {
+          if (value === undefined || typeRank(value) !== typeRank(operand)) return false;
+          const order = compareValues(value, operand);
+          return op === '$gt' ? order > 0 : op === '$gte' ? order >= 0 : op === '$lt' ? order < 0 : order <= 0;
+        });
+      case '$exists':
+        return values.some(value => value !== undefined) === Boolean(operand);
+      case '$not':
+        return operand instanceof RegExp ? !equals(values, operand) : !matchesOperators(values, operand);
+      case '$regex': {
+        const pattern = operand instanceof RegExp ? operand : new RegExp(operand, operators.$options || '');
+        return equals(values, pattern);
+      }
+      case '$options':
+        return true;
+      case '$type':
+        return candidates(values).some(value => value !== undefined && TYPES[operand] && TYPES[operand](value));
+      case '$all':
+        return values.some(value => Array.isArray(value) && operand.every(expected => value.some(item => isEqual(item, expected))));
+      case '$size':
+        return values.some(value => Array.isArray(value) && value.length === operand);
+      default:
+        throw new Error(`Query operator ${op} is not supported by this storage driver`);
+    }
+  });
+}
+
+/**
+ * Whether a plain document matches a (cast) MongoDB filter.
+ */
+function matches(doc, filter = {}) {
+  return Object.entries(filter).every(([key, condition]) => {
+    switch (key) {
+      case '$and':
+        return condition.every(part => matches(doc, part));
+      case '$or':
+        return condition.some(part => matches(doc, part));
+      case '$nor':
+        return !condition.some(part => matches(doc, part));
+      default: {
+        if (key.startsWith('$')) {
+          throw new Error(`Query operator ${key} is not supported by this storage driver`);
+        }
+        const values = valuesAt(doc, key);
+        return isOperatorObject(condition) ? matchesOperators(values, condition) : equals(values, condition);
+      }
+    }
+  });
+}
+
+// Comparator for Array.prototype.sort from a { field: 1 | -1 } sort
+function sorter(sort = {}) {
+  const fields = Object.entries(sort).map(([field, direction]) => [field, direction === -1 || direction === 'desc' ? -1 : 1]);
+  return (a, b) => {
+    for (const [field, direction] of fields) {
+      const order = compareValues(valuesAt(a, field)[0], valuesAt(b, field)[0]);
+      if (order !== 0) return order * direction;
+    }
+    return 0;
+  };
+}
+
+/**
+ * Normalize a Mongoose projection ("key name", "-secret", "+signingSecret",
+ * or { field: 0 | 1 }) to { include, exclude, force } lists of top-level
+ * fields.
+ */
+function parseProjection(projection) {
+  const include = [];
+  const exclude = [];
+  const force = [];
+  const entries = typeof projection === 'string'
+    ? projection.split(/\s+/).filter(Boolean).map(field => {
+      if (field.startsWith('-')) return [field.slice(1), 0];
+      if (field.startsWith('+')) return [field.slice(1), '+'];
+      return [field, 1];
+    })
+    : Object.entries(projection || {});
+
+  for (const [field, value] of entries) {
+    const top = field.split('.')[0];
+    if (value === '+') force.push(top);
+    else if (value) include.push(top);
+    else exclude.push(top);
+  }
+  return { include, exclude, force };
+}
+
+/**
+ * Apply a parsed projection to a plain document. Fields in `hidden` (schema
+ * paths with select: false) are left out unless forced or included.
+ */
+function project(doc, { include, exclude, force }, hidden = []) {
+  const result = {};
+  for (const [field, value] of Object.entries(doc)) {
+    if (include.length > 0) {
+      if (field !== '_id' && !include.includes(field)) continue;
+      if (field === '_id' && exclude.includes('_id')) continue;
+    } else if (exclude.includes(field)) {
+      continue;
+    }
+    if (hidden.includes(field) && !force.includes(field) && !include.includes(field)) continue;
+    result[field] = value;
+  }
+  return result;
+}
+
+// Deep copy of a stored document; ObjectIds are immutable and kept as is
+function clone(value) {
+  if (Array.isArray(value)) return value.map(clone);
+  if (value instanceof Date) return new Date(value.getTime());
+  if (value instanceof Types.ObjectId || Buffer.isBuffer(value)) return value;
+  if (value !== null && typeof value === 'object') {
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) copy[key] = clone(item);
+    return copy;
+  }
+  return value;
+}
+
+module.exports = {
+  compareValues,
+  isEqual,
+  valuesAt,
+  matches,
+  sorter,
+  parseProjection,
+  project,
+  clone
+};
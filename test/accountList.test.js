@@ -0,0 +1,71 @@
+// test/accountList.test.js - Tags, folders, search and pagination of account and code lists
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { api, createAccount } = require('./helpers');
+
+describe('account lists', () => {
+  before(async () => {
+    await createAccount({ key: 'list-a', name: 'Echo', tags: ['Work', 'ops '], folder: 'Ops' });
+    await createAccount({ key: 'list-b', name: 'Delta', tags: ['work'] });
+    await createAccount({ key: 'list-c', name: 'Charlie', tags: ['home'], folder: 'Ops' });
+    await createAccount({ key: 'list-d', name: 'Bravo' });
+    await createAccount({ key: 'list-e', name: 'Alpha', type: 'hotp' });
+  });
+
+  async function keys(query) {
+    const res = await api('GET', `/api/accounts?q=list-&${query}`);
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    return res.body.accounts.map(account => account.key);
+  }
+
+  it('stores tags trimmed and lowercase and filters on all of them', async () => {
+    const [account] = (await api('GET', '/api/accounts?q=list-a')).body.accounts;
+    assert.deepEqual(account.tags, ['work', 'ops']);
+
+    assert.deepEqual(await keys('tag=WORK'), ['list-a', 'list-b']);
+    assert.deepEqual(await keys('tag=work,ops'), ['list-a']);
+  });
+
+  it('filters by folder and type', async () => {
+    assert.deepEqual(await keys('folder=Ops'), ['list-a', 'list-c']);
+    assert.deepEqual(await keys('type=hotp'), ['list-e']);
+  });
+
+  it('sorts by name in either order', async () => {
+    assert.deepEqual(await keys('sort=name'), ['list-e', 'list-d', 'list-c', 'list-b', 'list-a']);
+    assert.deepEqual(await keys('sort=name&order=desc'), ['list-a', 'list-b', 'list-c', 'list-d', 'list-e']);
+  });
+
+  it('pages through the list with a cursor', async () => {
+    const seen = [];
+    let cursor = null;
+    do {
+      const res = await api('GET', `/api/accounts?q=list-&limit=2${cursor ? `&cursor=${cursor}` : ''}`);
+      assert.equal(res.body.total, 5);
+      assert.ok(res.body.accounts.length <= 2);
+      seen.push(...res.body.accounts.map(account => account.key));
+      cursor = res.body.nextCursor;
+    } while (cursor);
+    assert.deepEqual(seen, ['list-a', 'list-b', 'list-c', 'list-d', 'list-e']);
+  });
+
+  it('refuses invalid list parameters', async () => {
+    const cursor = await api('GET', '/api/accounts?cursor=bm90LWpzb24');
+    assert.equal(cursor.status, 400);
+    assert.equal(cursor.body.code, 'invalid_request');
+
+    const type = await api('GET', '/api/accounts?type=sms');
+    assert.equal(type.status, 400);
+    assert.equal(type.body.code, 'validation_failed');
+  });
+
+  it('lists codes with the same filters, without HOTP codes', async () => {
+    const res = await api('GET', '/api/codes?q=list-&tag=work');
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.codes.map(code => code.key), ['list-a', 'list-b']);
+    assert.match(res.body.codes[0].code, /^\d{6}$/);
+
+    const hotp = await api('GET', '/api/codes?q=list-e');
+    assert.equal(hotp.body.codes[0].code, null);
+  });
+});
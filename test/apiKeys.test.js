@@ -0,0 +1,54 @@
+// test/apiKeys.test.js - Scoped API keys
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { SECRET, url, api, createAccount, createKey } = require('./helpers');
+
+describe('API keys', () => {
+  before(async () => {
+    await createAccount({ key: 'keys-allowed' });
+    await createAccount({ key: 'keys-other' });
+  });
+
+  it('limits keys to their scopes and accounts until revoked', async () => {
+    const key = await createKey('limited', ['codes:read'], { allowedAccounts: ['keys-allowed'] });
+
+    assert.equal((await api('GET', '/api/code/keys-allowed', { key: key.apiKey })).status, 200);
+
+    const otherAccount = await api('GET', '/api/code/keys-other', { key: key.apiKey });
+    assert.equal(otherAccount.status, 403);
+    assert.equal(otherAccount.body.code, 'forbidden');
+
+    const missingScope = await api('POST', '/api/accounts', { key: key.apiKey, body: { key: 'keys-allowed-2', secret: SECRET } });
+    assert.equal(missingScope.status, 403);
+
+    const listed = await api('GET', '/api/admin/keys');
+    const stored = listed.body.keys.find(item => item.id === key.id);
+    assert.equal(stored.keyHash, undefined);
+    assert.deepEqual(stored.scopes, ['codes:read']);
+
+    assert.equal((await api('DELETE', `/api/admin/keys/${key.id}`)).status, 200);
+    const revoked = await api('GET', '/api/code/keys-allowed', { key: key.apiKey });
+    assert.equal(revoked.status, 401);
+    assert.equal(revoked.body.code, 'api_key_invalid');
+  });
+
+  it('accepts keys as a bearer token', async () => {
+    const key = await createKey('bearer', ['codes:read']);
+    const res = await fetch(url('/api/code/keys-other'), { headers: { Authorization: `Bearer ${key.apiKey}` } });
+    assert.equal(res.status, 200);
+  });
+
+  it('refuses expired keys', async () => {
+    const key = await createKey('expired', ['codes:read'], { expiresAt: '2020-01-01T00:00:00Z' });
+    const res = await api('GET', '/api/code/keys-other', { key: key.apiKey });
+    assert.equal(res.status, 401);
+    assert.equal(res.body.code, 'api_key_invalid');
+  });
+
+  it('keeps admin routes to admin keys', async () => {
+    const key = await createKey('reader', ['codes:read', 'accounts:read']);
+    const res = await api('GET', '/api/admin/keys', { key: key.apiKey });
+    assert.equal(res.status, 403);
+    assert.equal(res.body.error, 'Missing required scope: admin');
+  });
+});
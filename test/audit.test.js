@@ -0,0 +1,77 @@
+// test/audit.test.js - The audit trail of code fetches and account changes
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('../storage');
+const { SECRET, api, createAccount, createKey, auditEntries } = require('./helpers');
+
+describe('audit trail', () => {
+  it('records code fetches with the caller and never the code', async () => {
+    await createAccount({ key: 'audit-fetch' });
+    const reader = await createKey('audit-reader', ['codes:read']);
+    const fetched = await api('GET', '/api/code/audit-fetch', { key: reader.apiKey });
+    assert.equal(fetched.status, 200);
+
+    const [entry] = await auditEntries('action=code.fetch&accountKey=audit-fetch');
+    assert.equal(entry.outcome, 'success');
+    assert.equal(entry.statusCode, 200);
+    assert.equal(entry.actor.name, 'audit-reader');
+    assert.equal(entry.path, '/api/code/audit-fetch');
+    assert.ok(!JSON.stringify(entry).includes(fetched.body.code));
+  });
+
+  it('records failed and denied requests', async () => {
+    await api('GET', '/api/code/audit-missing');
+    await api('GET', '/api/code/audit-fetch', { key: 'not-a-key' });
+
+    const [missing] = await auditEntries('action=code.fetch&accountKey=audit-missing');
+    assert.equal(missing.outcome, 'failure');
+    assert.equal(missing.statusCode, 404);
+
+    const [denied] = await auditEntries('action=code.fetch&outcome=denied&accountKey=audit-fetch');
+    assert.equal(denied.statusCode, 401);
+    assert.equal(denied.actor, undefined);
+  });
+
+  it('records account changes without the secret', async () => {
+    await createAccount({ key: 'audit-change' });
+    await api('PUT', '/api/accounts/audit-change', { body: { name: 'Renamed' } });
+    await api('DELETE', '/api/accounts/audit-change');
+
+    const entries = await auditEntries('accountKey=audit-change');
+    assert.deepEqual(entries.map(entry => entry.action).reverse(), ['account.create', 'account.update', 'account.delete']);
+    assert.ok(entries.every(entry => entry.actor.id === 'env:ADMIN_API_KEY'));
+    assert.ok(!JSON.stringify(entries).includes(SECRET));
+  });
+
+  it('refuses unknown actions', async () => {
+    const res = await api('GET', '/api/audit?action=code.steal');
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'validation_failed');
+  });
+
+  it('reports accounts an export could not decrypt', async () => {
+    const vault = await api('POST', '/api/vaults', { body: { name: 'Audit export' } });
+    await createAccount({ key: 'export-fine', vault: 'Audit export' });
+    await createAccount({ key: 'export-broken', vault: 'Audit export' });
+    const broken = await db.accounts.findOne({ key: 'export-broken' }, null, { lean: true });
+    const tampered = broken.secret.slice(0, -1) + (broken.secret.endsWith('0') ? '1' : '0');
+    await db.accounts.updateOne({ _id: broken._id }, { $set: { secret: tampered } });
+
+    const archive = await api('GET', `/api/export?vault=${vault.body.id}`, { headers: { 'X-Export-Passphrase': 'correct horse battery' } });
+    assert.equal(archive.status, 200);
+    assert.equal(archive.headers.get('x-rejected-accounts'), 'export-broken');
+    assert.equal(archive.body.rejected.length, 1);
+    assert.equal(archive.body.rejected[0].key, 'export-broken');
+    assert.match(archive.body.rejected[0].reason, /failed authentication/);
+
+    const plain = await api('GET', `/api/export?vault=${vault.body.id}&format=otpauth`);
+    assert.equal(plain.status, 200);
+    assert.equal(plain.headers.get('x-rejected-accounts'), 'export-broken');
+    assert.equal(plain.body.trim().split('\n').length, 1);
+
+    const [entry] = await auditEntries('action=vault.export');
+    assert.deepEqual(entry.details.accounts, ['export-fine']);
+    assert.equal(entry.details.rejected[0].key, 'export-broken');
+    assert.equal(entry.actor.id, 'env:ADMIN_API_KEY');
+  });
+});
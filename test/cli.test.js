@@ -0,0 +1,100 @@
+// test/cli.test.js - The mfa command-line client against the test server
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN_KEY, SECRET, url, api, freshStep, totp } = require('./helpers');
+const { createClient } = require('../cli/client');
+const { COMMANDS } = require('../cli/commands');
+
+const MFA = path.join(__dirname, '..', 'bin', 'mfa.js');
+
+// The mfa command in another process, resolving to its exit code and output
+async function mfa(...args) {
+  try {
+    const { stdout, stderr } = await promisify(execFile)(process.execPath, [MFA, ...args, '--server', url(''), '--api-key', ADMIN_KEY]);
+    return { code: 0, stdout, stderr };
+  } catch (err) {
+    return { code: err.code, stdout: err.stdout, stderr: err.stderr };
+  }
+}
+
+describe('mfa CLI', () => {
+  let client;
+  let dir;
+
+  before(() => {
+    client = createClient({ server: url(''), apiKey: ADMIN_KEY });
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mfa-cli-'));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('adds, lists, updates and deletes accounts', async () => {
+    const added = await COMMANDS.add.run(client, ['cli-account'], { secret: SECRET, issuer: 'CLI', tags: 'one, two' });
+    assert.equal(added.data.key, 'cli-account');
+    assert.deepEqual(added.data.tags, ['one', 'two']);
+
+    const listed = await COMMANDS.list.run(client, [], { issuer: 'CLI' });
+    assert.equal(listed.data.total, 1);
+    assert.match(listed.text.split('\n')[1], /^cli-account\s+CLI\s+CLI\s+totp\s+one,two$/);
+
+    const updated = await COMMANDS.update.run(client, ['cli-account'], { name: 'Renamed' });
+    assert.equal(updated.text, 'Updated cli-account');
+    await assert.rejects(COMMANDS.update.run(client, ['cli-account'], {}), { usage: true, message: 'Nothing to update' });
+
+    const deleted = await COMMANDS.delete.run(client, ['cli-account'], {});
+    assert.match(deleted.text, /^Moved cli-account to the trash/);
+    await assert.rejects(COMMANDS.code.run(client, ['cli-account'], {}), { status: 404, code: 'not_found' });
+  });
+
+  it('adds accounts from otpauth:// URIs', async () => {
+    const uri = `otpauth://totp/UriIssuer:uri@example.com?secret=${SECRET}&issuer=UriIssuer&digits=8`;
+    const added = await COMMANDS.add.run(client, [], { uri });
+    assert.equal(added.data.issuer, 'UriIssuer');
+    assert.equal(added.data.accountName, 'uri@example.com');
+    const { data } = await COMMANDS.code.run(client, [added.data.key], {});
+    assert.equal(data.code.length, 8);
+
+    await assert.rejects(COMMANDS.add.run(client, ['two-sources'], { uri, secret: SECRET }), { usage: true });
+  });
+
+  it('exports a vault archive and imports it into another vault', async () => {
+    const source = await api('POST', '/api/vaults', { body: { name: 'CLI source' } });
+    const target = await api('POST', '/api/vaults', { body: { name: 'CLI target' } });
+    await COMMANDS.add.run(client, ['cli-archived'], { secret: SECRET, vault: source.body.id });
+
+    const output = path.join(dir, 'vault.json');
+    await assert.rejects(COMMANDS.export.run(client, [], { vault: source.body.id, output }), { usage: true });
+    const exported = await COMMANDS.export.run(client, [], { vault: source.body.id, output, passphrase: 'cli passphrase' });
+    assert.equal(exported.text, `Exported to ${output}`);
+    assert.equal(fs.statSync(output).mode & 0o777, 0o600);
+
+    const imported = await COMMANDS.import.run(client, [output], { vault: target.body.id, passphrase: 'cli passphrase' });
+    assert.deepEqual(imported.data.restored, ['cli-archived']);
+    assert.match(imported.text, /Restored cli-archived/);
+  });
+
+  it('prints only the code, for scripts', async () => {
+    await COMMANDS.add.run(client, ['cli-script'], { secret: SECRET });
+    await freshStep(5);
+    const res = await mfa('code', 'cli-script');
+    assert.equal(res.code, 0);
+    assert.equal(res.stdout, `${totp()}\n`);
+  });
+
+  it('exits with 1 and the error envelope on failures', async () => {
+    const missing = await mfa('code', 'no-such-account', '--json');
+    assert.equal(missing.code, 1);
+    assert.equal(JSON.parse(missing.stderr).code, 'not_found');
+
+    const unknown = await mfa('frobnicate');
+    assert.equal(unknown.code, 1);
+    assert.match(unknown.stderr, /Unknown command: frobnicate/);
+  });
+});
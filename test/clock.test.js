@@ -0,0 +1,74 @@
+// test/clock.test.js - Clock offsets, safe/next/previous codes and the time endpoint
+//
+// Codes run a minute ahead of the server, and the time reference is a port
+// nothing listens on
+process.env.CLOCK_OFFSET = '60';
+process.env.TIME_REFERENCE_URL = 'http://127.0.0.1:9/';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const speakeasy = require('speakeasy');
+const { SECRET, api, freshStep, totp, createAccount } = require('./helpers');
+
+describe('server time', () => {
+  it('reports the server time, the offset and an unreachable reference', async () => {
+    const res = await api('GET', '/api/time');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.clockOffset, 60);
+    const serverTime = new Date(res.body.serverTime).getTime();
+    assert.ok(Math.abs(serverTime - Date.now()) < 5000);
+    assert.equal(new Date(res.body.codeTime).getTime() - serverTime, 60000);
+    assert.equal(res.body.healthy, false);
+    assert.equal(res.body.reference.status, 'unreachable');
+
+    // The measurement is reused rather than repeated
+    const again = await api('GET', '/api/time');
+    assert.equal(again.body.reference.measuredAt, res.body.reference.measuredAt);
+  });
+});
+
+describe('codes', () => {
+  it('applies the server offset and returns the previous and next codes on request', async () => {
+    await createAccount({ key: 'code-totp', issuer: 'Example', accountName: 'code@example.com' });
+    await freshStep(3);
+    const res = await api('GET', '/api/code/code-totp?previous=true&next=true');
+    assert.equal(res.body.code, totp(60));
+    assert.equal(res.body.previous.code, totp(30));
+    assert.equal(res.body.next.code, totp(90));
+    assert.equal(res.body.next.validFrom, res.body.expiresAt);
+    // expiresAt is in server time
+    assert.ok(new Date(res.body.expiresAt) - Date.now() <= 30000);
+  });
+
+  it('caps minRemaining below the period', async () => {
+    await createAccount({ key: 'code-capped' });
+    const res = await api('GET', '/api/code/code-capped?minRemaining=100');
+    assert.equal(res.body.minRemaining, 29);
+    assert.equal((await api('GET', '/api/code/code-capped?minRemaining=-1')).status, 400);
+  });
+
+  it('waits for the next step when the code is not safe to use', async () => {
+    await createAccount({ key: 'code-wait', period: 15 });
+    const res = await api('GET', '/api/code/code-wait?wait=true&minRemaining=14');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.safe, true);
+    assert.ok(res.body.timeRemaining >= 14);
+    if (res.body.waited !== undefined) assert.ok(res.body.waited > 0);
+    const expected = speakeasy.totp({ secret: SECRET, encoding: 'base32', step: 15, time: Date.now() / 1000 + 60 });
+    assert.equal(res.body.code, expected);
+  });
+});
+
+describe('verify', () => {
+  it('applies the server and account clock offsets', async () => {
+    await createAccount({ key: 'verify-offset', clockOffset: 600 });
+    await freshStep(3);
+
+    const res = await api('POST', '/api/accounts/verify-offset/verify', { body: { code: totp(660) } });
+    assert.equal(res.body.valid, true);
+    assert.equal(res.body.delta, 0);
+    // stepStartedAt is in server time
+    const startedAt = new Date(res.body.stepStartedAt).getTime();
+    assert.ok(startedAt <= Date.now() && Date.now() - startedAt < 30000);
+  });
+});
@@ -0,0 +1,61 @@
+// test/crypto.test.js - Authenticated encryption of stored secrets
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('../storage');
+const { SECRET, api, createAccount } = require('./helpers');
+const { GCM_PREFIX, encrypt, decrypt, isLegacyCiphertext } = require('../utils/crypto');
+
+const BINDING = 'account:0123456789abcdef01234567';
+
+// Parts of "gcm2:<iv>:<auth tag>:<ciphertext>"
+function parts(secret) {
+  return secret.slice(GCM_PREFIX.length).split(':');
+}
+
+describe('secret encryption', () => {
+  it('round-trips with the active key', () => {
+    const { secret, keyVersion } = encrypt(SECRET, BINDING);
+    assert.ok(secret.startsWith(GCM_PREFIX));
+    assert.equal(keyVersion, 1);
+    assert.equal(isLegacyCiphertext(secret), false);
+    assert.equal(decrypt(secret, BINDING, keyVersion), SECRET);
+  });
+
+  it('refuses modified ciphertexts', () => {
+    const [iv, tag, data] = parts(encrypt(SECRET, BINDING).secret);
+    const flipped = (parseInt(data.slice(0, 2), 16) ^ 1).toString(16).padStart(2, '0') + data.slice(2);
+    assert.throws(() => decrypt(GCM_PREFIX + [iv, tag, flipped].join(':'), BINDING, 1), /failed authentication/);
+  });
+
+  it('refuses secrets copied onto another document', () => {
+    const { secret } = encrypt(SECRET, BINDING);
+    assert.throws(() => decrypt(secret, 'account:76543210fedcba9876543210', 1), /belongs to another account/);
+    assert.throws(() => decrypt(secret, 'revision:0123456789abcdef01234567', 1), /belongs to another account/);
+  });
+
+  it('refuses shortened authentication tags', () => {
+    const [iv, tag, data] = parts(encrypt(SECRET, BINDING).secret);
+    for (const length of [8, 24, 30]) {
+      assert.throws(() => decrypt(GCM_PREFIX + [iv, tag.slice(0, length), data].join(':'), BINDING, 1), /failed authentication/);
+    }
+  });
+
+  it('refuses key versions that are not loaded', () => {
+    assert.throws(() => decrypt(encrypt(SECRET, BINDING).secret, BINDING, 2), /version 2 is not loaded/);
+  });
+});
+
+describe('stored accounts', () => {
+  it('are encrypted unless asked otherwise', async () => {
+    await createAccount({ key: 'crypto-default' });
+    const stored = await db.accounts.findOne({ key: 'crypto-default' }, null, { lean: true });
+    assert.equal(stored.encrypted, true);
+    assert.ok(stored.secret.startsWith(GCM_PREFIX));
+    assert.ok(!stored.secret.includes(SECRET));
+
+    await createAccount({ key: 'crypto-plain', encrypt: false });
+    const plain = await db.accounts.findOne({ key: 'crypto-plain' }, null, { lean: true });
+    assert.equal(plain.encrypted, false);
+    assert.equal((await api('GET', '/api/code/crypto-plain')).status, 200);
+  });
+});
@@ -0,0 +1,45 @@
+// test/dashboard.test.js - The web dashboard served by the app
+const fs = require('fs');
+const path = require('path');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN_KEY, api } = require('./helpers');
+
+const PAGE = fs.readFileSync(path.join(__dirname, '..', 'client', 'index.html'), 'utf8');
+
+// [method, path] of each API call in the page, `${...}` parts as "*"
+function pageCalls() {
+  const calls = [];
+  for (const [, method, route] of PAGE.matchAll(/api\('([A-Z]+)', [`']([^`'?]+)/g)) {
+    calls.push([method.toLowerCase(), route.replace(/\$\{[^}]*\}/g, '*')]);
+  }
+  for (const [, route] of PAGE.matchAll(/fetchAll\('([^']+)'/g)) {
+    calls.push(['get', route]);
+  }
+  return calls;
+}
+
+describe('dashboard', () => {
+  it('is served without an API key', async () => {
+    const res = await api('GET', '/', { key: null });
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /^text\/html/);
+    assert.ok(!res.body.includes(ADMIN_KEY));
+  });
+
+  it('only calls documented routes', async () => {
+    const { paths } = (await api('GET', '/api/openapi.json', { key: null })).body;
+    const documented = Object.entries(paths).map(([route, operations]) => ({
+      pattern: new RegExp(`^${route.replace(/\{[^}]+\}/g, '[^/]+')}$`),
+      methods: Object.keys(operations)
+    }));
+
+    const calls = pageCalls();
+    assert.ok(calls.length >= 6);
+    for (const [method, route] of calls) {
+      const concrete = route.replace(/\*/g, 'x');
+      assert.ok(documented.some(({ pattern, methods }) => pattern.test(concrete) && methods.includes(method)),
+        `${method} ${route} is documented`);
+    }
+  });
+});
@@ -0,0 +1,69 @@
+// test/enrollment.test.js - Generated secrets, otpauth:// URIs and enrollment QR codes
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseOTPAuth } = require('../utils/otpauth');
+const { ADMIN_KEY, SECRET, url, api, createAccount, createKey } = require('./helpers');
+
+describe('generated secrets', () => {
+  it('are returned only on creation', async () => {
+    const res = await api('POST', '/api/accounts', { body: { key: 'enroll-generated', generateSecret: true, issuer: 'Ours' } });
+    assert.equal(res.status, 201);
+    assert.match(res.body.secret, /^[A-Z2-7]+=*$/);
+    assert.match(res.body.otpAuthUrl, /^otpauth:\/\/totp\//);
+    assert.equal(parseOTPAuth(res.body.otpAuthUrl).secret, res.body.secret);
+    assert.match(res.body.qrCode, /^data:image\/png;base64,/);
+    assert.equal(res.headers.get('cache-control'), 'no-store');
+
+    const [listed] = (await api('GET', '/api/accounts?q=enroll-generated')).body.accounts;
+    assert.equal(listed.secret, undefined);
+  });
+
+  it('are not combined with a given secret', async () => {
+    const res = await api('POST', '/api/accounts', { body: { key: 'enroll-both', generateSecret: true, secret: SECRET } });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'validation_failed');
+  });
+});
+
+describe('enrollment QR codes', () => {
+  before(async () => {
+    await createAccount({ key: 'enroll-qr', issuer: 'Example', accountName: 'qr@example.com', digits: 8 });
+  });
+
+  it('return the otpauth:// URI of the account', async () => {
+    const res = await api('GET', '/api/accounts/enroll-qr/qr');
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('cache-control'), 'no-store');
+    assert.match(res.body.qrCode, /^data:image\/png;base64,/);
+
+    const parsed = parseOTPAuth(res.body.otpAuthUrl);
+    assert.equal(parsed.secret, SECRET);
+    assert.equal(parsed.issuer, 'Example');
+    assert.equal(parsed.accountName, 'qr@example.com');
+    assert.equal(parsed.digits, 8);
+  });
+
+  it('serve the image as PNG or SVG', async () => {
+    const png = await fetch(url('/api/accounts/enroll-qr/qr?format=png'), { headers: { 'X-API-Key': ADMIN_KEY } });
+    assert.equal(png.headers.get('content-type'), 'image/png');
+    assert.deepEqual([...Buffer.from(await png.arrayBuffer()).subarray(0, 4)], [0x89, 0x50, 0x4e, 0x47]);
+
+    const svg = await api('GET', '/api/accounts/enroll-qr/qr?format=svg');
+    assert.match(svg.headers.get('content-type'), /^image\/svg\+xml/);
+    assert.match(svg.body, /<svg/);
+  });
+
+  it('need the secrets:reveal scope', async () => {
+    const writer = await createKey('enroll-writer', ['accounts:read', 'accounts:write']);
+    const res = await api('GET', '/api/accounts/enroll-qr/qr', { key: writer.apiKey });
+    assert.equal(res.status, 403);
+    assert.equal(res.body.error, 'Missing required scope: secrets:reveal');
+  });
+
+  it('exist only for types with an otpauth:// form', async () => {
+    await createAccount({ key: 'enroll-motp', type: 'motp', secret: '0123456789abcdef', pin: '1234' });
+    const res = await api('GET', '/api/accounts/enroll-motp/qr');
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'invalid_request');
+  });
+});
@@ -0,0 +1,126 @@
+// test/googleMigration.test.js - Google Authenticator "Transfer accounts" imports
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { api, totp, freshStep } = require('./helpers');
+
+// "JBSWY3DPEHPK3PXP" (helpers.SECRET) as raw bytes
+const SECRET_BYTES = Buffer.from('48656c6c6f21deadbeef', 'hex');
+
+function varint(value) {
+  const bytes = [];
+  while (value >= 128) {
+    bytes.push(value % 128 + 128);
+    value = Math.floor(value / 128);
+  }
+  bytes.push(value);
+  return Buffer.from(bytes);
+}
+
+// Protobuf field: a varint, or length-delimited for buffers and strings
+function field(number, value) {
+  if (typeof value === 'number') return Buffer.concat([varint(number * 8), varint(value)]);
+  const bytes = Buffer.from(value);
+  return Buffer.concat([varint(number * 8 + 2), varint(bytes.length), bytes]);
+}
+
+function otpParameters({ name, issuer, type = 2, counter }) {
+  return Buffer.concat([
+    field(1, SECRET_BYTES),
+    field(2, name),
+    field(3, issuer),
+    field(4, 1),
+    field(5, 1),
+    field(6, type),
+    ...(counter === undefined ? [] : [field(7, counter)])
+  ]);
+}
+
+function migrationURL(accounts, { batchSize = 1, batchIndex = 0, batchId = 42 } = {}) {
+  const payload = Buffer.concat([
+    ...accounts.map(account => field(1, otpParameters(account))),
+    field(2, 1),
+    field(3, batchSize),
+    field(4, batchIndex),
+    field(5, batchId)
+  ]);
+  return `otpauth-migration://offline?data=${encodeURIComponent(payload.toString('base64'))}`;
+}
+
+describe('Google Authenticator import', () => {
+  it('lists the accounts of an export without saving', async () => {
+    const res = await api('POST', '/api/import/google-authenticator', {
+      body: { urls: [migrationURL([{ name: 'GitHub:ops@example.com', issuer: 'GitHub' }])] }
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.accounts.length, 1);
+    const [account] = res.body.accounts;
+    assert.equal(account.secret, 'JBSWY3DPEHPK3PXP');
+    assert.equal(account.issuer, 'GitHub');
+    assert.equal(account.accountName, 'ops@example.com');
+    assert.equal(account.type, 'totp');
+    assert.deepEqual(res.body.missingBatches, []);
+  });
+
+  it('saves the accounts of every batch', async () => {
+    const urls = [
+      migrationURL([{ name: 'Migrated:one@example.com', issuer: 'Migrated' }], { batchSize: 2, batchIndex: 0 }),
+      migrationURL([{ name: 'two@example.com', issuer: 'Migrated', type: 1, counter: 7 }], { batchSize: 2, batchIndex: 1 })
+    ];
+    const res = await api('POST', '/api/import/google-authenticator', { body: { urls, save: true } });
+    assert.equal(res.status, 201);
+    assert.deepEqual(res.body.batchesReceived, [0, 1]);
+    assert.deepEqual(res.body.created.map(account => account.type).sort(), ['hotp', 'totp']);
+
+    const totpKey = res.body.created.find(account => account.type === 'totp').key;
+    await freshStep(3);
+    const code = await api('GET', `/api/code/${totpKey}`);
+    assert.equal(code.body.code, totp());
+
+    const hotpKey = res.body.created.find(account => account.type === 'hotp').key;
+    assert.equal((await api('GET', `/api/code/${hotpKey}`)).body.counter, 7);
+  });
+
+  it('reports missing batches', async () => {
+    const res = await api('POST', '/api/import/google-authenticator', {
+      body: { urls: [migrationURL([{ name: 'a', issuer: 'A' }], { batchSize: 3, batchIndex: 1 })] }
+    });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.missingBatches, [0, 2]);
+  });
+
+  it('refuses batches of different exports', async () => {
+    const urls = [
+      migrationURL([{ name: 'a', issuer: 'A' }], { batchSize: 2, batchIndex: 0, batchId: 1 }),
+      migrationURL([{ name: 'b', issuer: 'B' }], { batchSize: 2, batchIndex: 1, batchId: 2 })
+    ];
+    const res = await api('POST', '/api/import/google-authenticator', { body: { urls } });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'invalid_request');
+  });
+
+  it('refuses batch sizes a real export never has', async () => {
+    const res = await api('POST', '/api/import/google-authenticator', {
+      body: { urls: [migrationURL([{ name: 'a', issuer: 'A' }], { batchSize: 2 ** 33 })] }
+    });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'invalid_request');
+    assert.match(res.body.error, /batch_size/);
+  });
+
+  it('refuses batch indexes past the batch size', async () => {
+    const res = await api('POST', '/api/import/google-authenticator', {
+      body: { urls: [migrationURL([{ name: 'a', issuer: 'A' }], { batchSize: 2, batchIndex: 5 })] }
+    });
+    assert.equal(res.status, 400);
+    assert.match(res.body.error, /batch_index/);
+  });
+
+  it('refuses truncated payloads', async () => {
+    const payload = field(1, otpParameters({ name: 'a', issuer: 'A' })).subarray(0, 10);
+    const res = await api('POST', '/api/import/google-authenticator', {
+      body: { urls: [`otpauth-migration://offline?data=${encodeURIComponent(payload.toString('base64'))}`] }
+    });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'invalid_request');
+  });
+});
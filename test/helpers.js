@@ -0,0 +1,139 @@
+// test/helpers.js - The app in-process, for the route tests
+//
+// node --test runs each test file in its own process. Requiring this module
+// loads the app on the memory storage driver with a bootstrap admin key and
+// serves it on a free port for the tests of that file. Environment a file
+// needs (keys, rate limits, timeouts) must be set before requiring it.
+const ADMIN_KEY = 'test-admin-key-0123456789abcdef';
+
+process.env.STORAGE_DRIVER = 'memory';
+process.env.ENCRYPTION_KEYS = process.env.ENCRYPTION_KEYS || `1:${'a'.repeat(64)}`;
+process.env.ADMIN_API_KEY = ADMIN_KEY;
+// 404s and failed verifications are part of most tests, never lock them out
+process.env.RATE_LIMIT_LOCKOUT = process.env.RATE_LIMIT_LOCKOUT || 'failures=0,window=600,duration=900';
+
+const { before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const speakeasy = require('speakeasy');
+const db = require('../storage');
+const app = require('../server');
+
+const SECRET = 'JBSWY3DPEHPK3PXP';
+
+const USER_SCOPES = ['codes:read', 'codes:verify', 'accounts:read', 'accounts:write', 'audit:read'];
+
+let server;
+let baseUrl;
+
+before(async () => {
+  await db.connect('memory');
+  server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  server.closeAllConnections();
+  server.close();
+  await db.disconnect();
+});
+
+function url(path) {
+  return baseUrl + path;
+}
+
+/**
+ * Call the API as `key` (the admin key by default, null for none) with a
+ * JSON `body`, a multipart `form` or a `raw` string.
+ * Resolves to { status, headers, body } with the body parsed when it is JSON.
+ */
+async function api(method, path, { key = ADMIN_KEY, body, form, raw, headers = {} } = {}) {
+  const init = { method, headers: { ...headers } };
+  if (key) init.headers['X-API-Key'] = key;
+  if (form || raw) {
+    init.body = form || raw;
+  } else if (body !== undefined) {
+    init.headers['Content-Type'] = 'application/json';
+    init.body = JSON.stringify(body);
+  }
+
+  const res = await fetch(url(path), init);
+  const text = await res.text();
+  let parsed = text;
+  if ((res.headers.get('content-type') || '').includes('application/json')) {
+    parsed = JSON.parse(text);
+  }
+  return { status: res.status, headers: res.headers, body: parsed };
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Wait until at least `seconds` are left in the current time step, so a
+// sequence of calls sees one code
+async function freshStep(seconds, period = 30) {
+  const remaining = period * 1000 - Date.now() % (period * 1000);
+  if (remaining < seconds * 1000) await sleep(remaining + 50);
+}
+
+// Code of SECRET `offset` seconds from now
+function totp(offset = 0, secret = SECRET) {
+  return speakeasy.totp({ secret, encoding: 'base32', time: Date.now() / 1000 + offset });
+}
+
+function hotp(counter, secret = SECRET) {
+  return speakeasy.hotp({ secret, encoding: 'base32', counter });
+}
+
+// Multipart form with `contents` as the "file" field
+function fileForm(fields, contents, name) {
+  const form = new FormData();
+  for (const [field, value] of Object.entries(fields)) form.append(field, value);
+  form.append('file', new Blob([contents]), name);
+  return form;
+}
+
+async function createAccount(fields, key) {
+  const res = await api('POST', '/api/accounts', { key, body: { secret: SECRET, ...fields } });
+  assert.equal(res.status, 201, JSON.stringify(res.body));
+  return res.body;
+}
+
+async function createUser(username) {
+  const res = await api('POST', '/api/admin/users', { body: { username } });
+  assert.equal(res.status, 201, JSON.stringify(res.body));
+  return res.body;
+}
+
+async function createKey(name, scopes, extra = {}) {
+  const res = await api('POST', '/api/admin/keys', { body: { name, scopes, ...extra } });
+  assert.equal(res.status, 201, JSON.stringify(res.body));
+  return res.body;
+}
+
+// Audit entries are written once the response has been sent
+async function auditEntries(query, key) {
+  await sleep(50);
+  const res = await api('GET', `/api/audit?limit=500${query ? `&${query}` : ''}`, { key });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  return res.body.entries;
+}
+
+module.exports = {
+  ADMIN_KEY,
+  SECRET,
+  USER_SCOPES,
+  url,
+  api,
+  sleep,
+  freshStep,
+  totp,
+  hotp,
+  fileForm,
+  createAccount,
+  createUser,
+  createKey,
+  auditEntries
+};
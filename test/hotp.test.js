@@ -0,0 +1,61 @@
+// test/hotp.test.js - Counter-based codes and counter resync
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { api, hotp, createAccount } = require('./helpers');
+
+describe('HOTP codes', () => {
+  before(async () => {
+    await createAccount({ key: 'hotp-codes', type: 'hotp' });
+  });
+
+  it('advances the counter on every call', async () => {
+    const first = await api('GET', '/api/code/hotp-codes');
+    const second = await api('GET', '/api/code/hotp-codes');
+    assert.equal(first.status, 200);
+    assert.equal(first.body.code, hotp(first.body.counter));
+    assert.equal(second.body.counter, first.body.counter + 1);
+    assert.equal(second.body.code, hotp(second.body.counter));
+  });
+
+  it('never hands out a counter twice to parallel callers', async () => {
+    const results = await Promise.all(Array.from({ length: 10 }, () => api('GET', '/api/code/hotp-codes')));
+    const counters = results.map(res => res.body.counter);
+    assert.equal(new Set(counters).size, counters.length);
+  });
+});
+
+describe('resync', () => {
+  it('finds the counter from consecutive codes', async () => {
+    await createAccount({ key: 'resync-hotp', type: 'hotp' });
+
+    const res = await api('POST', '/api/accounts/resync-hotp/resync', { body: { codes: [hotp(20), hotp(21)] } });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.previousCounter, 0);
+    assert.equal(res.body.counter, 22);
+
+    const next = await api('GET', '/api/code/resync-hotp');
+    assert.equal(next.body.counter, 22);
+    assert.equal(next.body.code, hotp(22));
+  });
+
+  it('sets the counter explicitly', async () => {
+    await createAccount({ key: 'resync-explicit', type: 'hotp' });
+    const res = await api('POST', '/api/accounts/resync-explicit/resync', { body: { counter: 5 } });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.counter, 5);
+  });
+
+  it('reports codes outside the look-ahead window', async () => {
+    await createAccount({ key: 'resync-far', type: 'hotp' });
+    const res = await api('POST', '/api/accounts/resync-far/resync', { body: { codes: [hotp(500)], lookAhead: 10 } });
+    assert.equal(res.status, 422);
+    assert.equal(res.body.code, 'unprocessable');
+  });
+
+  it('only applies to counter-based accounts', async () => {
+    await createAccount({ key: 'resync-totp' });
+    const res = await api('POST', '/api/accounts/resync-totp/resync', { body: { counter: 1 } });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'invalid_request');
+  });
+});
@@ -0,0 +1,139 @@
+// test/import.test.js - Backup files of other authenticator apps
+const crypto = require('crypto');
+
+// More imports than the extraction limit allows per minute
+process.env.RATE_LIMIT_EXTRACT = 'apikey=100,ip=100,account=0,window=60';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { SECRET, api, fileForm, freshStep, totp } = require('./helpers');
+
+function gcm(key, plain) {
+  const nonce = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, nonce);
+  const encrypted = Buffer.concat([cipher.update(plain), cipher.final()]);
+  return { nonce, encrypted, tag: cipher.getAuthTag() };
+}
+
+// Encrypted Aegis vault with one password slot
+function aegisVault(db, password, { n = 1024, r = 8, p = 1 } = {}) {
+  const masterKey = crypto.randomBytes(32);
+  const salt = crypto.randomBytes(32);
+  // Only for building the file: derive with cheap parameters if the test asks for costly ones
+  const slotKey = crypto.scryptSync(password, salt, 32, { N: Math.min(n, 1024), r: Math.min(r, 8), p: 1 });
+  const slot = gcm(slotKey, masterKey);
+  const content = gcm(masterKey, Buffer.from(JSON.stringify(db)));
+
+  return {
+    version: 1,
+    header: {
+      slots: [{
+        type: 1,
+        key: slot.encrypted.toString('hex'),
+        key_params: { nonce: slot.nonce.toString('hex'), tag: slot.tag.toString('hex') },
+        n, r, p,
+        salt: salt.toString('hex')
+      }],
+      params: { nonce: content.nonce.toString('hex'), tag: content.tag.toString('hex') }
+    },
+    db: content.encrypted.toString('base64')
+  };
+}
+
+const AEGIS_DB = {
+  version: 2,
+  entries: [{
+    type: 'totp',
+    name: 'aegis@example.com',
+    issuer: 'AegisIssuer',
+    info: { secret: SECRET, algo: 'SHA1', digits: 6, period: 30 }
+  }]
+};
+
+function importFile(contents, fields = {}, name = 'backup.json') {
+  return api('POST', '/api/import', { form: fileForm(fields, typeof contents === 'string' ? contents : JSON.stringify(contents), name) });
+}
+
+describe('backup import', () => {
+  it('imports otpauth:// URI lists', async () => {
+    const uris = [
+      `otpauth://totp/Imported:one@example.com?secret=${SECRET}&issuer=Imported`,
+      `otpauth://hotp/Imported:two@example.com?secret=${SECRET}&issuer=Imported&counter=4`
+    ].join('\n');
+
+    const dryRun = await importFile(uris, { dryRun: 'true' }, 'uris.txt');
+    assert.equal(dryRun.status, 200);
+    assert.equal(dryRun.body.format, 'otpauth');
+    assert.equal(dryRun.body.summary.created, 2);
+    assert.equal((await api('GET', '/api/accounts?issuer=Imported')).body.total, 0);
+
+    const imported = await importFile(uris, {}, 'uris.txt');
+    assert.equal(imported.status, 201);
+    assert.equal(imported.body.summary.created, 2);
+    assert.equal((await api('GET', '/api/accounts?issuer=Imported')).body.total, 2);
+  });
+
+  it('refuses files in no known format', async () => {
+    const res = await importFile('hello', {}, 'notes.txt');
+    assert.equal(res.status, 422);
+    assert.equal(res.body.code, 'unprocessable');
+  });
+
+  it('imports plain and encrypted Aegis vaults', async () => {
+    const plain = await importFile({ version: 1, header: { slots: null, params: null }, db: AEGIS_DB }, { dryRun: 'true' });
+    assert.equal(plain.status, 200);
+    assert.equal(plain.body.format, 'aegis');
+    assert.equal(plain.body.summary.created, 1);
+
+    const vault = aegisVault(AEGIS_DB, 'aegis-password');
+    const wrong = await importFile(vault, { password: 'not-the-password' });
+    assert.equal(wrong.status, 422);
+    assert.equal(wrong.body.error, 'Invalid password for Aegis vault');
+
+    const imported = await importFile(vault, { password: 'aegis-password' });
+    assert.equal(imported.status, 201);
+    const [created] = imported.body.created;
+    await freshStep(3);
+    assert.equal((await api('GET', `/api/code/${created.key}`)).body.code, totp());
+  });
+
+  it('refuses Aegis key derivation costs above the cap', async () => {
+    for (const params of [{ n: 2 ** 20 }, { r: 32 }, { p: 16 }]) {
+      const started = Date.now();
+      const res = await importFile(aegisVault(AEGIS_DB, 'aegis-password', params), { password: 'aegis-password' });
+      assert.equal(res.status, 422);
+      assert.equal(res.body.error, 'Unsupported Aegis key derivation parameters');
+      assert.ok(Date.now() - started < 1000);
+    }
+  });
+
+  it('imports encrypted 2FAS backups', async () => {
+    const services = [{ name: 'TwoFAS', secret: SECRET, otp: { account: 'twofas@example.com', tokenType: 'TOTP', digits: 6, period: 30, algorithm: 'SHA1' } }];
+    const salt = crypto.randomBytes(16);
+    const key = crypto.pbkdf2Sync('twofas-password', salt, 10000, 32, 'sha256');
+    const { nonce, encrypted, tag } = gcm(key, Buffer.from(JSON.stringify(services)));
+    const backup = {
+      schemaVersion: 4,
+      services: [],
+      servicesEncrypted: [Buffer.concat([encrypted, tag]), salt, nonce].map(part => part.toString('base64')).join(':')
+    };
+
+    const wrong = await importFile(backup, { password: 'nope' });
+    assert.equal(wrong.status, 422);
+
+    const res = await importFile(backup, { password: 'twofas-password', dryRun: 'true' });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.format, '2fas');
+    assert.equal(res.body.created[0].name, 'TwoFAS (twofas@example.com)');
+  });
+
+  it('imports andOTP and Bitwarden exports', async () => {
+    const andotp = await importFile([{ secret: SECRET, issuer: 'AndOTP', label: 'AndOTP - me', type: 'TOTP', digits: 6, period: 30, algorithm: 'SHA1' }], { dryRun: 'true' });
+    assert.equal(andotp.body.format, 'andotp');
+    assert.equal(andotp.body.summary.created, 1);
+
+    const bitwarden = await importFile({ encrypted: false, items: [{ name: 'Warden', login: { username: 'me', totp: SECRET } }, { name: 'No TOTP', login: {} }] }, { dryRun: 'true' });
+    assert.equal(bitwarden.body.format, 'bitwarden');
+    assert.equal(bitwarden.body.summary.created, 1);
+  });
+});
@@ -0,0 +1,68 @@
+// test/issuerLookup.test.js - Issuer and account name, and looking codes up by them
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseOTPAuth } = require('../utils/otpauth');
+const { SECRET, api, freshStep, totp, createAccount } = require('./helpers');
+
+describe('otpauth:// labels', () => {
+  it('splits the label into issuer and account name', () => {
+    const parsed = parseOTPAuth(`otpauth://totp/GitHub:ops%40example.com?secret=${SECRET}`);
+    assert.equal(parsed.issuer, 'GitHub');
+    assert.equal(parsed.accountName, 'ops@example.com');
+  });
+
+  it('prefers the issuer parameter and keeps colons in the account name', () => {
+    const parsed = parseOTPAuth(`otpauth://totp/Old%20Name:host:8080?secret=${SECRET}&issuer=New%20Name`);
+    assert.equal(parsed.issuer, 'New Name');
+    assert.equal(parsed.accountName, 'host:8080');
+  });
+
+  it('leaves the issuer empty for bare labels', () => {
+    const parsed = parseOTPAuth(`otpauth://totp/%20someone%20?secret=${SECRET}`);
+    assert.equal(parsed.issuer, '');
+    assert.equal(parsed.accountName, 'someone');
+  });
+});
+
+describe('code lookup', () => {
+  before(async () => {
+    await createAccount({ key: 'lookup-ops', issuer: 'Example', accountName: 'ops@example.com' });
+    await createAccount({ key: 'lookup-dev', issuer: 'Example', accountName: 'dev@example.com' });
+  });
+
+  it('returns the current code by key and by issuer and account', async () => {
+    await freshStep(3);
+    const res = await api('GET', '/api/code/lookup-ops');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.code, totp());
+    assert.equal(res.body.period, 30);
+    assert.equal(res.body.issuer, 'Example');
+    assert.equal(res.body.accountName, 'ops@example.com');
+    assert.ok(res.body.timeRemaining > 0 && res.body.timeRemaining <= 30);
+
+    const lookup = await api('GET', '/api/code?issuer=example&account=OPS@example.com');
+    assert.equal(lookup.status, 200);
+    assert.equal(lookup.body.key, 'lookup-ops');
+    assert.equal(lookup.body.code, res.body.code);
+
+    assert.equal((await api('GET', '/api/code/lookup-missing')).status, 404);
+    assert.equal((await api('GET', '/api/code?issuer=Nobody')).status, 404);
+  });
+
+  it('lists the matches when a lookup is ambiguous', async () => {
+    const res = await api('GET', '/api/code?issuer=Example');
+    assert.equal(res.status, 409);
+    assert.equal(res.body.code, 'ambiguous');
+    assert.deepEqual(res.body.details.matches.map(match => match.key).sort(), ['lookup-dev', 'lookup-ops']);
+  });
+
+  it('needs an issuer or an account', async () => {
+    const res = await api('GET', '/api/code');
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'validation_failed');
+  });
+
+  it('does not treat lookups as patterns', async () => {
+    assert.equal((await api('GET', '/api/code?issuer=Ex.*')).status, 404);
+  });
+});
@@ -0,0 +1,64 @@
+// test/keyRotation.test.js - Master key versions and online re-encryption
+const crypto = require('crypto');
+
+const KEY_1 = 'a'.repeat(64);
+process.env.ENCRYPTION_KEYS = `1:${KEY_1},2:${'b'.repeat(64)}`;
+process.env.ENCRYPTION_KEY_VERSION = '1';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('../storage');
+const { SECRET, api, sleep, freshStep, totp, createAccount } = require('./helpers');
+
+// "<iv>:<ciphertext>", the AES-256-CBC format of secrets stored before GCM
+function legacyCiphertext(text) {
+  const iv = crypto.randomBytes(16);
+  const cipher = crypto.createCipheriv('aes-256-cbc', Buffer.from(KEY_1, 'hex'), iv);
+  return iv.toString('hex') + ':' + Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]).toString('hex');
+}
+
+async function rotationFinished() {
+  for (let i = 0; i < 100; i++) {
+    const status = await api('GET', '/api/admin/key-rotation');
+    if (status.body.job.status !== 'running') return status.body;
+    await sleep(20);
+  }
+  throw new Error('Key rotation did not finish');
+}
+
+describe('key rotation', () => {
+  it('reports the keyring', async () => {
+    const res = await api('GET', '/api/admin/key-rotation');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.activeVersion, 1);
+    assert.deepEqual(res.body.loadedVersions, [1, 2]);
+    assert.equal(res.body.job, null);
+  });
+
+  it('refuses versions that are not loaded', async () => {
+    const res = await api('POST', '/api/admin/key-rotation', { body: { toVersion: 3 } });
+    assert.equal(res.status, 400);
+    assert.deepEqual(res.body.details.loadedVersions, [1, 2]);
+  });
+
+  it('re-encrypts every secret with the new key and upgrades legacy ones', async () => {
+    await createAccount({ key: 'rotate-current' });
+    await createAccount({ key: 'rotate-legacy' });
+    await db.accounts.updateOne({ key: 'rotate-legacy' }, { $set: { secret: legacyCiphertext(SECRET), keyVersion: null } });
+    assert.equal((await api('GET', '/api/admin/key-rotation')).body.pending.legacyCiphertext, 1);
+    assert.equal((await db.accounts.findOne({ key: 'rotate-current' }, null, { lean: true })).keyVersion, 1);
+
+    const started = await api('POST', '/api/admin/key-rotation', { body: { toVersion: 2, batchSize: 1 } });
+    assert.equal(started.status, 202);
+    const status = await rotationFinished();
+    assert.equal(status.job.status, 'completed');
+    assert.equal(status.job.rotated, 2);
+    assert.deepEqual(status.usedVersions, [2]);
+    assert.equal(status.pending.legacyCiphertext, 0);
+
+    await freshStep(3);
+    for (const key of ['rotate-current', 'rotate-legacy']) {
+      assert.equal((await api('GET', `/api/code/${key}`)).body.code, totp());
+    }
+  });
+});
@@ -0,0 +1,125 @@
+// test/leases.test.js - Exclusive, single-use checkout of codes
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('../storage');
+const { api, freshStep, totp, createAccount, createKey } = require('./helpers');
+const CodeLease = require('../models/CodeLease');
+
+describe('code leases', () => {
+  let holderKey;
+  let otherKey;
+
+  before(async () => {
+    holderKey = (await createKey('lease-holder', ['codes:read'])).apiKey;
+    otherKey = (await createKey('lease-other', ['codes:read'])).apiKey;
+  });
+
+  it('withholds a leased code from other callers until it is released', async () => {
+    await createAccount({ key: 'lease-release' });
+    await freshStep(8);
+
+    const lease = await api('POST', '/api/accounts/lease-release/lease', { key: holderKey, body: {} });
+    assert.equal(lease.status, 201);
+    assert.equal(lease.body.code, totp());
+    assert.equal(lease.body.status, 'active');
+
+    const holder = await api('GET', '/api/code/lease-release', { key: holderKey });
+    assert.equal(holder.status, 200);
+    assert.equal(holder.body.code, lease.body.code);
+
+    const other = await api('GET', '/api/code/lease-release', { key: otherKey });
+    assert.equal(other.status, 409);
+    assert.equal(other.body.code, 'conflict');
+    assert.ok(Number(other.headers.get('retry-after')) >= 1);
+    assert.equal(other.body.details.retryAfter, Number(other.headers.get('retry-after')));
+    assert.ok(new Date(other.body.details.retryAt) > new Date());
+
+    const listed = await api('GET', '/api/codes?q=lease-release', { key: otherKey });
+    assert.equal(listed.body.codes[0].code, null);
+    assert.ok(listed.body.codes[0].retryAt);
+
+    const secondLease = await api('POST', '/api/accounts/lease-release/lease', { key: otherKey, body: {} });
+    assert.equal(secondLease.status, 409);
+
+    // Only the holder can finish the lease
+    assert.equal((await api('POST', `/api/leases/${lease.body.id}/release`, { key: otherKey })).status, 404);
+    const released = await api('POST', `/api/leases/${lease.body.id}/release`, { key: holderKey });
+    assert.equal(released.status, 200);
+    assert.equal(released.body.status, 'released');
+
+    const after = await api('GET', '/api/code/lease-release', { key: otherKey });
+    assert.equal(after.status, 200);
+    assert.equal(after.body.code, lease.body.code);
+  });
+
+  it('never hands out a consumed code again', async () => {
+    await createAccount({ key: 'lease-consume' });
+    await freshStep(8);
+
+    const lease = await api('POST', '/api/accounts/lease-consume/lease', { key: holderKey, body: {} });
+    const consumed = await api('POST', `/api/leases/${lease.body.id}/consume`, { key: holderKey });
+    assert.equal(consumed.status, 200);
+    assert.equal(consumed.body.status, 'consumed');
+
+    const again = await api('POST', `/api/leases/${lease.body.id}/consume`, { key: holderKey });
+    assert.equal(again.status, 409);
+
+    for (const key of [holderKey, otherKey]) {
+      const res = await api('GET', '/api/code/lease-consume', { key });
+      assert.equal(res.status, 409);
+      assert.equal(res.body.error, 'Code of this time step was already used');
+    }
+  });
+
+  it('waits for a lease to time out with ?wait=true', async () => {
+    await createAccount({ key: 'lease-wait' });
+    await freshStep(8);
+
+    const lease = await api('POST', '/api/accounts/lease-wait/lease', { key: holderKey, body: { timeout: 1 } });
+    assert.equal(lease.status, 201);
+
+    const res = await api('GET', '/api/code/lease-wait?wait=true&minRemaining=0', { key: otherKey });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.code, lease.body.code);
+    assert.ok(res.body.waited >= 500, `waited ${res.body.waited} ms`);
+  });
+
+  it('gives concurrent callers distinct codes', async () => {
+    await createAccount({ key: 'lease-concurrent', period: 15 });
+    const leases = await Promise.all([holderKey, otherKey].map(key =>
+      api('POST', '/api/accounts/lease-concurrent/lease', { key, body: { wait: true, minRemaining: 0 } })));
+
+    assert.deepEqual(leases.map(lease => lease.status), [201, 201]);
+    const [first, second] = leases.map(lease => lease.body).sort((a, b) => a.timeStep - b.timeStep);
+    assert.equal(second.timeStep, first.timeStep + 1);
+    assert.notEqual(second.code, first.code);
+    assert.ok(second.waited > 0);
+  });
+
+  it('answers 409 at once when waiting is not allowed', async () => {
+    await createAccount({ key: 'lease-nowait' });
+    await freshStep(8);
+    await api('POST', '/api/accounts/lease-nowait/lease', { key: holderKey, body: {} });
+
+    const res = await api('POST', '/api/accounts/lease-nowait/lease', { key: otherKey, body: { wait: true, maxWait: 0 } });
+    assert.equal(res.status, 409);
+    assert.equal(res.body.error, 'Code is leased by another caller');
+  });
+
+  it('refuses counter-based accounts', async () => {
+    await createAccount({ key: 'lease-hotp', type: 'hotp' });
+    const res = await api('POST', '/api/accounts/lease-hotp/lease', { key: holderKey, body: {} });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'invalid_request');
+  });
+
+  it('purges leases an hour after their code expired', async () => {
+    await createAccount({ key: 'lease-purged' });
+    await freshStep(8);
+    const lease = await api('POST', '/api/accounts/lease-purged/lease', { key: holderKey, body: {} });
+    await db.codeLeases.updateOne({ token: lease.body.id }, { $set: { codeExpiresAt: new Date(Date.now() - 2 * 60 * 60 * 1000) } });
+
+    assert.equal(await CodeLease.purgeExpired(), 1);
+    assert.equal(await db.codeLeases.countDocuments({ token: lease.body.id }), 0);
+  });
+});
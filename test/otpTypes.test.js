@@ -0,0 +1,80 @@
+// test/otpTypes.test.js - Steam Guard and Mobile-OTP codes
+const crypto = require('crypto');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { base32Encode, parseOTPAuth } = require('../utils/otpauth');
+const { codeAt } = require('../utils/otpTypes');
+const { api, freshStep, createAccount } = require('./helpers');
+
+const STEAM_KEY = Buffer.from('steam-guard-shared-secret');
+const STEAM_SECRET = base32Encode(STEAM_KEY);
+const MOTP_SECRET = '0123456789abcdef';
+
+// Steam Guard as the Steam apps compute it, written out independently
+function steamCode(step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const digest = crypto.createHmac('sha1', STEAM_KEY).update(counter).digest();
+  let value = digest.readUInt32BE(digest[19] & 0xf) & 0x7fffffff;
+  let code = '';
+  for (let i = 0; i < 5; i++) {
+    code += '23456789BCDFGHJKMNPQRTVWXY'[value % 26];
+    value = Math.floor(value / 26);
+  }
+  return code;
+}
+
+function motpCode(pin, time = Date.now()) {
+  return crypto.createHash('md5').update(`${Math.floor(time / 10000)}${MOTP_SECRET}${pin}`).digest('hex').slice(0, 6);
+}
+
+describe('Steam Guard', () => {
+  it('generates five characters of the Steam alphabet', () => {
+    for (const step of [0, 1, 56666666]) {
+      assert.equal(codeAt({ type: 'steam' }, STEAM_SECRET, step), steamCode(step));
+    }
+  });
+
+  it('is recognised in otpauth:// and steam:// URIs', () => {
+    assert.equal(parseOTPAuth(`otpauth://totp/Steam:me?secret=${STEAM_SECRET}&encoder=steam`).type, 'steam');
+    const parsed = parseOTPAuth(`steam://${STEAM_SECRET}`);
+    assert.equal(parsed.type, 'steam');
+    assert.equal(parsed.digits, 5);
+  });
+
+  it('serves codes of Steam accounts and verifies them case-insensitively', async () => {
+    const created = await createAccount({ key: 'steam-account', type: 'steam', secret: STEAM_SECRET, digits: 8 });
+    assert.equal(created.type, 'steam');
+
+    await freshStep(3);
+    const step = Math.floor(Date.now() / 30000);
+    const res = await api('GET', '/api/code/steam-account');
+    assert.equal(res.body.code, steamCode(step));
+    // Steam dictates its parameters, whatever was asked for
+    const [listed] = (await api('GET', '/api/accounts?q=steam-account')).body.accounts;
+    assert.equal(listed.digits, 5);
+
+    const verified = await api('POST', '/api/accounts/steam-account/verify', { body: { code: steamCode(step).toLowerCase() } });
+    assert.equal(verified.body.valid, true);
+  });
+});
+
+describe('Mobile-OTP', () => {
+  it('needs a hex secret and a PIN', async () => {
+    const noPin = await api('POST', '/api/accounts', { body: { key: 'motp-nopin', type: 'motp', secret: MOTP_SECRET } });
+    assert.equal(noPin.status, 400);
+    assert.equal(noPin.body.error, 'mOTP pin must be 4 to 8 digits');
+
+    const base32 = await api('POST', '/api/accounts', { body: { key: 'motp-base32', type: 'motp', secret: STEAM_SECRET, pin: '1234' } });
+    assert.equal(base32.status, 400);
+  });
+
+  it('serves codes from the secret and PIN every 10 seconds', async () => {
+    await createAccount({ key: 'motp-account', type: 'motp', secret: MOTP_SECRET, pin: '4321' });
+
+    await freshStep(2, 10);
+    const res = await api('GET', '/api/code/motp-account');
+    assert.equal(res.body.code, motpCode('4321'));
+    assert.equal(res.body.period, 10);
+  });
+});
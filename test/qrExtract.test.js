@@ -0,0 +1,163 @@
+// test/qrExtract.test.js - Finding QR codes in uploaded images and PDFs
+const zlib = require('zlib');
+
+// Every test uploads a file
+process.env.RATE_LIMIT_EXTRACT = 'apikey=100,ip=100,account=0,window=60';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const QRCode = require('qrcode');
+const { createCanvas, loadImage } = require('canvas');
+const { SECRET, api, fileForm } = require('./helpers');
+
+function otpauth(issuer) {
+  return `otpauth://totp/${issuer}:me@example.com?secret=${SECRET}&issuer=${issuer}`;
+}
+
+function extract(contents, name, fields = {}) {
+  return api('POST', '/api/extract-secret', { form: fileForm(fields, contents, name) });
+}
+
+// Two codes side by side on one white image
+async function twoCodes(first, second) {
+  const images = await Promise.all([first, second].map(async text => loadImage(await QRCode.toBuffer(text, { width: 300 }))));
+  const canvas = createCanvas(700, 340);
+  const context = canvas.getContext('2d');
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.drawImage(images[0], 20, 20);
+  context.drawImage(images[1], 380, 20);
+  return canvas.toBuffer('image/png');
+}
+
+// Grayscale image XObject of a QR code, 4 pixels per module
+function qrImage(text) {
+  const { size, data } = QRCode.create(text).modules;
+  const scale = 4;
+  const side = (size + 8) * scale;
+  const pixels = Buffer.alloc(side * side, 255);
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (!data[y * size + x]) continue;
+      for (let dy = 0; dy < scale; dy++) {
+        pixels.fill(0, ((y + 4) * scale + dy) * side + (x + 4) * scale, ((y + 4) * scale + dy) * side + (x + 5) * scale);
+      }
+    }
+  }
+  return { side, stream: zlib.deflateSync(pixels) };
+}
+
+// A PDF with one page per entry of `pages`: { size } in points and an
+// optional QR code `text`
+function pdf(pages) {
+  const objects = [];
+  // Object 1 is the page tree, added objects follow it
+  const add = body => objects.push(body) + 1;
+  const pageIds = [];
+
+  for (const { size, text } of pages) {
+    let resources = '<< >>';
+    let content = '';
+    if (text) {
+      const { side, stream } = qrImage(text);
+      const image = add(Buffer.concat([
+        Buffer.from(`<< /Type /XObject /Subtype /Image /Width ${side} /Height ${side} /ColorSpace /DeviceGray /BitsPerComponent 8 /Filter /FlateDecode /Length ${stream.length} >>\nstream\n`),
+        stream,
+        Buffer.from('\nendstream')
+      ]));
+      resources = `<< /XObject << /Im0 ${image} 0 R >> >>`;
+      content = `q ${size - 40} 0 0 ${size - 40} 20 20 cm /Im0 Do Q`;
+    }
+    const contents = add(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+    pageIds.push(add(`<< /Type /Page /Parent 1 0 R /MediaBox [0 0 ${size} ${size}] /Resources ${resources} /Contents ${contents} 0 R >>`));
+  }
+
+  const body = [`<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`, ...objects];
+  const catalog = body.length + 1;
+  body.push('<< /Type /Catalog /Pages 1 0 R >>');
+
+  const chunks = [Buffer.from('%PDF-1.4\n')];
+  const offsets = [];
+  let length = chunks[0].length;
+  body.forEach((object, index) => {
+    const chunk = Buffer.concat([Buffer.from(`${index + 1} 0 obj\n`), Buffer.from(object), Buffer.from('\nendobj\n')]);
+    offsets.push(length);
+    chunks.push(chunk);
+    length += chunk.length;
+  });
+  const xref = ['xref', `0 ${body.length + 1}`, '0000000000 65535 f ', ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `)].join('\n');
+  chunks.push(Buffer.from(`${xref}\ntrailer\n<< /Size ${body.length + 1} /Root ${catalog} 0 R >>\nstartxref\n${length}\n%%EOF\n`));
+  return Buffer.concat(chunks);
+}
+
+describe('QR extraction', () => {
+  it('reads an otpauth:// code from a PNG', async () => {
+    const res = await extract(await QRCode.toBuffer(otpauth('Single')), 'code.png');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.count, 1);
+    assert.equal(res.body.secret, SECRET);
+    assert.equal(res.body.issuer, 'Single');
+    assert.ok(res.body.box.width > 0);
+  });
+
+  it('finds several codes in one image', async () => {
+    const res = await extract(await twoCodes(otpauth('Left'), otpauth('Right')), 'codes.png');
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.results.map(result => result.issuer).sort(), ['Left', 'Right']);
+  });
+
+  it('reads light codes on a dark background', async () => {
+    const inverted = await QRCode.toBuffer(otpauth('Inverted'), { color: { dark: '#ffffffff', light: '#000000ff' } });
+    const res = await extract(inverted, 'inverted.png');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.issuer, 'Inverted');
+  });
+
+  it('saves the accounts it finds', async () => {
+    const res = await extract(await QRCode.toBuffer(otpauth('Saved')), 'code.png', { save: 'true', key: 'extract-saved' });
+    assert.equal(res.status, 201);
+    assert.equal((await api('GET', '/api/code/extract-saved')).status, 200);
+  });
+
+  it('scans PDF pages up to the first one with codes', async () => {
+    const file = pdf([{ size: 300 }, { size: 300, text: otpauth('SecondPage') }, { size: 300, text: otpauth('ThirdPage') }]);
+    const res = await extract(file, 'setup.pdf');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.count, 1);
+    assert.equal(res.body.issuer, 'SecondPage');
+    assert.equal(res.body.page, 2);
+  });
+
+  it('answers 422 when there is no code or the file is unreadable', async () => {
+    const blank = await extract(pdf([{ size: 200 }]), 'blank.pdf');
+    assert.equal(blank.status, 422);
+    assert.equal(blank.body.code, 'no_qr_code');
+
+    const garbage = await extract(Buffer.from('not an image'), 'garbage.png');
+    assert.equal(garbage.status, 422);
+    assert.equal(garbage.body.code, 'unprocessable');
+  });
+
+  it('refuses images above the pixel limit before decoding them', async () => {
+    // A PNG header claiming 20000x20000 pixels, nothing else
+    const header = Buffer.alloc(33);
+    header.writeUInt32BE(0x89504e47, 0);
+    header.writeUInt32BE(0x0d0a1a0a, 4);
+    header.writeUInt32BE(13, 8);
+    header.write('IHDR', 12, 'latin1');
+    header.writeUInt32BE(20000, 16);
+    header.writeUInt32BE(20000, 20);
+    const res = await extract(header, 'huge.png');
+    assert.equal(res.status, 413);
+    assert.equal(res.body.code, 'payload_too_large');
+  });
+
+  it('refuses PDFs whose pages add up to more than the pixel limit', async () => {
+    // Each page is 36 megapixels when rendered, within the limit on its own
+    const started = Date.now();
+    const res = await extract(pdf([{ size: 3000 }, { size: 3000 }]), 'huge.pdf');
+    assert.equal(res.status, 413);
+    assert.match(res.body.error, /across its pages/);
+    assert.ok(Date.now() - started < 2000);
+  });
+});
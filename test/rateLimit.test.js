@@ -0,0 +1,65 @@
+// test/rateLimit.test.js - Rate limits and brute-force lockouts
+//
+// Low limits, so a handful of requests reaches them
+process.env.RATE_LIMIT_CODE = 'apikey=5,ip=100,account=3,window=60';
+process.env.RATE_LIMIT_LOCKOUT = 'failures=3,window=600,duration=900';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { api, sleep, createAccount, createKey } = require('./helpers');
+
+describe('rate limits', () => {
+  it('limits code fetches per account with Retry-After', async () => {
+    await createAccount({ key: 'limited-account' });
+    const { apiKey } = await createKey('account-limit', ['codes:read']);
+
+    for (let i = 0; i < 3; i++) {
+      const res = await api('GET', '/api/code/limited-account', { key: apiKey });
+      assert.equal(res.status, 200);
+      assert.equal(res.headers.get('ratelimit-remaining'), String(2 - i));
+    }
+
+    const limited = await api('GET', '/api/code/limited-account', { key: apiKey });
+    assert.equal(limited.status, 429);
+    assert.equal(limited.body.code, 'rate_limited');
+    assert.equal(limited.body.details.limit, 'account');
+    const retryAfter = Number(limited.headers.get('retry-after'));
+    assert.ok(retryAfter >= 1 && retryAfter <= 60, `Retry-After ${retryAfter}`);
+  });
+
+  it('limits code fetches per API key', async () => {
+    const { apiKey } = await createKey('key-limit', ['codes:read']);
+    const statuses = [];
+    for (let i = 0; i < 6; i++) {
+      await createAccount({ key: `key-limit-${i}` });
+      statuses.push((await api('GET', `/api/code/key-limit-${i}`, { key: apiKey })).status);
+    }
+    assert.deepEqual(statuses, [200, 200, 200, 200, 200, 429]);
+
+    const other = await createKey('other-key', ['codes:read']);
+    assert.equal((await api('GET', '/api/code/key-limit-5', { key: other.apiKey })).status, 200);
+  });
+
+  // Last: the lockout covers the IP, which every request of this file shares
+  it('locks out clients after repeated 404s and failed verifications', async () => {
+    await createAccount({ key: 'lockout-target' });
+    const { apiKey } = await createKey('guesser', ['codes:read', 'codes:verify']);
+
+    for (const code of ['000000', '111111']) {
+      const res = await api('POST', '/api/accounts/lockout-target/verify', { key: apiKey, body: { code } });
+      assert.equal(res.body.valid, false);
+    }
+    const unknown = await api('GET', '/api/code/no-such-account', { key: apiKey });
+    assert.equal(unknown.status, 404);
+    // The 404 does not tell which keys exist
+    assert.ok(!JSON.stringify(unknown.body).includes('lockout-target'));
+
+    // Failures are counted once their response is sent
+    await sleep(50);
+    const locked = await api('GET', '/api/code/lockout-target', { key: apiKey });
+    assert.equal(locked.status, 429);
+    assert.equal(locked.body.code, 'locked_out');
+    const retryAfter = Number(locked.headers.get('retry-after'));
+    assert.ok(retryAfter > 800 && retryAfter <= 900, `Retry-After ${retryAfter}`);
+  });
+});
@@ -0,0 +1,121 @@
+// test/routes.test.js - The documented routes, end to end
+//
+// Runs the app in this process (see helpers.js) and calls it over HTTP with
+// the bootstrap admin key. Each feature has its own file next to this one.
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('../storage');
+const { SECRET, api, createAccount } = require('./helpers');
+
+describe('service routes', () => {
+  it('reports health', async () => {
+    const res = await api('GET', '/health', { key: null });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, 'ok');
+    assert.equal(res.body.storage, 'memory');
+    assert.equal(res.body.database, 'connected');
+  });
+
+  it('serves the OpenAPI document', async () => {
+    const res = await api('GET', '/api/openapi.json', { key: null });
+    assert.equal(res.status, 200);
+    assert.ok(res.body.openapi);
+    assert.ok(res.body.paths['/api/accounts'].post);
+    assert.ok(res.body.paths['/api/accounts/{key}/lease'].post);
+  });
+
+  it('documents every route with the error envelope', async () => {
+    const { paths } = (await api('GET', '/api/openapi.json', { key: null })).body;
+    const documented = [
+      ['get', '/api/code/{accountKey}'],
+      ['post', '/api/accounts/{key}/verify'],
+      ['post', '/api/accounts/{key}/push'],
+      ['post', '/api/extract-secret'],
+      ['get', '/api/export'],
+      ['post', '/api/restore'],
+      ['get', '/api/admin/webhooks/{id}/deliveries'],
+      ['post', '/api/trash/{id}/restore']
+    ];
+    for (const [method, path] of documented) {
+      assert.ok(paths[path] && paths[path][method], `${method} ${path} is documented`);
+      assert.deepEqual(paths[path][method].responses.default, { $ref: '#/components/responses/Error' });
+    }
+  });
+
+  it('answers errors in the error envelope', async () => {
+    const missing = await api('GET', '/api/accounts', { key: null });
+    assert.equal(missing.status, 401);
+    assert.equal(missing.body.code, 'api_key_required');
+
+    const invalid = await api('GET', '/api/accounts', { key: 'not-a-key' });
+    assert.equal(invalid.status, 401);
+    assert.equal(invalid.body.code, 'api_key_invalid');
+
+    const unknown = await api('GET', '/api/nothing-here');
+    assert.equal(unknown.status, 404);
+    assert.deepEqual(unknown.body, { error: 'No such endpoint', code: 'not_found' });
+
+    const validation = await api('POST', '/api/accounts', { body: { secret: SECRET } });
+    assert.equal(validation.status, 400);
+    assert.equal(validation.body.code, 'validation_failed');
+    assert.ok(Array.isArray(validation.body.details));
+
+    const badJson = await api('POST', '/api/accounts', { headers: { 'Content-Type': 'application/json' }, raw: '{"key":' });
+    assert.equal(badJson.status, 400);
+    assert.equal(badJson.body.code, 'invalid_json');
+  });
+
+  it('validates params and query strings', async () => {
+    const badId = await api('GET', '/api/admin/webhooks/not-an-id');
+    assert.equal(badId.status, 400);
+    assert.equal(badId.body.code, 'validation_failed');
+    assert.equal(badId.body.details[0].field, 'params.id');
+
+    for (const query of ['limit=0', 'sort=bogus']) {
+      const res = await api('GET', `/api/accounts?${query}`);
+      assert.equal(res.status, 400);
+      assert.equal(res.body.details[0].field, `query.${query.split('=')[0]}`);
+    }
+  });
+
+  it('keeps internal error messages out of responses', async () => {
+    const accounts = db.accounts;
+    const find = accounts.find;
+    accounts.find = async () => {
+      throw new Error('connection to db-internal:27017 closed');
+    };
+    try {
+      const res = await api('GET', '/api/accounts');
+      assert.equal(res.status, 500);
+      assert.deepEqual(res.body, { error: 'Server error', code: 'internal_error' });
+    } finally {
+      accounts.find = find;
+    }
+  });
+});
+
+describe('accounts', () => {
+  it('creates, lists and refuses duplicate accounts', async () => {
+    const created = await createAccount({ key: 'acct-github', name: 'GitHub', issuer: 'GitHub', accountName: 'ops@example.com', tags: ['Work'] });
+    assert.equal(created.key, 'acct-github');
+    assert.equal(created.type, 'totp');
+    assert.equal(created.secret, undefined);
+
+    const duplicate = await api('POST', '/api/accounts', { body: { key: 'acct-github', secret: SECRET } });
+    assert.equal(duplicate.status, 409);
+    assert.equal(duplicate.body.code, 'conflict');
+
+    const list = await api('GET', '/api/accounts?q=acct-github');
+    assert.equal(list.status, 200);
+    assert.equal(list.body.total, 1);
+    assert.equal(list.body.accounts[0].issuer, 'GitHub');
+    assert.equal(list.body.accounts[0].encrypted, true);
+    assert.equal(list.body.accounts[0].secret, undefined);
+  });
+
+  it('rejects invalid secrets', async () => {
+    const res = await api('POST', '/api/accounts', { body: { key: 'acct-bad', secret: 'not base32!' } });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'validation_failed');
+  });
+});
@@ -0,0 +1,360 @@
+// test/storage.test.js - Every storage driver against the same query semantics
+//
+// The memory and file drivers evaluate filters, sorts and projections with
+// storage/query.js; the MongoDB driver leaves them to the server. The same
+// cases run against each, so the drivers can't drift apart. The MongoDB
+// driver is only tested when TEST_MONGODB_URI points at a database that may
+// be written to.
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const { createMemoryDriver } = require('../storage/memory');
+const { createFileDriver } = require('../storage/file');
+const { createMongoDriver } = require('../storage/mongo');
+
+const itemSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  n: Number,
+  tags: [String],
+  owner: mongoose.Schema.Types.ObjectId,
+  at: Date,
+  slug: String,
+  info: { color: String },
+  status: { type: String, default: 'new' }
+}, { timestamps: true });
+
+itemSchema.index({ slug: 1 }, { unique: true, partialFilterExpression: { slug: { $type: 'string' } } });
+itemSchema.index({ owner: 1, name: 1 }, { unique: true, partialFilterExpression: { owner: { $exists: true } } });
+
+const Item = mongoose.model('StorageTestItem', itemSchema);
+
+const SEED = [
+  { name: 'alpha', n: 1, tags: ['x', 'y'], at: new Date('2026-01-01'), slug: 'a', info: { color: 'red' } },
+  { name: 'beta', n: 2, tags: ['y'], at: new Date('2026-02-01'), info: { color: 'blue' } },
+  { name: 'gamma', n: 3, tags: [], slug: 'c' },
+  { name: 'Delta', n: 10, tags: ['x', 'z'], at: new Date('2026-03-01'), info: { color: 'red' } }
+];
+
+function names(docs) {
+  return docs.map(doc => doc.name).sort();
+}
+
+function driverCases(createDriver) {
+  let driver;
+
+  before(async () => {
+    driver = createDriver();
+    await driver.connect();
+    if (driver.name === 'mongo') await Item.init();
+  });
+
+  after(async () => {
+    if (driver.name === 'mongo') await Item.deleteMany({});
+    await driver.disconnect();
+  });
+
+  beforeEach(async () => {
+    await driver.deleteMany(Item, {});
+    await driver.insertMany(Item, SEED);
+  });
+
+  const find = (filter, projection, options) => driver.find(Item, filter, projection, options);
+
+  describe('filters', () => {
+    it('matches equality, array elements and dotted paths', async () => {
+      assert.deepEqual(names(await find({ name: 'beta' })), ['beta']);
+      assert.deepEqual(names(await find({ tags: 'x' })), ['Delta', 'alpha']);
+      assert.deepEqual(names(await find({ 'info.color': 'red' })), ['Delta', 'alpha']);
+      assert.deepEqual(names(await find({ tags: ['y'] })), ['beta']);
+    });
+
+    it('compares numbers and dates', async () => {
+      assert.deepEqual(names(await find({ n: { $gt: 1, $lte: 3 } })), ['beta', 'gamma']);
+      assert.deepEqual(names(await find({ n: { $gte: 10 } })), ['Delta']);
+      assert.deepEqual(names(await find({ at: { $lt: new Date('2026-01-15') } })), ['alpha']);
+      assert.deepEqual(names(await find({ n: { $eq: 2 } })), ['beta']);
+    });
+
+    it('supports $ne, $in and $nin', async () => {
+      assert.deepEqual(names(await find({ n: { $ne: 2 } })), ['Delta', 'alpha', 'gamma']);
+      assert.deepEqual(names(await find({ n: { $in: [1, 10] } })), ['Delta', 'alpha']);
+      assert.deepEqual(names(await find({ n: { $nin: [1, 10] } })), ['beta', 'gamma']);
+      assert.deepEqual(names(await find({ tags: { $in: ['z', 'nope'] } })), ['Delta']);
+    });
+
+    it('treats missing fields as null', async () => {
+      assert.deepEqual(names(await find({ slug: { $exists: false } })), ['Delta', 'beta']);
+      assert.deepEqual(names(await find({ slug: { $exists: true } })), ['alpha', 'gamma']);
+      assert.deepEqual(names(await find({ slug: null })), ['Delta', 'beta']);
+      assert.deepEqual(names(await find({ slug: { $ne: null } })), ['alpha', 'gamma']);
+    });
+
+    it('supports regular expressions, $not and $type', async () => {
+      assert.deepEqual(names(await find({ name: /^d/i })), ['Delta']);
+      assert.deepEqual(names(await find({ name: { $regex: '^[ab]' } })), ['alpha', 'beta']);
+      assert.deepEqual(names(await find({ name: { $not: /^[ab]/ } })), ['Delta', 'gamma']);
+      assert.deepEqual(names(await find({ slug: { $type: 'string' } })), ['alpha', 'gamma']);
+    });
+
+    it('supports $all and $size on arrays', async () => {
+      assert.deepEqual(names(await find({ tags: { $all: ['x', 'y'] } })), ['alpha']);
+      assert.deepEqual(names(await find({ tags: { $size: 0 } })), ['gamma']);
+      assert.deepEqual(names(await find({ tags: { $size: 2 } })), ['Delta', 'alpha']);
+    });
+
+    it('combines conditions with $and, $or and $nor', async () => {
+      assert.deepEqual(names(await find({ $or: [{ n: 1 }, { tags: 'z' }] })), ['Delta', 'alpha']);
+      assert.deepEqual(names(await find({ $and: [{ tags: 'y' }, { n: { $gt: 1 } }] })), ['beta']);
+      assert.deepEqual(names(await find({ $nor: [{ n: 1 }, { slug: null }] })), ['gamma']);
+      assert.deepEqual(names(await find({ tags: 'x', $or: [{ n: { $lt: 5 } }, { slug: 'none' }] })), ['alpha']);
+    });
+
+    it('casts string ids and dates through the schema', async () => {
+      const [alpha] = await find({ name: 'alpha' });
+      assert.equal((await driver.findById(Item, String(alpha._id))).name, 'alpha');
+      assert.deepEqual(names(await find({ _id: { $in: [String(alpha._id)] } })), ['alpha']);
+      assert.deepEqual(names(await find({ at: { $gte: '2026-02-01T00:00:00Z' } })), ['Delta', 'beta']);
+    });
+  });
+
+  describe('reads', () => {
+    it('sorts, skips and limits', async () => {
+      const sorted = await find({}, null, { sort: { n: -1 }, skip: 1, limit: 2 });
+      assert.deepEqual(sorted.map(doc => doc.name), ['gamma', 'beta']);
+
+      // Binary string order, as in MongoDB: capitals first
+      const byName = await find({}, null, { sort: { name: 1 } });
+      assert.deepEqual(byName.map(doc => doc.name), ['Delta', 'alpha', 'beta', 'gamma']);
+
+      // Missing values sort first
+      const bySlug = await find({}, null, { sort: { slug: 1, n: 1 } });
+      assert.deepEqual(bySlug.map(doc => doc.name), ['beta', 'Delta', 'alpha', 'gamma']);
+
+      const first = await driver.findOne(Item, { tags: 'x' }, null, { sort: { n: -1 } });
+      assert.equal(first.name, 'Delta');
+    });
+
+    it('applies projections and keeps _id unless excluded', async () => {
+      const [included] = await find({ name: 'alpha' }, 'name tags');
+      assert.ok(included._id);
+      assert.equal(included.name, 'alpha');
+      assert.deepEqual([...included.tags], ['x', 'y']);
+      assert.equal(included.n, undefined);
+
+      const [excluded] = await find({ name: 'alpha' }, { n: 0, tags: 0 });
+      assert.equal(excluded.n, undefined);
+      assert.equal(excluded.slug, 'a');
+
+      const [withoutId] = await find({ name: 'alpha' }, { name: 1, _id: 0 }, { lean: true });
+      assert.deepEqual(withoutId, { name: 'alpha' });
+    });
+
+    it('returns Mongoose documents, or plain objects with lean', async () => {
+      const doc = await driver.findOne(Item, { name: 'beta' });
+      assert.ok(doc instanceof mongoose.Document);
+      assert.equal(doc.info.color, 'blue');
+
+      const lean = await driver.findOne(Item, { name: 'beta' }, null, { lean: true });
+      assert.ok(!(lean instanceof mongoose.Document));
+      assert.ok(lean.at instanceof Date);
+      assert.equal(await driver.findOne(Item, { name: 'nobody' }), null);
+    });
+
+    it('counts and lists distinct values', async () => {
+      assert.equal(await driver.countDocuments(Item, {}), 4);
+      assert.equal(await driver.countDocuments(Item, { tags: 'y' }), 2);
+      assert.deepEqual((await driver.distinct(Item, 'tags')).sort(), ['x', 'y', 'z']);
+      assert.deepEqual((await driver.distinct(Item, 'info.color', { n: { $lt: 5 } })).sort(), ['blue', 'red']);
+    });
+  });
+
+  describe('writes', () => {
+    it('applies defaults, timestamps and validation on create', async () => {
+      const created = await driver.create(Item, { name: 'epsilon' });
+      assert.equal(created.status, 'new');
+      assert.ok(created.createdAt instanceof Date);
+      assert.ok(created.updatedAt instanceof Date);
+
+      await assert.rejects(driver.create(Item, { n: 5 }), { name: 'ValidationError' });
+      assert.equal(await driver.countDocuments(Item, {}), 5);
+    });
+
+    it('enforces unique indexes with duplicate key errors', async () => {
+      await assert.rejects(driver.create(Item, { name: 'copy', slug: 'a' }), { code: 11000 });
+
+      // Outside the partial filter, so never a duplicate
+      await driver.create(Item, { name: 'one' });
+      await driver.create(Item, { name: 'two' });
+
+      const owner = new mongoose.Types.ObjectId();
+      await driver.create(Item, { name: 'shared', owner });
+      await driver.create(Item, { name: 'shared', owner: new mongoose.Types.ObjectId() });
+      await assert.rejects(driver.create(Item, { name: 'shared', owner }), { code: 11000 });
+
+      await assert.rejects(driver.updateOne(Item, { name: 'gamma' }, { $set: { slug: 'a' } }), { code: 11000 });
+      assert.equal((await driver.findOne(Item, { name: 'gamma' })).slug, 'c');
+    });
+
+    it('stops ordered inserts at a duplicate key', async () => {
+      await assert.rejects(
+        driver.insertMany(Item, [{ name: 'e', slug: 'e' }, { name: 'f', slug: 'a' }, { name: 'g' }]),
+        { code: 11000 }
+      );
+      assert.deepEqual(names(await find({ name: { $in: ['e', 'f', 'g'] } })), ['e']);
+    });
+
+    it('updates with $set, $inc, $unset and $push', async () => {
+      const result = await driver.updateOne(Item, { name: 'alpha' }, {
+        $set: { 'info.color': 'green' },
+        $inc: { n: 5 },
+        $unset: { at: '' },
+        $push: { tags: { $each: ['p', 'q'] } }
+      });
+      assert.equal(result.matchedCount, 1);
+      assert.equal(result.modifiedCount, 1);
+
+      const alpha = await driver.findOne(Item, { name: 'alpha' }, null, { lean: true });
+      assert.equal(alpha.n, 6);
+      assert.equal(alpha.info.color, 'green');
+      assert.equal(alpha.at, undefined);
+      assert.deepEqual(alpha.tags, ['x', 'y', 'p', 'q']);
+
+      const missing = await driver.updateOne(Item, { name: 'nobody' }, { $set: { n: 1 } });
+      assert.equal(missing.matchedCount, 0);
+      assert.equal(missing.modifiedCount, 0);
+    });
+
+    it('upserts from the filter and $setOnInsert', async () => {
+      const result = await driver.updateOne(Item, { name: 'zeta' }, { $set: { n: 7 }, $setOnInsert: { slug: 'z' } }, { upsert: true });
+      assert.equal(result.upsertedCount, 1);
+      const zeta = await driver.findOne(Item, { name: 'zeta' });
+      assert.equal(zeta.n, 7);
+      assert.equal(zeta.slug, 'z');
+      assert.equal(zeta.status, 'new');
+
+      // $setOnInsert leaves existing documents alone
+      await driver.updateOne(Item, { name: 'zeta' }, { $set: { n: 8 }, $setOnInsert: { slug: 'other' } }, { upsert: true });
+      const updated = await driver.findOne(Item, { name: 'zeta' });
+      assert.equal(updated.n, 8);
+      assert.equal(updated.slug, 'z');
+    });
+
+    it('updates many documents', async () => {
+      const result = await driver.updateMany(Item, { tags: 'x' }, { $set: { status: 'tagged' } });
+      assert.equal(result.matchedCount, 2);
+      assert.equal(result.modifiedCount, 2);
+      assert.deepEqual(names(await find({ status: 'tagged' })), ['Delta', 'alpha']);
+    });
+
+    it('returns the document before findOneAndUpdate unless asked for after', async () => {
+      const before = await driver.findOneAndUpdate(Item, { name: 'beta' }, { $inc: { n: 1 } });
+      assert.equal(before.n, 2);
+
+      const afterUpdate = await driver.findOneAndUpdate(Item, { name: 'beta' }, { $inc: { n: 1 } }, { returnDocument: 'after' });
+      assert.equal(afterUpdate.n, 4);
+
+      const withNew = await driver.findOneAndUpdate(Item, { name: 'beta' }, { $inc: { n: 1 } }, { new: true });
+      assert.equal(withNew.n, 5);
+
+      const first = await driver.findOneAndUpdate(Item, { tags: 'x' }, { $set: { status: 'first' } }, { sort: { n: 1 }, new: true });
+      assert.equal(first.name, 'alpha');
+
+      assert.equal(await driver.findOneAndUpdate(Item, { name: 'nobody' }, { $set: { n: 1 } }), null);
+      const upserted = await driver.findOneAndUpdate(Item, { name: 'eta' }, { $set: { n: 1 } }, { upsert: true, new: true });
+      assert.equal(upserted.name, 'eta');
+      assert.equal(upserted.n, 1);
+    });
+
+    it('deletes documents', async () => {
+      const removed = await driver.findOneAndDelete(Item, { name: 'gamma' });
+      assert.equal(removed.name, 'gamma');
+      assert.equal(await driver.findOne(Item, { name: 'gamma' }), null);
+      assert.equal(await driver.findOneAndDelete(Item, { name: 'gamma' }), null);
+
+      assert.equal((await driver.deleteOne(Item, { tags: 'x' })).deletedCount, 1);
+      assert.equal((await driver.deleteMany(Item, {})).deletedCount, 2);
+      assert.equal((await driver.deleteMany(Item, {})).deletedCount, 0);
+    });
+
+    it('saves new and changed documents', async () => {
+      const doc = new Item({ name: 'theta', n: 1 });
+      await driver.save(Item, doc);
+      assert.equal(doc.isNew, false);
+      assert.ok(doc.createdAt instanceof Date);
+
+      doc.n = 2;
+      doc.tags.push('t');
+      await driver.save(Item, doc);
+      const saved = await driver.findById(Item, doc._id, null, { lean: true });
+      assert.equal(saved.n, 2);
+      assert.deepEqual(saved.tags, ['t']);
+
+      const loaded = await driver.findOne(Item, { name: 'theta' });
+      loaded.slug = 'a';
+      await assert.rejects(driver.save(Item, loaded), { code: 11000 });
+
+      const invalid = await driver.findOne(Item, { name: 'theta' });
+      invalid.name = null;
+      await assert.rejects(driver.save(Item, invalid), { name: 'ValidationError' });
+    });
+  });
+}
+
+describe('memory driver', () => {
+  driverCases(() => createMemoryDriver());
+});
+
+describe('file driver', () => {
+  let dir;
+
+  before(async () => {
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'mfa-storage-'));
+  });
+
+  after(async () => {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  });
+
+  describe('query semantics', () => {
+    driverCases(() => createFileDriver({ file: path.join(dir, 'cases.json') }));
+  });
+
+  it('keeps documents across reconnects', async () => {
+    const file = path.join(dir, 'persist.json');
+    const first = createFileDriver({ file });
+    await first.connect();
+    const created = await first.create(Item, { name: 'kept', at: new Date('2026-05-01'), tags: ['k'] });
+    await first.updateOne(Item, { _id: created._id }, { $inc: { n: 3 } });
+    await first.disconnect();
+
+    const stored = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    assert.equal(stored.version, 1);
+    assert.equal(stored.collections.StorageTestItem.length, 1);
+
+    const second = createFileDriver({ file });
+    await second.connect();
+    const kept = await second.findById(Item, created._id);
+    assert.equal(kept.name, 'kept');
+    assert.equal(kept.n, 3);
+    assert.ok(kept.at instanceof Date);
+    assert.deepEqual(names(await second.find(Item, { at: { $gt: new Date('2026-04-01') } })), ['kept']);
+    await second.disconnect();
+  });
+
+  it('refuses files it did not write', async () => {
+    const file = path.join(dir, 'other.json');
+    await fs.promises.writeFile(file, JSON.stringify({ hello: 'world' }));
+    await assert.rejects(createFileDriver({ file }).connect(), /is not a storage file/);
+  });
+
+  it('needs STORAGE_PATH', () => {
+    assert.throws(() => createFileDriver({}), /STORAGE_PATH must be set/);
+  });
+});
+
+describe('mongo driver', { skip: !process.env.TEST_MONGODB_URI && 'TEST_MONGODB_URI is not set' }, () => {
+  driverCases(() => createMongoDriver({ uri: process.env.TEST_MONGODB_URI }));
+});
@@ -0,0 +1,77 @@
+// test/stream.test.js - Live codes over Server-Sent Events
+process.env.STREAM_HEARTBEAT_MS = '100';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN_KEY, url, api, createAccount, createKey } = require('./helpers');
+
+// Collect events until `done(events)` holds, then disconnect; `events` maps
+// each event name to the data of every occurrence
+async function readEvents(path, key, done) {
+  const controller = new AbortController();
+  const res = await fetch(url(`${path}&access_token=${key}`), { signal: controller.signal });
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-type'), /^text\/event-stream/);
+
+  const events = {};
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const chunk of res.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const complete = buffer.lastIndexOf('\n\n') + 2;
+    for (const [, event, data] of buffer.slice(0, complete).matchAll(/event: (\w+)\ndata: (.*)\n\n/g)) {
+      (events[event] = events[event] || []).push(JSON.parse(data));
+    }
+    buffer = buffer.slice(complete);
+    if (done(events)) break;
+  }
+  controller.abort();
+  return events;
+}
+
+describe('code stream', () => {
+  it('streams codes with the vault of each account', async () => {
+    await createAccount({ key: 'stream-totp' });
+    const events = await readEvents('/api/codes/stream?keys=stream-totp', ADMIN_KEY, seen => seen.code);
+
+    assert.equal(events.ready[0].accounts.length, 1);
+    assert.equal(events.ready[0].accounts[0].key, 'stream-totp');
+    assert.equal(events.code[0].vault, events.ready[0].accounts[0].vault);
+    assert.match(events.code[0].code, /^\d{6}$/);
+  });
+
+  it('streams a key that exists in several vaults once per vault', async () => {
+    await api('POST', '/api/vaults', { body: { name: 'Stream team' } });
+    await createAccount({ key: 'stream-shared' });
+    await createAccount({ key: 'stream-shared', vault: 'Stream team' });
+
+    const events = await readEvents('/api/codes/stream?keys=stream-shared', ADMIN_KEY, seen => seen.code && seen.code.length === 2);
+    const vaults = events.ready[0].accounts.map(account => account.vault);
+    assert.equal(new Set(vaults).size, 2);
+    assert.deepEqual(events.code.map(code => code.vault).sort(), vaults.sort());
+  });
+
+  it('refuses unknown accounts and HOTP-only streams', async () => {
+    const missing = await api('GET', '/api/codes/stream?keys=stream-missing');
+    assert.equal(missing.status, 404);
+    assert.deepEqual(missing.body.details.accounts, ['stream-missing']);
+
+    await createAccount({ key: 'stream-hotp', type: 'hotp' });
+    const hotp = await api('GET', '/api/codes/stream?keys=stream-hotp');
+    assert.equal(hotp.status, 404);
+    assert.equal(hotp.body.details.skipped[0].key, 'stream-hotp');
+  });
+
+  it('ends the stream when its API key is revoked', async () => {
+    const reader = await createKey('stream-reader', ['codes:read']);
+    let revoked = false;
+    const events = await readEvents('/api/codes/stream?keys=stream-totp', reader.apiKey, seen => {
+      if (seen.code && !revoked) {
+        revoked = true;
+        api('DELETE', `/api/admin/keys/${reader.id}`);
+      }
+      return seen.end;
+    });
+    assert.equal(events.end[0].reason, 'API key revoked or expired');
+  });
+});
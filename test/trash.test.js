@@ -0,0 +1,108 @@
+// test/trash.test.js - Account revisions, the trash and its purge
+//
+// A retention the tests can tell apart from the default
+process.env.TRASH_RETENTION_DAYS = '7';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('../storage');
+const { SECRET, api, freshStep, totp, createAccount } = require('./helpers');
+// After helpers, which configures the encryption keys the models load with
+const { purgeExpiredAccounts } = require('../utils/trash');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const OTHER_SECRET = 'KRUGS4ZANFZSAYLON5ZGK4TTMVRXEZLU';
+
+describe('account revisions', () => {
+  it('updates accounts and rolls back to a revision', async () => {
+    await createAccount({ key: 'acct-revised', name: 'Before' });
+
+    const updated = await api('PUT', '/api/accounts/acct-revised', { body: { name: 'After', folder: 'Ops' } });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.name, 'After');
+
+    const revisions = await api('GET', '/api/accounts/acct-revised/revisions');
+    assert.equal(revisions.status, 200);
+    assert.equal(revisions.body.total, 1);
+    const [revision] = revisions.body.revisions;
+    assert.equal(revision.name, 'Before');
+    assert.deepEqual(revision.changedFields.sort(), ['folder', 'name']);
+    assert.equal(revision.secret, undefined);
+
+    const rolledBack = await api('POST', `/api/accounts/acct-revised/revisions/${revision.id}/rollback`);
+    assert.equal(rolledBack.status, 200);
+    assert.deepEqual(rolledBack.body.changedFields.sort(), ['folder', 'name']);
+
+    const [account] = (await api('GET', '/api/accounts?q=acct-revised')).body.accounts;
+    assert.equal(account.name, 'Before');
+    assert.equal(account.folder, null);
+    assert.equal((await api('GET', '/api/accounts/acct-revised/revisions')).body.total, 2);
+  });
+
+  it('keeps overwritten secrets encrypted and rolls them back', async () => {
+    await createAccount({ key: 'acct-pasted' });
+    const updated = await api('PUT', '/api/accounts/acct-pasted', { body: { secret: OTHER_SECRET } });
+    assert.equal(updated.status, 200);
+
+    const [revision] = (await api('GET', '/api/accounts/acct-pasted/revisions')).body.revisions;
+    assert.deepEqual(revision.changedFields, ['secret']);
+    const stored = await db.accountRevisions.findOne({ key: 'acct-pasted' }, null, { lean: true });
+    assert.ok(stored.secret && !stored.secret.includes(SECRET));
+
+    await freshStep(3);
+    assert.equal((await api('GET', '/api/code/acct-pasted')).body.code, totp(0, OTHER_SECRET));
+    const rolledBack = await api('POST', `/api/accounts/acct-pasted/revisions/${revision.id}/rollback`);
+    assert.equal(rolledBack.status, 200);
+    assert.equal((await api('GET', '/api/code/acct-pasted')).body.code, totp());
+  });
+});
+
+describe('trash', () => {
+  it('moves deleted accounts to the trash until they are restored', async () => {
+    await createAccount({ key: 'acct-trashed' });
+
+    const deleted = await api('DELETE', '/api/accounts/acct-trashed');
+    assert.equal(deleted.status, 200);
+    assert.ok(deleted.body.purgeAt);
+
+    assert.equal((await api('GET', '/api/code/acct-trashed')).status, 404);
+    const trash = await api('GET', '/api/trash');
+    assert.ok(trash.body.accounts.some(account => account.key === 'acct-trashed'));
+
+    // The key is free again while the account is in the trash
+    await createAccount({ key: 'acct-trashed' });
+    const blocked = await api('POST', `/api/trash/${deleted.body.trashId}/restore`);
+    assert.equal(blocked.status, 409);
+
+    await api('DELETE', '/api/accounts/acct-trashed');
+    const restored = await api('POST', `/api/trash/${deleted.body.trashId}/restore`);
+    assert.equal(restored.status, 200);
+    assert.equal((await api('GET', '/api/code/acct-trashed')).status, 200);
+  });
+
+  it('purges accounts with their revisions on request', async () => {
+    await createAccount({ key: 'acct-purged' });
+    await api('PUT', '/api/accounts/acct-purged', { body: { name: 'Renamed' } });
+    const deleted = await api('DELETE', '/api/accounts/acct-purged');
+    const entry = (await api('GET', '/api/trash')).body.accounts.find(account => account.id === deleted.body.trashId);
+    assert.equal(new Date(entry.purgeAt) - new Date(entry.deletedAt), 7 * DAY_MS);
+
+    const purged = await api('DELETE', `/api/trash/${deleted.body.trashId}`);
+    assert.equal(purged.status, 200);
+    assert.equal(await db.accountRevisions.countDocuments({ account: deleted.body.trashId }), 0);
+    assert.equal((await api('POST', `/api/trash/${deleted.body.trashId}/restore`)).status, 404);
+  });
+
+  it('purges accounts once they are past the retention', async () => {
+    await createAccount({ key: 'acct-recent' });
+    await createAccount({ key: 'acct-expired' });
+    const recent = await api('DELETE', '/api/accounts/acct-recent');
+    const expired = await api('DELETE', '/api/accounts/acct-expired');
+    await db.accounts.updateOne({ _id: expired.body.trashId }, { $set: { deletedAt: new Date(Date.now() - 8 * DAY_MS) } });
+
+    assert.equal(await purgeExpiredAccounts(), 1);
+    const trashed = (await api('GET', '/api/trash')).body.accounts.map(account => account.id);
+    assert.ok(trashed.includes(recent.body.trashId));
+    assert.ok(!trashed.includes(expired.body.trashId));
+  });
+});
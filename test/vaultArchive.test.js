@@ -0,0 +1,74 @@
+// test/vaultArchive.test.js - Passphrase-protected export and restore
+//
+// Every request comes from 127.0.0.1, keep the address limit out of the way
+process.env.RATE_LIMIT_EXTRACT = 'apikey=10,ip=100,account=0,window=60';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { SECRET, api, freshStep, totp, fileForm, createAccount, createKey } = require('./helpers');
+
+const PASSPHRASE = 'correct horse battery';
+
+function restore(archive, fields, key) {
+  return api('POST', '/api/restore', {
+    key,
+    form: fileForm({ passphrase: PASSPHRASE, ...fields }, JSON.stringify(archive), 'vault.json')
+  });
+}
+
+describe('export and restore', () => {
+  it('exports accounts and restores them into another vault', async () => {
+    const vault = await api('POST', '/api/vaults', { body: { name: 'Restored' } });
+    await createAccount({ key: 'export-me', vault: 'Restored' });
+
+    const missingPassphrase = await api('GET', `/api/export?vault=${vault.body.id}`);
+    assert.equal(missingPassphrase.status, 400);
+
+    const archive = await api('GET', `/api/export?vault=${vault.body.id}`, { headers: { 'X-Export-Passphrase': PASSPHRASE } });
+    assert.equal(archive.status, 200);
+    assert.match(archive.headers.get('content-disposition'), /mfa-vault-/);
+    assert.ok(!JSON.stringify(archive.body).includes(SECRET));
+
+    const plain = await api('GET', `/api/export?vault=${vault.body.id}&format=otpauth`);
+    assert.match(plain.body, new RegExp(`^otpauth://totp/.*secret=${SECRET}`));
+
+    const target = await api('POST', '/api/vaults', { body: { name: 'Restore target' } });
+    const wrongPassphrase = await restore(archive.body, { passphrase: 'wrong passphrase', vault: target.body.id });
+    assert.equal(wrongPassphrase.status, 422);
+
+    const restored = await restore(archive.body, { vault: target.body.id });
+    assert.equal(restored.status, 200);
+    assert.deepEqual(restored.body.restored, ['export-me']);
+
+    const again = await restore(archive.body, { vault: target.body.id });
+    assert.deepEqual(again.body.restored, []);
+    assert.equal(again.body.conflicts[0].key, 'export-me');
+
+    await freshStep(3);
+    const code = await api('GET', `/api/code/export-me?vault=${target.body.id}`);
+    assert.equal(code.body.code, totp());
+  });
+
+  it('refuses key derivation costs above the ones the server writes', async () => {
+    const archive = await api('GET', '/api/export', { headers: { 'X-Export-Passphrase': PASSPHRASE } });
+    assert.equal(archive.status, 200);
+
+    for (const cost of [{ N: 1048576 }, { r: 32 }, { p: 16 }, { N: 'many' }]) {
+      const started = Date.now();
+      const res = await restore({ ...archive.body, kdf: { ...archive.body.kdf, ...cost } }, { dryRun: 'true' });
+      assert.equal(res.status, 422);
+      assert.equal(res.body.error, 'Unsupported vault archive key derivation');
+      assert.ok(Date.now() - started < 1000);
+    }
+  });
+
+  it('rate limits restores', async () => {
+    const { apiKey } = await createKey('restorer', ['admin']);
+    const statuses = [];
+    for (let i = 0; i < 11; i++) {
+      statuses.push((await restore({}, {}, apiKey)).status);
+    }
+    assert.deepEqual(statuses.slice(0, 10), Array(10).fill(422));
+    assert.equal(statuses[10], 429);
+  });
+});
@@ -0,0 +1,91 @@
+// test/vaults.test.js - Users, shared vaults and who sees which audit entries
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { USER_SCOPES, api, createAccount, createUser, createKey, auditEntries } = require('./helpers');
+
+describe('vaults, users and the audit trail', () => {
+  let alice;
+  let bob;
+  let aliceKey;
+  let bobKey;
+  let team;
+
+  before(async () => {
+    alice = await createUser('alice');
+    bob = await createUser('bob');
+    aliceKey = (await createKey('alice', USER_SCOPES, { userId: alice.id })).apiKey;
+    bobKey = (await createKey('bob', USER_SCOPES, { userId: bob.id })).apiKey;
+  });
+
+  it('keeps personal vaults private', async () => {
+    await createAccount({ key: 'vault-personal' }, aliceKey);
+    assert.equal((await api('GET', '/api/code/vault-personal', { key: aliceKey })).status, 200);
+    assert.equal((await api('GET', '/api/code/vault-personal', { key: bobKey })).status, 404);
+
+    const vaults = await api('GET', '/api/vaults', { key: bobKey });
+    assert.deepEqual(vaults.body.vaults.map(vault => vault.id), [bob.personalVault]);
+  });
+
+  it('shares vaults with a role', async () => {
+    const created = await api('POST', '/api/vaults', { key: aliceKey, body: { name: 'Team' } });
+    assert.equal(created.status, 201);
+    team = created.body;
+
+    await createAccount({ key: 'vault-shared', vault: team.id }, aliceKey);
+    assert.equal((await api('GET', '/api/code/vault-shared', { key: bobKey })).status, 404);
+
+    const shared = await api('POST', `/api/vaults/${team.id}/members`, { key: aliceKey, body: { userId: bob.id, role: 'read' } });
+    assert.equal(shared.status, 200);
+
+    assert.equal((await api('GET', '/api/code/vault-shared', { key: bobKey })).status, 200);
+    const update = await api('PUT', '/api/accounts/vault-shared', { key: bobKey, body: { name: 'Mine' } });
+    assert.equal(update.status, 403);
+
+    const notOwner = await api('POST', `/api/vaults/${team.id}/members`, { key: bobKey, body: { userId: bob.id, role: 'manage' } });
+    assert.equal(notOwner.status, 403);
+
+    const notEmpty = await api('DELETE', `/api/vaults/${team.id}`, { key: aliceKey });
+    assert.equal(notEmpty.status, 409);
+  });
+
+  it('asks which vault to use when a key exists in several', async () => {
+    await createAccount({ key: 'vault-dup' }, aliceKey);
+    await createAccount({ key: 'vault-dup', vault: team.id }, aliceKey);
+
+    const ambiguous = await api('GET', '/api/code/vault-dup', { key: aliceKey });
+    assert.equal(ambiguous.status, 409);
+    assert.equal(ambiguous.body.code, 'ambiguous');
+    assert.equal(ambiguous.body.details.vaults.length, 2);
+
+    const picked = await api('GET', `/api/code/vault-dup?vault=${team.id}`, { key: aliceKey });
+    assert.equal(picked.status, 200);
+    assert.equal(String(picked.body.key), 'vault-dup');
+
+    const byName = await api('GET', '/api/code/vault-dup?vault=Team', { key: aliceKey });
+    assert.equal(byName.status, 200);
+  });
+
+  it('shows users only their own entries and those of vaults they manage', async () => {
+    await api('GET', '/api/code/vault-personal', { key: aliceKey });
+    await api('GET', '/api/code/vault-shared', { key: bobKey });
+
+    const mine = await auditEntries('action=code.fetch', aliceKey);
+    assert.ok(mine.some(entry => entry.accountKey === 'vault-personal'));
+    // Bob's fetch happened in Team, which Alice manages
+    assert.ok(mine.some(entry => entry.actor.user === bob.id && entry.accountKey === 'vault-shared'));
+    assert.ok(mine.every(entry => entry.actor.user === alice.id || entry.vault === team.id));
+
+    const bobs = await auditEntries('action=code.fetch', bobKey);
+    assert.ok(bobs.length > 0);
+    // Reading Team does not show Alice's entries there
+    assert.ok(bobs.every(entry => entry.actor.user === bob.id));
+
+    const all = await auditEntries('action=code.fetch');
+    assert.ok(all.some(entry => entry.actor.user === alice.id));
+    assert.ok(all.some(entry => entry.actor.user === bob.id));
+
+    const teamOnly = await auditEntries(`vault=${team.id}`, aliceKey);
+    assert.ok(teamOnly.length > 0);
+    assert.ok(teamOnly.every(entry => entry.vault === team.id));
+  });
+});
@@ -0,0 +1,70 @@
+// test/verify.test.js - Code verification with a drift window and replay protection
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { api, freshStep, totp, hotp, createAccount } = require('./helpers');
+
+function verify(key, body) {
+  return api('POST', `/api/accounts/${key}/verify`, { body });
+}
+
+describe('verify', () => {
+  it('accepts the current code once', async () => {
+    await createAccount({ key: 'verify-totp' });
+    await freshStep(3);
+
+    const wrong = await verify('verify-totp', { code: totp() === '000000' ? '111111' : '000000' });
+    assert.equal(wrong.body.valid, false);
+
+    const code = totp();
+    const res = await verify('verify-totp', { code });
+    assert.equal(res.body.valid, true);
+    assert.equal(res.body.delta, 0);
+
+    const replay = await verify('verify-totp', { code });
+    assert.equal(replay.body.valid, false);
+    assert.equal(replay.body.reason, 'Code was already used');
+  });
+
+  it('accepts the previous step only within the window', async () => {
+    await createAccount({ key: 'verify-window' });
+    await freshStep(3);
+
+    const outside = await verify('verify-window', { code: totp(-30), window: 0 });
+    assert.equal(outside.status, 200);
+    assert.equal(outside.body.valid, false);
+
+    const inside = await verify('verify-window', { code: totp(-30) });
+    assert.equal(inside.body.valid, true);
+    assert.equal(inside.body.delta, -1);
+  });
+
+  it('accepts HOTP codes ahead of the counter', async () => {
+    await createAccount({ key: 'verify-hotp', type: 'hotp' });
+
+    const res = await verify('verify-hotp', { code: hotp(3) });
+    assert.equal(res.body.valid, true);
+    assert.equal(res.body.counter, 3);
+    assert.equal(res.body.nextCounter, 4);
+
+    const replay = await verify('verify-hotp', { code: hotp(3) });
+    assert.equal(replay.body.valid, false);
+  });
+
+  it('checks only the stored counter with lookAhead 0', async () => {
+    await createAccount({ key: 'verify-exact', type: 'hotp' });
+
+    const ahead = await verify('verify-exact', { code: hotp(1), lookAhead: 0 });
+    assert.equal(ahead.body.valid, false);
+
+    const exact = await verify('verify-exact', { code: hotp(0), lookAhead: 0 });
+    assert.equal(exact.body.valid, true);
+    assert.equal(exact.body.offset, 0);
+  });
+
+  it('refuses windows above the maximum', async () => {
+    await createAccount({ key: 'verify-wide' });
+    const res = await verify('verify-wide', { code: totp(), window: 11 });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'validation_failed');
+  });
+});
@@ -0,0 +1,135 @@
+// test/webhooks.test.js - Signed code deliveries, rollovers and the delivery log
+const crypto = require('crypto');
+const http = require('http');
+const { once } = require('events');
+
+// A short log, to see it pruned
+process.env.WEBHOOK_DELIVERY_LOG_SIZE = '3';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('../storage');
+const { ADMIN_KEY, api, sleep, freshStep, totp, createAccount } = require('./helpers');
+
+describe('webhooks', () => {
+  let receiver;
+  let received;
+
+  before(async () => {
+    received = [];
+    receiver = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.end('ok');
+      });
+    });
+    receiver.listen(0, '127.0.0.1');
+    await once(receiver, 'listening');
+  });
+
+  after(() => {
+    receiver.closeAllConnections();
+    receiver.close();
+  });
+
+  async function nextDelivery(timeout = 2000) {
+    for (let waited = 0; waited < timeout && received.length === 0; waited += 20) await sleep(20);
+    assert.ok(received.length > 0, 'no delivery received');
+    return received.shift();
+  }
+
+  function createWebhook(fields) {
+    return api('POST', '/api/admin/webhooks', {
+      body: { name: 'receiver', url: `http://127.0.0.1:${receiver.address().port}/hook`, ...fields }
+    });
+  }
+
+  it('pushes signed codes to demand webhooks', async () => {
+    await createAccount({ key: 'hook-account' });
+    const created = await createWebhook({ accountKey: 'hook-account' });
+    assert.equal(created.status, 201);
+    assert.match(created.body.signingSecret, /^whsec_/);
+    assert.equal(created.body.trigger, 'demand');
+
+    await freshStep(3);
+    const pushed = await api('POST', '/api/accounts/hook-account/push', { key: ADMIN_KEY, body: {} });
+    assert.equal(pushed.status, 202);
+    assert.equal(pushed.body.deliveries.length, 1);
+
+    const { headers, body } = await nextDelivery();
+    const expected = 'sha256=' + crypto.createHmac('sha256', created.body.signingSecret)
+      .update(`${headers['x-webhook-timestamp']}.${body}`).digest('hex');
+    assert.equal(headers['x-webhook-signature'], expected);
+    assert.equal(headers['x-webhook-id'], created.body.id);
+    const payload = JSON.parse(body);
+    assert.equal(payload.event, 'code');
+    assert.equal(payload.account.key, 'hook-account');
+    assert.equal(payload.code, totp());
+
+    await sleep(50);
+    const deliveries = await api('GET', `/api/admin/webhooks/${created.body.id}/deliveries`);
+    assert.equal(deliveries.body.deliveries[0].status, 'delivered');
+
+    const ping = await api('POST', `/api/admin/webhooks/${created.body.id}/test`);
+    assert.equal(ping.status, 200);
+    assert.equal(JSON.parse((await nextDelivery()).body).event, 'ping');
+
+    assert.equal((await api('DELETE', `/api/admin/webhooks/${created.body.id}`)).status, 200);
+    const noHooks = await api('POST', '/api/accounts/hook-account/push', { body: {} });
+    assert.equal(noHooks.status, 404);
+  });
+
+  it('refuses rollover webhooks for counter-based accounts', async () => {
+    await createAccount({ key: 'hook-hotp', type: 'hotp' });
+    const res = await createWebhook({ name: 'rollover', accountKey: 'hook-hotp', trigger: 'rollover' });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'invalid_request');
+  });
+
+  it('keeps delivering rollovers after a failed one', async () => {
+    // Mobile-OTP has 10 second periods
+    await createAccount({ key: 'hook-rollover', type: 'motp', secret: '0123456789abcdef', pin: '1234' });
+    const deliveries = db.webhookDeliveries;
+    const create = deliveries.create;
+    let failed = 0;
+    deliveries.create = async (...args) => {
+      if (failed++ === 0) throw new Error('Storage unavailable');
+      return create(...args);
+    };
+
+    try {
+      const created = await createWebhook({ name: 'rollover', accountKey: 'hook-rollover', trigger: 'rollover' });
+      assert.equal(created.status, 201);
+
+      // The first boundary fails, the one after it is delivered
+      const payload = JSON.parse((await nextDelivery(22000)).body);
+      assert.equal(payload.account.key, 'hook-rollover');
+      assert.equal(failed, 2);
+
+      await sleep(50);
+      const log = await api('GET', `/api/admin/webhooks/${created.body.id}/deliveries`);
+      assert.equal(log.body.total, 1);
+      assert.equal(log.body.deliveries[0].status, 'delivered');
+      assert.ok(!('scheduledFor' in log.body.deliveries[0]));
+      assert.equal((await api('DELETE', `/api/admin/webhooks/${created.body.id}`)).status, 200);
+    } finally {
+      deliveries.create = create;
+    }
+  });
+
+  it('keeps only the newest deliveries of each webhook', async () => {
+    await createAccount({ key: 'hook-log' });
+    const created = await createWebhook({ accountKey: 'hook-log' });
+    const ids = [];
+    for (let i = 0; i < 5; i++) {
+      const pushed = await api('POST', '/api/accounts/hook-log/push', { body: {} });
+      ids.push(pushed.body.deliveries[0].id);
+      await nextDelivery();
+    }
+
+    const log = await api('GET', `/api/admin/webhooks/${created.body.id}/deliveries?limit=200`);
+    assert.deepEqual(log.body.deliveries.map(delivery => delivery.id), ids.slice(2).reverse());
+  });
+});
@@ -0,0 +1,141 @@
+// utils/accountQuery.js - Filtering, sorting and cursor pagination for account lists
+const { OTP_TYPES } = require('./otpTypes');
+
+const SORT_FIELDS = ['key', 'name', 'createdAt', 'updatedAt'];
+const DATE_FIELDS = ['createdAt', 'updatedAt'];
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Normalize tags from a request body: trimmed, lowercase, no duplicates
+function normalizeTags(tags) {
+  return [...new Set(tags.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+}
+
+function encodeCursor(account, sortField) {
+  return Buffer.from(JSON.stringify({ v: account[sortField], id: String(account._id) })).toString('base64url');
+}
+
+function decodeCursor(cursor, sortField) {
+  const { v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  if (typeof id !== 'string' || !/^[0-9a-f]{24}$/.test(id)) throw new Error('Invalid cursor');
+  // Only plain values, a crafted cursor must not smuggle in query operators
+  if (typeof v !== 'string') throw new Error('Invalid cursor');
+  if (DATE_FIELDS.includes(sortField)) {
+    const date = new Date(v);
+    if (isNaN(date.getTime())) throw new Error('Invalid cursor');
+    return { value: date, id };
+  }
+  return { value: v, id };
+}
+
+/**
+ * Parse list query parameters:
+ *   tag      - comma-separated, accounts must have all of them
+ *   folder   - exact folder
+ *   issuer   - issuer, case-insensitive
+ *   type     - account type, see utils/otpTypes.js
+ *   q        - free-text search over name, key, issuer and account name
+ *   sort     - key (default) | name | createdAt | updatedAt
+ *   order    - asc (default) | desc
+ *   limit    - page size, default 100, max 500
+ *   cursor   - nextCursor from the previous page
+ * Returns { error } or { filter, sortField, direction, limit, cursor }.
+ */
+function parseListQuery(query) {
+  const filter = {};
+
+  if (query.tag) {
+    filter.tags = { $all: normalizeTags(String(query.tag).split(',')) };
+  }
+  if (query.folder) {
+    filter.folder = String(query.folder);
+  }
+  if (query.issuer) {
+    filter.issuer = new RegExp(`^${escapeRegex(String(query.issuer))}$`, 'i');
+  }
+  if (query.type) {
+    if (!OTP_TYPES.includes(query.type)) {
+      return { error: `type must be one of: ${OTP_TYPES.join(', ')}` };
+    }
+    filter.type = query.type;
+  }
+  if (query.q) {
+    const pattern = new RegExp(escapeRegex(String(query.q)), 'i');
+    filter.$or = [{ name: pattern }, { key: pattern }, { issuer: pattern }, { accountName: pattern }];
+  }
+
+  const sortField = query.sort || 'key';
+  if (!SORT_FIELDS.includes(sortField)) {
+    return { error: `sort must be one of: ${SORT_FIELDS.join(', ')}` };
+  }
+
+  const order = query.order || 'asc';
+  if (!['asc', 'desc'].includes(order)) {
+    return { error: 'order must be asc or desc' };
+  }
+
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : parseInt(query.limit, 10);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return { error: `limit must be between 1 and ${MAX_LIMIT}` };
+  }
+
+  let cursor = null;
+  if (query.cursor) {
+    try {
+      cursor = decodeCursor(String(query.cursor), sortField);
+    } catch (err) {
+      return { error: 'Invalid cursor' };
+    }
+  }
+
+  return { filter, sortField, direction: order === 'asc' ? 1 : -1, limit, cursor };
+}
+
+/**
+ * Fetch one page of accounts from `collection` (db.accounts) matching
+ * `scope` (the caller's reachable accounts) and the parsed list query.
+ * Returns { accounts, total, nextCursor }.
+ */
+async function findAccountPage(collection, scope, parsed, projection) {
+  const { filter, sortField, direction, limit, cursor } = parsed;
+  const conditions = [scope, filter];
+
+  if (cursor) {
+    const op = direction === 1 ? '$gt' : '$lt';
+    conditions.push({
+      $or: [
+        { [sortField]: { [op]: cursor.value } },
+        { [sortField]: cursor.value, _id: { [op]: cursor.id } }
+      ]
+    });
+  }
+
+  const [accounts, total] = await Promise.all([
+    collection.find({ $and: conditions }, projection, {
+      sort: { [sortField]: direction, _id: direction },
+      limit: limit + 1
+    }),
+    collection.countDocuments({ $and: [scope, filter] })
+  ]);
+
+  const hasMore = accounts.length > limit;
+  const page = hasMore ? accounts.slice(0, limit) : accounts;
+
+  return {
+    accounts: page,
+    total: total,
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1], sortField) : null
+  };
+}
+
+module.exports = {
+  escapeRegex,
+  normalizeTags,
+  parseListQuery,
+  findAccountPage
+};
@@ -0,0 +1,146 @@
+// utils/clock.js - Time used for time-based codes: clock offsets and drift
+//
+// Codes are generated for the server's clock shifted by CLOCK_OFFSET
+// (seconds, server-wide, e.g. to correct a host clock known to be behind)
+// plus the account's own `clockOffset` (seconds, for services whose clock is
+// off). Neither changes the server's own time.
+//
+// GET /api/time compares the server's clock with TIME_REFERENCE_URL: the
+// Date header of any HTTP(S) server, to within about half a second plus
+// half the round trip.
+
+const SERVER_OFFSET = Number(process.env.CLOCK_OFFSET) || 0;
+const REFERENCE_URL = process.env.TIME_REFERENCE_URL || null;
+const DRIFT_TOLERANCE_MS = Number(process.env.TIME_DRIFT_TOLERANCE_MS) || 2000;
+// Measurements are reused for this long, so the endpoint can't be used to
+// flood the reference
+const DRIFT_CACHE_MS = (Number(process.env.TIME_CHECK_INTERVAL) || 60) * 1000;
+const REFERENCE_TIMEOUT_MS = 5000;
+
+// Seconds a code may have left and still count as safe to use, unless the
+// request asks for another minimum
+const DEFAULT_MIN_REMAINING = process.env.CODE_MIN_REMAINING !== undefined
+  ? Number(process.env.CODE_MIN_REMAINING)
+  : 5;
+
+function serverOffset() {
+  return SERVER_OFFSET;
+}
+
+// Total offset applied to `account`'s codes, in milliseconds
+function offsetMs(account) {
+  return Math.round((SERVER_OFFSET + ((account && account.clockOffset) || 0)) * 1000);
+}
+
+// Milliseconds since the epoch as `account`'s codes see it
+function accountTime(account) {
+  return Date.now() + offsetMs(account);
+}
+
+/**
+ * Where `account` is in its time steps at `time` (default: now, offsets
+ * applied). expiresAt is in server time, so clients can compare it with
+ * their own clock.
+ * Returns { step, timeRemaining (whole seconds, rounded up), msRemaining,
+ *           expiresAt }
+ */
+function stepTiming(account, time = accountTime(account)) {
+  const periodMs = account.period * 1000;
+  const step = Math.floor(time / periodMs);
+  const msRemaining = (step + 1) * periodMs - time;
+  return {
+    step: step,
+    timeRemaining: Math.ceil(msRemaining / 1000),
+    msRemaining: msRemaining,
+    expiresAt: new Date(time - offsetMs(account) + msRemaining)
+  };
+}
+
+// The minimum remaining time to use: the request's, or the default, never
+// a full period (a code would never be safe)
+function minRemainingFor(account, requested) {
+  const seconds = requested === undefined || requested === null ? DEFAULT_MIN_REMAINING : Number(requested);
+  return Math.min(Math.max(seconds, 0), account.period - 1);
+}
+
+let lastMeasurement = null;
+
+async function measure() {
+  const started = Date.now();
+  const res = await fetch(REFERENCE_URL, {
+    method: 'HEAD',
+    redirect: 'manual',
+    signal: AbortSignal.timeout(REFERENCE_TIMEOUT_MS)
+  });
+  const finished = Date.now();
+
+  const header = res.headers.get('date');
+  const reference = header ? Date.parse(header) : NaN;
+  if (Number.isNaN(reference)) {
+    throw new Error('Reference response has no usable Date header');
+  }
+
+  // The Date header is truncated to the second: assume the middle of it,
+  // and that the header was set halfway through the round trip
+  const roundTrip = finished - started;
+  const local = started + roundTrip / 2;
+  return {
+    referenceTime: new Date(reference),
+    drift: Math.round(reference + 500 - local),
+    uncertainty: Math.round(500 + roundTrip / 2),
+    roundTrip: roundTrip
+  };
+}
+
+/**
+ * Drift of the server's clock against TIME_REFERENCE_URL, measured at most
+ * once per TIME_CHECK_INTERVAL.
+ *   drift    - reference minus server time, in ms (positive: the server
+ *              is behind)
+ *   residual - what is left after CLOCK_OFFSET, i.e. how far codes are off
+ *   healthy  - residual within TIME_DRIFT_TOLERANCE_MS
+ * Without a reference, status is 'not_configured'; when it can't be
+ * reached, 'unreachable' with the error.
+ */
+async function measureDrift() {
+  if (!REFERENCE_URL) {
+    return { status: 'not_configured', url: null, healthy: null };
+  }
+  if (lastMeasurement && Date.now() - lastMeasurement.measuredAt.getTime() < DRIFT_CACHE_MS) {
+    return lastMeasurement;
+  }
+
+  let result;
+  try {
+    const measured = await measure();
+    const residual = measured.drift - Math.round(SERVER_OFFSET * 1000);
+    result = {
+      status: 'ok',
+      url: REFERENCE_URL,
+      ...measured,
+      residual: residual,
+      healthy: Math.abs(residual) <= DRIFT_TOLERANCE_MS
+    };
+  } catch (err) {
+    result = {
+      status: 'unreachable',
+      url: REFERENCE_URL,
+      error: err.name === 'TimeoutError' ? 'Timed out' : (err.cause || err).message,
+      healthy: false
+    };
+  }
+
+  lastMeasurement = { ...result, measuredAt: new Date() };
+  return lastMeasurement;
+}
+
+module.exports = {
+  DEFAULT_MIN_REMAINING,
+  DRIFT_TOLERANCE_MS,
+  serverOffset,
+  offsetMs,
+  accountTime,
+  stepTiming,
+  minRemainingFor,
+  measureDrift
+};
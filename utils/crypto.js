@@ -0,0 +1,167 @@
+// utils/crypto.js - Secret encryption with a versioned master keyring
+const crypto = require('crypto');
+
+/*
+ * Keys are configured through the environment:
+ *
+ *   ENCRYPTION_KEYS=1:<64 hex chars>,2:<64 hex chars>
+ *   ENCRYPTION_KEY_VERSION=2      (optional, defaults to the highest version)
+ *   ENCRYPTION_KEY=<64 hex chars> (legacy single key, loaded as version 1)
+ *
+ * Every encrypted secret records the version it was encrypted with, so
+ * old and new keys can be loaded side by side while rotating.
+ */
+
+const LEGACY_KEY_VERSION = 1;
+
+function parseKey(hex, name) {
+  if (!/^[0-9a-fA-F]{64}$/.test(hex)) {
+    throw new Error(`${name} must be 64 hex characters (32 bytes)`);
+  }
+  return Buffer.from(hex, 'hex');
+}
+
+function loadKeyring(env) {
+  const keys = new Map();
+
+  if (env.ENCRYPTION_KEYS) {
+    for (const item of env.ENCRYPTION_KEYS.split(',').map(part => part.trim()).filter(Boolean)) {
+      const [version, hex] = item.split(':');
+      const parsedVersion = Number(version);
+      if (!Number.isInteger(parsedVersion) || parsedVersion < 1 || hex === undefined) {
+        throw new Error('ENCRYPTION_KEYS entries must look like <version>:<hex key>');
+      }
+      keys.set(parsedVersion, parseKey(hex, `ENCRYPTION_KEYS version ${parsedVersion}`));
+    }
+  }
+
+  if (env.ENCRYPTION_KEY && !keys.has(LEGACY_KEY_VERSION)) {
+    // Only the first 64 characters were ever used as the key
+    keys.set(LEGACY_KEY_VERSION, parseKey(env.ENCRYPTION_KEY.slice(0, 64), 'ENCRYPTION_KEY'));
+  }
+
+  let activeVersion = keys.size > 0 ? Math.max(...keys.keys()) : null;
+  if (env.ENCRYPTION_KEY_VERSION) {
+    activeVersion = Number(env.ENCRYPTION_KEY_VERSION);
+    if (!keys.has(activeVersion)) {
+      throw new Error(`ENCRYPTION_KEY_VERSION ${env.ENCRYPTION_KEY_VERSION} is not loaded`);
+    }
+  }
+
+  return { keys, activeVersion };
+}
+
+const keyring = loadKeyring(process.env);
+
+function getKey(version) {
+  const key = keyring.keys.get(version);
+  if (!key) {
+    throw new Error(`Encryption key version ${version} is not loaded`);
+  }
+  return key;
+}
+
+function hasKeys() {
+  return keyring.keys.size > 0;
+}
+
+function activeKeyVersion() {
+  return keyring.activeVersion;
+}
+
+function loadedKeyVersions() {
+  return [...keyring.keys.keys()].sort((a, b) => a - b);
+}
+
+/*
+ * Stored format: "gcm2:<iv>:<auth tag>:<ciphertext>" (hex), AES-256-GCM.
+ * The document holding the secret is bound in as additional authenticated
+ * data (its `binding`, e.g. "account:<id>"), so a ciphertext copied onto
+ * another account or revision fails to decrypt.
+ *
+ * Older formats stay readable until `npm run migrate-secrets` has upgraded
+ * them:
+ *   "gcm:<iv>:<auth tag>:<ciphertext>" - AES-256-GCM bound to the account
+ *                                        key, which is only unique per vault
+ *   "<iv>:<ciphertext>"                - AES-256-CBC, unauthenticated
+ */
+const GCM_PREFIX = 'gcm2:';
+const KEY_BOUND_GCM_PREFIX = 'gcm:';
+const GCM_TAG_LENGTH = 16;
+
+const AUTHENTICATION_FAILED = 'Secret failed authentication, it was modified or belongs to another account';
+
+/**
+ * Encrypt a secret for the document `binding` with the active key, or with
+ * `version` when given. Returns { secret, keyVersion }.
+ */
+function encrypt(text, binding, version = keyring.activeVersion) {
+  if (version === null) {
+    throw new Error('No encryption key configured, set ENCRYPTION_KEYS or ENCRYPTION_KEY');
+  }
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getKey(version), iv);
+  cipher.setAAD(Buffer.from(binding, 'utf8'));
+  const encrypted = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+  return {
+    secret: GCM_PREFIX + [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('hex')).join(':'),
+    keyVersion: version
+  };
+}
+
+function decryptGCM(text, key, aad) {
+  const [iv, tag, encrypted] = text.split(':').map(part => Buffer.from(part || '', 'hex'));
+  // A shortened tag would otherwise be accepted and checked only partially
+  if (tag.length !== GCM_TAG_LENGTH) {
+    throw new Error(AUTHENTICATION_FAILED);
+  }
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv, { authTagLength: GCM_TAG_LENGTH });
+  decipher.setAAD(Buffer.from(aad, 'utf8'));
+  decipher.setAuthTag(tag);
+  try {
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  } catch (err) {
+    throw new Error(AUTHENTICATION_FAILED);
+  }
+}
+
+/**
+ * Decrypt a secret stored on the document `binding`; `accountKey` is only
+ * used for secrets still bound to the account key.
+ * Secrets stored before key versioning have no version and use the legacy key.
+ */
+function decrypt(text, binding, version, accountKey) {
+  const key = getKey(version || LEGACY_KEY_VERSION);
+
+  if (text.startsWith(GCM_PREFIX)) {
+    return decryptGCM(text.slice(GCM_PREFIX.length), key, binding);
+  }
+  if (text.startsWith(KEY_BOUND_GCM_PREFIX)) {
+    return decryptGCM(text.slice(KEY_BOUND_GCM_PREFIX.length), key, accountKey);
+  }
+
+  const parts = text.split(':');
+  const iv = Buffer.from(parts.shift(), 'hex');
+  const encryptedText = Buffer.from(parts.join(':'), 'hex');
+  const decipher = crypto.createDecipheriv('aes-256-cbc', key, iv);
+  let decrypted = decipher.update(encryptedText);
+  decrypted = Buffer.concat([decrypted, decipher.final()]);
+  return decrypted.toString();
+}
+
+// Whether an encrypted secret still uses an older format (CBC, or GCM bound
+// to the account key)
+function isLegacyCiphertext(text) {
+  return !text.startsWith(GCM_PREFIX);
+}
+
+module.exports = {
+  LEGACY_KEY_VERSION,
+  hasKeys,
+  activeKeyVersion,
+  loadedKeyVersions,
+  GCM_PREFIX,
+  encrypt,
+  decrypt,
+  isLegacyCiphertext
+};
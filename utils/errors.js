@@ -0,0 +1,90 @@
+// utils/errors.js - The error envelope every API error is sent in
+
+/*
+ * Errors are answered as
+ *   { "error": "<message>", "code": "<code>", "details": ... }
+ * `code` is stable for a given condition, so clients branch on it rather than
+ * on the message, which may be reworded. `details` is optional, structured
+ * context: the invalid fields of a request, the vaults to choose from, when
+ * to retry. Internal error messages are logged, never sent.
+ *
+ * Codes and the HTTP status each is sent with:
+ */
+const ERROR_CODES = {
+  // The request failed schema validation; details lists each { field, message }
+  validation_failed: 400,
+  // Well-formed but unusable: an invalid secret, an operation the account's
+  // type doesn't support, ...
+  invalid_request: 400,
+  invalid_json: 400,
+  // Secrets would be stored encrypted but no encryption key is configured
+  encryption_unavailable: 400,
+  api_key_required: 401,
+  api_key_invalid: 401,
+  // Missing scope, account allow-list or vault role
+  forbidden: 403,
+  not_found: 404,
+  // Several matches; details lists them so the request can be narrowed
+  ambiguous: 409,
+  // Already exists, still in use, or changed concurrently
+  conflict: 409,
+  payload_too_large: 413,
+  no_qr_code: 422,
+  // The upload or archive could not be understood
+  unprocessable: 422,
+  rate_limited: 429,
+  locked_out: 429,
+  internal_error: 500
+};
+
+// Send an error in the envelope, with the status that belongs to `code`
+function sendError(res, code, message, details) {
+  const status = ERROR_CODES[code];
+  if (!status) throw new Error(`Unknown error code: ${code}`);
+
+  const body = { error: message, code: code };
+  if (details !== undefined) body.details = details;
+  return res.status(status).json(body);
+}
+
+// { field, message } entries for a Mongoose ValidationError
+function validationDetails(err) {
+  return Object.values(err.errors).map(e => ({ field: e.path, message: e.message }));
+}
+
+// Joined messages of a Mongoose ValidationError, for per-entry import reports
+function validationMessage(err) {
+  return Object.values(err.errors).map(e => e.message).join(', ');
+}
+
+/**
+ * Last middleware: errors thrown by handlers or passed to next(), including
+ * those of the JSON and multipart body parsers.
+ */
+function errorHandler(err, req, res, next) {
+  if (res.headersSent) return next(err);
+
+  if (err.type === 'entity.parse.failed') {
+    return sendError(res, 'invalid_json', 'Request body is not valid JSON');
+  }
+  if (err.type === 'entity.too.large' || err.code === 'LIMIT_FILE_SIZE') {
+    return sendError(res, 'payload_too_large', 'Request body is too large');
+  }
+  if (err.name === 'MulterError') {
+    return sendError(res, 'invalid_request', err.message);
+  }
+  if (err.name === 'ValidationError') {
+    return sendError(res, 'validation_failed', 'Request is invalid', validationDetails(err));
+  }
+
+  console.error(`Unhandled error on ${req.method} ${req.originalUrl.split('?')[0]}:`, err);
+  sendError(res, 'internal_error', 'Server error');
+}
+
+module.exports = {
+  ERROR_CODES,
+  sendError,
+  validationDetails,
+  validationMessage,
+  errorHandler
+};
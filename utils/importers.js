@@ -0,0 +1,269 @@
+// utils/importers.js - Parsers for other authenticator apps' backup files
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { parseOTPAuth, parseMigrationURL } = require('./otpauth');
+
+/*
+ * Every parser returns a list of normalized entries:
+ * { issuer, accountName, secret, type, algorithm, digits, period, counter }
+ * Values are passed through as found; schema validation happens on import.
+ */
+
+const scrypt = promisify(crypto.scrypt);
+const pbkdf2 = promisify(crypto.pbkdf2);
+
+// Backups come from anyone who can import, so the key derivation costs they
+// ask for are capped: Aegis' defaults (N=32768, r=8, p=1) fit with room to
+// spare, at most 64 MB and a few hundred ms per slot
+const AEGIS_MAX_SCRYPT = { n: 65536, r: 8, p: 2 };
+const AEGIS_MAX_SLOTS = 4;
+// 2FAS always uses 10000 iterations
+const TWOFAS_PBKDF2_ITERATIONS = 10000;
+
+function normalizeEntry(entry) {
+  return {
+    issuer: (entry.issuer || '').trim(),
+    accountName: (entry.accountName || '').trim(),
+    secret: String(entry.secret || '').replace(/\s+/g, '').toUpperCase(),
+    type: String(entry.type || 'totp').toLowerCase(),
+    algorithm: String(entry.algorithm || 'sha1').toLowerCase(),
+    digits: Number(entry.digits || 6),
+    period: Number(entry.period || 30),
+    counter: Number(entry.counter || 0)
+  };
+}
+
+// --- Aegis ---------------------------------------------------------------
+
+async function decryptAegisVault(vault, password) {
+  if (!password) {
+    throw new Error('This Aegis vault is encrypted, a password is required');
+  }
+
+  const slots = (vault.header.slots || []).filter(slot => slot.type === 1);
+  if (slots.length > AEGIS_MAX_SLOTS) {
+    throw new Error(`Aegis vault has more than ${AEGIS_MAX_SLOTS} password slots`);
+  }
+  for (const slot of slots) {
+    const { n, r, p } = slot;
+    if (![n, r, p].every(Number.isInteger) || !(n >= 2 && r >= 1 && p >= 1 &&
+        n <= AEGIS_MAX_SCRYPT.n && r <= AEGIS_MAX_SCRYPT.r && p <= AEGIS_MAX_SCRYPT.p)) {
+      throw new Error('Unsupported Aegis key derivation parameters');
+    }
+  }
+  let masterKey = null;
+
+  for (const slot of slots) {
+    try {
+      const derived = await scrypt(password, Buffer.from(slot.salt, 'hex'), 32, {
+        N: slot.n,
+        r: slot.r,
+        p: slot.p,
+        maxmem: 128 * AEGIS_MAX_SCRYPT.n * AEGIS_MAX_SCRYPT.r * 2
+      });
+      const decipher = crypto.createDecipheriv('aes-256-gcm', derived, Buffer.from(slot.key_params.nonce, 'hex'));
+      decipher.setAuthTag(Buffer.from(slot.key_params.tag, 'hex'));
+      masterKey = Buffer.concat([decipher.update(Buffer.from(slot.key, 'hex')), decipher.final()]);
+      break;
+    } catch (err) {
+      // Wrong password for this slot, try the next one
+    }
+  }
+
+  if (!masterKey) {
+    throw new Error('Invalid password for Aegis vault');
+  }
+
+  const { nonce, tag } = vault.header.params;
+  const decipher = crypto.createDecipheriv('aes-256-gcm', masterKey, Buffer.from(nonce, 'hex'));
+  decipher.setAuthTag(Buffer.from(tag, 'hex'));
+  const db = Buffer.concat([decipher.update(Buffer.from(vault.db, 'base64')), decipher.final()]);
+  return JSON.parse(db.toString('utf8'));
+}
+
+async function parseAegis(vault, { password }) {
+  const db = typeof vault.db === 'string' ? await decryptAegisVault(vault, password) : vault.db;
+
+  return db.entries.map(entry => normalizeEntry({
+    issuer: entry.issuer,
+    accountName: entry.name,
+    secret: entry.info.secret,
+    type: entry.type,
+    algorithm: entry.info.algo,
+    digits: entry.info.digits,
+    period: entry.info.period,
+    counter: entry.info.counter
+  }));
+}
+
+// --- 2FAS ----------------------------------------------------------------
+
+async function decrypt2FASServices(backup, password) {
+  if (!password) {
+    throw new Error('This 2FAS backup is encrypted, a password is required');
+  }
+
+  // "<ciphertext+tag>:<salt>:<iv>", all base64
+  const [data, salt, iv] = backup.servicesEncrypted.split(':').map(part => Buffer.from(part, 'base64'));
+  const key = await pbkdf2(password, salt, TWOFAS_PBKDF2_ITERATIONS, 32, 'sha256');
+
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+    decipher.setAuthTag(data.subarray(data.length - 16));
+    const plain = Buffer.concat([decipher.update(data.subarray(0, data.length - 16)), decipher.final()]);
+    return JSON.parse(plain.toString('utf8'));
+  } catch (err) {
+    throw new Error('Invalid password for 2FAS backup');
+  }
+}
+
+async function parse2FAS(backup, { password }) {
+  const services = backup.servicesEncrypted
+    ? await decrypt2FASServices(backup, password)
+    : backup.services;
+
+  return services.map(service => {
+    const otp = service.otp || {};
+    return normalizeEntry({
+      issuer: otp.issuer || service.name,
+      accountName: otp.account || otp.label,
+      secret: service.secret,
+      type: otp.tokenType,
+      algorithm: otp.algorithm,
+      digits: otp.digits,
+      period: otp.period,
+      counter: otp.counter
+    });
+  });
+}
+
+// --- andOTP --------------------------------------------------------------
+
+function parseAndOTP(entries) {
+  return entries.map(entry => {
+    // Older andOTP versions store "Issuer - label" in label only
+    const label = entry.label || '';
+    return normalizeEntry({
+      issuer: entry.issuer,
+      accountName: entry.issuer && label.startsWith(entry.issuer + ' - ')
+        ? label.slice(entry.issuer.length + 3)
+        : label,
+      secret: entry.secret,
+      type: entry.type,
+      algorithm: entry.algorithm,
+      digits: entry.digits,
+      period: entry.period,
+      counter: entry.counter
+    });
+  });
+}
+
+// --- Bitwarden -----------------------------------------------------------
+
+function parseBitwarden(exported) {
+  if (exported.encrypted) {
+    throw new Error('Encrypted Bitwarden exports are not supported, export as unencrypted JSON');
+  }
+
+  return exported.items
+    .filter(item => item.login && item.login.totp)
+    .map(item => {
+      const totp = item.login.totp.trim();
+      if (totp.startsWith('otpauth://')) {
+        const parsed = parseOTPAuth(totp);
+        return normalizeEntry({ ...parsed, issuer: parsed.issuer || item.name });
+      }
+      if (totp.startsWith('steam://')) {
+        return normalizeEntry({
+          issuer: item.name,
+          accountName: item.login.username,
+          secret: totp.slice('steam://'.length),
+          type: 'steam'
+        });
+      }
+      // Bare base32 secret with default settings
+      return normalizeEntry({
+        issuer: item.name,
+        accountName: item.login.username,
+        secret: totp
+      });
+    });
+}
+
+// --- Plain otpauth:// list -----------------------------------------------
+
+function parseURIList(text) {
+  const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+
+  return lines.flatMap((line, index) => {
+    try {
+      if (line.startsWith('otpauth-migration://')) {
+        return parseMigrationURL(line).accounts.map(normalizeEntry);
+      }
+      return [normalizeEntry(parseOTPAuth(line))];
+    } catch (err) {
+      throw new Error(`Line ${index + 1}: ${err.message}`);
+    }
+  });
+}
+
+// --- Detection -----------------------------------------------------------
+
+const FORMATS = ['aegis', '2fas', 'andotp', 'bitwarden', 'otpauth'];
+
+function detectFormat(text) {
+  const trimmed = text.trim();
+
+  if (trimmed.startsWith('otpauth://') || trimmed.startsWith('otpauth-migration://')) {
+    return 'otpauth';
+  }
+
+  let json;
+  try {
+    json = JSON.parse(trimmed);
+  } catch (err) {
+    return null;
+  }
+
+  if (Array.isArray(json)) {
+    return json.every(entry => entry && 'secret' in entry && 'type' in entry) ? 'andotp' : null;
+  }
+  if (json && json.header && 'db' in json) return 'aegis';
+  if (json && ('services' in json || 'servicesEncrypted' in json) && 'schemaVersion' in json) return '2fas';
+  if (json && Array.isArray(json.items) && 'encrypted' in json) return 'bitwarden';
+
+  return null;
+}
+
+/**
+ * Parse a backup file.
+ * @param {string} text - file contents
+ * @param {object} options - { format, password }; format is detected when omitted
+ * @returns {Promise<{ format: string, entries: object[] }>}
+ */
+async function parseBackup(text, options = {}) {
+  const format = options.format || detectFormat(text);
+
+  if (!format) {
+    throw new Error(`Unrecognized backup format, supported formats: ${FORMATS.join(', ')}`);
+  }
+
+  let entries;
+  switch (format) {
+    case 'aegis': entries = await parseAegis(JSON.parse(text), options); break;
+    case '2fas': entries = await parse2FAS(JSON.parse(text), options); break;
+    case 'andotp': entries = parseAndOTP(JSON.parse(text)); break;
+    case 'bitwarden': entries = parseBitwarden(JSON.parse(text)); break;
+    case 'otpauth': entries = parseURIList(text); break;
+    default:
+      throw new Error(`Unsupported format: ${format}, supported formats: ${FORMATS.join(', ')}`);
+  }
+
+  return { format, entries };
+}
+
+module.exports = {
+  FORMATS,
+  detectFormat,
+  parseBackup
+};
@@ -0,0 +1,152 @@
+// utils/keyRotation.js - Re-encrypt account secrets with a new master key
+const crypto = require('crypto');
+const Account = require('../models/Account');
+const AccountRevision = require('../models/AccountRevision');
+const db = require('../storage');
+const { LEGACY_KEY_VERSION, GCM_PREFIX, activeKeyVersion, loadedKeyVersions, encrypt } = require('./crypto');
+
+// Collections holding secrets: accounts (trashed ones too) and their
+// revisions. Both have secret, encrypted, keyVersion, getSecret() and
+// secretBinding().
+const SECRET_MODELS = [Account, AccountRevision];
+
+// Only one rotation runs at a time per process
+let currentJob = null;
+
+// Key versions used by encrypted secrets (missing versions count as legacy)
+async function usedKeyVersions() {
+  const versions = (await Promise.all(SECRET_MODELS.map(Model => db.collection(Model).distinct('keyVersion', { encrypted: true })))).flat();
+  return [...new Set(versions.map(version => version || LEGACY_KEY_VERSION))].sort((a, b) => a - b);
+}
+
+// Versions used by stored secrets that are not in the loaded keyring
+async function missingKeyVersions() {
+  const loaded = loadedKeyVersions();
+  return (await usedKeyVersions()).filter(version => !loaded.includes(version));
+}
+
+// Secrets that still need work: plaintext, an older format, or another key
+// version
+function pendingFilter(toVersion, encryptPlaintext) {
+  const conditions = [
+    { encrypted: true, keyVersion: { $ne: toVersion } },
+    { encrypted: true, secret: { $not: new RegExp('^' + GCM_PREFIX) } }
+  ];
+  if (encryptPlaintext) conditions.push({ encrypted: false });
+  return { $or: conditions };
+}
+
+// Counts of secrets not yet in the current format, for status reporting
+async function pendingCounts() {
+  const count = async filter => (await Promise.all(SECRET_MODELS.map(Model => db.collection(Model).countDocuments(filter))))
+    .reduce((sum, n) => sum + n, 0);
+  const [plaintext, legacyCiphertext] = await Promise.all([
+    count({ encrypted: false }),
+    count({ encrypted: true, secret: { $not: new RegExp('^' + GCM_PREFIX) } })
+  ]);
+  return { plaintext, legacyCiphertext };
+}
+
+/**
+ * Re-encrypt every encrypted account and revision that is not on
+ * `toVersion`, in batches.
+ * Secrets in older formats (CBC, GCM bound to the account key) are upgraded
+ * along the way, and with `encryptPlaintext` unencrypted secrets are
+ * encrypted too.
+ * A secret changed while it is being rotated is left alone; the change itself
+ * was already encrypted with the active key.
+ * `onProgress(job)` is called after each batch.
+ */
+async function rotateAccounts({ toVersion = activeKeyVersion(), batchSize = 100, encryptPlaintext = false, onProgress } = {}, job = createJob(toVersion)) {
+  if (!loadedKeyVersions().includes(toVersion)) {
+    throw new Error(`Encryption key version ${toVersion} is not loaded`);
+  }
+
+  const filter = pendingFilter(toVersion, encryptPlaintext);
+  const counts = await Promise.all(SECRET_MODELS.map(Model => db.collection(Model).countDocuments(filter)));
+  job.total = counts.reduce((sum, count) => sum + count, 0);
+
+  for (const Model of SECRET_MODELS) {
+    let lastId = null;
+    while (true) {
+      const batch = await db.collection(Model).find(lastId ? { ...filter, _id: { $gt: lastId } } : filter, null, {
+        sort: { _id: 1 },
+        limit: batchSize
+      });
+      if (batch.length === 0) break;
+
+      for (const doc of batch) {
+        try {
+          const rotated = encrypt(doc.getSecret(), doc.secretBinding(), toVersion);
+          const result = await db.collection(Model).updateOne(
+            { _id: doc._id, secret: doc.secret },
+            { $set: { secret: rotated.secret, keyVersion: rotated.keyVersion, encrypted: true } },
+            { timestamps: false }
+          );
+          if (result.modifiedCount === 1) {
+            job.rotated++;
+          } else {
+            job.skipped++;
+          }
+        } catch (err) {
+          job.failed.push({ key: doc.key, revision: Model === AccountRevision ? String(doc._id) : undefined, error: err.message });
+        }
+        job.processed++;
+      }
+
+      lastId = batch[batch.length - 1]._id;
+      if (onProgress) onProgress(job);
+    }
+  }
+
+  job.status = job.failed.length > 0 ? 'completed_with_errors' : 'completed';
+  job.finishedAt = new Date();
+  return job;
+}
+
+function createJob(toVersion) {
+  return {
+    id: crypto.randomUUID(),
+    status: 'running',
+    toVersion: toVersion,
+    total: 0,
+    processed: 0,
+    rotated: 0,
+    skipped: 0,
+    failed: [],
+    startedAt: new Date(),
+    finishedAt: null
+  };
+}
+
+// Start a rotation in the background and return its job immediately
+function startRotation(options = {}) {
+  if (currentJob && currentJob.status === 'running') {
+    throw new Error('A key rotation is already running');
+  }
+
+  const job = createJob(options.toVersion || activeKeyVersion());
+  currentJob = job;
+
+  rotateAccounts({ ...options, toVersion: job.toVersion }, job).catch(err => {
+    console.error('Error rotating encryption key:', err);
+    job.status = 'failed';
+    job.error = err.message;
+    job.finishedAt = new Date();
+  });
+
+  return job;
+}
+
+function getRotationStatus() {
+  return currentJob;
+}
+
+module.exports = {
+  usedKeyVersions,
+  missingKeyVersions,
+  pendingCounts,
+  rotateAccounts,
+  startRotation,
+  getRotationStatus
+};
@@ -0,0 +1,131 @@
+// utils/openapi.js - Build the OpenAPI document from the route definitions
+const { version } = require('../package.json');
+const { routes, components } = require('../schemas');
+
+// "/api/code/:accountKey" -> "/api/code/{accountKey}"
+function openAPIPath(path) {
+  return path.replace(/:(\w+)/g, '{$1}');
+}
+
+const PARAMETER_LOCATIONS = [['params', 'path'], ['headers', 'header'], ['query', 'query']];
+
+function parameters(route) {
+  const list = [];
+  for (const [part, location] of PARAMETER_LOCATIONS) {
+    const schema = route[part];
+    if (!schema) continue;
+
+    const required = new Set(schema.required || []);
+    for (const [name, property] of Object.entries(schema.properties || {})) {
+      const { description, ...rest } = property;
+      list.push({
+        name: name,
+        in: location,
+        required: location === 'path' || required.has(name),
+        description: description,
+        schema: rest
+      });
+    }
+  }
+  return list;
+}
+
+function requestBody(route) {
+  if (!route.body) return undefined;
+
+  const content = {};
+  if (!route.fileRequired) {
+    content['application/json'] = { schema: route.body };
+  }
+  if (route.multipart) {
+    content['multipart/form-data'] = {
+      schema: {
+        ...route.body,
+        properties: { ...route.body.properties, file: { type: 'string', format: 'binary' } },
+        required: [...(route.body.required || []), ...(route.fileRequired ? ['file'] : [])]
+      }
+    };
+  }
+  return { required: Boolean(route.body.required || route.fileRequired), content };
+}
+
+function responses(route) {
+  const result = {};
+  for (const [status, response] of Object.entries(route.responses)) {
+    const contentType = response.contentType || 'application/json';
+    result[status] = {
+      description: response.description,
+      content: response.schema || response.contentType
+        ? { [contentType]: { schema: response.schema || { type: 'string' } } }
+        : undefined
+    };
+  }
+
+  const validated = ['params', 'headers', 'query', 'body'].some(part => route[part]) || route.fileRequired;
+  if (validated) result[400] = { $ref: '#/components/responses/Error' };
+  if (!route.public) {
+    result[401] = { $ref: '#/components/responses/Error' };
+    result[403] = { $ref: '#/components/responses/Error' };
+  }
+  result.default = { $ref: '#/components/responses/Error' };
+  return result;
+}
+
+function operation(operationId, route) {
+  const notes = [route.description];
+  if (route.scope) notes.push(`Requires the \`${route.scope}\` scope.`);
+
+  return {
+    operationId: operationId,
+    tags: [route.tag],
+    summary: route.summary,
+    description: notes.filter(Boolean).join('\n\n') || undefined,
+    'x-required-scope': route.scope || undefined,
+    security: route.public ? [] : undefined,
+    parameters: parameters(route),
+    requestBody: requestBody(route),
+    responses: responses(route)
+  };
+}
+
+/**
+ * OpenAPI 3.1 document for every route in schemas/. Request schemas are
+ * the ones middleware/validate.js enforces, so the two can't drift apart.
+ */
+function buildOpenAPI() {
+  const paths = {};
+  for (const [operationId, route] of Object.entries(routes)) {
+    const path = openAPIPath(route.path);
+    paths[path] = paths[path] || {};
+    paths[path][route.method] = operation(operationId, route);
+  }
+
+  // Drop undefined fields, as JSON.stringify would when served
+  return JSON.parse(JSON.stringify({
+    openapi: '3.1.0',
+    info: {
+      title: 'Personal MFA Code Generator API',
+      version: version,
+      description: 'Errors use one envelope, { error, code, details }; branch on `code`.'
+    },
+    security: [{ bearerAuth: [] }, { apiKeyHeader: [] }],
+    paths: paths,
+    components: {
+      schemas: components,
+      responses: {
+        Error: {
+          description: 'Error',
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+        }
+      },
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', description: 'Authorization: Bearer <API key>' },
+        apiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+      }
+    }
+  }));
+}
+
+module.exports = {
+  buildOpenAPI
+};
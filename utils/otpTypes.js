@@ -0,0 +1,201 @@
+// utils/otpTypes.js - Code generators for each account type
+const crypto = require('crypto');
+const speakeasy = require('speakeasy');
+const { generateSecret } = require('./otpauth');
+const { accountTime } = require('./clock');
+
+const BASE32_SECRET = /^[A-Z2-7]+=*$/i;
+const STEAM_ALPHABET = '23456789BCDFGHJKMNPQRTVWXY';
+
+// Dynamic truncation of RFC 4226 on the HMAC of a counter
+function truncatedHMAC(secret, algorithm, counter) {
+  const digest = speakeasy.digest({ secret, encoding: 'base32', algorithm, counter });
+  const offset = digest[digest.length - 1] & 0xf;
+  return digest.readUInt32BE(offset) & 0x7fffffff;
+}
+
+function rfc4226(account, secret, counter) {
+  return speakeasy.hotp({
+    secret: secret,
+    encoding: 'base32',
+    algorithm: account.algorithm,
+    digits: account.digits,
+    counter: counter
+  });
+}
+
+function validateRFCParams({ digits, period, algorithm }) {
+  if (!Number.isInteger(digits) || digits < 6 || digits > 8) return 'digits must be 6, 7 or 8';
+  if (!Number.isInteger(period) || period < 15 || period > 60) return 'period must be between 15 and 60';
+  if (!['sha1', 'sha256', 'sha512'].includes(algorithm)) return 'algorithm must be sha1, sha256 or sha512';
+  return null;
+}
+
+function validateBase32(secret) {
+  return BASE32_SECRET.test(secret) ? null : 'Invalid secret key';
+}
+
+/*
+ * Every type has:
+ *   counterBased - codes come from the stored counter, claimed once per code,
+ *                  instead of the clock
+ *   otpauth      - whether it has an otpauth:// URL (and so a QR code)
+ *   defaults     - digits/period/algorithm when none are given
+ *   fixed        - parameters the type dictates, whatever is given
+ *   validateSecret(secret), validateParams(params) - error message or null
+ *   randomSecret() - a fresh secret for enrolling services we run
+ *   generate(account, secret, factor) - the code for a counter or time step
+ */
+const TYPES = {
+  totp: {
+    counterBased: false,
+    otpauth: true,
+    defaults: { digits: 6, period: 30, algorithm: 'sha1' },
+    fixed: {},
+    validateSecret: validateBase32,
+    validateParams: validateRFCParams,
+    randomSecret: () => generateSecret(),
+    generate: rfc4226
+  },
+  hotp: {
+    counterBased: true,
+    otpauth: true,
+    defaults: { digits: 6, period: 30, algorithm: 'sha1' },
+    fixed: {},
+    validateSecret: validateBase32,
+    validateParams: validateRFCParams,
+    randomSecret: () => generateSecret(),
+    generate: rfc4226
+  },
+  // Steam Guard: TOTP with 5 characters from Steam's own alphabet
+  steam: {
+    counterBased: false,
+    otpauth: true,
+    defaults: {},
+    fixed: { digits: 5, period: 30, algorithm: 'sha1' },
+    validateSecret: validateBase32,
+    validateParams: () => null,
+    randomSecret: () => generateSecret(),
+    generate: (account, secret, step) => {
+      let value = truncatedHMAC(secret, 'sha1', step);
+      let code = '';
+      for (let i = 0; i < 5; i++) {
+        code += STEAM_ALPHABET[value % STEAM_ALPHABET.length];
+        value = Math.floor(value / STEAM_ALPHABET.length);
+      }
+      return code;
+    }
+  },
+  // Mobile-OTP: first 6 hex digits of MD5(epoch / 10 + secret + PIN). The
+  // stored secret is "<secret>:<pin>" so the PIN is encrypted along with it.
+  motp: {
+    counterBased: false,
+    otpauth: false,
+    defaults: {},
+    fixed: { digits: 6, period: 10, algorithm: 'md5' },
+    validateSecret: secret => {
+      const [init, pin] = splitMOTPSecret(secret);
+      if (!/^[0-9a-f]{16,32}$/i.test(init)) return 'mOTP secret must be 16 to 32 hex characters';
+      if (!/^\d{4,8}$/.test(pin)) return 'mOTP pin must be 4 to 8 digits';
+      return null;
+    },
+    validateParams: () => null,
+    randomSecret: () => crypto.randomBytes(8).toString('hex'),
+    generate: (account, secret, step) => {
+      const [init, pin] = splitMOTPSecret(secret);
+      return crypto.createHash('md5').update(`${step}${init}${pin}`).digest('hex').slice(0, 6);
+    }
+  }
+};
+
+const OTP_TYPES = Object.keys(TYPES);
+const COUNTER_TYPES = OTP_TYPES.filter(type => TYPES[type].counterBased);
+
+function splitMOTPSecret(secret) {
+  const separator = secret.lastIndexOf(':');
+  return separator < 0 ? [secret, ''] : [secret.slice(0, separator), secret.slice(separator + 1)];
+}
+
+function getType(type) {
+  const definition = TYPES[type];
+  if (!definition) throw new Error(`Unknown account type: ${type}`);
+  return definition;
+}
+
+function isCounterBased(type) {
+  return getType(type).counterBased;
+}
+
+function hasOTPAuthURL(type) {
+  return getType(type).otpauth;
+}
+
+// digits/period/algorithm for a new account: given values over the type's
+// defaults, with the type's fixed values on top
+function otpParams(type, given = {}) {
+  const definition = getType(type);
+  const params = { digits: 6, period: 30, algorithm: 'sha1', ...definition.defaults };
+  for (const field of ['digits', 'period', 'algorithm']) {
+    if (given[field] !== undefined && given[field] !== null && given[field] !== '') {
+      params[field] = field === 'algorithm' ? String(given[field]).toLowerCase() : Number(given[field]);
+    }
+  }
+  return { ...params, ...definition.fixed };
+}
+
+// The secret to store: mOTP keeps its PIN alongside the secret
+function packSecret(type, secret, pin) {
+  return type === 'motp' ? `${secret}:${pin === undefined ? '' : pin}` : secret;
+}
+
+// Error message for an unusable secret or parameters, or null
+function validateSecret(type, secret) {
+  if (!TYPES[type]) return `type must be one of: ${OTP_TYPES.join(', ')}`;
+  if (typeof secret !== 'string' || !secret) return 'Invalid secret key';
+  return TYPES[type].validateSecret(secret);
+}
+
+function validateParams(type, params) {
+  if (!TYPES[type]) return `type must be one of: ${OTP_TYPES.join(', ')}`;
+  const fixed = TYPES[type].fixed;
+  for (const [field, value] of Object.entries(fixed)) {
+    if (params[field] !== value) return `${type} accounts must have ${field} ${value}`;
+  }
+  return TYPES[type].validateParams(params);
+}
+
+function randomSecret(type) {
+  return getType(type).randomSecret();
+}
+
+// Time step an account is at, for time-based types. `now` defaults to the
+// account's time, with clock offsets applied (see utils/clock.js).
+function timeStep(account, now = accountTime(account)) {
+  return Math.floor(now / 1000 / account.period);
+}
+
+// Code for a given counter (counter-based types) or time step
+function codeAt(account, secret, factor) {
+  return getType(account.type).generate(account, secret, factor);
+}
+
+// Current code. Counter-based types use the counter passed in; callers must
+// claim it with Account.claimCounter() so it is never reused.
+function generateOTP(account, secret, counter) {
+  return codeAt(account, secret, isCounterBased(account.type) ? counter : timeStep(account));
+}
+
+module.exports = {
+  OTP_TYPES,
+  COUNTER_TYPES,
+  isCounterBased,
+  hasOTPAuthURL,
+  otpParams,
+  packSecret,
+  validateSecret,
+  validateParams,
+  randomSecret,
+  timeStep,
+  codeAt,
+  generateOTP
+};
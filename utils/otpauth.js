@@ -0,0 +1,322 @@
+// utils/otpauth.js - Parsing of otpauth:// and otpauth-migration:// URLs
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+// Random base32 secret; 20 bytes (160 bits) is the RFC 4226 recommendation
+function generateSecret(bytes = 20) {
+  return base32Encode(crypto.randomBytes(bytes));
+}
+
+// Parse otpauth:// URLs, plus Steam Guard's steam://<secret> and
+// otpauth://totp/...?encoder=steam variants (type "steam")
+function parseOTPAuth(url) {
+  if (url.startsWith("steam://")) {
+    const secret = url.slice("steam://".length).replace(/\s+/g, "").toUpperCase();
+    if (!secret) throw new Error("Secret not found");
+
+    return {
+      secret,
+      issuer: "Steam",
+      accountName: "",
+      type: "steam",
+      algorithm: "sha1",
+      digits: 5,
+      period: 30,
+      counter: null,
+      otpAuthUrl: url
+    };
+  }
+
+  if (!url.startsWith("otpauth://")) {
+    throw new Error("Invalid OTP Auth URL");
+  }
+
+  const urlObj = new URL(url);
+  let type = urlObj.host.toLowerCase(); // totp | hotp
+  const label = decodeURIComponent(urlObj.pathname.substring(1));
+
+  const params = new URLSearchParams(urlObj.search);
+
+  const secret = params.get("secret");
+  if (!secret) throw new Error("Secret not found");
+
+  // Label is "Issuer:account" or just "account"; the account part may
+  // itself contain colons
+  const separator = label.indexOf(":");
+  const labelIssuer = separator >= 0 ? label.slice(0, separator).trim() : "";
+  const accountName = (separator >= 0 ? label.slice(separator + 1) : label).trim();
+  const issuer = params.get("issuer") || labelIssuer;
+
+  if ((params.get("encoder") || "").toLowerCase() === "steam" || type === "steam") {
+    return {
+      secret,
+      issuer: issuer || "Steam",
+      accountName,
+      type: "steam",
+      algorithm: "sha1",
+      digits: 5,
+      period: 30,
+      counter: null,
+      otpAuthUrl: url
+    };
+  }
+
+  return {
+    secret,
+    issuer,
+    accountName,
+    type,
+    algorithm: (params.get("algorithm") || "SHA1").toLowerCase(),
+    digits: Number(params.get("digits") || 6),
+    period: Number(params.get("period") || 30),
+    counter: params.get("counter") || null,
+    otpAuthUrl: url
+  };
+}
+
+// Build the canonical otpauth:// URL for an account with a plaintext secret.
+// Steam Guard accounts become TOTP URLs with encoder=steam.
+function buildOTPAuthURL({ secret, issuer, accountName, type = "totp", algorithm = "sha1", digits = 6, period = 30, counter = 0 }) {
+  if (type === "steam") {
+    const url = buildOTPAuthURL({ secret, issuer: issuer || "Steam", accountName, digits: 5 });
+    return `${url}&encoder=steam`;
+  }
+  if (type !== "totp" && type !== "hotp") {
+    throw new Error(`${type} accounts have no otpauth:// URL`);
+  }
+
+  const label = issuer
+    ? `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName || "")}`
+    : encodeURIComponent(accountName || "");
+
+  const params = new URLSearchParams({ secret });
+  if (issuer) params.set("issuer", issuer);
+  params.set("algorithm", algorithm.toUpperCase());
+  params.set("digits", String(digits));
+  if (type === "hotp") {
+    params.set("counter", String(counter));
+  } else {
+    params.set("period", String(period));
+  }
+
+  return `otpauth://${type}/${label}?${params.toString()}`;
+}
+
+/*
+ * Minimal protobuf reader for the Google Authenticator export payload:
+ *
+ * message MigrationPayload {
+ *   repeated OtpParameters otp_parameters = 1;
+ *   int32 version = 2; int32 batch_size = 3; int32 batch_index = 4; int32 batch_id = 5;
+ * }
+ * message OtpParameters {
+ *   bytes secret = 1; string name = 2; string issuer = 3;
+ *   Algorithm algorithm = 4; DigitCount digits = 5; OtpType type = 6; int64 counter = 7;
+ * }
+ */
+function readProtobuf(buffer) {
+  const fields = [];
+  let pos = 0;
+
+  function readVarint() {
+    let result = 0;
+    let multiplier = 1;
+    while (true) {
+      if (pos >= buffer.length) throw new Error("Truncated migration payload");
+      const byte = buffer[pos++];
+      result += (byte & 0x7f) * multiplier;
+      if ((byte & 0x80) === 0) return result;
+      multiplier *= 128;
+    }
+  }
+
+  while (pos < buffer.length) {
+    const tag = readVarint();
+    const field = Math.floor(tag / 8);
+    const wireType = tag % 8;
+
+    if (wireType === 0) {
+      fields.push({ field, value: readVarint() });
+    } else if (wireType === 2) {
+      const length = readVarint();
+      if (pos + length > buffer.length) throw new Error("Truncated migration payload");
+      fields.push({ field, value: buffer.subarray(pos, pos + length) });
+      pos += length;
+    } else if (wireType === 1) {
+      pos += 8;
+    } else if (wireType === 5) {
+      pos += 4;
+    } else {
+      throw new Error("Invalid migration payload");
+    }
+  }
+
+  return fields;
+}
+
+const MIGRATION_ALGORITHMS = { 0: "sha1", 1: "sha1", 2: "sha256", 3: "sha512", 4: "md5" };
+const MIGRATION_DIGITS = { 0: 6, 1: 6, 2: 8 };
+const MIGRATION_TYPES = { 0: "totp", 1: "hotp", 2: "totp" };
+
+// Google Authenticator splits an export into a handful of QR codes; the
+// batch fields come from the payload, so they are bounded before anything
+// iterates over them
+const MAX_MIGRATION_BATCHES = 1000;
+
+function parseMigrationEntry(buffer) {
+  const entry = {
+    secret: "",
+    name: "",
+    issuer: "",
+    algorithm: "sha1",
+    digits: 6,
+    type: "totp",
+    counter: 0
+  };
+
+  for (const { field, value } of readProtobuf(buffer)) {
+    switch (field) {
+      case 1: entry.secret = base32Encode(value); break;
+      case 2: entry.name = value.toString("utf8"); break;
+      case 3: entry.issuer = value.toString("utf8"); break;
+      case 4: entry.algorithm = MIGRATION_ALGORITHMS[value] || "sha1"; break;
+      case 5: entry.digits = MIGRATION_DIGITS[value] || 6; break;
+      case 6: entry.type = MIGRATION_TYPES[value] || "totp"; break;
+      case 7: entry.counter = value; break;
+    }
+  }
+
+  // Google stores the label as "Issuer:account" in name when both are set
+  const accountName = entry.issuer && entry.name.startsWith(entry.issuer + ":")
+    ? entry.name.slice(entry.issuer.length + 1)
+    : entry.name;
+
+  return {
+    secret: entry.secret,
+    issuer: entry.issuer || (entry.name.includes(":") ? entry.name.split(":")[0] : ""),
+    accountName,
+    name: entry.name,
+    type: entry.type,
+    algorithm: entry.algorithm,
+    digits: entry.digits,
+    period: 30,
+    counter: entry.type === "hotp" ? entry.counter : null
+  };
+}
+
+function parseMigrationURL(url) {
+  if (!url.startsWith("otpauth-migration://")) {
+    throw new Error("Invalid OTP Auth migration URL");
+  }
+
+  const data = new URL(url).searchParams.get("data");
+  if (!data) throw new Error("Migration data not found");
+
+  // URLSearchParams turns '+' into ' '
+  const payload = Buffer.from(data.replace(/ /g, "+"), "base64");
+
+  const result = {
+    version: 0,
+    batchSize: 1,
+    batchIndex: 0,
+    batchId: null,
+    accounts: []
+  };
+
+  for (const { field, value } of readProtobuf(payload)) {
+    switch (field) {
+      case 1: result.accounts.push(parseMigrationEntry(value)); break;
+      case 2: result.version = value; break;
+      case 3: result.batchSize = value || 1; break;
+      case 4: result.batchIndex = value; break;
+      case 5: result.batchId = value; break;
+    }
+  }
+
+  if (!Number.isSafeInteger(result.batchSize) || result.batchSize > MAX_MIGRATION_BATCHES) {
+    throw new Error(`Invalid migration payload: batch_size must be at most ${MAX_MIGRATION_BATCHES}`);
+  }
+  if (!Number.isSafeInteger(result.batchIndex) || result.batchIndex >= result.batchSize) {
+    throw new Error("Invalid migration payload: batch_index must be below batch_size");
+  }
+
+  return result;
+}
+
+/**
+ * Combine the batches of a multi-QR export.
+ * Returns { batchId, batchSize, batchesReceived, missingBatches, accounts }
+ * and throws when the payloads belong to different exports.
+ */
+function mergeMigrationBatches(payloads) {
+  if (payloads.length === 0) throw new Error("No migration payloads");
+
+  const { batchId, batchSize } = payloads[0];
+  const batches = new Map();
+
+  for (const payload of payloads) {
+    if (payload.batchId !== batchId || payload.batchSize !== batchSize) {
+      throw new Error("Migration QR codes belong to different exports");
+    }
+    // Scanning the same QR twice is harmless
+    batches.set(payload.batchIndex, payload);
+  }
+
+  const batchesReceived = [...batches.keys()].sort((a, b) => a - b);
+  const missingBatches = [];
+  for (let i = 0; i < batchSize; i++) {
+    if (!batches.has(i)) missingBatches.push(i);
+  }
+
+  return {
+    batchId,
+    batchSize,
+    batchesReceived,
+    missingBatches,
+    accounts: batchesReceived.flatMap(index => batches.get(index).accounts)
+  };
+}
+
+// Build an account key such as "github-ops" from issuer and account name
+function suggestAccountKey(issuer, accountName) {
+  const base = [issuer, accountName]
+    .filter(Boolean)
+    .join("-")
+    .toLowerCase()
+    .replace(/@.*$/, "")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+  return base || "account";
+}
+
+module.exports = {
+  base32Encode,
+  generateSecret,
+  parseOTPAuth,
+  buildOTPAuthURL,
+  parseMigrationURL,
+  mergeMigrationBatches,
+  suggestAccountKey
+};
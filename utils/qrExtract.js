@@ -0,0 +1,383 @@
+// utils/qrExtract.js - Find and decode every QR code in an image or PDF
+const jsQR = require('jsqr');
+const { createCanvas, loadImage } = require('canvas');
+
+// Codes per image; each found code is masked out before scanning again
+const MAX_CODES = 20;
+const MAX_PDF_PAGES = 20;
+// Render PDF pages at 2x (144 dpi) so small codes in emails stay readable
+const PDF_SCALE = 2;
+// Phone photos are downscaled to this size, tiny screenshots upscaled to it
+const TARGET_SIZE = 1000;
+// Larger images and PDF pages are refused before any pixels are decoded: a
+// small compressed file can expand to gigabytes. Fits 48 MP phone photos.
+const MAX_PIXELS = 50 * 1000 * 1000;
+// Pixels rendered across all pages of a PDF, about 20 A4 pages at PDF_SCALE
+const MAX_PDF_PIXELS = 50 * 1000 * 1000;
+
+/*
+ * Images are handled as { data, width, height } with RGBA bytes in `data`,
+ * the same layout as canvas ImageData.
+ */
+
+function createImage(width, height) {
+  return { data: new Uint8ClampedArray(width * height * 4), width, height };
+}
+
+function luminance(image) {
+  const { data } = image;
+  const gray = new Uint8Array(image.width * image.height);
+  for (let i = 0; i < gray.length; i++) {
+    gray[i] = (data[i * 4] * 299 + data[i * 4 + 1] * 587 + data[i * 4 + 2] * 114) / 1000;
+  }
+  return gray;
+}
+
+// Scale by `factor`: area average when shrinking, nearest neighbour when
+// enlarging so module edges stay sharp
+function resize(image, factor) {
+  const width = Math.max(1, Math.round(image.width * factor));
+  const height = Math.max(1, Math.round(image.height * factor));
+  const out = createImage(width, height);
+  const step = 1 / factor;
+
+  for (let y = 0; y < height; y++) {
+    const y0 = Math.floor(y * step);
+    const y1 = Math.max(y0 + 1, Math.min(image.height, Math.floor((y + 1) * step)));
+    for (let x = 0; x < width; x++) {
+      const x0 = Math.floor(x * step);
+      const x1 = Math.max(x0 + 1, Math.min(image.width, Math.floor((x + 1) * step)));
+      const sum = [0, 0, 0];
+      for (let sy = y0; sy < y1; sy++) {
+        for (let sx = x0; sx < x1; sx++) {
+          const i = (sy * image.width + sx) * 4;
+          sum[0] += image.data[i];
+          sum[1] += image.data[i + 1];
+          sum[2] += image.data[i + 2];
+        }
+      }
+      const count = (y1 - y0) * (x1 - x0);
+      const o = (y * width + x) * 4;
+      out.data[o] = sum[0] / count;
+      out.data[o + 1] = sum[1] / count;
+      out.data[o + 2] = sum[2] / count;
+      out.data[o + 3] = 255;
+    }
+  }
+
+  return out;
+}
+
+// Black and white at Otsu's threshold; rescues low-contrast photos where
+// jsQR's own local binarizer picks up screen glare and moire
+function binarize(image) {
+  const gray = luminance(image);
+  const histogram = new Array(256).fill(0);
+  for (const value of gray) histogram[value]++;
+
+  let sumAll = 0;
+  for (let i = 0; i < 256; i++) sumAll += i * histogram[i];
+
+  let sumBackground = 0;
+  let weightBackground = 0;
+  let bestVariance = 0;
+  let threshold = 128;
+  for (let i = 0; i < 256; i++) {
+    weightBackground += histogram[i];
+    if (weightBackground === 0) continue;
+    const weightForeground = gray.length - weightBackground;
+    if (weightForeground === 0) break;
+    sumBackground += i * histogram[i];
+    const meanBackground = sumBackground / weightBackground;
+    const meanForeground = (sumAll - sumBackground) / weightForeground;
+    const variance = weightBackground * weightForeground * (meanBackground - meanForeground) ** 2;
+    if (variance > bestVariance) {
+      bestVariance = variance;
+      threshold = i;
+    }
+  }
+
+  const out = createImage(image.width, image.height);
+  for (let i = 0; i < gray.length; i++) {
+    const value = gray[i] > threshold ? 255 : 0;
+    out.data[i * 4] = value;
+    out.data[i * 4 + 1] = value;
+    out.data[i * 4 + 2] = value;
+    out.data[i * 4 + 3] = 255;
+  }
+  return out;
+}
+
+// Axis-aligned box around the corners jsQR reports, which follow rotation
+function boundingBox(location) {
+  const corners = [
+    location.topLeftCorner,
+    location.topRightCorner,
+    location.bottomLeftCorner,
+    location.bottomRightCorner
+  ];
+  const xs = corners.map(point => point.x);
+  const ys = corners.map(point => point.y);
+  const x = Math.min(...xs);
+  const y = Math.min(...ys);
+  return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+}
+
+function crop(image, x0, y0, width, height) {
+  const out = createImage(width, height);
+  for (let y = 0; y < height; y++) {
+    const start = ((y0 + y) * image.width + x0) * 4;
+    out.data.set(image.data.subarray(start, start + width * 4), y * width * 4);
+  }
+  return out;
+}
+
+// Paint a found code (plus a margin) grey so the next scan finds another one
+function maskBox(image, box) {
+  const margin = Math.max(box.width, box.height) * 0.1;
+  const x0 = Math.max(0, Math.floor(box.x - margin));
+  const y0 = Math.max(0, Math.floor(box.y - margin));
+  const x1 = Math.min(image.width, Math.ceil(box.x + box.width + margin));
+  const y1 = Math.min(image.height, Math.ceil(box.y + box.height + margin));
+
+  for (let y = y0; y < y1; y++) {
+    for (let x = x0; x < x1; x++) {
+      const i = (y * image.width + x) * 4;
+      image.data[i] = image.data[i + 1] = image.data[i + 2] = 128;
+    }
+  }
+}
+
+// Decode and mask codes in `image` until jsQR finds no more
+function scanRegion(image, codes) {
+  while (codes.length < MAX_CODES) {
+    const qr = jsQR(image.data, image.width, image.height, { inversionAttempts: 'attemptBoth' });
+    if (!qr) return;
+
+    const box = boundingBox(qr.location);
+    codes.push({ data: qr.data, box });
+    maskBox(image, box);
+  }
+}
+
+// Windows scanned after the whole image, as [width, height] fractions:
+// vertical strips split codes side by side, horizontal strips split stacked
+// ones, quarters split grids. Each is tried at the start, middle and end.
+const WINDOWS = [[1 / 2, 1], [1, 1 / 2], [1 / 2, 1 / 2]];
+const WINDOW_OFFSETS = [0, 0.5, 1];
+
+// Every code jsQR can find in one image, normal and inverted. With several
+// codes in view jsQR pairs up finder patterns of different codes and finds
+// nothing, so smaller windows are scanned as well.
+function scanImage(image) {
+  const working = crop(image, 0, 0, image.width, image.height);
+  const codes = [];
+  scanRegion(working, codes);
+
+  // Masking a code can make a window readable that wasn't before, so go
+  // again while windows keep turning up codes
+  let before;
+  do {
+    before = codes.length;
+    for (const [fw, fh] of WINDOWS) {
+      const width = Math.ceil(image.width * fw);
+      const height = Math.ceil(image.height * fh);
+      for (const oy of fh < 1 ? WINDOW_OFFSETS : [0]) {
+        for (const ox of fw < 1 ? WINDOW_OFFSETS : [0]) {
+          const x0 = Math.round((image.width - width) * ox);
+          const y0 = Math.round((image.height - height) * oy);
+          const found = [];
+          scanRegion(crop(working, x0, y0, width, height), found);
+
+          for (const { data, box } of found) {
+            const shifted = { x: box.x + x0, y: box.y + y0, width: box.width, height: box.height };
+            codes.push({ data, box: shifted });
+            maskBox(working, shifted);
+          }
+        }
+      }
+    }
+  } while (codes.length > before && codes.length < MAX_CODES);
+
+  return codes;
+}
+
+// Scan an image and its binarized copy, mapping boxes back by 1 / scale
+function scanVariants(image, scale, found) {
+  for (const variant of [image, binarize(image)]) {
+    for (const { data, box } of scanImage(variant)) {
+      if (found.has(data)) continue;
+      found.set(data, {
+        data,
+        box: {
+          x: Math.round(box.x / scale),
+          y: Math.round(box.y / scale),
+          width: Math.round(box.width / scale),
+          height: Math.round(box.height / scale)
+        }
+      });
+    }
+  }
+}
+
+/**
+ * Decode every QR code in an RGBA image. Returns
+ * [{ data, box: { x, y, width, height } }] in the image's own pixel
+ * coordinates, one entry per distinct payload.
+ * Large photos are scanned downscaled first and tiny screenshots at full
+ * size first; the other size is only tried when nothing was found.
+ */
+function findQRCodes(image) {
+  const found = new Map();
+  const size = Math.max(image.width, image.height);
+  const scale = TARGET_SIZE / size;
+
+  const passes = [() => scanVariants(image, 1, found)];
+  if (size > TARGET_SIZE * 1.5) {
+    passes.unshift(() => scanVariants(resize(image, scale), scale, found));
+  } else if (size < TARGET_SIZE / 2) {
+    passes.push(() => scanVariants(resize(image, scale), scale, found));
+  }
+
+  for (const pass of passes) {
+    pass();
+    if (found.size > 0) break;
+  }
+
+  return [...found.values()];
+}
+
+function canvasPixels(canvas) {
+  return canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+}
+
+function tooLarge(message) {
+  const err = new Error(message);
+  err.code = 'IMAGE_TOO_LARGE';
+  return err;
+}
+
+// Errors with code IMAGE_TOO_LARGE when above MAX_PIXELS
+function checkSize(width, height) {
+  if (width * height > MAX_PIXELS) {
+    throw tooLarge(`Image is too large (${width}x${height}), at most ${MAX_PIXELS / 1e6} megapixels are supported`);
+  }
+}
+
+// Width and height from a PNG, GIF or JPEG header, null for other formats
+function headerSize(buffer) {
+  if (buffer.length >= 24 && buffer.readUInt32BE(0) === 0x89504e47) {
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+  if (buffer.length >= 10 && buffer.subarray(0, 3).toString('latin1') === 'GIF') {
+    return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+  }
+  if (buffer.length >= 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+    // Walk the segments up to the first start-of-frame (SOF0-SOF15 but
+    // DHT, JPG and DAC)
+    let offset = 2;
+    while (offset + 9 <= buffer.length && buffer[offset] === 0xff) {
+      const marker = buffer[offset + 1];
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+      }
+      offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+  }
+  return null;
+}
+
+function sourceBuffer(source) {
+  if (Buffer.isBuffer(source)) return source;
+  const match = /^data:[^,]*;base64,/.exec(source);
+  return match ? Buffer.from(source.slice(match[0].length), 'base64') : null;
+}
+
+async function decodeImage(source) {
+  const buffer = sourceBuffer(source);
+  const size = buffer && headerSize(buffer);
+  if (size) checkSize(size.width, size.height);
+
+  const img = await loadImage(source);
+  // Formats without a size in the header, e.g. SVG
+  checkSize(img.width, img.height);
+  const canvas = createCanvas(img.width, img.height);
+  canvas.getContext('2d').drawImage(img, 0, 0);
+  return canvasPixels(canvas);
+}
+
+// Render the pages of a PDF one at a time and scan each right away, so only
+// one page's pixels are held at once. Stops at the first page with codes.
+async function scanPDF(buffer) {
+  // Loaded on first use, it is large and only needed for PDFs
+  const pdfjs = require('pdfjs-dist/legacy/build/pdf.js');
+  const pdf = await pdfjs.getDocument({
+    data: new Uint8Array(buffer),
+    isEvalSupported: false,
+    disableFontFace: true
+  }).promise;
+
+  const codes = [];
+  try {
+    // Page sizes are known without rendering, refuse oversized documents
+    // before drawing anything
+    const pages = [];
+    let pixels = 0;
+    for (let number = 1; number <= Math.min(pdf.numPages, MAX_PDF_PAGES); number++) {
+      const page = await pdf.getPage(number);
+      const viewport = page.getViewport({ scale: PDF_SCALE });
+      const width = Math.ceil(viewport.width);
+      const height = Math.ceil(viewport.height);
+      checkSize(width, height);
+      pixels += width * height;
+      pages.push({ page, viewport, width, height });
+    }
+    if (pixels > MAX_PDF_PIXELS) {
+      throw tooLarge(`PDF is too large, at most ${MAX_PDF_PIXELS / 1e6} megapixels are rendered across its pages`);
+    }
+
+    for (const [index, { page, viewport, width, height }] of pages.entries()) {
+      const canvas = createCanvas(width, height);
+      try {
+        await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+        codes.push(...findQRCodes(canvasPixels(canvas)).map(code => ({ ...code, page: index + 1 })));
+      } finally {
+        // Resizing drops the backing surface, instead of waiting for the GC
+        canvas.width = 0;
+        canvas.height = 0;
+        page.cleanup();
+      }
+      if (codes.length > 0) break;
+    }
+  } finally {
+    await pdf.destroy();
+  }
+  return codes;
+}
+
+function isPDF(buffer) {
+  return buffer.subarray(0, 5).toString('latin1') === '%PDF-';
+}
+
+/**
+ * Find every QR code in an uploaded file or data: URL.
+ * `source` is a Buffer (PNG, JPEG, GIF, SVG or PDF) or a "data:image/..."
+ * string. Returns [{ data, box, page }]; `page` is set for PDFs (1-based)
+ * and boxes are in pixels of the page rendered at PDF_SCALE. PDFs only
+ * report the codes of their first page that has any.
+ */
+async function extractQRCodes(source) {
+  if (Buffer.isBuffer(source) && isPDF(source)) {
+    return scanPDF(source);
+  }
+
+  return findQRCodes(await decodeImage(source));
+}
+
+module.exports = {
+  MAX_PDF_PAGES,
+  MAX_PIXELS,
+  MAX_PDF_PIXELS,
+  findQRCodes,
+  extractQRCodes
+};
@@ -0,0 +1,105 @@
+// utils/rateLimitStore.js - Counter stores behind the rate limiter
+const RateLimitCounter = require('../models/RateLimitCounter');
+const db = require('../storage');
+
+/*
+ * A store keeps fixed-window counters:
+ *   increment(key, windowMs) - add one hit, starting a new window when the
+ *                              last one is over; resolves to { count, resetAt }
+ *   get(key)                 - the current window's { count, resetAt }, or
+ *                              null when there is none
+ * resetAt is a Date.
+ */
+
+// Counters in this process only; the default, right for a single instance
+function memoryStore({ sweepIntervalMs = 60 * 1000 } = {}) {
+  const counters = new Map();
+
+  // Drop finished windows so idle clients don't pile up
+  const sweeper = setInterval(() => {
+    const now = Date.now();
+    for (const [key, counter] of counters) {
+      if (counter.resetAt <= now) counters.delete(key);
+    }
+  }, sweepIntervalMs);
+  sweeper.unref();
+
+  return {
+    async increment(key, windowMs) {
+      const now = Date.now();
+      let counter = counters.get(key);
+      if (!counter || counter.resetAt <= now) {
+        counter = { count: 0, resetAt: now + windowMs };
+        counters.set(key, counter);
+      }
+      counter.count++;
+      return { count: counter.count, resetAt: new Date(counter.resetAt) };
+    },
+
+    async get(key) {
+      const counter = counters.get(key);
+      if (!counter || counter.resetAt <= Date.now()) return null;
+      return { count: counter.count, resetAt: new Date(counter.resetAt) };
+    }
+  };
+}
+
+// Counters in MongoDB, shared by every instance behind a load balancer.
+// Mongo's TTL monitor only runs once a minute, so windows that are over are
+// also recognised here by their resetAt.
+function mongoStore() {
+  async function increment(key, windowMs, retried = false) {
+    const now = new Date();
+    const current = { $gt: ['$resetAt', now] };
+
+    try {
+      const counter = await RateLimitCounter.findOneAndUpdate(
+        { key },
+        [{
+          $set: {
+            count: { $cond: [current, { $add: ['$count', 1] }, 1] },
+            resetAt: { $cond: [current, '$resetAt', new Date(now.getTime() + windowMs)] }
+          }
+        }],
+        { upsert: true, new: true, updatePipeline: true }
+      ).lean();
+      return { count: counter.count, resetAt: counter.resetAt };
+    } catch (err) {
+      // Two instances upserting the same new key: one wins, the other retries
+      // and finds the document
+      if (err.code === 11000 && !retried) return increment(key, windowMs, true);
+      throw err;
+    }
+  }
+
+  return {
+    increment: (key, windowMs) => increment(key, windowMs),
+
+    async get(key) {
+      const counter = await RateLimitCounter.findOne({ key, resetAt: { $gt: new Date() } }).lean();
+      return counter ? { count: counter.count, resetAt: counter.resetAt } : null;
+    }
+  };
+}
+
+// Store named by RATE_LIMIT_STORE: "memory" (default) or "mongo"
+function createStore(name = process.env.RATE_LIMIT_STORE || 'memory') {
+  switch (name) {
+    case 'memory':
+      return memoryStore();
+    case 'mongo':
+      // Shared counters need the shared database
+      if (db.driverName() !== 'mongo') {
+        throw new Error('RATE_LIMIT_STORE=mongo needs STORAGE_DRIVER=mongo');
+      }
+      return mongoStore();
+    default:
+      throw new Error(`Unknown RATE_LIMIT_STORE: ${name} (use memory or mongo)`);
+  }
+}
+
+module.exports = {
+  memoryStore,
+  mongoStore,
+  createStore
+};
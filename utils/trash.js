@@ -0,0 +1,80 @@
+// utils/trash.js - Deleted accounts wait in the trash before they are purged
+const Account = require('../models/Account');
+const db = require('../storage');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RETENTION_DAYS = process.env.TRASH_RETENTION_DAYS !== undefined
+  ? Number(process.env.TRASH_RETENTION_DAYS)
+  : 30;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+// When an account deleted at `deletedAt` will be purged
+function purgeAt(deletedAt) {
+  return new Date(deletedAt.getTime() + RETENTION_DAYS * DAY_MS);
+}
+
+/**
+ * Permanently delete trashed accounts matching `filter`, with their
+ * revisions and webhooks. Webhook delivery logs are kept.
+ * Returns the number of accounts purged.
+ */
+async function purgeAccounts(filter) {
+  const accounts = await db.accounts.find({ $and: [filter, { deletedAt: { $ne: null } }] }, '_id', { lean: true });
+  if (accounts.length === 0) return 0;
+
+  const ids = accounts.map(account => account._id);
+  await db.accountRevisions.deleteMany({ account: { $in: ids } });
+  await db.webhooks.deleteMany({ account: { $in: ids } });
+  const result = await db.accounts.deleteMany({ _id: { $in: ids }, deletedAt: { $ne: null } });
+  return result.deletedCount;
+}
+
+// Purge accounts that have been in the trash longer than the retention
+function purgeExpiredAccounts() {
+  return purgeAccounts({ deletedAt: { $lte: new Date(Date.now() - RETENTION_DAYS * DAY_MS) } });
+}
+
+// Purge expired accounts now and then every hour
+function startTrashPurge() {
+  const run = () => purgeExpiredAccounts()
+    .then(purged => {
+      if (purged > 0) console.log(`🗑️  Purged ${purged} accounts from the trash`);
+    })
+    .catch(err => console.error('Error purging the trash:', err));
+
+  run();
+  setInterval(run, PURGE_INTERVAL_MS).unref();
+}
+
+/**
+ * Accounts from before the trash have no deletedAt, and the unique
+ * vault/key index covered every account. Set deletedAt to null and rebuild
+ * that index so it skips trashed accounts. Safe to run on every start.
+ */
+async function migrateAccountsToTrash() {
+  await db.accounts.updateMany({ deletedAt: { $exists: false } }, { $set: { deletedAt: null } }, { timestamps: false });
+
+  // Indexes only exist in MongoDB
+  if (db.driverName() !== 'mongo') return;
+
+  try {
+    const indexes = await Account.collection.indexes();
+    const keyIndex = indexes.find(index => index.name === 'vault_1_key_1');
+    if (keyIndex && !keyIndex.partialFilterExpression) {
+      await Account.collection.dropIndex('vault_1_key_1');
+      await Account.createIndexes();
+    }
+  } catch (err) {
+    // The collection doesn't exist yet on a fresh database
+    if (err.codeName !== 'NamespaceNotFound') throw err;
+  }
+}
+
+module.exports = {
+  RETENTION_DAYS,
+  purgeAt,
+  purgeAccounts,
+  purgeExpiredAccounts,
+  startTrashPurge,
+  migrateAccountsToTrash
+};
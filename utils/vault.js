@@ -0,0 +1,92 @@
+// utils/vault.js - Passphrase-protected vault archives for export/restore
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const FORMAT = 'mfa-authenticator-vault';
+const VERSION = 1;
+
+// scrypt cost, stored in the archive so it can be raised later. Archives are
+// uploaded by callers, so restore accepts no more than what this server writes
+const KDF_PARAMS = { N: 32768, r: 8, p: 1 };
+
+const MIN_PASSPHRASE_LENGTH = 8;
+
+const scrypt = promisify(crypto.scrypt);
+
+function deriveKey(passphrase, salt, { N, r, p }) {
+  return scrypt(passphrase, salt, 32, {
+    N, r, p,
+    maxmem: 128 * KDF_PARAMS.N * KDF_PARAMS.r * 2
+  });
+}
+
+/**
+ * Encrypt a JSON-serializable payload into an archive object.
+ * The key is derived from the passphrase only, never from ENCRYPTION_KEY,
+ * so the archive can be restored on a server with a different key.
+ */
+async function encryptVault(payload, passphrase) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const key = await deriveKey(passphrase, salt, KDF_PARAMS);
+
+  const header = {
+    format: FORMAT,
+    version: VERSION,
+    kdf: { name: 'scrypt', salt: salt.toString('base64'), ...KDF_PARAMS },
+    cipher: 'aes-256-gcm',
+    iv: iv.toString('base64')
+  };
+
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  // The header is authenticated too, so KDF parameters can't be tampered with
+  cipher.setAAD(Buffer.from(JSON.stringify(header)));
+  const data = Buffer.concat([cipher.update(JSON.stringify(payload), 'utf8'), cipher.final()]);
+
+  return {
+    ...header,
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+// Decrypt an archive object produced by encryptVault()
+async function decryptVault(archive, passphrase) {
+  if (!archive || archive.format !== FORMAT) {
+    throw new Error('Not a vault archive');
+  }
+  if (archive.version !== VERSION) {
+    throw new Error(`Unsupported vault archive version: ${archive.version}`);
+  }
+
+  const { kdf } = archive;
+  if (!kdf || kdf.name !== 'scrypt' || ![kdf.N, kdf.r, kdf.p].every(Number.isInteger) ||
+      !(kdf.N >= 2 && kdf.r >= 1 && kdf.p >= 1 &&
+        kdf.N <= KDF_PARAMS.N && kdf.r <= KDF_PARAMS.r && kdf.p <= KDF_PARAMS.p)) {
+    throw new Error('Unsupported vault archive key derivation');
+  }
+  const header = {
+    format: archive.format,
+    version: archive.version,
+    kdf: kdf,
+    cipher: archive.cipher,
+    iv: archive.iv
+  };
+
+  try {
+    const key = await deriveKey(passphrase, Buffer.from(kdf.salt, 'base64'), kdf);
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(archive.iv, 'base64'));
+    decipher.setAAD(Buffer.from(JSON.stringify(header)));
+    decipher.setAuthTag(Buffer.from(archive.tag, 'base64'));
+    const data = Buffer.concat([decipher.update(Buffer.from(archive.data, 'base64')), decipher.final()]);
+    return JSON.parse(data.toString('utf8'));
+  } catch (err) {
+    throw new Error('Invalid passphrase or corrupted archive');
+  }
+}
+
+module.exports = {
+  MIN_PASSPHRASE_LENGTH,
+  encryptVault,
+  decryptVault
+};
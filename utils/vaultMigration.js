@@ -0,0 +1,38 @@
+// utils/vaultMigration.js - Move accounts from before vaults into the Default vault
+const Account = require('../models/Account');
+const Vault = require('../models/Vault');
+const db = require('../storage');
+
+/**
+ * Accounts created before vaults existed have no vault and a globally
+ * unique `key` index. Put them in the Default vault and drop that index,
+ * so keys only have to be unique per vault. Safe to run on every start.
+ * Returns the number of accounts moved.
+ */
+async function migrateAccountsToVaults() {
+  const orphans = await db.accounts.countDocuments({ vault: { $exists: false } });
+  if (orphans > 0) {
+    const vault = await Vault.getDefault();
+    await db.accounts.updateMany({ vault: { $exists: false } }, { $set: { vault: vault._id } }, { timestamps: false });
+  }
+  
+  // Indexes only exist in MongoDB
+  if (db.driverName() !== 'mongo') return orphans;
+  
+  try {
+    const indexes = await Account.collection.indexes();
+    if (indexes.some(index => index.name === 'key_1' && index.unique)) {
+      await Account.collection.dropIndex('key_1');
+      await Account.createIndexes();
+    }
+  } catch (err) {
+    // The collection doesn't exist yet on a fresh database
+    if (err.codeName !== 'NamespaceNotFound') throw err;
+  }
+  
+  return orphans;
+}
+
+module.exports = {
+  migrateAccountsToVaults
+};
@@ -0,0 +1,279 @@
+// utils/webhooks.js - Signed delivery of codes to webhook receivers
+const crypto = require('crypto');
+const Account = require('../models/Account');
+const db = require('../storage');
+const { isCounterBased } = require('./otpTypes');
+const { stepTiming } = require('./clock');
+
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+const RETRY_BASE_MS = Number(process.env.WEBHOOK_RETRY_BASE_MS) || 1000;
+const TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 5000;
+// Deliveries kept per webhook, the most the delivery log returns
+const LOG_SIZE = Number(process.env.WEBHOOK_DELIVERY_LOG_SIZE) || 200;
+// Wait before trying a rollover again after an error
+const ROLLOVER_RETRY_MS = 5000;
+
+/*
+ * Deliveries are POSTs with a JSON body and these headers:
+ *   X-Webhook-Id        - webhook id
+ *   X-Webhook-Delivery  - delivery id, the same on every retry
+ *   X-Webhook-Timestamp - unix seconds the attempt was signed at
+ *   X-Webhook-Signature - "sha256=" + hex HMAC-SHA256 of "<timestamp>.<body>",
+ *                         keyed with the webhook's signing secret
+ * Receivers should recompute the signature with a timing-safe comparison
+ * and reject stale timestamps.
+ *
+ * Failed attempts (network errors, timeouts, 408, 429, 5xx) are retried
+ * with exponential backoff, but never past the code's expiry. Other 4xx
+ * answers fail the delivery at once.
+ */
+function sign(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function isRetryable(statusCode) {
+  return statusCode === null || statusCode === 408 || statusCode === 429 || statusCode >= 500;
+}
+
+// Payload with the account's current code. Counter-based accounts claim a
+// counter, as GET /api/code does.
+async function codePayload(account, event) {
+  let current = account;
+  if (isCounterBased(account.type)) {
+    current = await Account.claimCounter(account._id);
+    if (!current) throw new Error('Account changed while generating code');
+  }
+
+  const generated = current.generateCode(current.counter);
+  return {
+    event: event,
+    account: {
+      key: current.key,
+      name: current.name,
+      issuer: current.issuer,
+      accountName: current.accountName
+    },
+    type: current.type,
+    ...generated,
+    generatedAt: new Date().toISOString()
+  };
+}
+
+// One attempt; schedules the next one when it fails and may be retried
+async function attempt(delivery, webhook, body, expiresAt) {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+  let statusCode = null;
+  let error = null;
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'mfa-webhooks',
+        'X-Webhook-Id': String(webhook._id),
+        'X-Webhook-Delivery': String(delivery._id),
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': sign(webhook.signingSecret, timestamp, body)
+      },
+      body: body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(TIMEOUT_MS)
+    });
+    statusCode = response.status;
+    if (!response.ok) error = `HTTP ${response.status}`;
+    // The response body is not used
+    if (response.body) await response.body.cancel();
+  } catch (err) {
+    error = err.name === 'TimeoutError' ? `Timed out after ${TIMEOUT_MS} ms` : (err.cause || err).message;
+  }
+
+  delivery.attempts.push({ at: new Date(started), statusCode, error, durationMs: Date.now() - started });
+
+  if (!error) {
+    delivery.status = 'delivered';
+    delivery.deliveredAt = new Date();
+    return db.webhookDeliveries.save(delivery);
+  }
+
+  const delay = RETRY_BASE_MS * 2 ** (delivery.attempts.length - 1);
+  const expired = expiresAt && Date.now() + delay >= expiresAt.getTime();
+  if (!isRetryable(statusCode) || delivery.attempts.length >= MAX_ATTEMPTS || expired) {
+    delivery.status = 'failed';
+    return db.webhookDeliveries.save(delivery);
+  }
+
+  delivery.status = 'pending';
+  await db.webhookDeliveries.save(delivery);
+  setTimeout(() => {
+    attempt(delivery, webhook, body, expiresAt).catch(err => console.error('Webhook delivery error:', err));
+  }, delay);
+}
+
+// Build the payload for a delivery and make the first attempt. The
+// account and webhook are re-read so late changes (or deletion) apply.
+async function send(delivery, event) {
+  const webhook = await db.webhooks.findById(delivery.webhook, '+signingSecret');
+  if (!webhook || !webhook.active) {
+    delivery.status = 'failed';
+    delivery.attempts.push({ at: new Date(), error: 'Webhook was removed' });
+    return db.webhookDeliveries.save(delivery);
+  }
+
+  let payload;
+  if (event === 'ping') {
+    payload = { event: 'ping', webhook: String(webhook._id), sentAt: new Date().toISOString() };
+  } else {
+    const account = await db.accounts.findById(webhook.account);
+    if (!account || account.deletedAt) {
+      delivery.status = 'failed';
+      delivery.attempts.push({ at: new Date(), error: 'Account was removed' });
+      return db.webhookDeliveries.save(delivery);
+    }
+    payload = await codePayload(account, event);
+  }
+
+  const expiresAt = payload.expiresAt ? new Date(payload.expiresAt) : null;
+  return attempt(delivery, webhook, JSON.stringify(payload), expiresAt);
+}
+
+// Delete the deliveries of a webhook past the newest LOG_SIZE
+async function pruneDeliveries(webhookId) {
+  const old = await db.webhookDeliveries.find({ webhook: webhookId }, '_id', {
+    sort: { createdAt: -1, _id: -1 },
+    skip: LOG_SIZE,
+    lean: true
+  });
+  if (old.length === 0) return;
+  await db.webhookDeliveries.deleteMany({ _id: { $in: old.map(delivery => delivery._id) } });
+}
+
+// New delivery in the log of `webhook`, which keeps the newest LOG_SIZE
+async function createDelivery(webhook, accountKey, event) {
+  const delivery = await db.webhookDeliveries.create({
+    webhook: webhook._id,
+    accountKey: accountKey,
+    event: event
+  });
+  await pruneDeliveries(webhook._id);
+  return delivery;
+}
+
+function sendInBackground(delivery, event) {
+  send(delivery, event).catch(async err => {
+    console.error('Webhook delivery error:', err);
+    delivery.status = 'failed';
+    delivery.attempts.push({ at: new Date(), error: err.message });
+    await db.webhookDeliveries.save(delivery).catch(() => {});
+  });
+}
+
+/**
+ * Push the current code of `account` to each webhook right away, whatever
+ * its trigger. Returns the delivery documents; attempts continue in the
+ * background.
+ */
+async function pushCode(account, webhooks) {
+  const deliveries = [];
+
+  for (const webhook of webhooks) {
+    const delivery = await createDelivery(webhook, account.key, 'code');
+    deliveries.push(delivery);
+    sendInBackground(delivery, 'code');
+  }
+
+  return deliveries;
+}
+
+/*
+ * "rollover" webhooks get every new code of their account when its period
+ * starts, for as long as they exist and are active, without a push. There
+ * is one timer per webhook; the webhook and account are re-read at each
+ * boundary, so period and clock offset changes apply. While the account is
+ * in the trash nothing is sent, and delivery resumes if it is restored.
+ */
+const rolloverTimers = new Map();
+
+function stopRollover(webhookId) {
+  const id = String(webhookId);
+  clearTimeout(rolloverTimers.get(id));
+  rolloverTimers.delete(id);
+}
+
+function armRollover(id, delay) {
+  const timer = setTimeout(() => {
+    nextRollover(id, true).catch(err => console.error('Webhook rollover error:', err));
+  }, delay);
+  // Pending rollovers must not keep the process alive
+  timer.unref();
+  clearTimeout(rolloverTimers.get(id));
+  rolloverTimers.set(id, timer);
+}
+
+// Deliver the code of the period that just started (if `deliver`) and arm
+// the timer for the next boundary. The timer is armed even when this
+// fails, for the next boundary if the account could be read and otherwise
+// ROLLOVER_RETRY_MS from now, so an error never ends the rollovers.
+async function nextRollover(id, deliver) {
+  let delay = ROLLOVER_RETRY_MS;
+  try {
+    const webhook = await db.webhooks.findById(id);
+    const account = webhook && webhook.active && webhook.trigger === 'rollover'
+      ? await db.accounts.findById(webhook.account)
+      : null;
+    if (!account) {
+      stopRollover(id);
+      delay = null;
+      return;
+    }
+
+    // A few ms past the boundary so the new step has definitely begun
+    delay = stepTiming(account).msRemaining + 5;
+    if (deliver && !account.deletedAt && !isCounterBased(account.type)) {
+      const delivery = await createDelivery(webhook, account.key, 'code');
+      sendInBackground(delivery, 'code');
+    }
+  } finally {
+    if (delay !== null) armRollover(id, delay);
+  }
+}
+
+// Start (or restart) rollover deliveries for a webhook from the next boundary
+function scheduleRollover(webhookId) {
+  return nextRollover(String(webhookId), false);
+}
+
+// Schedule every active rollover webhook, at startup
+async function startRolloverDeliveries() {
+  const webhooks = await db.webhooks.find({ trigger: 'rollover', active: true }, '_id');
+  await Promise.all(webhooks.map(webhook => scheduleRollover(webhook._id)));
+  return webhooks.length;
+}
+
+// Send a "ping" event without a code, to check a receiver
+async function pingWebhook(webhook) {
+  const delivery = await createDelivery(webhook, webhook.accountKey, 'ping');
+  await send(delivery, 'ping');
+  return delivery;
+}
+
+// Retries live in memory; deliveries left unfinished by a restart are marked
+// failed at startup
+async function failInterruptedDeliveries() {
+  const result = await db.webhookDeliveries.updateMany(
+    { status: 'pending' },
+    { $set: { status: 'failed' }, $push: { attempts: { at: new Date(), error: 'Interrupted by a server restart' } } }
+  );
+  return result.modifiedCount;
+}
+
+module.exports = {
+  sign,
+  pushCode,
+  scheduleRollover,
+  stopRollover,
+  startRolloverDeliveries,
+  pingWebhook,
+  failInterruptedDeliveries
+};